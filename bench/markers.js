@@ -0,0 +1,71 @@
+// Marker render benchmark (dev only: `npm run dev`, then open /bench/markers.html).
+// Compares a full rebuild (clear every marker, then re-create them all — the old
+// renderLocations behaviour) with an incremental refresh where one stop is marked visited.
+
+import { createMapController } from "../src/map/mapController.js";
+import { RUN_COLOUR_PALETTE } from "../src/domain/runModel.js";
+
+function makeLocations(count) {
+  const locations = [];
+  for (let i = 0; i < count; i++) {
+    locations.push({
+      id: `bench-${i}`,
+      name: `Location ${i}`,
+      latitude: 52 + Math.random() * 2.5,
+      longitude: -9.5 + Math.random() * 3.5,
+      status: "active",
+    });
+  }
+  return locations;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function runBenchmark(controller, count, iterations) {
+  const locations = makeLocations(count);
+  const locationRunColours = Object.fromEntries(
+    locations.map((loc, i) => [loc.id, RUN_COLOUR_PALETTE[i % RUN_COLOUR_PALETTE.length]])
+  );
+  const baseOpts = { useCircleMarkers: true, skipMaintenanceFilters: true, locationRunColours };
+  const visited = new Set();
+
+  const fullTimes = [];
+  const incrementalTimes = [];
+  controller.renderLocations(locations, { ...baseOpts, forceFitBounds: true });
+  for (let i = 0; i < iterations; i++) {
+    visited.add(locations[i % count].id);
+
+    let t0 = performance.now();
+    controller.renderLocations([], baseOpts);
+    controller.renderLocations(locations, { ...baseOpts, visitedLocationIds: visited });
+    fullTimes.push(performance.now() - t0);
+
+    visited.add(locations[(i + iterations) % count].id);
+    t0 = performance.now();
+    controller.renderLocations(locations, { ...baseOpts, visitedLocationIds: visited });
+    incrementalTimes.push(performance.now() - t0);
+  }
+  return { full: median(fullTimes), incremental: median(incrementalTimes) };
+}
+
+const controller = createMapController(document.getElementById("map"), {
+  mode: "operation",
+  selectedRunId: null,
+  onLocationSelected: () => {},
+});
+
+document.getElementById("run").addEventListener("click", () => {
+  const count = Math.max(10, parseInt(document.getElementById("count").value, 10) || 2000);
+  const iterations = Math.max(1, parseInt(document.getElementById("iterations").value, 10) || 20);
+  const { full, incremental } = runBenchmark(controller, count, iterations);
+  document.getElementById("results").innerHTML = `
+    <table>
+      <tr><th>Refresh</th><th>Median (ms)</th></tr>
+      <tr><td>Full rebuild (${count} markers)</td><td>${full.toFixed(1)}</td></tr>
+      <tr><td>Incremental (1 stop visited)</td><td>${incremental.toFixed(1)}</td></tr>
+      <tr><td>Speed-up</td><td>${(full / Math.max(incremental, 0.01)).toFixed(1)}×</td></tr>
+    </table>`;
+});
@@ -4,12 +4,17 @@
 // - Wiring the Leaflet map
 // - Managing high-level modes: maintenance, operation, dashboard
 
-import { initStorage, getAllFromStore, getEntity, putEntity } from "../storage/indexedDb.js";
+import { initStorage, getAllFromStore, getEntity } from "../storage/indexedDb.js";
 import { createMapController } from "../map/mapController.js";
 import { createShellLayout } from "../ui/layout.js";
 import { createBottomSheet } from "../ui/bottomSheet.js";
 import { showSnackbar } from "../ui/snackbar.js";
-import { exportAllData } from "../storage/backup.js";
+import { exportAllData, isFullBackup, planRestore, formatBackupError } from "../storage/backup.js";
+import { importFromJson, runFirstRunSeedIfEmpty } from "../storage/seed.js";
+import { MIN_PASSPHRASE_LENGTH, WRONG_PASSPHRASE, decryptBackup, encryptBackup, isEncryptedBackup } from "../storage/backupCrypto.js";
+import { importFromGpx, exportLocationsGpx, exportRunGpx } from "../storage/gpx.js";
+import { exportGeoJson, exportKml, exportKmz } from "../storage/geoFormats.js";
+import { CSV_FIELDS, parseDelimited, guessColumnMapping, validateCsvRows, importCsvEntries } from "../storage/csv.js";
 import {
   getAllRuns,
   getLocationsForRun,
@@ -19,8 +24,24 @@ import {
   createRunFromName,
   updateRun,
   deleteRunAndLinks,
+  runLocationId,
+  saveRunStopOrder,
+  buildLocationRunColours,
 } from "../domain/runModel.js";
-import { createRunSession, markVisited, markUnvisited, makeVisitId, getVisitId, sessionFromStorage } from "../domain/runSession.js";
+import { planRoute, routeDistanceKm } from "../domain/routePlanner.js";
+import { DEFAULT_DAY_PLAN_OPTIONS, planDay } from "../domain/dayPlanner.js";
+import { buildCalendarDays, describeRunSchedule } from "../domain/runCalendar.js";
+import {
+  createRunSession,
+  markVisited,
+  markUnvisited,
+  makeVisitId,
+  getVisitId,
+  getStopProgress,
+  addStopProgress,
+  clearStopProgress,
+  sessionFromStorage,
+} from "../domain/runSession.js";
 import {
   createVisit,
   saveVisit,
@@ -29,21 +50,198 @@ import {
   getVisitsCountInDateRange,
   getVisitsPerLocation,
 } from "../domain/visitModel.js";
-import { getAllActiveLocations } from "../domain/locationModel.js";
+import { getAllActiveLocations, saveLocation } from "../domain/locationModel.js";
+import {
+  DENOMINATIONS,
+  formatMoney,
+  normalizeCollection,
+  sumCollections,
+  getLocationCollections,
+  getCollectionDefaults,
+} from "../domain/cashCollection.js";
+import {
+  normalizeRefill,
+  getVisitRefills,
+  buildStockForecast,
+  summarizeStockForecast,
+  getLocationStock,
+} from "../domain/machineInventory.js";
+import {
+  buildLoadingList,
+  getVanStock,
+  getVanStockEntries,
+  loadVan,
+  recordRefillsFromVan,
+  recordVanStockCount,
+} from "../domain/vanStock.js";
+import {
+  getMachines,
+  hasMachineBank,
+  normalizeMachines,
+  summarizeProducts,
+  getMachineProgress,
+} from "../domain/machines.js";
+import {
+  ISSUE_CATEGORIES,
+  ISSUE_SEVERITIES,
+  normalizeIssue,
+  createIssue,
+  resolvedIssue,
+  saveIssue,
+  getIssuesForLocation,
+  getOpenIssueLocationIds,
+} from "../domain/issues.js";
+import { getLocationHistory, REVERTIBLE_LOCATION_FIELDS } from "../domain/auditLog.js";
+import { createCommandStack } from "../domain/commandStack.js";
+import { buildSchedule, summarizeSchedule, DUE_URGENCIES } from "../domain/schedule.js";
+import {
+  DEFAULT_SERVICE_FREQUENCIES,
+  describeServiceFrequency,
+  getServiceFrequencies,
+  saveServiceFrequency,
+  deleteServiceFrequency,
+} from "../domain/serviceFrequencies.js";
 import { addRunCompletion, getLastRunCompletion, getAllCompletions } from "../domain/runCompletion.js";
 import { saveActiveSession, loadActiveSession, clearActiveSession } from "../domain/activeSession.js";
-import { getNearestByCardinal } from "../utils/geo.js";
+import { getNearestByCardinal, haversineKm, bearing, compassPoint } from "../utils/geo.js";
 import { createDisruptionPanel } from "../ui/disruptionPanel.js";
 import { createRunManagementPanel } from "../ui/runManagement.js";
 import { createResumePrompt } from "../ui/resumePrompt.js";
+import { createPassphrasePrompt } from "../ui/passphrasePrompt.js";
 import { createRunHistoryPanel } from "../ui/runHistory.js";
 import { createRunDetailPanel } from "../ui/runDetail.js";
-import { getAutoCheckInSettings, saveAutoCheckInSettings } from "../domain/settingsStore.js";
+import { createPlanDayWizard } from "../ui/planDayWizard.js";
+import { createLoadingListPanel } from "../ui/loadingListPanel.js";
+import { createCalendarPanel } from "../ui/calendarPanel.js";
+import {
+  getAutoCheckInSettings,
+  saveAutoCheckInSettings,
+  getDepot,
+  saveDepot,
+  getDeviceLabel,
+  saveDeviceLabel,
+  getAutoBackupSettings,
+  saveAutoBackupSettings,
+  getSyncSettings,
+  saveSyncSettings,
+  getTileServerSettings,
+  saveTileServerSettings,
+} from "../domain/settingsStore.js";
+import { createSyncController } from "../domain/syncController.js";
+import { resetSyncCursor } from "../storage/sync.js";
+import { createSnapshot, listSnapshots, readSnapshot, runScheduledSnapshot } from "../storage/autoBackup.js";
 import { createSettingsPanel } from "../ui/settingsPanel.js";
 import { createAutoCheckInController } from "../domain/autoCheckIn.js";
+import {
+  countTilesForBounds,
+  downloadTilesForBounds,
+  getTileCacheStatus,
+  purgeTileCache,
+  MIN_OFFLINE_ZOOM,
+  MAX_OFFLINE_ZOOM,
+  DEFAULT_TILE_SERVER,
+  isTilePrefetchAllowed,
+  setTileServer,
+} from "../map/tileCache.js";
 
 const LAST_RUN_KEY = "gumball-lastRunId";
 
+const GPS_FIX_TIMEOUT_MS = 10000;
+
+/**
+ * One-off position fix for screens where the GPS watch is not running (e.g. Dashboard).
+ * @returns {Promise<{ latitude: number, longitude: number }>}
+ */
+function getCurrentFix() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("This device has no location service."));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({ latitude: pos.coords.latitude, longitude: pos.coords.longitude }),
+      () => reject(new Error("Could not get your position – try the depot instead.")),
+      { enableHighAccuracy: true, timeout: GPS_FIX_TIMEOUT_MS, maximumAge: 60000 }
+    );
+  });
+}
+
+/**
+ * Trigger a browser download of text or binary content.
+ * @param {string} filename
+ * @param {string | Uint8Array} content
+ * @param {string} mimeType
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function todayStamp() {
+  return new Date().toISOString().slice(0, 10).replace(/-/g, "");
+}
+/** Padding around a run's stops when downloading offline tiles (degrees, ~1 km). */
+const OFFLINE_AREA_PADDING_DEG = 0.01;
+
+/**
+ * One line describing where a backup came from and which upgrades its restore applies.
+ * @param {{ header: object|null, upgrades: string[] }} plan - From planRestore
+ * @returns {string}
+ */
+function describeBackupHeader(plan) {
+  const header = plan.header;
+  if (!header) return "";
+  const parts = [];
+  if (header.formatVersion === 1) {
+    parts.push("Older backup without version information.");
+  } else {
+    const when = header.exportedAt ? new Date(header.exportedAt).toLocaleString() : "unknown time";
+    parts.push(`Exported ${when}${header.deviceLabel ? ` from ${header.deviceLabel}` : ""} (schema v${header.dbVersion}).`);
+  }
+  if (plan.upgrades.length > 0) {
+    parts.push(`Upgraded on import: ${plan.upgrades.join("; ")}.`);
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Settings line for the sync status.
+ * @param {{ state: string, pending: number, lastSyncedAt: string|null, error: string|null }} status
+ * @returns {string}
+ */
+function describeSyncStatus(status) {
+  if (status.state === "disabled") return "Sync is off.";
+  const last = status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}` : "Not synced yet";
+  const pending = status.pending > 0 ? ` · ${status.pending} change(s) waiting` : "";
+  const error = status.error ? ` · ${status.error}` : "";
+  return `${last}${pending}${error}`;
+}
+
+/**
+ * Bounding box around a run's stops, padded so approach roads are included.
+ * @param {string} runId
+ * @returns {Promise<{ south: number, west: number, north: number, east: number } | null>}
+ */
+async function getRunBounds(runId) {
+  const locs = (await getLocationsForRun(runId)).filter(
+    (loc) => Number.isFinite(Number(loc.latitude)) && Number.isFinite(Number(loc.longitude))
+  );
+  if (locs.length === 0) return null;
+  const lats = locs.map((loc) => Number(loc.latitude));
+  const lngs = locs.map((loc) => Number(loc.longitude));
+  return {
+    south: Math.min(...lats) - OFFLINE_AREA_PADDING_DEG,
+    west: Math.min(...lngs) - OFFLINE_AREA_PADDING_DEG,
+    north: Math.max(...lats) + OFFLINE_AREA_PADDING_DEG,
+    east: Math.max(...lngs) + OFFLINE_AREA_PADDING_DEG,
+  };
+}
+
 async function checkNominatimProximity(lat, lng) {
   try {
     const url = `https://nominatim.openstreetmap.org/reverse?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lng)}&format=json&zoom=18`;
@@ -79,22 +277,6 @@ const MODES = {
   OPERATION: "operation",
 };
 
-function buildLocationRunColours(runLocations, runs) {
-  const runColourById = Object.fromEntries((runs || []).map((r) => [r.id, r.colour ?? "#ef4444"]));
-  const best = {};
-  for (const rl of (runLocations || [])) {
-    const t = rl.assignedAt ?? 0;
-    if (!best[rl.locationId] || t > best[rl.locationId].assignedAt) {
-      best[rl.locationId] = { runId: rl.runId, assignedAt: t };
-    }
-  }
-  const result = {};
-  for (const [locId, { runId }] of Object.entries(best)) {
-    if (runColourById[runId]) result[locId] = runColourById[runId];
-  }
-  return result;
-}
-
 function formatLastVisit(visitedAt, locationName) {
   if (!visitedAt) return "No visits yet";
   const name = locationName || "Unknown location";
@@ -126,12 +308,19 @@ export function createApp(rootElement) {
       archived: false,
       deleted: false,
       unassignedOnly: false,
+      dueOnly: false,
+      issuesOnly: false,
       searchQuery: "",
     },
   };
 
   const onImportSuccessRef = { current: null };
   const onOpenSettingsRef = { current: null };
+  const onSyncClickRef = { current: null };
+  const onUndoClickRef = { current: null };
+  const onRedoClickRef = { current: null };
+  const syncSettingsRef = { current: { enabled: false, endpoint: "", token: "" } };
+  const tileServerRef = { current: { url: "", attribution: "" } };
   const refreshMaintenanceMapRef = { current: null };
   const refreshDashboardDataRef = { current: null };
   const runManagementRunsRef = { current: [] };
@@ -139,10 +328,28 @@ export function createApp(rootElement) {
   let runHistoryPanelInstance = null;
   let runDetailPanelInstance = null;
   let settingsPanelInstance = null;
+  let calendarPanelInstance = null;
 
   const autoCheckInSettingsRef = { current: { enabled: false, proximityMeters: 50, dwellSeconds: 30 } };
   const autoCheckInRef = { current: null };
+  const depotRef = { current: null };
+  const deviceLabelRef = { current: "" };
+  const autoBackupSettingsRef = { current: null };
   const maintenanceLocationsRef = { current: [] };
+  const serviceFrequenciesRef = { current: DEFAULT_SERVICE_FREQUENCIES };
+  const planDayFormRef = {
+    current: {
+      startFrom: "depot",
+      area: "radius",
+      radiusKm: DEFAULT_DAY_PLAN_OPTIONS.radiusKm,
+      regionRunId: null,
+      maxStops: DEFAULT_DAY_PLAN_OPTIONS.maxStops,
+      maxDriveMinutes: DEFAULT_DAY_PLAN_OPTIONS.maxDriveMinutes,
+      includeDueThisWeek: DEFAULT_DAY_PLAN_OPTIONS.includeDueThisWeek,
+    },
+  };
+  let planDayWizardInstance = null;
+  let loadingListPanelInstance = null;
 
   const maintenanceFilterOptionsRef = {
     current: {
@@ -157,14 +364,8 @@ export function createApp(rootElement) {
         }
       },
       onExportBackup: async () => {
-        const data = await exportAllData();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `gumball-backup-${new Date().toISOString().slice(0, 10).replace(/-/g, "")}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const data = await exportAllData({ deviceLabel: deviceLabelRef.current });
+        downloadFile(`gumball-backup-${todayStamp()}.json`, JSON.stringify(data, null, 2), "application/json");
       },
     },
   };
@@ -179,8 +380,8 @@ export function createApp(rootElement) {
     runManagementPanelInstance = createRunManagementPanel(host, {
       runsRef: runManagementRunsRef,
       onClose: closeRunManagement,
-      onCreateRun: async (name, colour) => {
-        await createRunFromName(name, colour);
+      onCreateRun: async (name, colour, schedule) => {
+        await createRunFromName(name, colour, { schedule });
         await refreshRunList();
         operationOptionsRef.current.runs = await getAllRuns();
         shell.updateHeaderOperation();
@@ -189,8 +390,8 @@ export function createApp(rootElement) {
           await refreshMaintenanceMapRef.current({ forceFitBounds: false });
         }
       },
-      onUpdateRun: async (runId, newName, newColour) => {
-        await updateRun(runId, newName, newColour);
+      onUpdateRun: async (runId, newName, newColour, schedule) => {
+        await commandStack.execute("Edit run", [["runs", runId]], () => updateRun(runId, newName, newColour, schedule));
         await refreshRunList();
         operationOptionsRef.current.runs = await getAllRuns();
         shell.updateHeaderOperation();
@@ -202,12 +403,30 @@ export function createApp(rootElement) {
           await refreshOperationMapRef.current({ forceFitBounds: false });
         }
       },
+      describeSchedule: describeRunSchedule,
+      onLoadStops: (runId) => getLocationsForRun(runId),
+      onExportRunGpx: async (runId) => {
+        const { filename, gpx } = await exportRunGpx(runId);
+        downloadFile(filename, gpx, "application/gpx+xml");
+      },
+      onSaveStopOrder: async (runId, locationIds) => {
+        await saveRunStopOrder(runId, locationIds);
+        if (runId === state.selectedRunId && typeof refreshOperationMapRef.current === "function") {
+          await refreshOperationMapRef.current({ forceFitBounds: false });
+          shell.refreshSidePanel();
+        }
+      },
       onDeleteRun: async (runId) => {
-        await deleteRunAndLinks(runId);
+        const links = (await getAllFromStore("runLocations") || []).filter((rl) => rl.runId === runId);
+        const { commandId } = await commandStack.record(
+          "Delete run",
+          [["runs", runId], ...links.map((rl) => ["runLocations", rl.id])],
+          () => deleteRunAndLinks(runId)
+        );
         await refreshRunList();
         operationOptionsRef.current.runs = await getAllRuns();
         shell.updateHeaderOperation();
-        showSnackbar(snackbarHost, "Run deleted");
+        showSnackbar(snackbarHost, "Run deleted", { undoLabel: "Undo", duration: 5000, onUndo: () => stepHistory("undo", commandId) });
         if (typeof refreshMaintenanceMapRef.current === "function") {
           await refreshMaintenanceMapRef.current({ forceFitBounds: false });
         }
@@ -397,11 +616,17 @@ export function createApp(rootElement) {
     disruptionRef,
     onMapVisible: () => mapController.invalidateSize(),
     onOpenSettingsRef,
+    onSyncClickRef,
+    onUndoClickRef,
+    onRedoClickRef,
   });
 
+  const commandStack = createCommandStack({ onChange: (undoState) => shell.setUndoState(undoState) });
+
   autoCheckInRef.current = createAutoCheckInController({
     getSettings: () => Promise.resolve(autoCheckInSettingsRef.current),
-    getLocations: () => getLocationsForRun(state.selectedRunId),
+    // A bank of machines is ticked off machine by machine, so arriving there marks nothing.
+    getLocations: async () => (await getLocationsForRun(state.selectedRunId)).filter((loc) => !hasMachineBank(loc)),
     getVisitedIds: () => state.runSession?.visitedLocationIds ?? new Set(),
     onAutoVisit: async (locationId, locationName) => {
       if (!state.runSession || !state.selectedRunId) return;
@@ -425,10 +650,18 @@ export function createApp(rootElement) {
 
   // Initialize storage, then run first-run seed if locations store is empty; load runs for Operation mode.
   initStorage()
-    .then(() => import("../storage/seed.js").then((m) => m.runFirstRunSeedIfEmpty()))
+    .then(() => runFirstRunSeedIfEmpty())
     .then(async (seedResult) => {
       const s = await getAutoCheckInSettings();
       autoCheckInSettingsRef.current = s;
+      depotRef.current = await getDepot();
+      deviceLabelRef.current = await getDeviceLabel();
+      autoBackupSettingsRef.current = await getAutoBackupSettings();
+      syncSettingsRef.current = await getSyncSettings();
+      tileServerRef.current = await getTileServerSettings();
+      setTileServer(tileServerRef.current);
+      serviceFrequenciesRef.current = await getServiceFrequencies();
+      await commandStack.load();
       return seedResult;
     })
     .then(async (result) => {
@@ -454,12 +687,28 @@ export function createApp(rootElement) {
       }
     })
     .then(() => checkForActiveSession())
+    .then(() => takeScheduledSnapshot())
+    .then(() => syncController.start())
     .catch((err) => {
       // eslint-disable-next-line no-console
       console.error("Storage or seed failed", err);
       shell.showError("Storage initialisation failed. App may behave unexpectedly.");
     });
 
+  /** Daily automatic backup: checked at startup and whenever the app comes back to the foreground. */
+  async function takeScheduledSnapshot() {
+    if (!autoBackupSettingsRef.current) return;
+    try {
+      await runScheduledSnapshot(autoBackupSettingsRef.current, { deviceLabel: deviceLabelRef.current });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Scheduled backup failed", err);
+    }
+  }
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") takeScheduledSnapshot();
+  });
+
   // Bottom sheet: opens on marker click in Maintenance Mode; editable with Save/Delete.
   const snackbarHost = shell.getSnackbarHost();
 
@@ -477,6 +726,70 @@ export function createApp(rootElement) {
     host.innerHTML = "";
   }
 
+  /**
+   * Ask for a backup passphrase in a modal above Settings.
+   * @param {{ title: string, description?: string, submitLabel?: string, confirm?: boolean, error?: string|null }} prompt
+   * @returns {Promise<string|null>} null when cancelled
+   */
+  function promptPassphrase(prompt) {
+    return new Promise((resolve) => {
+      createPassphrasePrompt(shell.getResumePromptHost(), {
+        ...prompt,
+        minLength: prompt.confirm ? MIN_PASSPHRASE_LENGTH : 1,
+        onSubmit: resolve,
+        onCancel: () => resolve(null),
+      });
+    });
+  }
+
+  /**
+   * @param {string} fileName
+   * @param {string|null} error - Previous attempt's error
+   * @returns {Promise<string|null>}
+   */
+  function askBackupPassphrase(fileName, error) {
+    return promptPassphrase({
+      title: "Encrypted backup",
+      description: `Enter the passphrase for ${fileName}.`,
+      submitLabel: "Unlock",
+      error: error ? `${error}. Try again.` : null,
+    });
+  }
+
+  /** Backups decrypted during the restore preview, so confirming doesn't ask for the passphrase again. */
+  const decryptedBackups = new WeakMap();
+
+  /**
+   * Parse a backup file, decrypting it (with a passphrase prompt) when it is an encrypted envelope.
+   * @param {File} file
+   * @returns {Promise<object|null>} null when the user cancels the passphrase prompt
+   */
+  async function readBackupFile(file) {
+    if (decryptedBackups.has(file)) return decryptedBackups.get(file);
+    const json = JSON.parse(await file.text());
+    if (!isEncryptedBackup(json)) return json;
+    let error = null;
+    for (;;) {
+      const passphrase = await askBackupPassphrase(file.name, error);
+      if (passphrase == null) return null;
+      try {
+        const backup = await decryptBackup(json, passphrase);
+        decryptedBackups.set(file, backup);
+        return backup;
+      } catch (err) {
+        if (!(err instanceof Error) || err.message !== WRONG_PASSPHRASE) throw err;
+        error = err.message;
+      }
+    }
+  }
+
+  /** Due dates depend on the frequency definitions, so redraw the schedule-driven views. */
+  async function refreshAfterFrequencyChange() {
+    await refreshMaintenanceMap({ forceFitBounds: false });
+    await refreshDashboardData();
+    if (state.mode === MODES.DASHBOARD) shell.refreshSidePanel();
+  }
+
   function openSettings() {
     const host = shell.getSettingsHost();
     host.setAttribute("aria-hidden", "false");
@@ -495,38 +808,301 @@ export function createApp(rootElement) {
         closeSettings();
         openRunManagement();
       },
+      initialDepot: depotRef.current,
+      onSaveDepot: async (depot) => {
+        try {
+          depotRef.current = await saveDepot(depot);
+          showSnackbar(snackbarHost, "Depot saved");
+        } catch (err) {
+          showSnackbar(snackbarHost, err instanceof Error ? err.message : "Could not save depot.");
+        }
+      },
+      getMapCentre: () => mapController.getLeafletMap().getCenter(),
+      initialDeviceLabel: deviceLabelRef.current,
+      onSaveDeviceLabel: async (label) => {
+        const saved = await saveDeviceLabel(label);
+        deviceLabelRef.current = saved;
+        showSnackbar(snackbarHost, `Device label: ${saved}`);
+      },
+      offlineMaps: {
+        minZoom: MIN_OFFLINE_ZOOM,
+        maxZoom: MAX_OFFLINE_ZOOM,
+        isPrefetchAllowed: isTilePrefetchAllowed,
+        tileServer: tileServerRef.current,
+        defaultTileUrl: DEFAULT_TILE_SERVER.url,
+        onSaveTileServer: async (server) => {
+          try {
+            tileServerRef.current = await saveTileServerSettings(server);
+            setTileServer(tileServerRef.current);
+            showSnackbar(snackbarHost, tileServerRef.current.url ? "Tile server saved" : "Default tile server restored");
+          } catch (err) {
+            showSnackbar(snackbarHost, err instanceof Error ? err.message : "Could not save the tile server.", { duration: 5000 });
+            throw err;
+          }
+        },
+        getRuns: getAllRuns,
+        getStatus: getTileCacheStatus,
+        estimateTiles: async (runId, minZoom, maxZoom) => {
+          const bounds = await getRunBounds(runId);
+          return bounds ? countTilesForBounds(bounds, minZoom, maxZoom) : 0;
+        },
+        onDownload: async (runId, minZoom, maxZoom, onProgress) => {
+          const bounds = await getRunBounds(runId);
+          if (!bounds) {
+            showSnackbar(snackbarHost, "This run has no stops to download.");
+            return;
+          }
+          try {
+            const result = await downloadTilesForBounds(bounds, { minZoom, maxZoom, onProgress });
+            const failed = result.failed > 0 ? `, ${result.failed} failed` : "";
+            showSnackbar(
+              snackbarHost,
+              `Offline map ready: ${result.downloaded} downloaded, ${result.skipped} already cached${failed}.`,
+              { duration: 4000 }
+            );
+          } catch (err) {
+            showSnackbar(snackbarHost, err instanceof Error ? err.message : "Offline download failed.", { duration: 5000 });
+          }
+        },
+        onPurge: async () => {
+          await purgeTileCache();
+          showSnackbar(snackbarHost, "Offline map tiles removed.");
+        },
+      },
       onExportBackup: async () => {
-        const data = await exportAllData();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `gumball-backup-${new Date().toISOString().slice(0, 10).replace(/-/g, "")}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const data = await exportAllData({ deviceLabel: deviceLabelRef.current });
+        downloadFile(`gumball-backup-${todayStamp()}.json`, JSON.stringify(data, null, 2), "application/json");
       },
-      onImportBackup: async (file) => {
+      serviceFrequencies: {
+        initialList: serviceFrequenciesRef.current,
+        describe: describeServiceFrequency,
+        onSave: async (frequency) => {
+          serviceFrequenciesRef.current = await saveServiceFrequency(frequency);
+          await refreshAfterFrequencyChange();
+          return serviceFrequenciesRef.current;
+        },
+        onDelete: async (id) => {
+          serviceFrequenciesRef.current = await deleteServiceFrequency(id);
+          await refreshAfterFrequencyChange();
+          return serviceFrequenciesRef.current;
+        },
+      },
+      sync: {
+        initialSettings: syncSettingsRef.current,
+        onSave: async (settings) => {
+          try {
+            const previousEndpoint = syncSettingsRef.current.endpoint;
+            const saved = await saveSyncSettings(settings);
+            if (saved.endpoint !== previousEndpoint) await resetSyncCursor();
+            syncSettingsRef.current = saved;
+            await syncController.start();
+            showSnackbar(snackbarHost, saved.enabled ? "Sync settings saved" : "Sync turned off");
+          } catch (err) {
+            showSnackbar(snackbarHost, err instanceof Error ? err.message : "Could not save sync settings.", { duration: 5000 });
+            throw err;
+          }
+        },
+        onSyncNow: () => syncController.syncNow(),
+        getStatusText: () => describeSyncStatus(syncController.getStatus()),
+      },
+      autoBackup: {
+        initialSettings: autoBackupSettingsRef.current ?? { daily: true, afterRun: true, keep: 7 },
+        onSave: async (settings) => {
+          autoBackupSettingsRef.current = await saveAutoBackupSettings(settings);
+          showSnackbar(snackbarHost, "Backup schedule saved");
+        },
+        listSnapshots,
+        onBackupNow: async () => {
+          try {
+            await createSnapshot("manual", { keep: autoBackupSettingsRef.current?.keep ?? 7, deviceLabel: deviceLabelRef.current });
+            showSnackbar(snackbarHost, "Backup saved on this device.");
+          } catch (err) {
+            showSnackbar(snackbarHost, err instanceof Error ? err.message : "Backup failed.", { duration: 5000 });
+            throw err;
+          }
+        },
+        getSnapshotFile: async (id) => new File([await readSnapshot(id)], `${id}.json`, { type: "application/json" }),
+      },
+      onExportEncryptedBackup: async () => {
+        const passphrase = await promptPassphrase({
+          title: "Encrypt backup",
+          description: `Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters. It can't be recovered if lost.`,
+          submitLabel: "Export",
+          confirm: true,
+        });
+        if (passphrase == null) return;
+        const envelope = await encryptBackup(await exportAllData({ deviceLabel: deviceLabelRef.current }), passphrase);
+        downloadFile(`gumball-backup-${todayStamp()}.encrypted.json`, JSON.stringify(envelope), "application/json");
+        showSnackbar(snackbarHost, "Encrypted backup exported.");
+      },
+      onExportGeoJson: async () => {
+        downloadFile(`gumball-map-${todayStamp()}.geojson`, await exportGeoJson(), "application/geo+json");
+      },
+      onExportKml: async () => {
+        downloadFile(`gumball-map-${todayStamp()}.kml`, await exportKml(), "application/vnd.google-earth.kml+xml");
+      },
+      onExportKmz: async () => {
+        downloadFile(`gumball-map-${todayStamp()}.kmz`, await exportKmz(), "application/vnd.google-earth.kmz");
+      },
+      onExportGpx: async () => {
+        downloadFile(`gumball-locations-${todayStamp()}.gpx`, await exportLocationsGpx(), "application/gpx+xml");
+      },
+      onImportGpx: async (file) => {
+        try {
+          const result = await importFromGpx(await file.text());
+          operationOptionsRef.current.runs = await getAllRuns();
+          shell.updateHeaderOperation();
+          if (typeof onImportSuccessRef.current === "function") {
+            await onImportSuccessRef.current();
+          }
+          showSnackbar(
+            snackbarHost,
+            `GPX imported: ${result.locations} new location(s), ${result.runs} run(s), ${result.stops} stop(s).`,
+            { duration: 4000 }
+          );
+        } catch (err) {
+          showSnackbar(snackbarHost, err instanceof Error ? err.message : "GPX import failed.", { duration: 5000 });
+        }
+      },
+      csvImport: {
+        fields: CSV_FIELDS,
+        parse: (text) => parseDelimited(text),
+        guessMapping: guessColumnMapping,
+        validate: (rows, mapping) => validateCsvRows(rows, mapping, { frequencies: serviceFrequenciesRef.current }),
+        onCommit: async (entries, mapping) => {
+          try {
+            const result = await importCsvEntries(entries, mapping);
+            operationOptionsRef.current.runs = await getAllRuns();
+            shell.updateHeaderOperation();
+            if (typeof onImportSuccessRef.current === "function") {
+              await onImportSuccessRef.current();
+            }
+            const runsText = result.runsCreated > 0 ? `, ${result.runsCreated} new run(s)` : "";
+            showSnackbar(snackbarHost, `CSV imported: ${result.locations} location(s)${runsText}.`, { duration: 4000 });
+          } catch (err) {
+            showSnackbar(snackbarHost, err instanceof Error ? err.message : "CSV import failed.", { duration: 5000 });
+            throw err;
+          }
+        },
+      },
+      onPreviewBackup: async (file, mode) => {
+        let json;
+        try {
+          json = await readBackupFile(file);
+        } catch (err) {
+          if (err instanceof SyntaxError) return null; // onImportBackup reports the parse error
+          showSnackbar(snackbarHost, err instanceof Error ? err.message : "Could not read backup.", { duration: 5000 });
+          throw err;
+        }
+        if (json == null) throw new Error("Import cancelled");
+        if (!isFullBackup(json)) return null;
+        const plan = await planRestore(json, mode);
+        return { errors: plan.errors.map(formatBackupError), stores: plan.stores, summary: describeBackupHeader(plan) };
+      },
+      onImportBackup: async (file, mode = "merge") => {
         try {
-          const text = await file.text();
-          const json = JSON.parse(text);
-          const { importFromJson } = await import("../storage/seed.js");
-          const result = await importFromJson(json);
+          const json = decryptedBackups.get(file) ?? JSON.parse(await file.text());
+          const result = await importFromJson(json, {
+            mode,
+            getPassphrase: (error) => askBackupPassphrase(file.name, error),
+          });
+          if (result.kind === "full") await commandStack.clear();
           if (typeof onImportSuccessRef.current === "function") {
             await onImportSuccessRef.current();
           }
+          operationOptionsRef.current.runs = await getAllRuns();
+          shell.updateHeaderOperation();
           showSnackbar(
             snackbarHost,
-            result.kind === "full" ? "Full backup restored." : `Imported ${result.count} location(s).`,
+            result.kind === "full"
+              ? (mode === "replace" ? "Backup restored (replaced all data)." : "Backup merged.")
+              : `Imported ${result.count} location(s).`,
             { duration: 4000 }
           );
         } catch (err) {
           showSnackbar(snackbarHost, err instanceof Error ? err.message : "Import failed.", { duration: 5000 });
+          throw err;
         }
       },
     });
   }
   onOpenSettingsRef.current = openSettings;
 
+  /**
+   * Record a manual visit for a run stop once all its machines are done (see saveStopWork).
+   * @param {object} location
+   * @param {object|null} [collection] - Cash collection from the bottom sheet form (normalizeCollection)
+   * @param {object[]} [refills] - Machine refills from the same form (normalizeRefill), one per machine
+   */
+  async function markLocationVisited(location, collection = null, refills = []) {
+    if (state.runSession && location?.id) {
+      autoCheckInRef.current?.cancelForLocation(location.id);
+      const visitId = makeVisitId(state.runSession, location.id);
+      const visit = createVisit({
+        id: visitId,
+        locationId: location.id,
+        runId: state.runSession.runId,
+        visitedAt: Date.now(),
+        visitMethod: "manual",
+        collection,
+        refills,
+      });
+      await saveVisit(visit);
+      await recordRefillsFromVan(visit, location);
+      if (collection) showSnackbar(snackbarHost, `Collected ${formatMoney(collection.amountCents)} at ${location.name ?? "stop"}`, { duration: 3000 });
+      markVisited(state.runSession, location.id, visitId);
+      clearStopProgress(state.runSession, location.id);
+      if (state.isDisruptionMode) {
+        const map = mapController.getLeafletMap();
+        const gpsPos = mapController.getGpsPosition();
+        const center = gpsPos ? { lat: gpsPos.lat, lng: gpsPos.lng } : map.getCenter();
+        getLocationsForRun(state.selectedRunId).then((locations) => {
+          const visitedIds = state.runSession.visitedLocationIds;
+          state.suggestionsByDirection = getNearestByCardinal(center.lat, center.lng, locations, visitedIds);
+          if (disruptionPanelInstance) disruptionPanelInstance.updateSuggestions(state.suggestionsByDirection);
+          refreshOperationMapRef.current?.();
+        });
+      } else {
+        refreshOperationMapRef.current?.();
+      }
+      await saveActiveSession(state.runSession);
+      shell.refreshSidePanel();
+    }
+  }
+
+  /**
+   * Save the visit form of a stop. The machines ticked off are added to the stop's progress for this
+   * session; once every machine in service is done the stop is marked visited with all refills.
+   * @param {object} location
+   * @param {{ collection: object|null, refills: object[], machineIds: string[] }} work
+   */
+  async function saveStopWork(location, work) {
+    if (!state.runSession || !location?.id) return;
+    const progress = addStopProgress(state.runSession, location.id, work);
+    const { done, total, complete } = getMachineProgress(location, progress.machineIds);
+    if (complete) {
+      await markLocationVisited(location, progress.collection, progress.refills);
+      return;
+    }
+    await saveActiveSession(state.runSession);
+    shell.refreshSidePanel();
+    showSnackbar(snackbarHost, `${location.name ?? "Stop"}: ${done} of ${total} machines done`, { duration: 3000 });
+  }
+
+  /** Run and visit an issue raised or resolved at a stop belongs to (Operation with a run in progress). */
+  function issueVisitContext(locationId) {
+    if (state.mode !== MODES.OPERATION || !state.runSession) return {};
+    return {
+      runId: state.runSession.runId,
+      visitId: getVisitId(state.runSession, locationId) ?? makeVisitId(state.runSession, locationId),
+    };
+  }
+
+  async function refreshMapForIssues() {
+    if (state.mode === MODES.OPERATION) await refreshOperationMapRef.current?.({ forceFitBounds: false });
+    else await refreshMaintenanceMapRef.current?.({ forceFitBounds: false });
+  }
+
   const bottomSheet = createBottomSheet({
     sheetHost: shell.getSheetHost(),
     sidePanel: shell.getSidePanel(),
@@ -548,89 +1124,109 @@ export function createApp(rootElement) {
         longitude: updatedLocation.longitude,
         name: updatedLocation.name.trim(),
         serviceFrequency: updatedLocation.serviceFrequency ?? "adhoc",
-        productType: updatedLocation.productType ?? "",
+        productType: summarizeProducts(updatedLocation.machines),
+        machines: updatedLocation.machines ?? [],
         notes: updatedLocation.notes ?? "",
         status: updatedLocation.status ?? "active",
       };
-      await putEntity("locations", location);
+      await commandStack.execute("Edit location", [["locations", location.id]], () => saveLocation(location));
       if (typeof refreshMaintenanceMapRef.current === "function") {
         await refreshMaintenanceMapRef.current({ forceFitBounds: false });
       }
       showSnackbar(snackbarHost, "Location updated");
     },
     onArchive: async (location) => {
-      const previousStatus = location.status ?? "active";
       const archived = { ...location, status: "archived" };
-      await putEntity("locations", archived);
+      const { commandId } = await commandStack.record("Archive location", [["locations", location.id]], () => saveLocation(archived));
       if (typeof refreshMaintenanceMapRef.current === "function") {
         await refreshMaintenanceMapRef.current({ forceFitBounds: false });
       }
       showSnackbar(snackbarHost, "Location archived", {
         undoLabel: "Undo",
         duration: 5000,
-        onUndo: async () => {
-          const restored = { ...archived, status: "active" };
-          await putEntity("locations", restored);
-          if (typeof refreshMaintenanceMapRef.current === "function") {
-            await refreshMaintenanceMapRef.current({ forceFitBounds: false });
-          }
-        },
+        onUndo: () => stepHistory("undo", commandId),
       });
     },
     onDelete: async (location) => {
-      const previousStatus = location.status ?? "active";
       const deleted = { ...location, status: "deleted" };
-      await putEntity("locations", deleted);
+      const { commandId } = await commandStack.record("Delete location", [["locations", location.id]], () => saveLocation(deleted));
       if (typeof refreshMaintenanceMapRef.current === "function") {
         await refreshMaintenanceMapRef.current({ forceFitBounds: false });
       }
       showSnackbar(snackbarHost, "Location deleted", {
         undoLabel: "Undo",
         duration: 5000,
-        onUndo: async () => {
-          const restored = { ...deleted, status: previousStatus };
-          await putEntity("locations", restored);
-          if (typeof refreshMaintenanceMapRef.current === "function") {
-            await refreshMaintenanceMapRef.current({ forceFitBounds: false });
-          }
-        },
+        onUndo: () => stepHistory("undo", commandId),
       });
     },
-    onMarkVisited: async (location) => {
-      if (state.runSession && location?.id) {
-        autoCheckInRef.current?.cancelForLocation(location.id);
-        const visitId = makeVisitId(state.runSession, location.id);
-        const visit = createVisit({
-          id: visitId,
-          locationId: location.id,
-          runId: state.runSession.runId,
-          visitedAt: Date.now(),
-          visitMethod: "manual",
-        });
-        await saveVisit(visit);
-        markVisited(state.runSession, location.id, visitId);
-        if (state.isDisruptionMode) {
-          const map = mapController.getLeafletMap();
-          const gpsPos = mapController.getGpsPosition();
-          const center = gpsPos ? { lat: gpsPos.lat, lng: gpsPos.lng } : map.getCenter();
-          getLocationsForRun(state.selectedRunId).then((locations) => {
-            const visitedIds = state.runSession.visitedLocationIds;
-            state.suggestionsByDirection = getNearestByCardinal(center.lat, center.lng, locations, visitedIds);
-            if (disruptionPanelInstance) disruptionPanelInstance.updateSuggestions(state.suggestionsByDirection);
-            refreshOperationMapRef.current?.();
-          });
-        } else {
-          refreshOperationMapRef.current?.();
-        }
-        await saveActiveSession(state.runSession);
-        shell.refreshSidePanel();
+    getHistory: (locationId) => getLocationHistory(locationId),
+    revertibleFields: REVERTIBLE_LOCATION_FIELDS,
+    serviceFrequenciesRef,
+    onRevertField: async (location, field, value) => {
+      const current = (await getEntity("locations", location.id)) ?? location;
+      const reverted = await commandStack.execute(
+        "Revert change",
+        [["locations", location.id]],
+        () => saveLocation(
+          field === "machines" ? { ...current, machines: value, productType: summarizeProducts(value) } : { ...current, [field]: value },
+          { action: "revert" }
+        )
+      );
+      if (typeof refreshMaintenanceMapRef.current === "function") {
+        await refreshMaintenanceMapRef.current({ forceFitBounds: false });
       }
+      showSnackbar(snackbarHost, "Change reverted");
+      return reverted;
+    },
+    onMarkVisited: (location, work) => saveStopWork(location, work),
+    cashCollection: {
+      denominations: DENOMINATIONS,
+      formatMoney,
+      normalize: normalizeCollection,
+      getDefaults: getCollectionDefaults,
+    },
+    getCollections: (locationId) => getLocationCollections(locationId),
+    stock: {
+      normalize: normalizeRefill,
+      getStock: getLocationStock,
+    },
+    machines: {
+      getMachines,
+      normalize: normalizeMachines,
+    },
+    issues: {
+      categories: ISSUE_CATEGORIES,
+      severities: ISSUE_SEVERITIES,
+      normalize: normalizeIssue,
+      getIssues: getIssuesForLocation,
+      onRaise: async (location, fields) => {
+        const issue = createIssue(location.id, fields, issueVisitContext(location.id));
+        const { commandId } = await commandStack.record("Report issue", [["issues", issue.id]], () => saveIssue(issue));
+        await refreshMapForIssues();
+        showSnackbar(snackbarHost, `Issue reported at ${location.name ?? "location"}`, {
+          undoLabel: "Undo",
+          duration: 5000,
+          onUndo: () => stepHistory("undo", commandId),
+        });
+      },
+      onResolve: async (issue, location) => {
+        const resolved = resolvedIssue(issue, issueVisitContext(location.id));
+        const { commandId } = await commandStack.record("Resolve issue", [["issues", issue.id]], () => saveIssue(resolved));
+        await refreshMapForIssues();
+        showSnackbar(snackbarHost, "Issue resolved", {
+          undoLabel: "Undo",
+          duration: 5000,
+          onUndo: () => stepHistory("undo", commandId),
+        });
+      },
     },
     onMarkUnvisited: async (location) => {
       if (!state.runSession || !location?.id) return;
       const visitId = getVisitId(state.runSession, location.id);
+      const removedVisit = visitId ? await getEntity("visits", visitId) : null;
       markUnvisited(state.runSession, location.id);
       if (visitId) await deleteVisit(visitId);
+      if (removedVisit) await recordRefillsFromVan(removedVisit, location, { reverse: true });
       if (state.isDisruptionMode) {
         const map = mapController.getLeafletMap();
         const gpsPos = mapController.getGpsPosition();
@@ -655,8 +1251,11 @@ export function createApp(rootElement) {
             runId: state.runSession.runId,
             visitedAt: Date.now(),
             visitMethod: "manual",
+            collection: removedVisit?.collection ?? null,
+            refills: getVisitRefills(removedVisit),
           });
           await saveVisit(visit);
+          await recordRefillsFromVan(visit, location);
           markVisited(state.runSession, location.id, newVisitId);
           if (state.isDisruptionMode) {
             const map = mapController.getLeafletMap();
@@ -674,6 +1273,13 @@ export function createApp(rootElement) {
     },
   });
 
+  /** Bottom sheet options for a stop with machines done earlier this session. */
+  function stopProgressOptions(locationId) {
+    if (!state.runSession) return {};
+    const progress = getStopProgress(state.runSession, locationId);
+    return { machinesDone: progress.machineIds, collection: progress.collection };
+  }
+
   // Create map controller bound to the shell's map container.
   const mapController = createMapController(shell.getMapContainer(), {
     mode: state.mode,
@@ -701,12 +1307,13 @@ export function createApp(rootElement) {
             allLocations: maintenanceLocationsRef.current,
             onNavigateToLocation: (nextLoc) => openMaintenanceSheet(nextLoc),
             onRunToggle: async (runId, checked) => {
+              const target = [["runLocations", runLocationId(runId, loc.id)]];
               if (checked) {
-                await addLocationToRun(runId, loc.id);
+                await commandStack.execute("Add to run", target, () => addLocationToRun(runId, loc.id));
                 const run = (runs || []).find((r) => r.id === runId);
                 showSnackbar(snackbarHost, `Added to ${run?.name ?? runId}`);
               } else {
-                await removeLocationFromRun(runId, loc.id);
+                await commandStack.execute("Remove from run", target, () => removeLocationFromRun(runId, loc.id));
                 const run = (runs || []).find((r) => r.id === runId);
                 showSnackbar(snackbarHost, `Removed from ${run?.name ?? runId}`);
               }
@@ -730,11 +1337,13 @@ export function createApp(rootElement) {
         bottomSheet.open(location, {
           context: "operation",
           isVisited: state.runSession?.visitedLocationIds?.has(location.id) ?? false,
+          ...stopProgressOptions(location.id),
           runs: opRuns || [],
           selectedRunIds: opAssigned,
           onRunToggle: async (runId, checked) => {
-            if (checked) await addLocationToRun(runId, location.id);
-            else await removeLocationFromRun(runId, location.id);
+            const target = [["runLocations", runLocationId(runId, location.id)]];
+            if (checked) await commandStack.execute("Add to run", target, () => addLocationToRun(runId, location.id));
+            else await commandStack.execute("Remove from run", target, () => removeLocationFromRun(runId, location.id));
             if (typeof refreshOperationMapRef.current === "function") {
               await refreshOperationMapRef.current({ forceFitBounds: false });
             }
@@ -746,6 +1355,7 @@ export function createApp(rootElement) {
         bottomSheet.open(location, {
           context: "disruption",
           isVisited: state.runSession?.visitedLocationIds?.has(location.id) ?? false,
+          ...stopProgressOptions(location.id),
         });
       }
     },
@@ -771,6 +1381,7 @@ export function createApp(rootElement) {
         state.gpsAvailable = true;
         mapController.updateGpsMarker(position);
         shell.setGpsActive?.(true);
+        updateNextStopGuidance();
         if (state.runSession && state.selectedRunId && autoCheckInSettingsRef.current?.enabled) {
           autoCheckInRef.current?.update(position);
         }
@@ -822,6 +1433,28 @@ export function createApp(rootElement) {
     autoCheckInRef.current?.cancelAll();
 
     const locations = await getLocationsForRun(runId);
+
+    // Stops left with only some machines done still get a visit, so their cash and refills are
+    // counted and the van is debited.
+    const locationsById = new Map(locations.map((l) => [l.id, l]));
+    for (const [locationId, progress] of session.stopProgress ?? []) {
+      if (visitedIds.has(locationId) || progress.machineIds.length === 0) continue;
+      const location = locationsById.get(locationId) ?? (await getEntity("locations", locationId));
+      const visit = createVisit({
+        id: makeVisitId(session, locationId),
+        locationId,
+        runId,
+        visitedAt: Date.now(),
+        visitMethod: "manual",
+        collection: progress.collection,
+        refills: progress.refills,
+      });
+      await saveVisit(visit);
+      await recordRefillsFromVan(visit, location);
+      markVisited(session, locationId, visit.id);
+      clearStopProgress(session, locationId);
+    }
+
     const totalCount = locations.length;
     const visitedCount = visitedIds.size;
     const runs = operationOptionsRef.current.runs || [];
@@ -832,17 +1465,24 @@ export function createApp(rootElement) {
       ? Math.round((Date.now() - session.startedAt) / 60000)
       : null;
 
+    const sessionVisits = [];
     for (const locationId of visitedIds) {
       const visitId = getVisitId(session, locationId) ?? `visit-${runId}-${locationId}-${session.startedAt}`;
+      const existing = await getEntity("visits", visitId);
       const visit = createVisit({
         id: visitId,
         locationId,
         runId,
         visitedAt: Date.now(),
         visitMethod: "manual",
+        collection: existing?.collection ?? null,
+        refills: getVisitRefills(existing),
       });
       await saveVisit(visit);
+      sessionVisits.push(visit);
     }
+    const cash = sumCollections(sessionVisits);
+    const vanStock = await getVanStock();
 
     await addRunCompletion({
       runId,
@@ -851,7 +1491,15 @@ export function createApp(rootElement) {
       totalCount,
       completedAt,
       durationMinutes,
+      cash: cash.count > 0 ? cash : null,
+      vanStock,
     });
+    if (autoBackupSettingsRef.current?.afterRun) {
+      createSnapshot("afterRun", { keep: autoBackupSettingsRef.current.keep, deviceLabel: deviceLabelRef.current }).catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error("After-run backup failed", err);
+      });
+    }
 
     state.selectedRunId = null;
     state.runSession = null;
@@ -859,6 +1507,8 @@ export function createApp(rootElement) {
     operationOptionsRef.current.runName = "—";
     operationOptionsRef.current.visitedCount = 0;
     operationOptionsRef.current.totalCount = 0;
+    operationOptionsRef.current.routeSummary = null;
+    operationOptionsRef.current.nextStop = null;
     try {
       localStorage.setItem(LAST_RUN_KEY, "");
     } catch (_) {}
@@ -876,13 +1526,22 @@ export function createApp(rootElement) {
 
   async function refreshMaintenanceMap(opts = {}) {
     if (state.mode !== MODES.MAINTENANCE) return;
-    const [locations, runLocations, runs] = await Promise.all([
+    const [locations, runLocations, runs, visits, issueLocationIds] = await Promise.all([
       getAllFromStore("locations"),
       getAllFromStore("runLocations"),
       getAllRuns(),
+      getAllFromStore("visits"),
+      getOpenIssueLocationIds(),
     ]);
     const assignedLocationIds = new Set((runLocations || []).map((rl) => rl.locationId));
     const locationRunColours = buildLocationRunColours(runLocations, runs);
+    const schedule = buildSchedule(locations, visits, Date.now(), serviceFrequenciesRef.current);
+    const locationUrgency = {};
+    const dueLocationIds = new Set();
+    for (const [id, entry] of schedule) {
+      locationUrgency[id] = entry.urgency;
+      if (DUE_URGENCIES.includes(entry.urgency)) dueLocationIds.add(id);
+    }
     const filters = state.maintenanceFilters;
     const statusFilters = { active: filters.active, archived: filters.archived, deleted: filters.deleted };
     let visible = Array.isArray(locations) ? locations : [];
@@ -890,6 +1549,12 @@ export function createApp(rootElement) {
     if (filters.unassignedOnly) {
       visible = visible.filter((loc) => !assignedLocationIds.has(loc.id));
     }
+    if (filters.dueOnly) {
+      visible = visible.filter((loc) => dueLocationIds.has(loc.id));
+    }
+    if (filters.issuesOnly) {
+      visible = visible.filter((loc) => issueLocationIds.has(loc.id));
+    }
     const searchQuery = (filters.searchQuery ?? "").trim().toLowerCase();
     if (searchQuery) {
       visible = visible.filter((loc) =>
@@ -906,9 +1571,15 @@ export function createApp(rootElement) {
         deleted: filters.deleted,
       },
       unassignedOnly: filters.unassignedOnly,
+      dueOnly: filters.dueOnly,
+      issuesOnly: filters.issuesOnly,
       searchQuery: filters.searchQuery,
       assignedLocationIds,
+      dueLocationIds,
+      issueLocationIds,
+      locationUrgency,
       locationRunColours,
+      cluster: true,
     });
   }
 
@@ -919,13 +1590,16 @@ export function createApp(rootElement) {
       operationOptionsRef.current.runName = "—";
       operationOptionsRef.current.visitedCount = 0;
       operationOptionsRef.current.totalCount = 0;
+      operationOptionsRef.current.routeSummary = null;
+      operationOptionsRef.current.nextStop = null;
       shell.refreshSidePanel();
       return;
     }
-    const [locations, runLocations, runs] = await Promise.all([
+    const [locations, runLocations, runs, issueLocationIds] = await Promise.all([
       getLocationsForRun(state.selectedRunId),
       getAllFromStore("runLocations"),
       getAllRuns(),
+      getOpenIssueLocationIds(),
     ]);
     const locationRunColours = buildLocationRunColours(runLocations, runs);
     const session = state.runSession;
@@ -935,19 +1609,102 @@ export function createApp(rootElement) {
       const dirs = state.suggestionsByDirection;
       suggestionLocationIds = new Set([dirs.N?.id, dirs.S?.id, dirs.E?.id, dirs.W?.id].filter(Boolean));
     }
+    const run = (runs || []).find((r) => r.id === state.selectedRunId);
+    // Draw the numbered route once the stop order has been planned or reordered by hand.
+    const hasPlannedRoute = Boolean(run?.stopOrderUpdatedAt);
     mapController.renderLocations(locations, {
       forceFitBounds: opts.forceFitBounds !== false,
       useCircleMarkers: true,
       skipMaintenanceFilters: true,
       visitedLocationIds: visitedIds,
       suggestionLocationIds: suggestionLocationIds || undefined,
+      issueLocationIds,
       locationRunColours,
+      routeOrder: hasPlannedRoute ? locations.map((loc) => loc.id) : undefined,
     });
-    const run = (runs || []).find((r) => r.id === state.selectedRunId);
     operationOptionsRef.current.runs = runs || [];
     operationOptionsRef.current.runName = run?.name ?? "—";
     operationOptionsRef.current.visitedCount = visitedIds.size;
     operationOptionsRef.current.totalCount = locations.length;
+    const nextIndex = locations.findIndex((loc) => !visitedIds.has(loc.id));
+    operationOptionsRef.current.nextStop = nextIndex >= 0
+      ? { location: locations[nextIndex], number: nextIndex + 1 }
+      : null;
+    updateNextStopGuidance();
+    operationOptionsRef.current.routeSummary = hasPlannedRoute
+      ? `Planned route: ${routeDistanceKm(null, locations).toFixed(1)} km between stops`
+      : null;
+  }
+
+  /**
+   * Refresh live distance/bearing to the next stop from the latest GPS fix and
+   * re-render the next-stop card in place.
+   */
+  function updateNextStopGuidance() {
+    const nextStop = operationOptionsRef.current.nextStop;
+    if (!nextStop) {
+      shell.updateNextStopCard();
+      return;
+    }
+    const coords = state.gpsAvailable ? state.currentPosition?.coords : null;
+    if (coords) {
+      const { latitude, longitude } = nextStop.location;
+      nextStop.distanceKm = haversineKm(coords.latitude, coords.longitude, latitude, longitude);
+      nextStop.bearingDeg = bearing(coords.latitude, coords.longitude, latitude, longitude);
+      nextStop.compass = compassPoint(nextStop.bearingDeg);
+    } else {
+      nextStop.distanceKm = null;
+      nextStop.bearingDeg = null;
+      nextStop.compass = null;
+    }
+    shell.updateNextStopCard();
+  }
+
+  /**
+   * Plan a near-optimal stop order for the selected run and store it as link sequences.
+   * Stops already visited this session keep their place at the front; the rest are
+   * ordered from the start point.
+   * @param {"depot"|"gps"} from
+   */
+  async function planRunRoute(from) {
+    if (!state.selectedRunId) return;
+    let start = null;
+    if (from === "gps") {
+      const gps = mapController.getGpsPosition();
+      if (!gps) {
+        showSnackbar(snackbarHost, "No GPS fix yet – try again in a moment.");
+        return;
+      }
+      start = { latitude: gps.lat, longitude: gps.lng };
+    } else {
+      start = depotRef.current;
+      if (!start) {
+        showSnackbar(snackbarHost, "Set a depot in Settings first.");
+        return;
+      }
+    }
+    const runId = state.selectedRunId;
+    try {
+      const locations = await getLocationsForRun(runId);
+      if (locations.length === 0) {
+        showSnackbar(snackbarHost, "This run has no stops to plan.");
+        return;
+      }
+      const visitedIds = state.runSession?.visitedLocationIds ?? new Set();
+      const visited = locations.filter((loc) => visitedIds.has(loc.id));
+      const remaining = locations.filter((loc) => !visitedIds.has(loc.id));
+      const { order, distanceKm } = planRoute(start, remaining);
+      await saveRunStopOrder(runId, [...visited.map((loc) => loc.id), ...order], start);
+      if (typeof refreshOperationMapRef.current === "function") {
+        await refreshOperationMapRef.current({ forceFitBounds: false });
+      }
+      shell.refreshSidePanel();
+      showSnackbar(snackbarHost, `Route planned: ${order.length} stops, ${distanceKm.toFixed(1)} km`);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("[App] Route planning failed", err);
+      showSnackbar(snackbarHost, "Could not plan the route. Try again.", { duration: 4000 });
+    }
   }
 
   function getStartOfToday() {
@@ -1044,20 +1801,9 @@ export function createApp(rootElement) {
       }
     }
 
-    const DUE_DAYS = 30;
-    const dueThreshold = DUE_DAYS * 24 * 60 * 60 * 1000;
-    const lastVisitByLocation = new Map();
-    for (const v of visits || []) {
-      const id = v.locationId;
-      const at = v.visitedAt != null ? Number(v.visitedAt) : 0;
-      const existing = lastVisitByLocation.get(id);
-      if (existing == null || at > existing) lastVisitByLocation.set(id, at);
-    }
-    let dueForServiceCount = 0;
-    for (const loc of activeLocations) {
-      const lastAt = lastVisitByLocation.get(loc.id);
-      if (lastAt == null || now - lastAt > dueThreshold) dueForServiceCount += 1;
-    }
+    const due = summarizeSchedule(buildSchedule(activeLocations, visits, now, serviceFrequenciesRef.current));
+
+    const stock = summarizeStockForecast(activeLocations, buildStockForecast(activeLocations, visits, now));
 
     const visitsPerDayLast7 = [];
     const dayBuckets = new Map();
@@ -1066,7 +1812,7 @@ export function createApp(rootElement) {
       d.setDate(d.getDate() - i);
       d.setHours(0, 0, 0, 0);
       const startOfDay = d.getTime();
-      dayBuckets.set(startOfDay, { dayLabel: DAY_LABELS[d.getDay()], count: 0 });
+      dayBuckets.set(startOfDay, { dayLabel: DAY_LABELS[d.getDay()], count: 0, cashCents: 0 });
     }
     const dayStarts = Array.from(dayBuckets.keys()).sort((a, b) => a - b);
     for (const v of visits || []) {
@@ -1076,11 +1822,29 @@ export function createApp(rootElement) {
       const startOfDay = visitDate.getTime();
       if (dayBuckets.has(startOfDay)) {
         dayBuckets.get(startOfDay).count += 1;
+        dayBuckets.get(startOfDay).cashCents += v.collection?.amountCents ?? 0;
       }
     }
     for (const start of dayStarts) {
-      visitsPerDayLast7.push(dayBuckets.get(start));
+      const { dayLabel, count } = dayBuckets.get(start);
+      visitsPerDayLast7.push({ dayLabel, count });
     }
+    const cashToday = sumCollections((visits || []).filter((v) => {
+      const t = Number(v.visitedAt);
+      return t >= startToday && t <= endToday;
+    }));
+    const cash = {
+      today: {
+        collected: formatMoney(cashToday.collectedCents),
+        siteShare: formatMoney(cashToday.commissionCents),
+        net: formatMoney(cashToday.netCents),
+        count: cashToday.count,
+      },
+      perDayLast7: dayStarts.map((start) => {
+        const { dayLabel, cashCents } = dayBuckets.get(start);
+        return { dayLabel, cents: cashCents, collected: formatMoney(cashCents) };
+      }),
+    };
 
     dashboardDataRef.current = {
       ...dashboardDataRef.current,
@@ -1095,17 +1859,193 @@ export function createApp(rootElement) {
         visitsThisMonth,
         mostVisited,
         leastVisited,
-        dueForServiceCount,
+        due,
         visitsPerDayLast7,
+        cash,
+        stock,
       },
       onGoToMaintenance: () => shell.setMode("maintenance"),
       onGoToOperation: () => shell.setMode("operation"),
       onResumeLastRun: resumeLastRun,
       onOpenRunManagement: openRunManagement,
       onOpenRunHistory: openRunHistory,
+      onOpenCalendar: openCalendar,
+      onPlanToday: openPlanDay,
+    };
+  }
+
+  /**
+   * Turn the wizard form into a plan: start point, area, then due locations capped and routed.
+   * @param {object} form - PlanDayForm from the wizard
+   */
+  async function previewDayPlan(form) {
+    planDayFormRef.current = form;
+    for (const [value, label] of [[form.radiusKm, "Radius"], [form.maxStops, "Stop limit"], [form.maxDriveMinutes, "Drive time limit"]]) {
+      if (value != null && (!Number.isFinite(value) || value <= 0)) throw new Error(`${label} must be a positive number.`);
+    }
+    let start = null;
+    if (form.startFrom === "depot") {
+      start = depotRef.current;
+      if (!start) throw new Error("Set a depot in Settings first.");
+    } else {
+      const gps = mapController.getGpsPosition();
+      start = gps ? { latitude: gps.lat, longitude: gps.lng } : await getCurrentFix();
+    }
+    let regionLocationIds = null;
+    if (form.area === "run") {
+      if (!form.regionRunId) throw new Error("Choose a run for the area.");
+      regionLocationIds = new Set((await getLocationsForRun(form.regionRunId)).map((loc) => loc.id));
+    }
+    const [locations, visits] = await Promise.all([getAllActiveLocations(), getAllFromStore("visits")]);
+    const schedule = buildSchedule(locations, visits, Date.now(), serviceFrequenciesRef.current);
+    const plan = planDay(locations, schedule, {
+      start,
+      radiusKm: form.area === "radius" ? form.radiusKm : null,
+      regionLocationIds,
+      maxStops: form.maxStops,
+      maxDriveMinutes: form.maxDriveMinutes,
+      includeDueThisWeek: form.includeDueThisWeek,
+    });
+    return {
+      ...plan,
+      start,
+      stops: plan.stops.map((loc) => ({ id: loc.id, name: loc.name, urgency: schedule.get(loc.id)?.urgency })),
+    };
+  }
+
+  /**
+   * Earlier temporary runs that were never driven (no visits or completions reference them) and are
+   * not in progress. Driven ones stay, so Run History, the calendar and cash per run keep their run.
+   * @param {string} keepRunId - The plan just created
+   * @returns {Promise<string[]>}
+   */
+  async function unusedTemporaryRunIds(keepRunId) {
+    const [runs, visits, completions] = await Promise.all([
+      getAllRuns(),
+      getAllFromStore("visits"),
+      getAllFromStore("runCompletions"),
+    ]);
+    const used = new Set([...(visits || []), ...(completions || [])].map((r) => r.runId));
+    return (runs || [])
+      .filter((r) => r.temporary && r.id !== keepRunId && r.id !== state.selectedRunId && !used.has(r.id))
+      .map((r) => r.id);
+  }
+
+  /**
+   * Create today's temporary run from a previewed plan and start it in Operation mode.
+   * The new run is built first (and removed again if that fails); then earlier temporary runs
+   * that were never driven are removed.
+   * @param {{ order: string[], start: { latitude: number, longitude: number } }} plan
+   */
+  async function createDayPlanRun(plan) {
+    const label = new Date().toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" });
+    const run = await createRunFromName(`Today – ${label}`, undefined, { temporary: true });
+    try {
+      for (const locationId of plan.order) {
+        await addLocationToRun(run.id, locationId);
+      }
+      await saveRunStopOrder(run.id, plan.order, plan.start);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("[PlanDay] Building today's run failed:", err);
+      await deleteRunAndLinks(run.id).catch((cleanupErr) => {
+        // eslint-disable-next-line no-console
+        console.error("[PlanDay] Could not remove the half-built run:", cleanupErr);
+      });
+      throw new Error("Could not create today's run. Try again.");
+    }
+    try {
+      for (const oldId of await unusedTemporaryRunIds(run.id)) {
+        await deleteRunAndLinks(oldId);
+      }
+    } catch (err) {
+      // Leftover plans are harmless; the next plan tries again.
+      // eslint-disable-next-line no-console
+      console.error("[PlanDay] Could not remove earlier plans:", err);
+    }
+    operationOptionsRef.current.runs = await getAllRuns();
+    await operationOptionsRef.current.onRunSelect(run.id);
+    shell.setMode("operation");
+    showSnackbar(snackbarHost, `Planned ${plan.order.length} stops – run "${run.name}" started`);
+  }
+
+  async function openPlanDay() {
+    const runs = (await getAllRuns() || []).filter((r) => !r.temporary);
+    const host = shell.getPlanDayHost();
+    host._onBackdropClick = (e) => { if (e.target === host) closePlanDay(); };
+    host.addEventListener("click", host._onBackdropClick);
+    planDayWizardInstance = createPlanDayWizard(host, {
+      initialForm: planDayFormRef.current,
+      runs,
+      hasDepot: Boolean(depotRef.current),
+      onPreview: previewDayPlan,
+      onCreate: createDayPlanRun,
+      onClose: closePlanDay,
+    });
+  }
+
+  /** Loading list data for the selected run: expected refills, van stock and recent ledger entries. */
+  async function getLoadingListData() {
+    const runId = state.selectedRunId;
+    const [stops, visits, vanStock, entries, locations] = await Promise.all([
+      getLocationsForRun(runId),
+      getAllFromStore("visits"),
+      getVanStock(),
+      getVanStockEntries(),
+      getAllFromStore("locations"),
+    ]);
+    const names = new Map((locations || []).map((loc) => [loc.id, loc.name ?? loc.id]));
+    return {
+      list: buildLoadingList(stops, buildStockForecast(stops, visits)),
+      vanStock,
+      entries: entries.map((e) => ({ ...e, locationName: e.locationId ? names.get(e.locationId) ?? null : null })),
     };
   }
 
+  function openLoadingList() {
+    if (!state.selectedRunId) return;
+    const host = shell.getLoadingListHost();
+    host._onBackdropClick = (e) => { if (e.target === host) closeLoadingList(); };
+    host.addEventListener("click", host._onBackdropClick);
+    loadingListPanelInstance = createLoadingListPanel(host, {
+      runName: operationOptionsRef.current.runName ?? "Run",
+      getData: getLoadingListData,
+      onLoad: async (items) => {
+        const units = await loadVan(state.selectedRunId, items);
+        showSnackbar(snackbarHost, units > 0 ? `Loaded ${units} units into the van` : "Nothing to load");
+      },
+      onCount: async (counts) => {
+        const corrected = await recordVanStockCount(counts);
+        showSnackbar(snackbarHost, corrected > 0 ? "Van stock count saved" : "Count matches the van stock");
+      },
+      onClose: closeLoadingList,
+    });
+  }
+
+  function closeLoadingList() {
+    const host = shell.getLoadingListHost();
+    if (host._onBackdropClick) {
+      host.removeEventListener("click", host._onBackdropClick);
+      host._onBackdropClick = null;
+    }
+    if (loadingListPanelInstance) {
+      loadingListPanelInstance.destroy();
+      loadingListPanelInstance = null;
+    }
+  }
+
+  function closePlanDay() {
+    const host = shell.getPlanDayHost();
+    if (host._onBackdropClick) {
+      host.removeEventListener("click", host._onBackdropClick);
+      host._onBackdropClick = null;
+    }
+    if (planDayWizardInstance) {
+      planDayWizardInstance.destroy();
+      planDayWizardInstance = null;
+    }
+  }
+
   async function openRunHistory() {
     const completions = await getAllCompletions(500);
     const host = shell.getRunHistoryHost();
@@ -1130,6 +2070,47 @@ export function createApp(rootElement) {
     host.setAttribute("aria-hidden", "true");
   }
 
+  async function openCalendar() {
+    const [completions, runs, runLocations, locations, visits] = await Promise.all([
+      getAllFromStore("runCompletions"),
+      getAllRuns(),
+      getAllFromStore("runLocations"),
+      getAllActiveLocations(),
+      getAllFromStore("visits"),
+    ]);
+    const now = Date.now();
+    const schedule = buildSchedule(locations, visits, now, serviceFrequenciesRef.current);
+    const host = shell.getCalendarHost();
+    host._onBackdropClick = (e) => { if (e.target === host) closeCalendar(); };
+    host.addEventListener("click", host._onBackdropClick);
+    calendarPanelInstance = createCalendarPanel(host, {
+      getDays: (from, to) => buildCalendarDays({
+        from,
+        to,
+        now,
+        completions: completions || [],
+        runs: runs || [],
+        runLocations: runLocations || [],
+        locations,
+        schedule,
+      }),
+      onOpenCompletion: openRunDetail,
+      onClose: closeCalendar,
+    });
+  }
+
+  function closeCalendar() {
+    const host = shell.getCalendarHost();
+    if (host._onBackdropClick) {
+      host.removeEventListener("click", host._onBackdropClick);
+      host._onBackdropClick = null;
+    }
+    if (calendarPanelInstance) {
+      calendarPanelInstance.destroy();
+      calendarPanelInstance = null;
+    }
+  }
+
   async function openRunDetail(completion) {
     if (!completion?.runId) return;
     const [locations, visits] = await Promise.all([
@@ -1140,10 +2121,17 @@ export function createApp(rootElement) {
     const host = shell.getRunDetailHost();
     host._onBackdropClick = (e) => { if (e.target === host) closeRunDetail(); };
     host.addEventListener("click", host._onBackdropClick);
+    const cash = completion.cash;
     runDetailPanelInstance = createRunDetailPanel(host, {
       completion,
       locations: locations || [],
       visitedLocationIds,
+      cashSummary: cash ? {
+        collected: formatMoney(cash.collectedCents),
+        siteShare: formatMoney(cash.commissionCents),
+        net: formatMoney(cash.netCents),
+        count: cash.count,
+      } : null,
       onClose: closeRunDetail,
     });
   }
@@ -1240,6 +2228,7 @@ export function createApp(rootElement) {
       name: "",
       serviceFrequency: "adhoc",
       productType: "",
+      machines: [],
       notes: "",
       status: "active",
     };
@@ -1254,11 +2243,12 @@ export function createApp(rootElement) {
           longitude: latlng.lng,
           name: updatedLocation.name.trim(),
           serviceFrequency: updatedLocation.serviceFrequency ?? "adhoc",
-          productType: updatedLocation.productType ?? "",
+          productType: summarizeProducts(updatedLocation.machines),
+          machines: updatedLocation.machines ?? [],
           notes: updatedLocation.notes ?? "",
           status: "active",
         };
-        await putEntity("locations", location);
+        await commandStack.execute("Add location", [["locations", location.id]], () => saveLocation(location));
         mapController.hidePendingMarker();
         bottomSheet.close();
         await refreshMaintenanceMap({ forceFitBounds: false });
@@ -1297,11 +2287,84 @@ export function createApp(rootElement) {
   refreshOperationMapRef.current = refreshOperationMap;
   refreshDashboardDataRef.current = refreshDashboardData;
   onImportSuccessRef.current = async () => {
+    serviceFrequenciesRef.current = await getServiceFrequencies();
     await refreshMaintenanceMap();
     await refreshDashboardData();
     if (state.mode === MODES.DASHBOARD) shell.refreshSidePanel();
   };
+
+  const syncController = createSyncController({
+    getSettings: async () => syncSettingsRef.current,
+    onStatus: (status) => shell.setSyncStatus(status),
+    onRemoteChanges: async () => {
+      operationOptionsRef.current.runs = await getAllRuns();
+      shell.updateHeaderOperation();
+      await onImportSuccessRef.current();
+      if (state.mode === MODES.OPERATION && typeof refreshOperationMapRef.current === "function") {
+        await refreshOperationMapRef.current({ forceFitBounds: false });
+      }
+    },
+  });
+  onSyncClickRef.current = () => syncController.syncNow();
+
+  /**
+   * Undo or redo one command, then refresh everything it may have touched.
+   * @param {"undo" | "redo"} direction
+   * @param {string|null} [commandId] - Snackbar Undo: only undo this command, if it is still the latest
+   *   (null: the action recorded no command, so there is nothing to undo)
+   */
+  async function stepHistory(direction, commandId) {
+    if (commandId === null) return;
+    try {
+      const command = await commandStack[direction](commandId);
+      if (!command) {
+        if (commandId) showSnackbar(snackbarHost, "Can't undo: other changes were made since.", { duration: 4000 });
+        return;
+      }
+      bottomSheet.close();
+      await refreshRunList();
+      operationOptionsRef.current.runs = await getAllRuns();
+      shell.updateHeaderOperation();
+      await onImportSuccessRef.current();
+      if (typeof refreshOperationMapRef.current === "function") {
+        await refreshOperationMapRef.current({ forceFitBounds: false });
+      }
+      showSnackbar(snackbarHost, `${direction === "undo" ? "Undid" : "Redid"}: ${command.label}`);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error(`[App] ${direction} failed`, err);
+      showSnackbar(snackbarHost, err instanceof Error ? err.message : `Could not ${direction}.`, { duration: 4000 });
+    }
+  }
+  onUndoClickRef.current = () => stepHistory("undo");
+  onRedoClickRef.current = () => stepHistory("redo");
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS; Ctrl+Y also redoes). Text fields keep their native undo.
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+    const key = e.key.toLowerCase();
+    if (key === "z") {
+      e.preventDefault();
+      stepHistory(e.shiftKey ? "redo" : "undo");
+    } else if (key === "y" && !e.shiftKey) {
+      e.preventDefault();
+      stepHistory("redo");
+    }
+  });
   operationOptionsRef.current.onFinishRun = finishRun;
+  operationOptionsRef.current.onPlanRoute = planRunRoute;
+  operationOptionsRef.current.onOpenLoadingList = openLoadingList;
+  // The next-stop card's Mark Visited ticks off every machine still to do at the stop.
+  operationOptionsRef.current.onMarkNextVisited = async (location) => {
+    const machineIds = getMachines(location).filter((m) => m.state !== "outOfOrder").map((m) => m.id);
+    await saveStopWork(location, { collection: null, refills: [], machineIds });
+    if (typeof refreshOperationMapRef.current === "function") {
+      await refreshOperationMapRef.current({ forceFitBounds: false });
+    }
+    shell.refreshSidePanel();
+  };
 
   refreshDashboardData().then(() => {
     if (state.mode === MODES.DASHBOARD) shell.refreshSidePanel();
@@ -6,13 +6,16 @@ const ACTIVE_SESSION_KEY = "current";
 
 /**
  * Save the current active session to IndexedDB.
- * @param {{ runId: string, visitedLocationIds: string[], startedAt: number, visitIdsByLocation?: object }} session
+ * @param {{ runId: string, visitedLocationIds: string[], startedAt: number, visitIdsByLocation?: object, stopProgress?: Map<string, object> }} session
  */
 export async function saveActiveSession(session) {
   const visitedArray = Array.from(session.visitedLocationIds ?? []);
   const visitIdsMap = session.visitIdsByLocation instanceof Map
     ? Object.fromEntries(session.visitIdsByLocation)
     : (session.visitIdsByLocation ?? {});
+  const stopProgress = session.stopProgress instanceof Map
+    ? Object.fromEntries(session.stopProgress)
+    : (session.stopProgress ?? {});
   const startedAt = typeof session.startedAt === "number"
     ? new Date(session.startedAt).toISOString()
     : String(session.startedAt ?? new Date().toISOString());
@@ -21,6 +24,7 @@ export async function saveActiveSession(session) {
     runId: session.runId,
     visitedLocationIds: visitedArray,
     visitIdsByLocation: visitIdsMap,
+    stopProgress,
     startedAt,
     lastUpdatedAt: new Date().toISOString(),
   };
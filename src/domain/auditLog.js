@@ -0,0 +1,138 @@
+/**
+ * Append-only audit trail for location and run mutations. Each entry stores what changed
+ * (field-level before/after), when, and the device label that made the change.
+ * Entries are never updated or deleted; reverting a field is itself recorded as a new entry.
+ */
+
+import { appendEntries, appendEntry, getAllByIndex } from "../storage/indexedDb.js";
+import { getDeviceLabel } from "./settingsStore.js";
+
+/** Location fields the History tab can revert to an earlier value. */
+export const REVERTIBLE_LOCATION_FIELDS = ["name", "latitude", "longitude", "serviceFrequency", "productType", "machines", "notes", "status"];
+
+/**
+ * @typedef {{ field: string, before: unknown, after: unknown }} FieldChange
+ * @typedef {{
+ *   seq: number,
+ *   at: string,
+ *   actor: string,
+ *   action: string,
+ *   entityType: "location" | "run" | "runLocation",
+ *   entityId: string,
+ *   entityKey: string,
+ *   locationId: string | null,
+ *   changes: FieldChange[],
+ * }} AuditEntry
+ */
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null || typeof a !== "object" || typeof b !== "object") return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Field-level differences between two versions of a record (either may be null for create/delete).
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {FieldChange[]}
+ */
+export function diffRecords(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete("id");
+  const changes = [];
+  for (const field of fields) {
+    const b = before?.[field];
+    const a = after?.[field];
+    if (!sameValue(b, a)) {
+      changes.push({ field, before: b === undefined ? null : b, after: a === undefined ? null : a });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Name the mutation from the record's status transition.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {"create" | "update" | "archive" | "delete" | "restore"}
+ */
+export function inferAction(before, after) {
+  if (!before) return "create";
+  if (!after) return "delete";
+  if (before.status !== after.status) {
+    if (after.status === "archived") return "archive";
+    if (after.status === "deleted") return "delete";
+    return "restore";
+  }
+  return "update";
+}
+
+/**
+ * Append one audit entry. No-op when nothing changed (e.g. saving an unedited form).
+ * @param {{
+ *   entityType: "location" | "run" | "runLocation",
+ *   entityId: string,
+ *   before: object|null,
+ *   after: object|null,
+ *   action?: string,
+ *   locationId?: string|null,
+ * }} mutation
+ * @returns {Promise<AuditEntry|null>}
+ */
+export async function recordAudit(mutation) {
+  const entry = buildEntry(mutation, new Date().toISOString(), await getDeviceLabel());
+  if (!entry) return null;
+  const seq = await appendEntry("auditLog", entry);
+  return { ...entry, seq };
+}
+
+/**
+ * Audit a bulk write (file import, seed): one entry per record that changed, appended in one transaction.
+ * @param {Array<{ entityType: "location" | "run" | "runLocation", entityId: string, before: object|null, after: object|null, action?: string }>} mutations
+ * @returns {Promise<number>} Entries recorded
+ */
+export async function recordAuditBatch(mutations) {
+  const at = new Date().toISOString();
+  const actor = await getDeviceLabel();
+  const entries = mutations.map((mutation) => buildEntry(mutation, at, actor)).filter(Boolean);
+  if (entries.length > 0) await appendEntries("auditLog", entries);
+  return entries.length;
+}
+
+/** Audit entry for one mutation (without seq), or null when nothing changed. */
+function buildEntry(mutation, at, actor) {
+  const { entityType, entityId, before = null, after = null } = mutation;
+  const changes = diffRecords(before, after);
+  if (changes.length === 0) return null;
+  return {
+    at,
+    actor,
+    action: mutation.action ?? inferAction(before, after),
+    entityType,
+    entityId,
+    entityKey: `${entityType}:${entityId}`,
+    locationId: mutation.locationId ?? (entityType === "location" ? entityId : null),
+    changes,
+  };
+}
+
+/**
+ * History for one location: its own edits plus run assignments, newest first.
+ * @param {string} locationId
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function getLocationHistory(locationId) {
+  const entries = await getAllByIndex("auditLog", "locationId", locationId);
+  return (entries || []).sort((a, b) => b.seq - a.seq);
+}
+
+/**
+ * History for one run (renames, colour changes, stop reordering, deletion), newest first.
+ * @param {string} runId
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function getRunHistory(runId) {
+  const entries = await getAllByIndex("auditLog", "entityKey", `run:${runId}`);
+  return (entries || []).sort((a, b) => b.seq - a.seq);
+}
@@ -0,0 +1,149 @@
+/**
+ * Cash collection per visit: the coin-box takings recorded when a stop is marked visited,
+ * stored on the visit as visit.collection. Amounts are whole cents (EUR) to avoid float drift;
+ * the commission is the site owner's share of the takings.
+ */
+
+import { getAllFromStore } from "../storage/indexedDb.js";
+
+const CURRENCY = "EUR";
+const LOCALE = "en-IE";
+
+/** Coins and notes offered in the breakdown, smallest first. */
+export const DENOMINATIONS = [
+  { key: "c10", label: "10c", cents: 10 },
+  { key: "c20", label: "20c", cents: 20 },
+  { key: "c50", label: "50c", cents: 50 },
+  { key: "e1", label: "€1", cents: 100 },
+  { key: "e2", label: "€2", cents: 200 },
+  { key: "n5", label: "€5", cents: 500 },
+  { key: "n10", label: "€10", cents: 1000 },
+  { key: "n20", label: "€20", cents: 2000 },
+];
+
+/**
+ * @typedef {{
+ *   amountCents: number,
+ *   breakdown: Record<string, number>|null,
+ *   commissionPercent: number,
+ *   commissionCents: number,
+ *   netCents: number,
+ * }} Collection
+ * @typedef {{ collectedCents: number, commissionCents: number, netCents: number, count: number }} CollectionTotals
+ */
+
+const moneyFormat = new Intl.NumberFormat(LOCALE, { style: "currency", currency: CURRENCY });
+
+/**
+ * @param {number} cents
+ * @returns {string} e.g. "€12.50"
+ */
+export function formatMoney(cents) {
+  return moneyFormat.format((Number(cents) || 0) / 100);
+}
+
+/**
+ * Whole part (plain or grouped in thousands by one separator), then an optional decimal part.
+ * The decimal separator must differ from the grouping one.
+ */
+const MONEY_PATTERN = /^(?:(\d+)|(\d{1,3}([.,])\d{3}(?:\3\d{3})*))(?:([.,])(\d{0,2}))?$/;
+
+/**
+ * Parse a typed amount ("12.50", "12,50", "€12", "1,234.50", "1.234,50") into cents.
+ * @param {string|number|null|undefined} value
+ * @returns {number|null} null when empty; NaN when not a number
+ */
+export function parseMoney(value) {
+  const text = String(value ?? "").replace(/[€\s]/g, "");
+  if (text === "") return null;
+  const match = MONEY_PATTERN.exec(text);
+  if (!match) return NaN;
+  const [, plain, grouped, groupSeparator, decimalSeparator, decimals = ""] = match;
+  if (groupSeparator && decimalSeparator === groupSeparator) return NaN;
+  const whole = plain ?? grouped.replaceAll(groupSeparator, "");
+  return Number(whole) * 100 + Number(decimals.padEnd(2, "0"));
+}
+
+/**
+ * Validate form input into a collection. Returns null when nothing was entered (visit without takings).
+ * The amount may be left blank when a breakdown is given; when both are given they must agree.
+ * @param {{ amount?: string, breakdown?: Record<string, string|number>, commissionPercent?: string|number }} input
+ * @returns {Collection|null}
+ */
+export function normalizeCollection(input) {
+  const counts = {};
+  let breakdownCents = 0;
+  for (const d of DENOMINATIONS) {
+    const raw = input?.breakdown?.[d.key];
+    if (raw == null || raw === "") continue;
+    const count = Number(raw);
+    if (!Number.isInteger(count) || count < 0) throw new Error(`${d.label} count must be a whole number`);
+    if (count > 0) {
+      counts[d.key] = count;
+      breakdownCents += count * d.cents;
+    }
+  }
+  const hasBreakdown = Object.keys(counts).length > 0;
+  let amountCents = parseMoney(input?.amount);
+  if (Number.isNaN(amountCents)) throw new Error("Amount must be a number, e.g. 12.50");
+  if (amountCents == null && !hasBreakdown) return null;
+  if (amountCents == null) amountCents = breakdownCents;
+  else if (hasBreakdown && amountCents !== breakdownCents) {
+    throw new Error(`Breakdown adds up to ${formatMoney(breakdownCents)}, not ${formatMoney(amountCents)}`);
+  }
+  const rawPercent = input?.commissionPercent;
+  const commissionPercent = rawPercent == null || rawPercent === "" ? 0 : Number(rawPercent);
+  if (!Number.isFinite(commissionPercent) || commissionPercent < 0 || commissionPercent > 100) {
+    throw new Error("Commission must be between 0 and 100%");
+  }
+  const commissionCents = Math.round((amountCents * commissionPercent) / 100);
+  return {
+    amountCents,
+    breakdown: hasBreakdown ? counts : null,
+    commissionPercent,
+    commissionCents,
+    netCents: amountCents - commissionCents,
+  };
+}
+
+/**
+ * Totals over visits that carry a collection.
+ * @param {Array<{ collection?: Collection|null }>} visits
+ * @returns {CollectionTotals}
+ */
+export function sumCollections(visits) {
+  const totals = { collectedCents: 0, commissionCents: 0, netCents: 0, count: 0 };
+  for (const v of visits || []) {
+    const c = v?.collection;
+    if (!c) continue;
+    totals.collectedCents += c.amountCents || 0;
+    totals.commissionCents += c.commissionCents || 0;
+    totals.netCents += c.netCents || 0;
+    totals.count += 1;
+  }
+  return totals;
+}
+
+/**
+ * A location's collections, newest first, with totals (History tab).
+ * @param {string} locationId
+ * @returns {Promise<{ totals: CollectionTotals, entries: Array<{ visitId: string, visitedAt: number, runId: string|null, collection: Collection }> }>}
+ */
+export async function getLocationCollections(locationId) {
+  const visits = (await getAllFromStore("visits") || []).filter((v) => v.locationId === locationId && v.collection);
+  visits.sort((a, b) => (b.visitedAt || 0) - (a.visitedAt || 0));
+  return {
+    totals: sumCollections(visits),
+    entries: visits.map((v) => ({ visitId: v.id, visitedAt: v.visitedAt, runId: v.runId ?? null, collection: v.collection })),
+  };
+}
+
+/**
+ * Defaults for the collection form: the commission rate used at this location last time.
+ * @param {string} locationId
+ * @returns {Promise<{ commissionPercent: number|null }>}
+ */
+export async function getCollectionDefaults(locationId) {
+  const { entries } = await getLocationCollections(locationId);
+  return { commissionPercent: entries[0]?.collection.commissionPercent ?? null };
+}
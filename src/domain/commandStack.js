@@ -0,0 +1,241 @@
+/**
+ * App-wide undo/redo. Each command records the records it touched as before/after snapshots
+ * ({ store, key, before, after }; null = record absent), so undo and redo are plain atomic writes
+ * and the stack can be saved as data. The stack lives in the settings store and is kept for the
+ * current day only. A side is only written back while the stored records still match the other
+ * side; a record changed since (a sync pull, an edit outside the stack) makes the command stale and
+ * it is dropped instead of overwriting that change.
+ */
+
+import { getEntity, putEntity, writeStoresAtomically } from "../storage/indexedDb.js";
+import { recordAudit } from "./auditLog.js";
+
+const STACK_KEY = "commandStack";
+const MAX_COMMANDS = 100;
+
+const ENTITY_TYPES = { locations: "location", runs: "run", runLocations: "runLocation" };
+
+/**
+ * @typedef {{ store: string, key: string, before: object|null, after: object|null }} RecordChange
+ * @typedef {{ id: string, label: string, at: string, changes: RecordChange[] }} Command
+ * @typedef {{ canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null }} CommandStackState
+ */
+
+function generateCommandId() {
+  return `command-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+function localDay(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function sameRecord(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+async function readRecords(targets) {
+  return Promise.all(targets.map(async ([store, key]) => (await getEntity(store, key)) ?? null));
+}
+
+/**
+ * Write one side (before or after) of a command's changes in a single transaction.
+ * @returns {Promise<boolean>} false, with nothing written, when a record no longer matches the other side
+ */
+async function applySide(changes, side) {
+  const expected = side === "before" ? "after" : "before";
+  const current = await readRecords(changes.map((change) => [change.store, change.key]));
+  if (changes.some((change, i) => !sameRecord(current[i], change[expected]))) return false;
+  const writes = {};
+  for (const change of changes) {
+    const entry = writes[change.store] ?? (writes[change.store] = { delete: [], put: [] });
+    const value = change[side];
+    if (value == null) entry.delete.push(change.key);
+    else entry.put.push(value);
+  }
+  await writeStoresAtomically(writes);
+  return true;
+}
+
+async function auditSide(changes, side, action) {
+  for (const change of changes) {
+    const entityType = ENTITY_TYPES[change.store];
+    if (!entityType) continue;
+    const from = side === "before" ? change.after : change.before;
+    const to = change[side];
+    await recordAudit({
+      entityType,
+      entityId: change.key,
+      before: from,
+      after: to,
+      action,
+      locationId: entityType === "runLocation" ? (to ?? from)?.locationId ?? null : undefined,
+    });
+  }
+}
+
+/**
+ * @param {{ onChange?: (state: CommandStackState) => void }} [options]
+ */
+export function createCommandStack(options = {}) {
+  const { onChange } = options;
+  let day = localDay();
+  /** @type {Command[]} */
+  let undoStack = [];
+  /** @type {Command[]} */
+  let redoStack = [];
+  let queue = Promise.resolve();
+
+  /** Run stack operations one at a time so a fast double Ctrl+Z cannot interleave. */
+  function enqueue(task) {
+    const next = queue.then(task);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  function getState() {
+    return {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack[undoStack.length - 1]?.label ?? null,
+      redoLabel: redoStack[redoStack.length - 1]?.label ?? null,
+    };
+  }
+
+  async function persist() {
+    await putEntity("settings", { id: STACK_KEY, day, undo: undoStack, redo: redoStack });
+    onChange?.(getState());
+  }
+
+  /** Drop yesterday's commands once the date rolls over. */
+  async function ensureToday() {
+    const today = localDay();
+    if (today === day) return;
+    day = today;
+    undoStack = [];
+    redoStack = [];
+    await persist();
+  }
+
+  /**
+   * Restore today's stack from storage (a stack saved on an earlier day is discarded).
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    const raw = await getEntity("settings", STACK_KEY);
+    day = localDay();
+    if (raw?.day === day) {
+      undoStack = Array.isArray(raw.undo) ? raw.undo : [];
+      redoStack = Array.isArray(raw.redo) ? raw.redo : [];
+    } else {
+      undoStack = [];
+      redoStack = [];
+    }
+    onChange?.(getState());
+  }
+
+  /**
+   * Run a mutation and record it as one undoable command.
+   * @template T
+   * @param {string} label - Shown in the undo/redo tooltips, e.g. "Edit location"
+   * @param {Array<[string, string]>} targets - [store, key] pairs the mutation may write or delete
+   * @param {() => Promise<T>} mutate
+   * @returns {Promise<T>}
+   */
+  function execute(label, targets, mutate) {
+    return record(label, targets, mutate).then(({ result }) => result);
+  }
+
+  /**
+   * Like execute, also resolving to the recorded command's id (for a snackbar Undo of that command).
+   * @template T
+   * @param {string} label
+   * @param {Array<[string, string]>} targets
+   * @param {() => Promise<T>} mutate
+   * @returns {Promise<{ result: T, commandId: string|null }>} commandId is null when nothing changed
+   */
+  function record(label, targets, mutate) {
+    return enqueue(async () => {
+      await ensureToday();
+      const before = await readRecords(targets);
+      const result = await mutate();
+      const after = await readRecords(targets);
+      const changes = targets
+        .map(([store, key], i) => ({ store, key, before: before[i], after: after[i] }))
+        .filter((change) => !sameRecord(change.before, change.after));
+      if (changes.length === 0) return { result, commandId: null };
+      const command = { id: generateCommandId(), label, at: new Date().toISOString(), changes };
+      undoStack = [...undoStack, command].slice(-MAX_COMMANDS);
+      redoStack = [];
+      await persist();
+      return { result, commandId: command.id };
+    });
+  }
+
+  /** Drop a command whose records changed outside the stack; throws a user-facing message. */
+  async function dropStale(command, direction) {
+    undoStack = undoStack.filter((c) => c !== command);
+    redoStack = redoStack.filter((c) => c !== command);
+    await persist();
+    throw new Error(`Can't ${direction} "${command.label}": it was changed since`);
+  }
+
+  /**
+   * Revert the most recent command.
+   * @param {string} [commandId] - Only undo when this command is still the most recent (snackbar Undo)
+   * @returns {Promise<Command|null>} The command undone, or null when there was nothing (or not that command) to undo
+   */
+  function undo(commandId) {
+    return enqueue(async () => {
+      await ensureToday();
+      const command = undoStack[undoStack.length - 1];
+      if (!command || (commandId && command.id !== commandId)) return null;
+      if (!(await applySide(command.changes, "before"))) await dropStale(command, "undo");
+      undoStack = undoStack.slice(0, -1);
+      redoStack = [...redoStack, command];
+      await persist();
+      await auditSide(command.changes, "before", "undo");
+      return command;
+    });
+  }
+
+  /**
+   * Re-apply the most recently undone command.
+   * @returns {Promise<Command|null>} The command redone, or null when there was nothing to redo
+   */
+  function redo() {
+    return enqueue(async () => {
+      await ensureToday();
+      const command = redoStack[redoStack.length - 1];
+      if (!command) return null;
+      if (!(await applySide(command.changes, "after"))) await dropStale(command, "redo");
+      redoStack = redoStack.slice(0, -1);
+      undoStack = [...undoStack, command];
+      await persist();
+      await auditSide(command.changes, "after", "redo");
+      return command;
+    });
+  }
+
+  /**
+   * Forget all commands (after a backup restore, when the saved snapshots no longer match the data).
+   * @returns {Promise<void>}
+   */
+  function clear() {
+    return enqueue(async () => {
+      undoStack = [];
+      redoStack = [];
+      await persist();
+    });
+  }
+
+  return {
+    load,
+    execute,
+    record,
+    clear,
+    undo,
+    redo,
+    getState,
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * "Plan today": choose the locations that are due (from the service schedule) inside a radius
+ * around the start point or inside an existing run's area, cap them by stop count and/or
+ * estimated drive time, and order them with the route planner. Pure; app.js turns the plan
+ * into a temporary run.
+ */
+
+import { haversineKm } from "../utils/geo.js";
+import { planRoute } from "./routePlanner.js";
+
+/** Straight-line distance understates road distance; rough factor for suburban driving. */
+const ROAD_FACTOR = 1.3;
+
+const URGENCY_RANK = { overdue: 0, dueToday: 1, dueThisWeek: 2 };
+
+export const DEFAULT_DAY_PLAN_OPTIONS = {
+  radiusKm: 15,
+  maxStops: 20,
+  maxDriveMinutes: null,
+  averageSpeedKmh: 40,
+  includeDueThisWeek: false,
+};
+
+/**
+ * @typedef {{
+ *   start: { latitude: number, longitude: number },
+ *   radiusKm?: number|null,
+ *   regionLocationIds?: Set<string>|null,
+ *   maxStops?: number|null,
+ *   maxDriveMinutes?: number|null,
+ *   averageSpeedKmh?: number,
+ *   includeDueThisWeek?: boolean,
+ * }} DayPlanOptions - regionLocationIds (a run's stops) replaces the radius when given
+ * @typedef {{
+ *   order: string[],
+ *   stops: object[],
+ *   distanceKm: number,
+ *   driveMinutes: number,
+ *   candidateCount: number,
+ *   leftOutCount: number,
+ * }} DayPlan
+ */
+
+/**
+ * Estimated driving time for a route length.
+ * @param {number} distanceKm - Straight-line route length
+ * @param {number} [averageSpeedKmh]
+ * @returns {number} Whole minutes
+ */
+export function estimateDriveMinutes(distanceKm, averageSpeedKmh = DEFAULT_DAY_PLAN_OPTIONS.averageSpeedKmh) {
+  return Math.round(((distanceKm * ROAD_FACTOR) / averageSpeedKmh) * 60);
+}
+
+function hasCoords(loc) {
+  return Number.isFinite(Number(loc?.latitude)) && Number.isFinite(Number(loc?.longitude));
+}
+
+/**
+ * Due locations inside the area, most urgent first (then earliest due, then nearest).
+ * @param {object[]} locations
+ * @param {Map<string, { nextDueAt: number|null, urgency: string }>} schedule - From buildSchedule
+ * @param {DayPlanOptions} options
+ * @returns {object[]}
+ */
+export function selectDueCandidates(locations, schedule, options) {
+  const { start, radiusKm = null, regionLocationIds = null, includeDueThisWeek = false } = options;
+  const distanceFromStart = (loc) => haversineKm(start.latitude, start.longitude, Number(loc.latitude), Number(loc.longitude));
+  const candidates = [];
+  for (const loc of locations || []) {
+    if (loc.status && loc.status !== "active") continue;
+    if (!hasCoords(loc)) continue;
+    const entry = schedule.get(loc.id);
+    const rank = URGENCY_RANK[entry?.urgency];
+    if (rank == null || (rank === URGENCY_RANK.dueThisWeek && !includeDueThisWeek)) continue;
+    if (regionLocationIds) {
+      if (!regionLocationIds.has(loc.id)) continue;
+    } else if (radiusKm != null && distanceFromStart(loc) > radiusKm) {
+      continue;
+    }
+    candidates.push({ loc, rank, dueAt: entry.nextDueAt ?? 0, km: distanceFromStart(loc) });
+  }
+  candidates.sort((a, b) => a.rank - b.rank || a.dueAt - b.dueAt || a.km - b.km);
+  return candidates.map((c) => c.loc);
+}
+
+/**
+ * Build today's plan. Candidates are added in priority order; with a drive-time cap, a candidate
+ * whose detour would push the routed total over the cap is left out and the next one is tried.
+ * @param {object[]} locations
+ * @param {Map<string, { nextDueAt: number|null, urgency: string }>} schedule
+ * @param {DayPlanOptions} options
+ * @returns {DayPlan}
+ */
+export function planDay(locations, schedule, options) {
+  if (!hasCoords(options?.start)) {
+    throw new Error("Plan today needs a start point");
+  }
+  const { start, maxStops = null, maxDriveMinutes = null } = options;
+  const averageSpeedKmh = options.averageSpeedKmh ?? DEFAULT_DAY_PLAN_OPTIONS.averageSpeedKmh;
+  const candidates = selectDueCandidates(locations, schedule, options);
+  const chosen = [];
+  for (const loc of candidates) {
+    if (maxStops != null && chosen.length >= maxStops) break;
+    if (maxDriveMinutes != null) {
+      const trial = planRoute(start, [...chosen, loc]);
+      if (estimateDriveMinutes(trial.distanceKm, averageSpeedKmh) > maxDriveMinutes) continue;
+    }
+    chosen.push(loc);
+  }
+  const { order, distanceKm } = planRoute(start, chosen);
+  const byId = new Map(chosen.map((loc) => [loc.id, loc]));
+  return {
+    order,
+    stops: order.map((id) => byId.get(id)),
+    distanceKm,
+    driveMinutes: estimateDriveMinutes(distanceKm, averageSpeedKmh),
+    candidateCount: candidates.length,
+    leftOutCount: candidates.length - chosen.length,
+  };
+}
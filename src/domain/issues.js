@@ -0,0 +1,124 @@
+/**
+ * Fault and maintenance issues ("coin mech jammed", "glass cracked") logged against a location
+ * and optionally one of its machines, in the issues store. An issue stays open until resolved;
+ * raising and resolving each record a timestamp and, during a run, the visit it belongs to.
+ */
+
+import { putEntity, getAllFromStore, getAllByIndex } from "../storage/indexedDb.js";
+
+export const ISSUE_CATEGORIES = [
+  { id: "coinMech", label: "Coin mech jammed" },
+  { id: "glass", label: "Glass cracked" },
+  { id: "dispense", label: "Not dispensing" },
+  { id: "lock", label: "Lock / key" },
+  { id: "damage", label: "Vandalism / damage" },
+  { id: "other", label: "Other" },
+];
+
+export const ISSUE_SEVERITIES = [
+  { id: "low", label: "Low" },
+  { id: "medium", label: "Medium" },
+  { id: "high", label: "High" },
+];
+
+export const ISSUE_STATUSES = ["open", "resolved"];
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   locationId: string,
+ *   machineId: string|null,
+ *   category: string,
+ *   severity: "low"|"medium"|"high",
+ *   note: string,
+ *   status: "open"|"resolved",
+ *   createdAt: number,
+ *   resolvedAt: number|null,
+ *   runId: string|null,
+ *   visitId: string|null,
+ *   resolvedVisitId: string|null,
+ * }} Issue - visitId / resolvedVisitId: the run visit the issue was raised / resolved at, if any
+ */
+
+function generateIssueId() {
+  return `issue-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+/**
+ * Validate the Report issue form.
+ * @param {{ category?: string, severity?: string, note?: string, machineId?: string|null }} input
+ * @returns {{ category: string, severity: string, note: string, machineId: string|null }}
+ */
+export function normalizeIssue(input) {
+  const category = String(input?.category ?? "");
+  if (!ISSUE_CATEGORIES.some((c) => c.id === category)) throw new Error("Choose what is wrong");
+  const severity = String(input?.severity ?? "medium");
+  if (!ISSUE_SEVERITIES.some((s) => s.id === severity)) throw new Error("Choose a severity");
+  const note = String(input?.note ?? "").trim();
+  if (category === "other" && note === "") throw new Error("Describe the problem in the note");
+  return { category, severity, note, machineId: input?.machineId || null };
+}
+
+/**
+ * New open issue record (not saved).
+ * @param {string} locationId
+ * @param {{ category: string, severity: string, note: string, machineId: string|null }} fields - From normalizeIssue
+ * @param {{ runId?: string|null, visitId?: string|null }} [context]
+ * @returns {Issue}
+ */
+export function createIssue(locationId, fields, context = {}) {
+  return {
+    id: generateIssueId(),
+    locationId,
+    machineId: fields.machineId ?? null,
+    category: fields.category,
+    severity: fields.severity,
+    note: fields.note ?? "",
+    status: "open",
+    createdAt: Date.now(),
+    resolvedAt: null,
+    runId: context.runId ?? null,
+    visitId: context.visitId ?? null,
+    resolvedVisitId: null,
+  };
+}
+
+/**
+ * The issue marked resolved (not saved).
+ * @param {Issue} issue
+ * @param {{ visitId?: string|null }} [context]
+ * @returns {Issue}
+ */
+export function resolvedIssue(issue, context = {}) {
+  return { ...issue, status: "resolved", resolvedAt: Date.now(), resolvedVisitId: context.visitId ?? null };
+}
+
+export async function saveIssue(issue) {
+  await putEntity("issues", issue);
+  return issue;
+}
+
+/**
+ * A location's issues: open first (most severe, then newest), then resolved, newest first.
+ * @param {string} locationId
+ * @returns {Promise<Issue[]>}
+ */
+export async function getIssuesForLocation(locationId) {
+  const rank = (i) => (i.status === "open" ? 0 : 1);
+  const severityRank = (i) => (i.status === "open" ? -ISSUE_SEVERITIES.findIndex((s) => s.id === i.severity) : 0);
+  const issues = await getAllByIndex("issues", "locationId", locationId);
+  return (issues || []).slice().sort((a, b) =>
+    rank(a) - rank(b)
+    || severityRank(a) - severityRank(b)
+    || (b.resolvedAt ?? b.createdAt ?? 0) - (a.resolvedAt ?? a.createdAt ?? 0)
+  );
+}
+
+/**
+ * Ids of locations with at least one open issue (marker badges, Maintenance "Issues" filter).
+ * @returns {Promise<Set<string>>}
+ */
+export async function getOpenIssueLocationIds() {
+  const issues = await getAllFromStore("issues");
+  return new Set((issues || []).filter((i) => i.status === "open").map((i) => i.locationId));
+}
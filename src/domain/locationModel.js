@@ -1,20 +1,22 @@
 // Location domain helpers.
 // Mirrors the PRD attributes and provides small utilities for creation and updates.
 
-import { putEntity, getAllFromStore } from "../storage/indexedDb.js";
-
-export const SERVICE_FREQUENCIES = ["weekly", "fortnightly", "monthly", "adhoc"];
+import { putEntity, getAllFromStore, getEntity } from "../storage/indexedDb.js";
+import { recordAudit } from "./auditLog.js";
+import { DEFAULT_FREQUENCY_ID } from "./serviceFrequencies.js";
 
 export function createLocation({
   id,
   latitude,
   longitude,
   name,
-  serviceFrequency,
+  serviceFrequency = DEFAULT_FREQUENCY_ID,
   productType = "",
+  machines = [],
   notes = "",
 }) {
-  if (!SERVICE_FREQUENCIES.includes(serviceFrequency)) {
+  // serviceFrequency is the id of a record in the serviceFrequencies store (see serviceFrequencies.js).
+  if (typeof serviceFrequency !== "string" || serviceFrequency === "") {
     throw new Error(`Invalid serviceFrequency: ${serviceFrequency}`);
   }
 
@@ -24,7 +26,8 @@ export function createLocation({
     longitude,
     name,
     serviceFrequency,
-    productType,
+    productType, // products of the machines, e.g. "Gumballs, Toy capsules" (summarizeProducts)
+    machines, // [{ id, label, productType, capacity, state }]; empty = one implicit machine (see machines.js)
     notes,
     // Status enum (PRD V1.7): "active" | "archived" | "deleted"
     status: "active",
@@ -47,8 +50,16 @@ export function restoreFromArchive(location) {
   return { ...location, status: "active" };
 }
 
-export async function saveLocation(location) {
+/**
+ * Persist a location and append the before/after diff to the audit log.
+ * @param {object} location
+ * @param {{ action?: string }} [options] - Audit action override (e.g. "revert"); inferred from status otherwise
+ * @returns {Promise<object>}
+ */
+export async function saveLocation(location, options = {}) {
+  const before = await getEntity("locations", location.id);
   await putEntity("locations", location);
+  await recordAudit({ entityType: "location", entityId: location.id, before: before ?? null, after: location, action: options.action });
   return location;
 }
 
@@ -0,0 +1,221 @@
+/**
+ * Machine inventory: each machine's capacity and product (see machines.js), with refills recorded
+ * on the visit as visit.refills (one per machine). The depletion rate comes from consecutive
+ * refills of a machine: units left at a visit vs units in it after the previous one, over the
+ * days in between.
+ */
+
+import { getAllFromStore, getEntity } from "../storage/indexedDb.js";
+import { DEFAULT_MACHINE_ID, getMachines } from "./machines.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Refill intervals averaged for the depletion rate; older history says little about today's sales. */
+const RATE_INTERVALS = 6;
+/** A machine estimated to run empty within this many days counts as running low. */
+export const LOW_STOCK_DAYS = 3;
+
+/**
+ * @typedef {{ machineId: string, levelBefore: number, unitsAdded: number, levelAfter: number }} Refill
+ * @typedef {{
+ *   locationId: string,
+ *   machineId: string,
+ *   label: string,
+ *   capacity: number|null,
+ *   productType: string,
+ *   lastRefillAt: number|null,
+ *   levelAfterRefill: number|null,
+ *   unitsPerDay: number|null,
+ *   estimatedLevel: number|null,
+ *   emptyAt: number|null,
+ *   status: "unknown"|"ok"|"runningLow"|"likelyEmpty",
+ * }} StockForecast
+ */
+
+function wholeUnits(value, label) {
+  const text = String(value ?? "").trim();
+  if (text === "") return null;
+  const n = Number(text);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${label} must be a whole number`);
+  return n;
+}
+
+/**
+ * Machine key for forecast maps.
+ * @param {string} locationId
+ * @param {string} machineId
+ * @returns {string}
+ */
+export function machineKey(locationId, machineId) {
+  return `${locationId}:${machineId}`;
+}
+
+/**
+ * A visit's refills. Visits saved before machines existed carry a single visit.refill.
+ * @param {{ refills?: Refill[], refill?: object|null }} visit
+ * @returns {Refill[]}
+ */
+export function getVisitRefills(visit) {
+  if (Array.isArray(visit?.refills)) return visit.refills;
+  return visit?.refill ? [{ machineId: DEFAULT_MACHINE_ID, ...visit.refill }] : [];
+}
+
+/**
+ * Validate refill input from the visit form for one machine. Returns null when nothing was entered.
+ * @param {{ machineId?: string, levelBefore?: string|number, unitsAdded?: string|number }} input
+ * @param {number|null} [capacity]
+ * @returns {Refill|null}
+ */
+export function normalizeRefill(input, capacity = null) {
+  const levelBefore = wholeUnits(input?.levelBefore, "Units left");
+  const unitsAdded = wholeUnits(input?.unitsAdded, "Units added");
+  if (levelBefore == null && unitsAdded == null) return null;
+  if (levelBefore == null) throw new Error("Enter the units left before refilling");
+  const levelAfter = levelBefore + (unitsAdded ?? 0);
+  if (capacity != null && levelAfter > capacity) {
+    throw new Error(`${levelAfter} units is more than the machine holds (${capacity})`);
+  }
+  return { machineId: input?.machineId ?? DEFAULT_MACHINE_ID, levelBefore, unitsAdded: unitsAdded ?? 0, levelAfter };
+}
+
+/**
+ * Average units sold per day over the most recent refill intervals.
+ * @param {Array<{ visitedAt: number, refill: Refill }>} refills - Oldest first
+ * @returns {number|null} null until two refills with time between them exist
+ */
+export function estimateDepletionRate(refills) {
+  let units = 0;
+  let days = 0;
+  const recent = refills.slice(-(RATE_INTERVALS + 1));
+  for (let i = 1; i < recent.length; i++) {
+    const prev = recent[i - 1];
+    const cur = recent[i];
+    const sold = prev.refill.levelAfter - cur.refill.levelBefore;
+    const elapsed = (cur.visitedAt - prev.visitedAt) / DAY_MS;
+    // A level that went up between visits means a refill was not recorded; skip that interval.
+    if (sold < 0 || elapsed <= 0) continue;
+    units += sold;
+    days += elapsed;
+  }
+  return days > 0 ? units / days : null;
+}
+
+/**
+ * Current stock estimate for one machine.
+ * @param {string} locationId
+ * @param {{ id: string, label?: string, capacity?: number|null, productType?: string }} machine
+ * @param {Array<{ visitedAt: number, refill: Refill }>} history - The machine's refills, any order
+ * @param {number} [now]
+ * @returns {StockForecast}
+ */
+export function forecastStock(locationId, machine, history, now = Date.now()) {
+  const refills = (history || [])
+    .filter((h) => h?.refill && h.visitedAt != null)
+    .map((h) => ({ visitedAt: Number(h.visitedAt), refill: h.refill }))
+    .sort((a, b) => a.visitedAt - b.visitedAt);
+  const last = refills[refills.length - 1] ?? null;
+  const forecast = {
+    locationId,
+    machineId: machine.id,
+    label: machine.label ?? "",
+    capacity: machine.capacity ?? null,
+    productType: machine.productType ?? "",
+    lastRefillAt: last?.visitedAt ?? null,
+    levelAfterRefill: last?.refill.levelAfter ?? null,
+    unitsPerDay: estimateDepletionRate(refills),
+    estimatedLevel: null,
+    emptyAt: null,
+    status: "unknown",
+  };
+  if (!last || forecast.unitsPerDay == null) return forecast;
+  const daysSince = Math.max(0, (now - last.visitedAt) / DAY_MS);
+  forecast.estimatedLevel = Math.max(0, Math.round(last.refill.levelAfter - forecast.unitsPerDay * daysSince));
+  if (forecast.unitsPerDay > 0) {
+    forecast.emptyAt = Math.round(last.visitedAt + (last.refill.levelAfter / forecast.unitsPerDay) * DAY_MS);
+  }
+  if (forecast.emptyAt == null) forecast.status = "ok";
+  else if (forecast.emptyAt <= now) forecast.status = "likelyEmpty";
+  else forecast.status = forecast.emptyAt - now <= LOW_STOCK_DAYS * DAY_MS ? "runningLow" : "ok";
+  return forecast;
+}
+
+/** Refill history per machine key, from visits. */
+function groupRefills(visits) {
+  const byMachine = new Map();
+  for (const v of visits || []) {
+    for (const refill of getVisitRefills(v)) {
+      const key = machineKey(v.locationId, refill.machineId);
+      if (!byMachine.has(key)) byMachine.set(key, []);
+      byMachine.get(key).push({ visitedAt: v.visitedAt, refill });
+    }
+  }
+  return byMachine;
+}
+
+/**
+ * Forecast for every machine that has refill history, keyed by machineKey.
+ * @param {object[]} locations
+ * @param {object[]} visits
+ * @param {number} [now]
+ * @returns {Map<string, StockForecast>}
+ */
+export function buildStockForecast(locations, visits, now = Date.now()) {
+  const history = groupRefills(visits);
+  const forecasts = new Map();
+  for (const loc of locations || []) {
+    for (const machine of getMachines(loc)) {
+      const key = machineKey(loc.id, machine.id);
+      if (history.has(key)) forecasts.set(key, forecastStock(loc.id, machine, history.get(key), now));
+    }
+  }
+  return forecasts;
+}
+
+/**
+ * Dashboard warnings: machines likely empty now or running low, soonest empty first.
+ * Out-of-order machines are left out.
+ * @param {object[]} locations
+ * @param {Map<string, StockForecast>} forecasts
+ * @returns {{ likelyEmpty: object[], runningLow: object[] }} entries { id, name, productType, estimatedLevel, capacity, emptyAt }
+ */
+export function summarizeStockForecast(locations, forecasts) {
+  const summary = { likelyEmpty: [], runningLow: [] };
+  for (const loc of locations || []) {
+    const machines = getMachines(loc);
+    for (const machine of machines) {
+      const f = forecasts.get(machineKey(loc.id, machine.id));
+      if (!f || machine.state === "outOfOrder" || (f.status !== "likelyEmpty" && f.status !== "runningLow")) continue;
+      summary[f.status].push({
+        id: loc.id,
+        name: machines.length > 1 ? `${loc.name ?? loc.id} · ${machine.label}` : loc.name ?? loc.id,
+        productType: f.productType,
+        estimatedLevel: f.estimatedLevel,
+        capacity: f.capacity,
+        emptyAt: f.emptyAt,
+      });
+    }
+  }
+  summary.likelyEmpty.sort((a, b) => a.emptyAt - b.emptyAt);
+  summary.runningLow.sort((a, b) => a.emptyAt - b.emptyAt);
+  return summary;
+}
+
+/**
+ * A location's machines with their refills, newest first, and current forecast (History tab and visit form).
+ * @param {string} locationId
+ * @returns {Promise<{ machines: Array<{ machine: object, forecast: StockForecast, entries: Array<{ visitId: string, visitedAt: number, refill: Refill }> }> }>}
+ */
+export async function getLocationStock(locationId) {
+  const [location, visits] = await Promise.all([getEntity("locations", locationId), getAllFromStore("visits")]);
+  const locVisits = (visits || []).filter((v) => v.locationId === locationId);
+  locVisits.sort((a, b) => (b.visitedAt || 0) - (a.visitedAt || 0));
+  return {
+    machines: getMachines(location ?? {}).map((machine) => {
+      const entries = [];
+      for (const v of locVisits) {
+        const refill = getVisitRefills(v).find((r) => r.machineId === machine.id);
+        if (refill) entries.push({ visitId: v.id, visitedAt: v.visitedAt, refill });
+      }
+      return { machine, forecast: forecastStock(locationId, machine, entries), entries };
+    }),
+  };
+}
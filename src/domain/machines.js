@@ -0,0 +1,109 @@
+/**
+ * Machines at a location (location.machines): a bank of machines at one stop, each with its own
+ * id, label, product, capacity and service state. Locations saved before machines existed have a
+ * single implicit machine built from location.productType / location.capacity.
+ */
+
+/** Id of the implicit machine of a location without a machines list. */
+export const DEFAULT_MACHINE_ID = "main";
+
+/** "outOfOrder" machines stay listed but are not serviced, so a stop is complete without them. */
+export const MACHINE_STATES = ["active", "outOfOrder"];
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   label: string,
+ *   productType: string,
+ *   capacity: number|null,
+ *   state: "active"|"outOfOrder",
+ * }} Machine
+ */
+
+/**
+ * The location's machines, or its implicit single machine.
+ * @param {{ machines?: Machine[], productType?: string, capacity?: number|null }} location
+ * @returns {Machine[]}
+ */
+export function getMachines(location) {
+  if (Array.isArray(location?.machines) && location.machines.length > 0) return location.machines;
+  return [{
+    id: DEFAULT_MACHINE_ID,
+    label: "Machine",
+    productType: String(location?.productType ?? "").trim(),
+    capacity: location?.capacity ?? null,
+    state: "active",
+  }];
+}
+
+/**
+ * Machines that need servicing on a visit.
+ * @param {object} location
+ * @returns {Machine[]}
+ */
+export function getActiveMachines(location) {
+  return getMachines(location).filter((m) => m.state !== "outOfOrder");
+}
+
+/**
+ * True when a location has more than one machine to tick off.
+ * @param {object} location
+ * @returns {boolean}
+ */
+export function hasMachineBank(location) {
+  return getActiveMachines(location).length > 1;
+}
+
+function generateMachineId(index) {
+  return `m-${Date.now().toString(36)}-${index}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Validate machines from the edit form. Blank labels become "Machine N"; new rows get an id.
+ * @param {Array<{ id?: string, label?: string, productType?: string, capacity?: string|number|null, state?: string }>} input
+ * @returns {Machine[]}
+ */
+export function normalizeMachines(input) {
+  const seen = new Set();
+  return (input || []).map((m, i) => {
+    let id = String(m?.id ?? "").trim();
+    if (!id || seen.has(id)) id = generateMachineId(i);
+    seen.add(id);
+    const rawCapacity = m?.capacity;
+    let capacity = null;
+    if (rawCapacity != null && String(rawCapacity).trim() !== "") {
+      capacity = Number(rawCapacity);
+      if (!Number.isInteger(capacity) || capacity < 1) throw new Error(`Capacity of machine ${i + 1} must be a whole number of at least 1`);
+    }
+    return {
+      id,
+      label: String(m?.label ?? "").trim() || `Machine ${i + 1}`,
+      productType: String(m?.productType ?? "").trim(),
+      capacity,
+      state: MACHINE_STATES.includes(m?.state) ? m.state : "active",
+    };
+  });
+}
+
+/**
+ * Distinct products of the machines, e.g. "Gumballs, Toy capsules"; kept on location.productType
+ * for lists, CSV and map exports.
+ * @param {Machine[]} machines
+ * @returns {string}
+ */
+export function summarizeProducts(machines) {
+  return [...new Set((machines || []).map((m) => m.productType).filter(Boolean))].join(", ");
+}
+
+/**
+ * Progress through a stop's machines.
+ * @param {object} location
+ * @param {Iterable<string>} doneMachineIds
+ * @returns {{ done: number, total: number, complete: boolean }}
+ */
+export function getMachineProgress(location, doneMachineIds) {
+  const done = new Set(doneMachineIds || []);
+  const active = getActiveMachines(location);
+  const count = active.filter((m) => done.has(m.id)).length;
+  return { done: count, total: active.length, complete: count >= active.length };
+}
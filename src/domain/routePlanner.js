@@ -0,0 +1,134 @@
+/**
+ * Route planner: near-optimal visiting order for a run's stops from a start point
+ * (depot or current GPS fix). Nearest-neighbour construction, then 2-opt improvement.
+ * The route is an open path: it starts at the start point and ends at the last stop.
+ */
+
+import { haversineKm } from "../utils/geo.js";
+
+const MAX_TWO_OPT_PASSES = 50;
+const IMPROVEMENT_EPSILON_KM = 1e-9;
+
+function hasCoords(loc) {
+  return loc != null && Number.isFinite(Number(loc.latitude)) && Number.isFinite(Number(loc.longitude));
+}
+
+function buildDistanceMatrix(points) {
+  const n = points.length;
+  const matrix = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const d = haversineKm(points[i].latitude, points[i].longitude, points[j].latitude, points[j].longitude);
+      matrix[i][j] = d;
+      matrix[j][i] = d;
+    }
+  }
+  return matrix;
+}
+
+function nearestNeighbourPath(dist) {
+  const n = dist.length;
+  const visited = new Uint8Array(n);
+  const path = [0];
+  visited[0] = 1;
+  let current = 0;
+  for (let step = 1; step < n; step++) {
+    let next = -1;
+    let nextDist = Infinity;
+    for (let j = 1; j < n; j++) {
+      if (!visited[j] && dist[current][j] < nextDist) {
+        next = j;
+        nextDist = dist[current][j];
+      }
+    }
+    visited[next] = 1;
+    path.push(next);
+    current = next;
+  }
+  return path;
+}
+
+/**
+ * 2-opt on an open path with a fixed first node (the start point).
+ * Reversing path[i..k] replaces edges (i-1, i) and (k, k+1) with (i-1, k) and (i, k+1).
+ */
+function twoOpt(path, dist) {
+  const n = path.length;
+  let improved = true;
+  let passes = 0;
+  while (improved && passes < MAX_TWO_OPT_PASSES) {
+    improved = false;
+    passes += 1;
+    for (let i = 1; i < n - 1; i++) {
+      for (let k = i + 1; k < n; k++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const c = path[k];
+        const d = k + 1 < n ? path[k + 1] : null;
+        const before = dist[a][b] + (d != null ? dist[c][d] : 0);
+        const after = dist[a][c] + (d != null ? dist[b][d] : 0);
+        if (after + IMPROVEMENT_EPSILON_KM < before) {
+          for (let lo = i, hi = k; lo < hi; lo++, hi--) {
+            const tmp = path[lo];
+            path[lo] = path[hi];
+            path[hi] = tmp;
+          }
+          improved = true;
+        }
+      }
+    }
+  }
+  return path;
+}
+
+function pathLengthKm(path, dist) {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) total += dist[path[i - 1]][path[i]];
+  return total;
+}
+
+/**
+ * Compute a near-optimal stop order from a start point.
+ * Locations without valid coordinates are appended at the end in their original order.
+ * @param {{ latitude: number, longitude: number }} start
+ * @param {Array<{ id: string, latitude: number, longitude: number }>} locations
+ * @returns {{ order: string[], distanceKm: number }}
+ */
+export function planRoute(start, locations) {
+  if (!hasCoords(start)) {
+    throw new Error("planRoute requires a start point with latitude and longitude");
+  }
+  const list = Array.isArray(locations) ? locations : [];
+  const routable = list.filter(hasCoords);
+  const unroutable = list.filter((loc) => !hasCoords(loc));
+  if (routable.length === 0) {
+    return { order: unroutable.map((loc) => loc.id), distanceKm: 0 };
+  }
+
+  const points = [
+    { latitude: Number(start.latitude), longitude: Number(start.longitude) },
+    ...routable.map((loc) => ({ latitude: Number(loc.latitude), longitude: Number(loc.longitude) })),
+  ];
+  const dist = buildDistanceMatrix(points);
+  const path = twoOpt(nearestNeighbourPath(dist), dist);
+
+  return {
+    order: [...path.slice(1).map((idx) => routable[idx - 1].id), ...unroutable.map((loc) => loc.id)],
+    distanceKm: pathLengthKm(path, dist),
+  };
+}
+
+/**
+ * Total haversine length in km of visiting locations in the given order from a start point.
+ * @param {{ latitude: number, longitude: number } | null} start - Omit to measure stop-to-stop only
+ * @param {Array<{ latitude: number, longitude: number }>} orderedLocations
+ * @returns {number}
+ */
+export function routeDistanceKm(start, orderedLocations) {
+  const points = [...(hasCoords(start) ? [start] : []), ...(orderedLocations || []).filter(hasCoords)];
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineKm(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+  return total;
+}
@@ -0,0 +1,176 @@
+/**
+ * Run calendar: recurring run schedules (run.schedule, e.g. "every Tuesday" or "Mon + Thu every
+ * 2 weeks") and the per-day view used by the Calendar panel — completed runs, planned runs, and
+ * due locations no planned run covers. Pure functions; app.js passes the stored data in.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EVERY_WEEKS = 8;
+
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * @typedef {{ weekdays: number[], everyWeeks: number, anchorDate: string }} RunSchedule
+ *   weekdays: 0 = Sunday … 6 = Saturday; anchorDate (YYYY-MM-DD) fixes which weeks an
+ *   every-N-weeks schedule runs in
+ * @typedef {{
+ *   date: string,
+ *   isPast: boolean,
+ *   isToday: boolean,
+ *   completions: object[],
+ *   planned: Array<{ id: string, name: string, colour?: string }>,
+ *   uncovered: Array<{ id: string, name?: string }>,
+ * }} CalendarDay
+ */
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ * @param {Date|number} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD key as local midnight.
+ * @param {string} key
+ * @returns {Date}
+ */
+export function fromDateKey(key) {
+  const [y, m, d] = String(key).split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** Monday of the week containing the date, local midnight. */
+function mondayOf(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+/**
+ * Validate a run schedule. Returns null when no weekday is picked (the run has no schedule).
+ * @param {{ weekdays?: number[], everyWeeks?: number|string, anchorDate?: string }|null} input
+ * @param {Date} [today] - Anchor for a new schedule
+ * @returns {RunSchedule|null}
+ */
+export function normalizeRunSchedule(input, today = new Date()) {
+  if (!input) return null;
+  const weekdays = [...new Set((input.weekdays || []).map(Number))]
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    .sort((a, b) => a - b);
+  if (weekdays.length === 0) return null;
+  const everyWeeks = Number(input.everyWeeks ?? 1);
+  if (!Number.isInteger(everyWeeks) || everyWeeks < 1 || everyWeeks > MAX_EVERY_WEEKS) {
+    throw new Error(`Repeat must be every 1 to ${MAX_EVERY_WEEKS} weeks`);
+  }
+  let anchorDate = input.anchorDate;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(anchorDate ?? "")) {
+    // Start in the week of the first occurrence from today, so "every 2 weeks" begins with the next one.
+    const mondayIndex = (day) => (day + 6) % 7;
+    const anchor = mondayOf(today);
+    if (!weekdays.some((d) => mondayIndex(d) >= mondayIndex(today.getDay()))) anchor.setDate(anchor.getDate() + 7);
+    anchorDate = toDateKey(anchor);
+  }
+  return { weekdays, everyWeeks, anchorDate };
+}
+
+/**
+ * True when a scheduled run falls on the date.
+ * @param {RunSchedule|null|undefined} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isRunPlannedOn(schedule, date) {
+  if (!schedule?.weekdays?.includes(date.getDay())) return false;
+  const everyWeeks = schedule.everyWeeks ?? 1;
+  if (everyWeeks === 1) return true;
+  const weeks = Math.round((mondayOf(date) - mondayOf(fromDateKey(schedule.anchorDate))) / (7 * DAY_MS));
+  return weeks >= 0 && weeks % everyWeeks === 0;
+}
+
+/**
+ * Short description, e.g. "Every Tue" or "Mon, Thu every 2 weeks".
+ * @param {RunSchedule|null|undefined} schedule
+ * @returns {string}
+ */
+export function describeRunSchedule(schedule) {
+  if (!schedule?.weekdays?.length) return "Not scheduled";
+  const days = schedule.weekdays.map((d) => WEEKDAY_LABELS[d]).join(", ");
+  return schedule.everyWeeks > 1 ? `${days} every ${schedule.everyWeeks} weeks` : `Every ${days}`;
+}
+
+/**
+ * One entry per day from `from` to `to` (inclusive). From today on, a location counts as due on
+ * its next-due day (overdue ones on today) and as covered when a run containing it is planned
+ * on any day from today up to that day.
+ * @param {{
+ *   from: Date,
+ *   to: Date,
+ *   now?: number,
+ *   completions: Array<{ completedAt: string }>,
+ *   runs: Array<{ id: string, name: string, colour?: string, schedule?: RunSchedule|null }>,
+ *   runLocations: Array<{ runId: string, locationId: string }>,
+ *   locations: Array<{ id: string, name?: string }>,
+ *   schedule: Map<string, { nextDueAt: number|null }>,
+ * }} input
+ * @returns {CalendarDay[]}
+ */
+export function buildCalendarDays(input) {
+  const { from, to, now = Date.now(), completions = [], runs = [], runLocations = [], locations = [], schedule } = input;
+  const todayKey = toDateKey(now);
+  const today = fromDateKey(todayKey);
+
+  const completionsByDay = new Map();
+  for (const c of completions) {
+    if (!c.completedAt) continue;
+    const key = toDateKey(new Date(c.completedAt));
+    if (!completionsByDay.has(key)) completionsByDay.set(key, []);
+    completionsByDay.get(key).push(c);
+  }
+
+  const scheduledRuns = runs.filter((r) => r.schedule?.weekdays?.length);
+  const locationIdsByRun = new Map();
+  for (const rl of runLocations) {
+    if (!locationIdsByRun.has(rl.runId)) locationIdsByRun.set(rl.runId, []);
+    locationIdsByRun.get(rl.runId).push(rl.locationId);
+  }
+
+  const dueByDay = new Map();
+  for (const loc of locations) {
+    const dueAt = schedule?.get(loc.id)?.nextDueAt;
+    if (dueAt == null) continue;
+    const key = dueAt < today.getTime() ? todayKey : toDateKey(dueAt);
+    if (!dueByDay.has(key)) dueByDay.set(key, []);
+    dueByDay.get(key).push(loc);
+  }
+
+  const covered = new Set();
+  // Runs planned between today and the start of the range already cover locations due inside it.
+  for (let d = new Date(today); d < from; d.setDate(d.getDate() + 1)) {
+    for (const run of scheduledRuns) {
+      if (isRunPlannedOn(run.schedule, d)) (locationIdsByRun.get(run.id) || []).forEach((id) => covered.add(id));
+    }
+  }
+
+  const days = [];
+  for (let d = new Date(from.getFullYear(), from.getMonth(), from.getDate()); d <= to; d.setDate(d.getDate() + 1)) {
+    const key = toDateKey(d);
+    const isPast = key < todayKey;
+    const planned = isPast ? [] : scheduledRuns.filter((r) => isRunPlannedOn(r.schedule, d));
+    for (const run of planned) (locationIdsByRun.get(run.id) || []).forEach((id) => covered.add(id));
+    const uncovered = isPast ? [] : (dueByDay.get(key) || []).filter((loc) => !covered.has(loc.id));
+    days.push({
+      date: key,
+      isPast,
+      isToday: key === todayKey,
+      completions: completionsByDay.get(key) || [],
+      planned: planned.map((r) => ({ id: r.id, name: r.name, colour: r.colour })),
+      uncovered: uncovered.map((loc) => ({ id: loc.id, name: loc.name })),
+    });
+  }
+  return days;
+}
@@ -8,7 +8,9 @@ function generateCompletionId() {
 
 /**
  * Add a new run completion record (PRD V2.7). Multiple records accumulate.
- * @param {{ runId: string, runName: string, visitedCount: number, totalCount: number, completedAt: string, durationMinutes?: number }} completion
+ * @param {{ runId: string, runName: string, visitedCount: number, totalCount: number, completedAt: string, durationMinutes?: number, cash?: object|null, vanStock?: object[]|null }} completion
+ *   cash: collection totals for the session ({ collectedCents, commissionCents, netCents, count })
+ *   vanStock: units left in the van per product at finish ([{ productType, units }])
  */
 export async function addRunCompletion(completion) {
   const record = {
@@ -19,6 +21,8 @@ export async function addRunCompletion(completion) {
     totalCount: completion.totalCount,
     completedAt: completion.completedAt,
     durationMinutes: completion.durationMinutes ?? null,
+    cash: completion.cash ?? null,
+    vanStock: completion.vanStock ?? null,
   };
   await putEntity("runCompletions", record);
   return record;
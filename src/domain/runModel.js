@@ -1,6 +1,8 @@
 // Run domain helpers.
 
-import { putEntity, getAllFromStore, deleteEntity } from "../storage/indexedDb.js";
+import { putEntity, getEntity, getAllFromStore, deleteEntity, bulkUpsert } from "../storage/indexedDb.js";
+import { recordAudit } from "./auditLog.js";
+import { normalizeRunSchedule } from "./runCalendar.js";
 
 export const RUN_COLOUR_PALETTE = [
   "#3b82f6", // blue
@@ -15,6 +17,29 @@ export const RUN_COLOUR_PALETTE = [
   "#f59e0b", // amber
 ];
 
+/**
+ * Marker colour per location: the colour of the run it was most recently assigned to.
+ * Locations in no run are omitted.
+ * @param {Array<{ runId: string, locationId: string, assignedAt?: number }>} runLocations
+ * @param {Array<{ id: string, colour?: string }>} runs
+ * @returns {Record<string, string>} locationId → hex colour
+ */
+export function buildLocationRunColours(runLocations, runs) {
+  const runColourById = Object.fromEntries((runs || []).map((r) => [r.id, r.colour ?? "#ef4444"]));
+  const best = {};
+  for (const rl of (runLocations || [])) {
+    const t = rl.assignedAt ?? 0;
+    if (!best[rl.locationId] || t > best[rl.locationId].assignedAt) {
+      best[rl.locationId] = { runId: rl.runId, assignedAt: t };
+    }
+  }
+  const result = {};
+  for (const [locId, { runId }] of Object.entries(best)) {
+    if (runColourById[runId]) result[locId] = runColourById[runId];
+  }
+  return result;
+}
+
 export function createRun({ id, name, active = true, colour = "#3b82f6" }) {
   return { id, name, active, colour };
 }
@@ -29,7 +54,8 @@ export async function getAllRuns() {
 }
 
 /**
- * Get full location objects for a run (active only). Uses runLocations links.
+ * Get full location objects for a run (active only). Uses runLocations links,
+ * ordered by link sequence (falls back to assignedAt for links without one).
  * @param {string} runId
  * @returns {Promise<Array<{ id: string, latitude: number, longitude: number, name?: string, status: string }>>}
  */
@@ -38,12 +64,57 @@ export async function getLocationsForRun(runId) {
     getAllFromStore("runLocations"),
     getAllFromStore("locations"),
   ]);
-  const locationIds = new Set(
-    (runLocations || []).filter((rl) => rl.runId === runId).map((rl) => rl.locationId)
-  );
-  return (allLocations || []).filter(
-    (loc) => locationIds.has(loc.id) && (loc.status === "active" || !loc.status)
-  );
+  const links = sortLinksBySequence((runLocations || []).filter((rl) => rl.runId === runId));
+  const locationById = new Map((allLocations || []).map((loc) => [loc.id, loc]));
+  return links
+    .map((rl) => locationById.get(rl.locationId))
+    .filter((loc) => loc && (loc.status === "active" || !loc.status));
+}
+
+/**
+ * Sort run-location links into stop order.
+ * @param {Array<{ sequence?: number, assignedAt?: number }>} links
+ * @returns {Array<object>}
+ */
+export function sortLinksBySequence(links) {
+  return (links || []).slice().sort((a, b) => {
+    const sa = typeof a.sequence === "number" ? a.sequence : Infinity;
+    const sb = typeof b.sequence === "number" ? b.sequence : Infinity;
+    if (sa !== sb) return sa - sb;
+    return (a.assignedAt ?? 0) - (b.assignedAt ?? 0);
+  });
+}
+
+/**
+ * Persist a stop order for a run by rewriting link sequences (1-based).
+ * Links not named in stopOrder (e.g. archived stops) keep their relative order after the named ones.
+ * @param {string} runId
+ * @param {string[]} stopOrder - Location IDs in visiting order
+ * @param {{ latitude: number, longitude: number } | null} [start] - Start point, when planned by the route planner
+ */
+export async function saveRunStopOrder(runId, stopOrder, start = null) {
+  const [run, runLocations] = await Promise.all([
+    getEntity("runs", runId),
+    getAllFromStore("runLocations"),
+  ]);
+  if (!run) return;
+  const rank = new Map((stopOrder || []).map((id, i) => [id, i]));
+  const links = sortLinksBySequence((runLocations || []).filter((rl) => rl.runId === runId));
+  const named = links.filter((rl) => rank.has(rl.locationId)).sort((a, b) => rank.get(a.locationId) - rank.get(b.locationId));
+  const rest = links.filter((rl) => !rank.has(rl.locationId));
+  const updatedLinks = [...named, ...rest].map((rl, i) => ({ ...rl, sequence: i + 1 }));
+  if (updatedLinks.length > 0) {
+    await bulkUpsert("runLocations", updatedLinks);
+  }
+  const routeStart = start ? { latitude: Number(start.latitude), longitude: Number(start.longitude) } : (run.routeStart ?? null);
+  await putEntity("runs", { ...run, routeStart, stopOrderUpdatedAt: new Date().toISOString() });
+  await recordAudit({
+    entityType: "run",
+    entityId: runId,
+    action: "reorder",
+    before: { stopOrder: links.map((rl) => rl.locationId), routeStart: run.routeStart ?? null },
+    after: { stopOrder: updatedLinks.map((rl) => rl.locationId), routeStart },
+  });
 }
 
 /**
@@ -59,21 +130,32 @@ export async function getRunsForLocation(locationId) {
   return ids;
 }
 
-const runLocationId = (runId, locationId) => `rl-${runId}-${locationId}`;
+/** Key of the runLocations link between a run and a location. */
+export const runLocationId = (runId, locationId) => `rl-${runId}-${locationId}`;
 
 /**
  * Add a location to a run. Idempotent: if link exists, no-op (PRD V2.2).
+ * New links are appended as the run's last stop.
  * @param {string} runId
  * @param {string} locationId
  */
 export async function addLocationToRun(runId, locationId) {
+  const id = runLocationId(runId, locationId);
+  const existing = await getEntity("runLocations", id);
+  if (existing) return;
+  const runLocations = await getAllFromStore("runLocations");
+  const maxSequence = (runLocations || [])
+    .filter((rl) => rl.runId === runId)
+    .reduce((max, rl) => Math.max(max, typeof rl.sequence === "number" ? rl.sequence : 0), 0);
   const record = {
-    id: runLocationId(runId, locationId),
+    id,
     runId,
     locationId,
     assignedAt: Date.now(),
+    sequence: maxSequence + 1,
   };
   await putEntity("runLocations", record);
+  await recordAudit({ entityType: "runLocation", entityId: id, locationId, action: "assign", before: null, after: { runId } });
 }
 
 /**
@@ -82,16 +164,22 @@ export async function addLocationToRun(runId, locationId) {
  * @param {string} locationId
  */
 export async function removeLocationFromRun(runId, locationId) {
-  await deleteEntity("runLocations", runLocationId(runId, locationId));
+  const id = runLocationId(runId, locationId);
+  const existing = await getEntity("runLocations", id);
+  if (!existing) return;
+  await deleteEntity("runLocations", id);
+  await recordAudit({ entityType: "runLocation", entityId: id, locationId, action: "unassign", before: { runId }, after: null });
 }
 
 /**
  * Create a new run with an auto-generated ID (PRD V2.3).
  * @param {string} name - Run name (required)
  * @param {string} [colour] - Hex colour; auto-assigned from palette if omitted
- * @returns {Promise<{ id: string, name: string, active: boolean, colour: string }>}
+ * @param {{ temporary?: boolean, schedule?: object|null }} [options] - temporary: a generated day plan, removed by
+ *   the next one unless it was driven; schedule: recurring days (see runCalendar.normalizeRunSchedule)
+ * @returns {Promise<{ id: string, name: string, active: boolean, colour: string, temporary?: true, schedule?: object }>}
  */
-export async function createRunFromName(name, colour) {
+export async function createRunFromName(name, colour, options = {}) {
   const id = `run-${Date.now()}`;
   let assignedColour = colour;
   if (!assignedColour) {
@@ -101,22 +189,33 @@ export async function createRunFromName(name, colour) {
       ?? RUN_COLOUR_PALETTE[(runs || []).length % RUN_COLOUR_PALETTE.length];
   }
   const run = createRun({ id, name: String(name).trim(), active: true, colour: assignedColour });
+  if (options.temporary) run.temporary = true;
+  const schedule = normalizeRunSchedule(options.schedule);
+  if (schedule) run.schedule = schedule;
   await saveRun(run);
+  await recordAudit({ entityType: "run", entityId: id, before: null, after: run });
   return run;
 }
 
 /**
- * Update a run's name and/or colour (PRD V2.3).
+ * Update a run's name, colour and/or recurring schedule (PRD V2.3).
  * @param {string} runId
  * @param {string} newName
  * @param {string} [newColour]
+ * @param {object|null} [newSchedule] - Omit to keep the current schedule; null clears it
  */
-export async function updateRun(runId, newName, newColour) {
+export async function updateRun(runId, newName, newColour, newSchedule) {
   const runs = await getAllFromStore("runs");
   const run = (runs || []).find((r) => r.id === runId);
   if (!run) return;
   const updated = { ...run, name: String(newName).trim(), colour: newColour ?? run.colour };
+  if (newSchedule !== undefined) {
+    const schedule = normalizeRunSchedule(newSchedule && { ...newSchedule, anchorDate: newSchedule.anchorDate ?? run.schedule?.anchorDate });
+    if (schedule) updated.schedule = schedule;
+    else delete updated.schedule;
+  }
   await putEntity("runs", updated);
+  await recordAudit({ entityType: "run", entityId: runId, before: run, after: updated });
 }
 
 /**
@@ -126,10 +225,13 @@ export async function updateRun(runId, newName, newColour) {
 export async function deleteRunAndLinks(runId) {
   const runLocations = await getAllFromStore("runLocations");
   const toDelete = (runLocations || []).filter((rl) => rl.runId === runId);
+  const run = await getEntity("runs", runId);
   for (const rl of toDelete) {
     await deleteEntity("runLocations", rl.id);
+    await recordAudit({ entityType: "runLocation", entityId: rl.id, locationId: rl.locationId, action: "unassign", before: { runId }, after: null });
   }
   await deleteEntity("runs", runId);
+  if (run) await recordAudit({ entityType: "run", entityId: runId, before: run, after: null });
 }
 
 /**
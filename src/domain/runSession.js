@@ -7,6 +7,7 @@ export function createRunSession(runId) {
     runId,
     visitedLocationIds: new Set(),
     visitIdsByLocation: new Map(), // locationId → visitId (PRD V2.5)
+    stopProgress: new Map(), // locationId → { machineIds, refills, collection } for stops with machines still to do
     startedAt: Date.now(),
   };
 }
@@ -35,6 +36,42 @@ export function getVisitId(session, locationId) {
   return session.visitIdsByLocation.get(locationId) ?? null;
 }
 
+/**
+ * Work saved so far at a stop whose machines are not all done yet.
+ * @param {object} session
+ * @param {string} locationId
+ * @returns {{ machineIds: string[], refills: object[], collection: object|null }}
+ */
+export function getStopProgress(session, locationId) {
+  return session.stopProgress?.get(locationId) ?? { machineIds: [], refills: [], collection: null };
+}
+
+/**
+ * Add machines done at a stop. A machine done again replaces its earlier refill; a new collection
+ * replaces the earlier one.
+ * @param {object} session
+ * @param {string} locationId
+ * @param {{ machineIds: string[], refills?: object[], collection?: object|null }} work
+ * @returns {{ machineIds: string[], refills: object[], collection: object|null }} The merged progress
+ */
+export function addStopProgress(session, locationId, work) {
+  const prev = getStopProgress(session, locationId);
+  const newRefills = work.refills ?? [];
+  const replaced = new Set(newRefills.map((r) => r.machineId));
+  const merged = {
+    machineIds: [...new Set([...prev.machineIds, ...work.machineIds])],
+    refills: [...prev.refills.filter((r) => !replaced.has(r.machineId)), ...newRefills],
+    collection: work.collection ?? prev.collection,
+  };
+  if (!session.stopProgress) session.stopProgress = new Map();
+  session.stopProgress.set(locationId, merged);
+  return merged;
+}
+
+export function clearStopProgress(session, locationId) {
+  session.stopProgress?.delete(locationId);
+}
+
 /**
  * Generate a deterministic visit ID for a location in this session.
  */
@@ -44,7 +81,7 @@ export function makeVisitId(session, locationId) {
 
 /**
  * Reconstruct a session from persisted storage (PRD V2.6).
- * @param {{ runId: string, visitedLocationIds: string[], startedAt: string | number }} data
+ * @param {{ runId: string, visitedLocationIds: string[], startedAt: string | number, stopProgress?: object }} data
  * @returns {object} Session with Set and Map
  */
 export function sessionFromStorage(data) {
@@ -64,10 +101,14 @@ export function sessionFromStorage(data) {
       visitIdsByLocation.set(locId, makeVisitId(sessionLike, locId));
     });
   }
+  const stopProgress = new Map(
+    Object.entries(data.stopProgress && typeof data.stopProgress === "object" ? data.stopProgress : {})
+  );
   return {
     runId: data.runId,
     visitedLocationIds,
     visitIdsByLocation,
+    stopProgress,
     startedAt,
   };
 }
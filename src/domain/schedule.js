@@ -0,0 +1,132 @@
+/**
+ * Service schedule: next-due date per location from its service frequency and last visit,
+ * and the urgency buckets used by the dashboard, the Maintenance "Due" filter and marker tints.
+ * Pure functions; callers pass locations, visits and the frequency list (serviceFrequencies.js) in.
+ */
+
+import { DEFAULT_SERVICE_FREQUENCIES } from "./serviceFrequencies.js";
+
+/**
+ * @typedef {"overdue" | "dueToday" | "dueThisWeek" | "ok" | "unscheduled"} Urgency
+ * @typedef {{ lastVisitedAt: number|null, nextDueAt: number|null, urgency: Urgency }} ScheduleEntry
+ */
+
+/** Urgencies that count as "due" for the Maintenance filter. */
+export const DUE_URGENCIES = ["overdue", "dueToday", "dueThisWeek"];
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Add one service interval to a timestamp, in calendar days (keeps the time of day across DST
+ * changes) or calendar months. Month steps keep the day of month where possible
+ * (31 Jan + 1 month = 28/29 Feb).
+ * @param {number} fromMs
+ * @param {{ days?: number|null, months?: number|null }} interval
+ * @returns {number}
+ */
+export function addInterval(fromMs, interval) {
+  const d = new Date(fromMs);
+  if (interval.months) {
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + interval.months);
+    const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+    d.setDate(Math.min(day, lastDay));
+  }
+  if (interval.days) d.setDate(d.getDate() + interval.days);
+  return d.getTime();
+}
+
+/**
+ * Move a due time out of a seasonal frequency's off months: to the 1st of the next active month.
+ * @param {number} dueMs
+ * @param {number[]|null} activeMonths - 1–12; null = all year
+ * @returns {number}
+ */
+export function nextInSeason(dueMs, activeMonths) {
+  if (!activeMonths || activeMonths.length === 0) return dueMs;
+  const d = new Date(dueMs);
+  if (activeMonths.includes(d.getMonth() + 1)) return dueMs;
+  for (let i = 1; i <= 12; i++) {
+    const candidate = new Date(d.getFullYear(), d.getMonth() + i, 1);
+    if (activeMonths.includes(candidate.getMonth() + 1)) return candidate.getTime();
+  }
+  return dueMs;
+}
+
+/**
+ * Next-due time for a location; null when its frequency has no interval (ad hoc) or is unknown.
+ * A scheduled location that was never visited is due now (or when its season opens).
+ * @param {{ serviceFrequency?: string }} location
+ * @param {number|null} lastVisitedAt
+ * @param {number} now
+ * @param {Map<string, { intervalDays: number|null, intervalMonths?: number|null, activeMonths: number[]|null }>} frequenciesById
+ * @returns {number|null}
+ */
+export function nextDueAt(location, lastVisitedAt, now, frequenciesById) {
+  const frequency = frequenciesById.get(location?.serviceFrequency);
+  if (!frequency?.intervalDays && !frequency?.intervalMonths) return null;
+  const due = lastVisitedAt == null
+    ? now
+    : addInterval(lastVisitedAt, { days: frequency.intervalDays, months: frequency.intervalMonths });
+  return nextInSeason(due, frequency.activeMonths);
+}
+
+/**
+ * Bucket a due time relative to today (calendar days, local time).
+ * @param {number|null} dueAt
+ * @param {number} now
+ * @returns {Urgency}
+ */
+export function urgencyFor(dueAt, now) {
+  if (dueAt == null) return "unscheduled";
+  const today = startOfDay(now);
+  const dueDay = startOfDay(dueAt);
+  if (dueDay < today) return "overdue";
+  if (dueDay === today) return "dueToday";
+  if (dueDay < addInterval(today, { days: 7 })) return "dueThisWeek";
+  return "ok";
+}
+
+/**
+ * Schedule for every location, from the latest visit per location.
+ * @param {Array<{ id: string, serviceFrequency?: string }>} locations
+ * @param {Array<{ locationId: string, visitedAt: number }>} visits
+ * @param {number} [now]
+ * @param {Array<{ id: string, intervalDays: number|null, intervalMonths?: number|null, activeMonths: number[]|null }>} [frequencies]
+ * @returns {Map<string, ScheduleEntry>}
+ */
+export function buildSchedule(locations, visits, now = Date.now(), frequencies = DEFAULT_SERVICE_FREQUENCIES) {
+  const frequenciesById = new Map((frequencies || []).map((f) => [f.id, f]));
+  const lastVisit = new Map();
+  for (const v of visits || []) {
+    const at = v.visitedAt != null ? Number(v.visitedAt) : null;
+    if (at == null || !Number.isFinite(at)) continue;
+    const existing = lastVisit.get(v.locationId);
+    if (existing == null || at > existing) lastVisit.set(v.locationId, at);
+  }
+  const schedule = new Map();
+  for (const loc of locations || []) {
+    const lastVisitedAt = lastVisit.get(loc.id) ?? null;
+    const dueAt = nextDueAt(loc, lastVisitedAt, now, frequenciesById);
+    schedule.set(loc.id, { lastVisitedAt, nextDueAt: dueAt, urgency: urgencyFor(dueAt, now) });
+  }
+  return schedule;
+}
+
+/**
+ * Counts per due bucket (each location counts once, in its most urgent bucket).
+ * @param {Map<string, ScheduleEntry>} schedule
+ * @returns {{ overdue: number, dueToday: number, dueThisWeek: number }}
+ */
+export function summarizeSchedule(schedule) {
+  const counts = { overdue: 0, dueToday: 0, dueThisWeek: 0 };
+  for (const entry of schedule.values()) {
+    if (entry.urgency in counts) counts[entry.urgency] += 1;
+  }
+  return counts;
+}
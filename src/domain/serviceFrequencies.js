@@ -0,0 +1,181 @@
+/**
+ * Service frequencies as data: { id, label, intervalDays, intervalMonths, activeMonths } in the
+ * "serviceFrequencies" store. Locations reference a frequency by id (location.serviceFrequency).
+ * The interval is in days or in calendar months (one of the two is set); both null means the
+ * location is serviced ad hoc and never falls due. activeMonths (1–12) limits a seasonal frequency
+ * to part of the year, null meaning all year.
+ */
+
+import { bulkUpsert, deleteEntity, getAllFromStore, putEntity } from "../storage/indexedDb.js";
+
+/** In effect while the store is empty; written to it on the first edit. */
+export const DEFAULT_SERVICE_FREQUENCIES = [
+  { id: "weekly", label: "Weekly", intervalDays: 7, intervalMonths: null, activeMonths: null },
+  { id: "fortnightly", label: "Fortnightly", intervalDays: 14, intervalMonths: null, activeMonths: null },
+  { id: "monthly", label: "Monthly", intervalDays: null, intervalMonths: 1, activeMonths: null },
+  { id: "adhoc", label: "Ad hoc", intervalDays: null, intervalMonths: null, activeMonths: null },
+];
+
+/** Frequency id given to new or imported locations that name none. */
+export const DEFAULT_FREQUENCY_ID = "adhoc";
+
+const MAX_INTERVAL_DAYS = 730;
+const MAX_INTERVAL_MONTHS = 24;
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * @typedef {{ id: string, label: string, intervalDays: number|null, intervalMonths: number|null, activeMonths: number[]|null }} ServiceFrequency
+ */
+
+/**
+ * Id derived from a label ("Every 10 days" → "every-10-days").
+ * @param {string} label
+ * @returns {string}
+ */
+export function frequencyIdFromLabel(label) {
+  return String(label).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+function parseInterval(raw, max, unit) {
+  if (raw == null || raw === "") return null;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new Error(`Interval must be a whole number of ${unit} between 1 and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalise a frequency. Throws on a missing label, an out-of-range interval or
+ * an interval given in both days and months.
+ * @param {{ id?: string, label: string, intervalDays?: number|string|null, intervalMonths?: number|string|null, activeMonths?: number[]|null }} input
+ * @returns {ServiceFrequency}
+ */
+export function normalizeServiceFrequency(input) {
+  const label = String(input?.label ?? "").trim();
+  if (!label) throw new Error("Frequency needs a name");
+  const id = input.id ? String(input.id) : frequencyIdFromLabel(label);
+  if (!id) throw new Error("Frequency name needs at least one letter or digit");
+  const intervalDays = parseInterval(input.intervalDays, MAX_INTERVAL_DAYS, "days");
+  const intervalMonths = parseInterval(input.intervalMonths, MAX_INTERVAL_MONTHS, "months");
+  if (intervalDays != null && intervalMonths != null) {
+    throw new Error("Give the interval in days or in months, not both");
+  }
+  let activeMonths = null;
+  if (Array.isArray(input.activeMonths)) {
+    const months = [...new Set(input.activeMonths.map(Number))].filter((m) => Number.isInteger(m) && m >= 1 && m <= 12).sort((a, b) => a - b);
+    if (months.length === 0) throw new Error("Pick at least one active month");
+    activeMonths = months.length === 12 ? null : months;
+  }
+  return { id, label, intervalDays, intervalMonths, activeMonths };
+}
+
+/**
+ * True when the frequency is in season in the given month.
+ * @param {ServiceFrequency} frequency
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isInSeason(frequency, date) {
+  return !frequency?.activeMonths || frequency.activeMonths.includes(date.getMonth() + 1);
+}
+
+/**
+ * Short description, e.g. "Every 10 days · Apr–Oct", "Every month" or "No schedule".
+ * @param {ServiceFrequency} frequency
+ * @returns {string}
+ */
+export function describeServiceFrequency(frequency) {
+  let interval = "No schedule";
+  if (frequency.intervalMonths) {
+    interval = frequency.intervalMonths === 1 ? "Every month" : `Every ${frequency.intervalMonths} months`;
+  } else if (frequency.intervalDays != null) {
+    interval = `Every ${frequency.intervalDays} day${frequency.intervalDays === 1 ? "" : "s"}`;
+  }
+  if (!frequency.activeMonths) return interval;
+  const months = frequency.activeMonths;
+  const contiguous = months.every((m, i) => i === 0 || m === months[i - 1] + 1);
+  const season = contiguous && months.length > 1
+    ? `${MONTH_NAMES[months[0] - 1]}–${MONTH_NAMES[months[months.length - 1] - 1]}`
+    : months.map((m) => MONTH_NAMES[m - 1]).join(", ");
+  return `${interval} · ${season}`;
+}
+
+/**
+ * Match an imported value against known frequencies by id or label (case-insensitive).
+ * @param {string} value
+ * @param {ServiceFrequency[]} frequencies
+ * @returns {string|null} Frequency id, or null when nothing matches
+ */
+export function resolveFrequencyId(value, frequencies) {
+  const needle = String(value ?? "").trim().toLowerCase();
+  if (!needle) return null;
+  const match = (frequencies || []).find((f) => f.id.toLowerCase() === needle || f.label.toLowerCase() === needle);
+  return match ? match.id : null;
+}
+
+/** Approximate length in days, for ordering only (a month counts as 30 days). */
+function approximateDays(frequency) {
+  if (frequency.intervalMonths) return frequency.intervalMonths * 30;
+  return frequency.intervalDays ?? null;
+}
+
+function sortFrequencies(list) {
+  return list.sort((a, b) => {
+    const da = approximateDays(a);
+    const db = approximateDays(b);
+    if (da == null || db == null) return (da == null) - (db == null);
+    return da - db || a.label.localeCompare(b.label);
+  });
+}
+
+/**
+ * All frequencies, shortest interval first (unscheduled last).
+ * @returns {Promise<ServiceFrequency[]>}
+ */
+export async function getServiceFrequencies() {
+  const stored = await getAllFromStore("serviceFrequencies");
+  return sortFrequencies((stored || []).length > 0 ? stored : DEFAULT_SERVICE_FREQUENCIES.map((f) => ({ ...f })));
+}
+
+/** Write the defaults before the first edit, so editing one frequency does not drop the others. */
+async function ensureStored() {
+  const stored = await getAllFromStore("serviceFrequencies");
+  if ((stored || []).length === 0) {
+    await bulkUpsert("serviceFrequencies", DEFAULT_SERVICE_FREQUENCIES.map((f) => ({ ...f })));
+  }
+}
+
+/**
+ * Add a frequency (input without id; the id comes from the label) or update one (matched by id).
+ * @param {object} input
+ * @returns {Promise<ServiceFrequency[]>} The updated list
+ */
+export async function saveServiceFrequency(input) {
+  const frequency = normalizeServiceFrequency(input);
+  if (!input.id && (await getServiceFrequencies()).some((f) => f.id === frequency.id)) {
+    throw new Error(`A frequency called "${frequency.label}" already exists`);
+  }
+  await ensureStored();
+  await putEntity("serviceFrequencies", frequency);
+  return getServiceFrequencies();
+}
+
+/**
+ * Delete a frequency no location uses.
+ * @param {string} id
+ * @returns {Promise<ServiceFrequency[]>} The updated list
+ */
+export async function deleteServiceFrequency(id) {
+  if (id === DEFAULT_FREQUENCY_ID) {
+    throw new Error("The ad hoc frequency cannot be deleted");
+  }
+  const locations = await getAllFromStore("locations");
+  const inUse = (locations || []).filter((l) => l.serviceFrequency === id && l.status !== "deleted").length;
+  if (inUse > 0) {
+    throw new Error(`Used by ${inUse} location${inUse === 1 ? "" : "s"}; change them first`);
+  }
+  await ensureStored();
+  await deleteEntity("serviceFrequencies", id);
+  return getServiceFrequencies();
+}
@@ -5,6 +5,17 @@
 import { getEntity, putEntity } from "../storage/indexedDb.js";
 
 const AUTO_CHECK_IN_KEY = "autoCheckIn";
+const DEPOT_KEY = "depot";
+const DEVICE_LABEL_KEY = "deviceLabel";
+const AUTO_BACKUP_KEY = "autoBackup";
+const SYNC_KEY = "sync";
+const TILE_SERVER_KEY = "tileServer";
+
+const AUTO_BACKUP_DEFAULTS = {
+  daily: true,
+  afterRun: true,
+  keep: 7,
+};
 
 const DEFAULTS = {
   enabled: false,
@@ -49,6 +60,190 @@ export async function saveAutoCheckInSettings(settings) {
   }
 }
 
+/**
+ * Depot location used as a route planning start point.
+ * @returns {Promise<{ latitude: number, longitude: number } | null>}
+ */
+export async function getDepot() {
+  try {
+    const raw = await getEntity("settings", DEPOT_KEY);
+    const latitude = Number(raw?.latitude);
+    const longitude = Number(raw?.longitude);
+    if (!raw || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    return { latitude, longitude };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * @param {{ latitude: number, longitude: number }} depot
+ */
+export async function saveDepot(depot) {
+  const latitude = Number(depot?.latitude);
+  const longitude = Number(depot?.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error("Depot needs a valid latitude and longitude");
+  }
+  const doc = { id: DEPOT_KEY, latitude, longitude };
+  await putEntity("settings", doc);
+  return { latitude, longitude };
+}
+
+/**
+ * Label identifying this device in backup headers. Defaults to the browser platform when unset.
+ * @returns {Promise<string>}
+ */
+export async function getDeviceLabel() {
+  try {
+    const raw = await getEntity("settings", DEVICE_LABEL_KEY);
+    if (typeof raw?.label === "string" && raw.label.trim() !== "") return raw.label;
+  } catch (_) {
+    // Fall through to the default.
+  }
+  return defaultDeviceLabel();
+}
+
+/**
+ * @param {string} label - Empty resets to the default
+ * @returns {Promise<string>} The label now in effect
+ */
+export async function saveDeviceLabel(label) {
+  const trimmed = String(label ?? "").trim().slice(0, 60);
+  await putEntity("settings", { id: DEVICE_LABEL_KEY, label: trimmed });
+  return trimmed || defaultDeviceLabel();
+}
+
+/**
+ * Automatic local backup schedule and rotation.
+ * @returns {Promise<{ daily: boolean, afterRun: boolean, keep: number }>}
+ */
+export async function getAutoBackupSettings() {
+  try {
+    const raw = await getEntity("settings", AUTO_BACKUP_KEY);
+    if (!raw || typeof raw !== "object") return { ...AUTO_BACKUP_DEFAULTS };
+    return {
+      daily: raw.daily !== false,
+      afterRun: raw.afterRun !== false,
+      keep: clamp(Number(raw.keep) || AUTO_BACKUP_DEFAULTS.keep, 1, 30),
+    };
+  } catch (_) {
+    return { ...AUTO_BACKUP_DEFAULTS };
+  }
+}
+
+/**
+ * @param {{ daily: boolean, afterRun: boolean, keep: number }} settings
+ * @returns {Promise<{ daily: boolean, afterRun: boolean, keep: number }>}
+ */
+export async function saveAutoBackupSettings(settings) {
+  const doc = {
+    id: AUTO_BACKUP_KEY,
+    daily: Boolean(settings.daily),
+    afterRun: Boolean(settings.afterRun),
+    keep: clamp(Number(settings.keep) || AUTO_BACKUP_DEFAULTS.keep, 1, 30),
+  };
+  await putEntity("settings", doc);
+  const { id, ...saved } = doc;
+  return saved;
+}
+
+/**
+ * Multi-device sync endpoint (see storage/sync.js).
+ * @returns {Promise<{ enabled: boolean, endpoint: string, token: string }>}
+ */
+export async function getSyncSettings() {
+  try {
+    const raw = await getEntity("settings", SYNC_KEY);
+    return {
+      enabled: Boolean(raw?.enabled),
+      endpoint: typeof raw?.endpoint === "string" ? raw.endpoint : "",
+      token: typeof raw?.token === "string" ? raw.token : "",
+    };
+  } catch (_) {
+    return { enabled: false, endpoint: "", token: "" };
+  }
+}
+
+/**
+ * @param {{ enabled: boolean, endpoint: string, token: string }} settings
+ * @returns {Promise<{ enabled: boolean, endpoint: string, token: string }>}
+ */
+export async function saveSyncSettings(settings) {
+  const endpoint = String(settings?.endpoint ?? "").trim();
+  if (settings?.enabled) {
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (_) {
+      throw new Error("Sync endpoint must be a full URL, e.g. https://sync.example.com");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw new Error("Sync endpoint must use http or https");
+    }
+  }
+  const doc = {
+    id: SYNC_KEY,
+    enabled: Boolean(settings?.enabled),
+    endpoint,
+    token: String(settings?.token ?? "").trim(),
+  };
+  await putEntity("settings", doc);
+  const { id, ...saved } = doc;
+  return saved;
+}
+
+/**
+ * Map tile server chosen on this device (see map/tileCache.js); an empty url means the build default.
+ * @returns {Promise<{ url: string, attribution: string }>}
+ */
+export async function getTileServerSettings() {
+  try {
+    const raw = await getEntity("settings", TILE_SERVER_KEY);
+    return {
+      url: typeof raw?.url === "string" ? raw.url : "",
+      attribution: typeof raw?.attribution === "string" ? raw.attribution : "",
+    };
+  } catch (_) {
+    return { url: "", attribution: "" };
+  }
+}
+
+/**
+ * @param {{ url: string, attribution: string }} settings - url is a Leaflet template with {z}, {x} and {y}
+ * @returns {Promise<{ url: string, attribution: string }>}
+ */
+export async function saveTileServerSettings(settings) {
+  const url = String(settings?.url ?? "").trim();
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url.replace(/\{[a-z]+\}/g, "a"));
+    } catch (_) {
+      throw new Error("Tile URL must be a full URL, e.g. https://tiles.example.com/{z}/{x}/{y}.png");
+    }
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+      throw new Error("Tile URL must use http or https");
+    }
+    if (!["{z}", "{x}", "{y}"].every((part) => url.includes(part))) {
+      throw new Error("Tile URL needs {z}, {x} and {y} placeholders");
+    }
+  }
+  const doc = {
+    id: TILE_SERVER_KEY,
+    url,
+    attribution: url ? String(settings?.attribution ?? "").trim().slice(0, 200) : "",
+  };
+  await putEntity("settings", doc);
+  const { id, ...saved } = doc;
+  return saved;
+}
+
+function defaultDeviceLabel() {
+  const nav = typeof navigator !== "undefined" ? navigator : null;
+  return nav?.userAgentData?.platform || nav?.platform || "Unknown device";
+}
+
 function clamp(val, min, max) {
   if (Number.isNaN(val)) return min;
   return Math.max(min, Math.min(max, val));
@@ -0,0 +1,119 @@
+/**
+ * Sync scheduling and status: turns change tracking on while sync is enabled, syncs shortly after
+ * local changes, every few minutes, and when the device comes back online.
+ */
+
+import { setChangeTracking } from "../storage/indexedDb.js";
+import { countPendingChanges, getSyncState, prepareInitialSync, pullChanges, pushChanges } from "../storage/sync.js";
+
+const LOCAL_CHANGE_DELAY_MS = 5000;
+const PERIODIC_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {{ state: "disabled" | "idle" | "syncing" | "offline" | "error", pending: number, lastSyncedAt: string|null, error: string|null }} SyncStatus
+ */
+
+/**
+ * @param {{
+ *   getSettings: () => Promise<{ enabled: boolean, endpoint: string, token: string }>,
+ *   onStatus: (status: SyncStatus) => void,
+ *   onRemoteChanges: (stores: string[]) => void | Promise<void>,
+ * }} options
+ */
+export function createSyncController(options) {
+  const { getSettings, onStatus, onRemoteChanges } = options;
+  let status = { state: "disabled", pending: 0, lastSyncedAt: null, error: null };
+  let running = null;
+  let debounceId = null;
+  let intervalId = null;
+
+  function emit(next) {
+    status = { ...status, ...next };
+    onStatus(status);
+  }
+
+  function scheduleSoon() {
+    if (debounceId != null) clearTimeout(debounceId);
+    debounceId = setTimeout(() => {
+      debounceId = null;
+      syncNow();
+    }, LOCAL_CHANGE_DELAY_MS);
+  }
+
+  const onOnline = () => syncNow();
+
+  async function run() {
+    const settings = await getSettings();
+    if (!settings.enabled || !settings.endpoint) {
+      emit({ state: "disabled", error: null });
+      return;
+    }
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      emit({ state: "offline", pending: await countPendingChanges() });
+      return;
+    }
+    emit({ state: "syncing", error: null });
+    try {
+      await pushChanges(settings);
+      const { stores } = await pullChanges(settings);
+      const { lastSyncedAt } = await getSyncState();
+      emit({ state: "idle", pending: await countPendingChanges(), lastSyncedAt });
+      if (stores.length > 0) await onRemoteChanges(stores);
+    } catch (err) {
+      const offline = err instanceof TypeError; // fetch network failure
+      emit({
+        state: offline ? "offline" : "error",
+        pending: await countPendingChanges(),
+        error: err instanceof Error ? err.message : String(err),
+      });
+    }
+  }
+
+  /**
+   * Push then pull now; concurrent calls share the sync in progress.
+   * @returns {Promise<void>}
+   */
+  function syncNow() {
+    if (!running) {
+      running = run().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  /**
+   * (Re)read settings: start tracking and timers when enabled, stop them when disabled.
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    stop();
+    const settings = await getSettings();
+    if (!settings.enabled || !settings.endpoint) {
+      setChangeTracking(false);
+      emit({ state: "disabled", pending: 0, error: null });
+      return;
+    }
+    setChangeTracking(true, scheduleSoon);
+    await prepareInitialSync();
+    intervalId = setInterval(syncNow, PERIODIC_INTERVAL_MS);
+    window.addEventListener("online", onOnline);
+    emit({ lastSyncedAt: (await getSyncState()).lastSyncedAt });
+    await syncNow();
+  }
+
+  function stop() {
+    if (debounceId != null) clearTimeout(debounceId);
+    if (intervalId != null) clearInterval(intervalId);
+    debounceId = null;
+    intervalId = null;
+    window.removeEventListener("online", onOnline);
+  }
+
+  return {
+    start,
+    stop,
+    syncNow,
+    getStatus: () => status,
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Van stock ledger and the loading list for a run. The ledger is append-only (vanStock store):
+ * loading at the depot adds units, each refill recorded at a visit takes them out, unmarking a
+ * visit puts them back, and a stock count records the difference. The balance per product is
+ * the sum of its entries. Products are the machines' free-text productType (see machines.js).
+ */
+
+import { putEntity, getAllFromStore } from "../storage/indexedDb.js";
+import { getActiveMachines, getMachines } from "./machines.js";
+import { getVisitRefills, machineKey } from "./machineInventory.js";
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   at: number,
+ *   type: "load"|"refill"|"reversal"|"count",
+ *   productType: string,
+ *   units: number,
+ *   runId: string|null,
+ *   visitId: string|null,
+ *   locationId: string|null,
+ * }} VanStockEntry - units is signed: positive into the van, negative out of it
+ * @typedef {{ productType: string, units: number }} ProductUnits
+ * @typedef {{
+ *   productType: string,
+ *   units: number,
+ *   machines: number,
+ *   guessedMachines: number,
+ * }} LoadingListLine - guessedMachines: no depletion history, counted as empty
+ */
+
+function generateEntryId() {
+  return `vanstock-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+/**
+ * Key products are grouped by: the trimmed productType ("" when not set).
+ * @param {string|null|undefined} productType
+ * @returns {string}
+ */
+export function productKey(productType) {
+  return String(productType ?? "").trim();
+}
+
+/**
+ * Expected refill per product for a run's stops: for each machine in service, capacity minus its
+ * estimated level today. Machines without a capacity can't be estimated and are listed separately.
+ * @param {Array<{ id: string, name?: string, machines?: object[] }>} locations - The run's stops
+ * @param {Map<string, { estimatedLevel: number|null }>} forecasts - From buildStockForecast (keyed by machineKey)
+ * @returns {{ lines: LoadingListLine[], totalUnits: number, unknownMachines: Array<{ id: string, name: string }> }}
+ */
+export function buildLoadingList(locations, forecasts) {
+  const byProduct = new Map();
+  const unknownMachines = [];
+  for (const loc of locations || []) {
+    const label = (machine) => (getMachines(loc).length > 1 ? `${loc.name ?? loc.id} · ${machine.label}` : loc.name ?? loc.id);
+    for (const machine of getActiveMachines(loc)) {
+      if (machine.capacity == null) {
+        unknownMachines.push({ id: loc.id, name: label(machine) });
+        continue;
+      }
+      const estimatedLevel = forecasts.get(machineKey(loc.id, machine.id))?.estimatedLevel ?? null;
+      const key = productKey(machine.productType);
+      if (!byProduct.has(key)) byProduct.set(key, { productType: key, units: 0, machines: 0, guessedMachines: 0 });
+      const line = byProduct.get(key);
+      line.units += Math.max(0, machine.capacity - (estimatedLevel ?? 0));
+      line.machines += 1;
+      if (estimatedLevel == null) line.guessedMachines += 1;
+    }
+  }
+  const lines = [...byProduct.values()].sort((a, b) => b.units - a.units || a.productType.localeCompare(b.productType));
+  return { lines, totalUnits: lines.reduce((sum, l) => sum + l.units, 0), unknownMachines };
+}
+
+/**
+ * Balance per product from ledger entries; products at zero are left out.
+ * @param {VanStockEntry[]} entries
+ * @returns {ProductUnits[]}
+ */
+export function sumVanStock(entries) {
+  const totals = new Map();
+  for (const e of entries || []) {
+    const key = productKey(e.productType);
+    totals.set(key, (totals.get(key) ?? 0) + (Number(e.units) || 0));
+  }
+  return [...totals.entries()]
+    .filter(([, units]) => units !== 0)
+    .map(([productType, units]) => ({ productType, units }))
+    .sort((a, b) => a.productType.localeCompare(b.productType));
+}
+
+/**
+ * All ledger entries, newest first.
+ * @returns {Promise<VanStockEntry[]>}
+ */
+export async function getVanStockEntries() {
+  const entries = await getAllFromStore("vanStock");
+  return (entries || []).slice().sort((a, b) => (b.at || 0) - (a.at || 0));
+}
+
+/**
+ * Current van stock per product.
+ * @returns {Promise<ProductUnits[]>}
+ */
+export async function getVanStock() {
+  return sumVanStock(await getAllFromStore("vanStock"));
+}
+
+/**
+ * Append one ledger entry.
+ * @param {Omit<VanStockEntry, "id"|"at">} entry
+ * @returns {Promise<VanStockEntry>}
+ */
+export async function addVanStockEntry(entry) {
+  const record = {
+    id: generateEntryId(),
+    at: Date.now(),
+    type: entry.type,
+    productType: productKey(entry.productType),
+    units: entry.units,
+    runId: entry.runId ?? null,
+    visitId: entry.visitId ?? null,
+    locationId: entry.locationId ?? null,
+  };
+  await putEntity("vanStock", record);
+  return record;
+}
+
+/**
+ * Record product loaded at the depot for a run.
+ * @param {string|null} runId
+ * @param {ProductUnits[]} items - Lines with no units are skipped
+ * @returns {Promise<number>} Units loaded
+ */
+export async function loadVan(runId, items) {
+  let total = 0;
+  for (const item of items || []) {
+    const units = Number(item.units);
+    if (!Number.isInteger(units) || units < 0) throw new Error("Units to load must be whole numbers");
+    if (units === 0) continue;
+    await addVanStockEntry({ type: "load", productType: item.productType, units, runId });
+    total += units;
+  }
+  return total;
+}
+
+/**
+ * Take a visit's refills out of the van, or put them back when the visit is unmarked (reverse = true).
+ * Each machine's refill is booked against that machine's product.
+ * @param {{ id: string, locationId: string, runId?: string|null, refills?: object[], refill?: object|null }} visit
+ * @param {object} location - The visited location (for its machines)
+ * @param {{ reverse?: boolean }} [options]
+ * @returns {Promise<VanStockEntry[]>} One entry per refill that added units
+ */
+export async function recordRefillsFromVan(visit, location, options = {}) {
+  const machines = new Map(getMachines(location).map((m) => [m.id, m]));
+  const entries = [];
+  for (const refill of getVisitRefills(visit)) {
+    const units = refill.unitsAdded ?? 0;
+    if (units <= 0) continue;
+    entries.push(await addVanStockEntry({
+      type: options.reverse ? "reversal" : "refill",
+      productType: machines.get(refill.machineId)?.productType ?? location?.productType,
+      units: options.reverse ? units : -units,
+      runId: visit.runId ?? null,
+      visitId: visit.id,
+      locationId: visit.locationId,
+    }));
+  }
+  return entries;
+}
+
+/**
+ * Stock count: record the difference between the counted units and the ledger balance.
+ * @param {ProductUnits[]} counts
+ * @returns {Promise<number>} Number of products corrected
+ */
+export async function recordVanStockCount(counts) {
+  const balance = new Map((await getVanStock()).map((p) => [p.productType, p.units]));
+  let corrected = 0;
+  for (const count of counts || []) {
+    const units = Number(count.units);
+    if (!Number.isInteger(units) || units < 0) throw new Error("Counted units must be whole numbers");
+    const key = productKey(count.productType);
+    const delta = units - (balance.get(key) ?? 0);
+    if (delta === 0) continue;
+    await addVanStockEntry({ type: "count", productType: key, units: delta });
+    corrected += 1;
+  }
+  return corrected;
+}
@@ -2,13 +2,15 @@
 
 import { putEntity, getAllFromStore, deleteEntity } from "../storage/indexedDb.js";
 
-export function createVisit({ id, locationId, runId = null, visitedAt, visitMethod }) {
+export function createVisit({ id, locationId, runId = null, visitedAt, visitMethod, collection = null, refills = [] }) {
   return {
     id,
     locationId,
     runId,
     visitedAt,
     visitMethod, // "auto" | "manual"
+    collection, // null | cash taken from the coin box (see cashCollection.js)
+    refills, // [{ machineId, levelBefore, unitsAdded, levelAfter }] one per machine refilled (see machineInventory.js)
   };
 }
 
@@ -0,0 +1,168 @@
+// Grid clustering for location markers. Markers are bucketed into fixed-size pixel
+// cells at the current zoom; a cell holding more than one marker is drawn as a count
+// badge whose ring shows the run colours of the markers inside. Only markers near the
+// viewport are added to the map, so large location sets stay responsive at low zoom.
+// An entry may carry a decoration layer (badge) that is shown and hidden with its marker.
+
+import L from "leaflet";
+
+const DEFAULT_CELL_SIZE_PX = 60;
+const DEFAULT_DISABLE_AT_ZOOM = 16;
+const VIEWPORT_PADDING_RATIO = 0.25;
+
+function clusterSize(count) {
+  if (count < 10) return 30;
+  if (count < 100) return 36;
+  return 44;
+}
+
+/**
+ * CSS background for a cluster badge: a conic gradient with one segment per run colour,
+ * sized by how many markers in the cluster carry that colour.
+ * @param {string[]} colours
+ * @returns {string}
+ */
+function clusterBackground(colours) {
+  const counts = new Map();
+  colours.forEach((c) => counts.set(c, (counts.get(c) || 0) + 1));
+  const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  if (sorted.length === 1) return sorted[0][0];
+  let start = 0;
+  const stops = sorted.map(([colour, n]) => {
+    const end = start + (n / colours.length) * 360;
+    const stop = `${colour} ${start.toFixed(1)}deg ${end.toFixed(1)}deg`;
+    start = end;
+    return stop;
+  });
+  return `conic-gradient(${stops.join(", ")})`;
+}
+
+/**
+ * Create a clustering controller that draws into the given layer group.
+ * Entries keep their own Leaflet layers, so event handlers and styles survive re-clustering.
+ * @param {L.Map} map
+ * @param {L.FeatureGroup} group - Layer group the markers and cluster badges are drawn into
+ * @param {{ cellSizePx?: number, disableAtZoom?: number }} [options]
+ */
+export function createClusterLayer(map, group, options = {}) {
+  const cellSizePx = options.cellSizePx ?? DEFAULT_CELL_SIZE_PX;
+  const disableAtZoom = options.disableAtZoom ?? DEFAULT_DISABLE_AT_ZOOM;
+
+  /** @type {Array<{ id: string, latLng: L.LatLng, layer: L.Layer, colour: string, badge?: L.Layer|null }>} */
+  let entries = [];
+  let clustering = false;
+  let pinnedId = null;
+  const shownMarkers = new Set();
+  const clusterBadges = [];
+
+  function clearBadges() {
+    clusterBadges.forEach((badge) => group.removeLayer(badge));
+    clusterBadges.length = 0;
+  }
+
+  function showOnly(markerLayers) {
+    for (const layer of shownMarkers) {
+      if (!markerLayers.has(layer)) {
+        group.removeLayer(layer);
+        shownMarkers.delete(layer);
+      }
+    }
+    for (const layer of markerLayers) {
+      if (!shownMarkers.has(layer)) {
+        group.addLayer(layer);
+        shownMarkers.add(layer);
+      }
+    }
+  }
+
+  /** Add an entry's marker and its decoration, if any, to the set of layers to show. */
+  function addEntryLayers(layers, entry) {
+    layers.add(entry.layer);
+    if (entry.badge) layers.add(entry.badge);
+  }
+
+  function createBadge(members) {
+    const lat = members.reduce((sum, e) => sum + e.latLng.lat, 0) / members.length;
+    const lng = members.reduce((sum, e) => sum + e.latLng.lng, 0) / members.length;
+    const size = clusterSize(members.length);
+    const flagged = members.filter((e) => e.badge).length;
+    const badge = L.marker([lat, lng], {
+      icon: L.divIcon({
+        className: flagged > 0 ? "map-cluster map-cluster-flagged" : "map-cluster",
+        html: `<span class="map-cluster-ring" style="background: ${clusterBackground(members.map((e) => e.colour))}"><span class="map-cluster-count">${members.length}</span></span>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2],
+      }),
+      title: flagged > 0 ? `${members.length} locations, ${flagged} with open issues` : `${members.length} locations`,
+    });
+    badge.on("click", () => {
+      const bounds = L.latLngBounds(members.map((e) => e.latLng));
+      map.fitBounds(bounds, { padding: [40, 40], maxZoom: disableAtZoom });
+    });
+    return badge;
+  }
+
+  function redraw() {
+    clearBadges();
+    const zoom = map.getZoom();
+    if (!clustering || zoom >= disableAtZoom) {
+      const layers = new Set();
+      entries.forEach((e) => addEntryLayers(layers, e));
+      showOnly(layers);
+      return;
+    }
+
+    const viewBounds = map.getBounds().pad(VIEWPORT_PADDING_RATIO);
+    const cells = new Map();
+    const singles = new Set();
+    for (const entry of entries) {
+      if (entry.id === pinnedId) {
+        addEntryLayers(singles, entry);
+        continue;
+      }
+      if (!viewBounds.contains(entry.latLng)) continue;
+      const p = map.project(entry.latLng, zoom);
+      const key = `${Math.floor(p.x / cellSizePx)}:${Math.floor(p.y / cellSizePx)}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(entry);
+    }
+    for (const members of cells.values()) {
+      if (members.length === 1) {
+        addEntryLayers(singles, members[0]);
+      } else {
+        const badge = createBadge(members);
+        clusterBadges.push(badge);
+        group.addLayer(badge);
+      }
+    }
+    showOnly(singles);
+  }
+
+  map.on("moveend", redraw);
+
+  return {
+    /**
+     * Replace the clustered entries and redraw.
+     * @param {Array<{ id: string, latLng: L.LatLng, layer: L.Layer, colour: string, badge?: L.Layer|null }>} nextEntries
+     * @param {{ cluster?: boolean }} [opts] - cluster=false draws every marker individually
+     */
+    setEntries(nextEntries, opts = {}) {
+      entries = Array.isArray(nextEntries) ? nextEntries : [];
+      clustering = opts.cluster === true;
+      redraw();
+    },
+    /** Keep one marker (e.g. the selected location) out of clusters so it stays visible. */
+    setPinnedId(id) {
+      if (pinnedId === (id ?? null)) return;
+      pinnedId = id ?? null;
+      if (clustering) redraw();
+    },
+    /** @returns {L.LatLngBounds | null} Bounds of all entries, clustered or not. */
+    getBounds() {
+      return entries.length > 0 ? L.latLngBounds(entries.map((e) => e.latLng)) : null;
+    },
+    destroy() {
+      map.off("moveend", redraw);
+    },
+  };
+}
@@ -7,6 +7,7 @@ import "leaflet/dist/leaflet.css";
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
 import markerIcon from "leaflet/dist/images/marker-icon.png";
 import markerShadow from "leaflet/dist/images/marker-shadow.png";
+import { createCachedTileLayer } from "./tileCache.js";
 
 L.Icon.Default.mergeOptions({
   iconRetinaUrl: markerIcon2x,
@@ -24,11 +25,8 @@ export function initMap(container) {
     tap: false, // custom touch handlers in mapController.js handle tap detection
   });
 
-  // Basic tile layer; can be swapped later if needed.
-  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-    attribution: "&copy; OpenStreetMap contributors",
-    maxZoom: 19,
-  }).addTo(map);
+  // OSM tiles, served from the offline tile cache first when an area has been downloaded.
+  createCachedTileLayer().addTo(map);
 
   return map;
 }
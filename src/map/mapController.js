@@ -4,6 +4,7 @@
 
 import L from "leaflet";
 import { initMap } from "./initMap.js";
+import { createClusterLayer } from "./clusterLayer.js";
 
 function darkenHex(hex) {
   if (!hex || hex.length < 7) return "#b91c1c";
@@ -16,6 +17,20 @@ function darkenHex(hex) {
   return `#${dr}${dg}${db}`;
 }
 
+const BASE_RADIUS = 6;
+const HOVER_RADIUS = 7;
+const SELECTED_RADIUS = 10;
+const SUGGESTION_RADIUS = 8;
+const SELECTED_WEIGHT = 3;
+const DEFAULT_WEIGHT = 2;
+const VISITED_FILL = "#9ca3af";
+const VISITED_STROKE = "#6b7280";
+const SUGGESTION_FILL = "#3b82f6";
+const SUGGESTION_STROKE = "#ffffff";
+// Service urgency ring (see domain/schedule.js); fill keeps the run colour.
+const URGENCY_STROKES = { overdue: "#991b1b", dueToday: "#ea580c", dueThisWeek: "#ca8a04" };
+const URGENCY_WEIGHT = 3;
+
 export function createMapController(container, initialState) {
   const map = initMap(container);
   const onLocationSelected = initialState.onLocationSelected;
@@ -26,7 +41,11 @@ export function createMapController(container, initialState) {
   };
 
   const locationsLayer = L.featureGroup();
-  const layerById = {};
+  // Grid clustering of location markers at low zoom (Maintenance mode)
+  const clusterLayer = createClusterLayer(map, locationsLayer);
+  // Keyed marker registry: one entry per rendered location, reused across renders.
+  /** @type {Map<string, { loc: object, layer: L.Layer, circle: boolean, isVisited: boolean, isSuggestion: boolean, runColour: string|null, urgency: string|null, clusterEntry: object }>} */
+  const markerRegistry = new Map();
   let hasFittedBounds = false;
   let selectedLocationId = null;
   let lastTouchTapTime = 0;
@@ -40,6 +59,9 @@ export function createMapController(container, initialState) {
   let addModeBanner = null;
   let addModeZoomListener = null;
 
+  // Planned route: numbered polyline through the run's stops, drawn under the markers
+  const routeLayer = L.featureGroup();
+
   // GPS "You Are Here" marker (PRD V2.0) – separate layer, no interaction
   const gpsLayer = L.featureGroup();
   let gpsMarker = null;
@@ -57,10 +79,126 @@ export function createMapController(container, initialState) {
   }
 
   /**
-   * Render location markers. Applies filters in order (PRD V1.7): status → unassigned → search.
+   * Apply the circle marker style for an entry's current state (hover, selection, visited, suggestion).
+   * @param {object} entry - Marker registry entry
+   * @param {boolean} [isHovered]
+   * @param {boolean} [isSelected] - Defaults to whether the entry is the selected location
+   */
+  function styleMarker(entry, isHovered = false, isSelected = entry.loc.id === selectedLocationId) {
+    if (!entry.circle || !entry.layer.setStyle) return;
+    const { isVisited, isSuggestion, runColour, urgency } = entry;
+    const urgencyStroke = !isVisited && !isSuggestion ? URGENCY_STROKES[urgency] : undefined;
+    const radius = isSuggestion ? SUGGESTION_RADIUS : (isSelected ? SELECTED_RADIUS : (isHovered ? HOVER_RADIUS : BASE_RADIUS));
+    const weight = isSelected ? SELECTED_WEIGHT : (isSuggestion ? 2 : (urgencyStroke ? URGENCY_WEIGHT : DEFAULT_WEIGHT));
+    let fillColor, color, fillOpacity;
+    if (isSuggestion) {
+      fillColor = SUGGESTION_FILL;
+      color = SUGGESTION_STROKE;
+      fillOpacity = 0.9;
+    } else if (isSelected && !isVisited) {
+      fillColor = "#ffffff";
+      color = runColour ? darkenHex(runColour) : "#ef4444";
+      fillOpacity = 1.0;
+    } else {
+      fillColor = isVisited ? VISITED_FILL : (runColour ?? "#ef4444");
+      color = isVisited ? VISITED_STROKE : (runColour ? darkenHex(runColour) : "#b91c1c");
+      fillOpacity = isVisited ? 0.65 : 0.9;
+    }
+    if (urgencyStroke && !isSelected) color = urgencyStroke;
+    entry.layer.setStyle({ radius, weight, fillColor, color, fillOpacity });
+  }
+
+  /** Small "!" badge drawn beside a marker with open issues; shown and hidden with it by the cluster layer. */
+  function createIssueBadge(latLng) {
+    return L.marker(latLng, {
+      icon: L.divIcon({
+        className: "map-issue-badge",
+        html: "<span>!</span>",
+        iconSize: [14, 14],
+        iconAnchor: [-3, 17],
+      }),
+      interactive: false,
+      keyboard: false,
+    });
+  }
+
+  /**
+   * Create a registry entry with its marker and interaction handlers. Handlers read the entry,
+   * so later renders can update the location and styling state without rebinding them.
+   * @param {{ id: string, latitude: number, longitude: number }} loc
+   * @param {boolean} circle - Circle marker (styled) vs default pin marker
+   */
+  function createMarkerEntry(loc, circle) {
+    const latLng = L.latLng(loc.latitude, loc.longitude);
+    const layer = circle
+      ? L.circleMarker(latLng, { radius: BASE_RADIUS, weight: DEFAULT_WEIGHT })
+      : L.marker(latLng);
+    const entry = {
+      loc,
+      layer,
+      circle,
+      isVisited: false,
+      isSuggestion: false,
+      runColour: null,
+      urgency: null,
+      clusterEntry: { id: loc.id, latLng, layer, colour: "#ef4444", badge: null },
+    };
+
+    if (circle) {
+      layer.on("mouseover", () => styleMarker(entry, true));
+      layer.on("mouseout", () => styleMarker(entry, false));
+    }
+
+    function triggerSelect() {
+      if (circle) {
+        styleMarker(entry, true, true);
+        setTimeout(() => styleMarker(entry, false), 150);
+      }
+      if (typeof onLocationSelected === "function") {
+        onLocationSelected(entry.loc);
+      }
+    }
+
+    layer.on("click", () => {
+      if (Date.now() - lastTouchTapTime < TOUCH_CLICK_SUPPRESS_MS) return;
+      triggerSelect();
+    });
+
+    let touchStartX = 0;
+    let touchStartY = 0;
+    layer.on("touchstart", (e) => {
+      if (e.originalEvent?.touches?.length === 1) {
+        touchStartX = e.originalEvent.touches[0].clientX;
+        touchStartY = e.originalEvent.touches[0].clientY;
+      }
+    }, { passive: true });
+    layer.on("touchend", (e) => {
+      if (e.originalEvent?.changedTouches?.length !== 1) return;
+      const t = e.originalEvent.changedTouches[0];
+      const dx = t.clientX - touchStartX;
+      const dy = t.clientY - touchStartY;
+      if (dx * dx + dy * dy <= TOUCH_MOVE_THRESHOLD_PX * TOUCH_MOVE_THRESHOLD_PX) {
+        lastTouchTapTime = Date.now();
+        e.originalEvent?.preventDefault?.();
+        triggerSelect();
+      }
+    }, { passive: false });
+
+    return entry;
+  }
+
+  /**
+   * Render location markers. Applies filters in order (PRD V1.7): status → unassigned → due → issues → search.
    * When skipMaintenanceFilters (Operation mode), uses locations as-is and supports visitedLocationIds styling (PRD V1.8).
+   * Markers are kept in a keyed registry between renders: only added, removed, moved or restyled
+   * locations touch Leaflet, so a refresh costs O(changes) rather than O(locations).
    * @param {Array<{ id: string, latitude: number, longitude: number, status?: string, name?: string }>} locations
-   * @param {{ forceFitBounds?: boolean, useCircleMarkers?: boolean, statusFilters?: object, unassignedOnly?: boolean, searchQuery?: string, assignedLocationIds?: Set<string>|string[], skipMaintenanceFilters?: boolean, visitedLocationIds?: Set<string> }} [opts]
+   * When routeOrder is given, draws a numbered polyline through the visible locations in that order.
+   * When cluster is set, nearby markers are grouped into count badges below the cluster zoom.
+   * locationUrgency (id → "overdue" | "dueToday" | "dueThisWeek" | …) tints marker outlines by service urgency.
+   * issueLocationIds puts a "!" badge on locations with open issues (see issues.js).
+   * @param {{ forceFitBounds?: boolean, useCircleMarkers?: boolean, statusFilters?: object, unassignedOnly?: boolean, dueOnly?: boolean, issuesOnly?: boolean, searchQuery?: string, assignedLocationIds?: Set<string>|string[], dueLocationIds?: Set<string>, issueLocationIds?: Set<string>, locationUrgency?: Record<string, string>, skipMaintenanceFilters?: boolean, visitedLocationIds?: Set<string>, routeOrder?: string[], cluster?: boolean }} [opts]
+   * @returns {{ added: number, removed: number, updated: number }} Registry changes made by this render
    */
   function renderLocations(locations, opts = {}) {
     const forceFitBounds = opts.forceFitBounds === true;
@@ -70,15 +208,14 @@ export function createMapController(container, initialState) {
       ? opts.visitedLocationIds
       : new Set(Array.isArray(opts.visitedLocationIds) ? opts.visitedLocationIds : []);
     const locationRunColours = opts.locationRunColours ?? {};
+    const locationUrgency = opts.locationUrgency ?? {};
+    const issueSet = opts.issueLocationIds instanceof Set ? opts.issueLocationIds : new Set();
 
     const inputCount = Array.isArray(locations) ? locations.length : 0;
     if (forceFitBounds) {
       hasFittedBounds = false;
     }
 
-    locationsLayer.clearLayers();
-    Object.keys(layerById).forEach((id) => delete layerById[id]);
-
     let visible = Array.isArray(locations) ? locations : [];
     if (!skipMaintenanceFilters) {
       const statusFilters = opts.statusFilters ?? { active: true, archived: false, deleted: false };
@@ -91,6 +228,13 @@ export function createMapController(container, initialState) {
       if (unassignedOnly) {
         visible = visible.filter((loc) => !assignedSet.has(loc.id));
       }
+      if (opts.dueOnly === true) {
+        const dueSet = opts.dueLocationIds instanceof Set ? opts.dueLocationIds : new Set();
+        visible = visible.filter((loc) => dueSet.has(loc.id));
+      }
+      if (opts.issuesOnly === true) {
+        visible = visible.filter((loc) => issueSet.has(loc.id));
+      }
       if (searchQuery) {
         visible = visible.filter((loc) =>
           (loc.name != null && String(loc.name).toLowerCase().includes(searchQuery))
@@ -98,178 +242,147 @@ export function createMapController(container, initialState) {
       }
     }
 
-    // eslint-disable-next-line no-console
-    console.log(`[map] renderLocations input=${inputCount} visible=${visible.length}`);
-
-    const baseRadius = 6;
-    const hoverRadius = 7;
-    const selectedRadius = 10;
-    const suggestionRadius = 8;
-    const selectedWeight = 3;
-    const defaultWeight = 2;
-    const visitedFill = "#9ca3af";
-    const visitedStroke = "#6b7280";
-    const suggestionFill = "#3b82f6";
-    const suggestionStroke = "#ffffff";
     const suggestionSet = opts.suggestionLocationIds instanceof Set
       ? opts.suggestionLocationIds
       : new Set(Array.isArray(opts.suggestionLocationIds) ? opts.suggestionLocationIds : []);
 
-    function applyMarkerStyle(l, id, isHovered, isSelected, isVisited, isSuggestion) {
-      if (!useCircleMarkers || !l.setStyle) return;
-      const radius = isSuggestion ? suggestionRadius : (isSelected ? selectedRadius : (isHovered ? hoverRadius : baseRadius));
-      const weight = isSelected ? selectedWeight : (isSuggestion ? 2 : defaultWeight);
-      const runColour = locationRunColours[id] ?? null;
-      let fillColor, color, fillOpacity;
-      if (isSuggestion) {
-        fillColor = suggestionFill;
-        color = suggestionStroke;
-        fillOpacity = 0.9;
-      } else if (isSelected && !isVisited) {
-        fillColor = "#ffffff";
-        color = runColour ? darkenHex(runColour) : "#ef4444";
-        fillOpacity = 1.0;
-      } else {
-        fillColor = isVisited ? visitedFill : (runColour ?? "#ef4444");
-        color = isVisited ? visitedStroke : (runColour ? darkenHex(runColour) : "#b91c1c");
-        fillOpacity = isVisited ? 0.65 : 0.9;
+    const stats = { added: 0, removed: 0, updated: 0 };
+    const visibleIds = new Set(visible.map((loc) => loc.id));
+    for (const [id, entry] of markerRegistry) {
+      if (!visibleIds.has(id) || entry.circle !== useCircleMarkers) {
+        markerRegistry.delete(id);
+        stats.removed += 1;
       }
-      l.setStyle({ radius, weight, fillColor, color, fillOpacity });
     }
 
+    const clusterEntries = [];
     for (const loc of visible) {
-      const isVisited = visitedSet.has(loc.id);
-      const isSuggestion = suggestionSet.has(loc.id);
-      const runColour = locationRunColours[loc.id] ?? null;
-      const radius = isSuggestion ? suggestionRadius : baseRadius;
-      const fillColor = isSuggestion ? suggestionFill : (isVisited ? visitedFill : (runColour ?? "#ef4444"));
-      const color = isSuggestion ? suggestionStroke : (isVisited ? visitedStroke : (runColour ? darkenHex(runColour) : "#b91c1c"));
-      const layer = useCircleMarkers
-        ? L.circleMarker([loc.latitude, loc.longitude], {
-            radius,
-            weight: isSuggestion ? 2 : defaultWeight,
-            fillColor,
-            color,
-            fillOpacity: isSuggestion ? 0.9 : (isVisited ? 0.65 : 0.9),
-          })
-        : L.marker([loc.latitude, loc.longitude]);
-
-      if (useCircleMarkers) {
-        layer._locationId = loc.id;
-        layer._isVisited = isVisited;
-        layer._isSuggestion = isSuggestion;
-        layer._runColour = runColour;
-        layer.on("mouseover", () => {
-          applyMarkerStyle(layer, loc.id, true, loc.id === selectedLocationId, visitedSet.has(loc.id), isSuggestion);
-        });
-        layer.on("mouseout", () => {
-          applyMarkerStyle(layer, loc.id, false, loc.id === selectedLocationId, visitedSet.has(loc.id), isSuggestion);
-        });
-      }
-
-      function triggerSelect() {
-        if (useCircleMarkers) {
-          applyMarkerStyle(layer, loc.id, true, true, visitedSet.has(loc.id), isSuggestion);
-          setTimeout(() => {
-            applyMarkerStyle(layer, loc.id, false, loc.id === selectedLocationId, visitedSet.has(loc.id), isSuggestion);
-          }, 150);
-        }
-        if (typeof onLocationSelected === "function") {
-          onLocationSelected(loc);
+      let entry = markerRegistry.get(loc.id);
+      const isNew = !entry;
+      if (isNew) {
+        entry = createMarkerEntry(loc, useCircleMarkers);
+        markerRegistry.set(loc.id, entry);
+        stats.added += 1;
+      } else {
+        const prevLatLng = entry.clusterEntry.latLng;
+        if (prevLatLng.lat !== Number(loc.latitude) || prevLatLng.lng !== Number(loc.longitude)) {
+          entry.clusterEntry.latLng = L.latLng(loc.latitude, loc.longitude);
+          entry.layer.setLatLng(entry.clusterEntry.latLng);
+          entry.clusterEntry.badge?.setLatLng(entry.clusterEntry.latLng);
+          stats.updated += 1;
         }
       }
+      entry.loc = loc;
 
-      layer.on("click", () => {
-        if (Date.now() - lastTouchTapTime < TOUCH_CLICK_SUPPRESS_MS) return;
-        triggerSelect();
-      });
-
-      let touchStartX = 0;
-      let touchStartY = 0;
-      layer.on("touchstart", (e) => {
-        if (e.originalEvent?.touches?.length === 1) {
-          touchStartX = e.originalEvent.touches[0].clientX;
-          touchStartY = e.originalEvent.touches[0].clientY;
-        }
-      }, { passive: true });
-      layer.on("touchend", (e) => {
-        if (e.originalEvent?.changedTouches?.length !== 1) return;
-        const t = e.originalEvent.changedTouches[0];
-        const dx = t.clientX - touchStartX;
-        const dy = t.clientY - touchStartY;
-        if (dx * dx + dy * dy <= TOUCH_MOVE_THRESHOLD_PX * TOUCH_MOVE_THRESHOLD_PX) {
-          lastTouchTapTime = Date.now();
-          e.originalEvent?.preventDefault?.();
-          triggerSelect();
-        }
-      }, { passive: false });
+      const hasIssues = issueSet.has(loc.id);
+      if (hasIssues !== Boolean(entry.clusterEntry.badge)) {
+        entry.clusterEntry.badge = hasIssues ? createIssueBadge(entry.clusterEntry.latLng) : null;
+        if (!isNew) stats.updated += 1;
+      }
 
-      if (useCircleMarkers) {
-        layerById[loc.id] = layer;
-        applyMarkerStyle(layer, loc.id, false, loc.id === selectedLocationId, visitedSet.has(loc.id), isSuggestion);
+      const isVisited = visitedSet.has(loc.id);
+      const isSuggestion = suggestionSet.has(loc.id);
+      const runColour = locationRunColours[loc.id] ?? null;
+      const urgency = locationUrgency[loc.id] ?? null;
+      const styleChanged = entry.isVisited !== isVisited
+        || entry.isSuggestion !== isSuggestion
+        || entry.runColour !== runColour
+        || entry.urgency !== urgency;
+      if (isNew || styleChanged) {
+        entry.isVisited = isVisited;
+        entry.isSuggestion = isSuggestion;
+        entry.runColour = runColour;
+        entry.urgency = urgency;
+        entry.clusterEntry.colour = isVisited ? VISITED_FILL : (runColour ?? "#ef4444");
+        styleMarker(entry);
+        if (!isNew) stats.updated += 1;
       }
-      locationsLayer.addLayer(layer);
+      clusterEntries.push(entry.clusterEntry);
     }
+    clusterLayer.setEntries(clusterEntries, { cluster: opts.cluster === true });
+
+    // eslint-disable-next-line no-console
+    console.log(`[map] renderLocations input=${inputCount} visible=${visible.length} added=${stats.added} removed=${stats.removed} updated=${stats.updated}`);
+
+    renderRoute(visible, opts.routeOrder, visitedSet, locationRunColours);
 
     if (!map.hasLayer(locationsLayer)) {
       locationsLayer.addTo(map);
     }
 
-    const layerCount = locationsLayer.getLayers().length;
-    const layerOnMap = map.hasLayer(locationsLayer);
-    // eslint-disable-next-line no-console
-    console.log(`[map] layerCount=${layerCount} layerOnMap=${layerOnMap}`);
-
     const shouldFit = (visible.length > 0 && !hasFittedBounds) || forceFitBounds;
-    if (shouldFit && locationsLayer.getLayers().length > 0) {
-      map.fitBounds(locationsLayer.getBounds(), { padding: [40, 40], maxZoom: 14 });
+    const bounds = clusterLayer.getBounds();
+    if (shouldFit && bounds) {
+      map.fitBounds(bounds, { padding: [40, 40], maxZoom: 14 });
       hasFittedBounds = true;
     }
+    return stats;
+  }
+
+  /**
+   * Draw the planned route: a polyline through stops in routeOrder and a number label per stop.
+   * Stops that are not visible are skipped; numbering keeps the planned position.
+   */
+  function renderRoute(visible, routeOrder, visitedSet, locationRunColours) {
+    routeLayer.clearLayers();
+    if (!Array.isArray(routeOrder) || routeOrder.length === 0) {
+      if (map.hasLayer(routeLayer)) map.removeLayer(routeLayer);
+      return;
+    }
+    const byId = new Map(visible.map((loc) => [loc.id, loc]));
+    const stops = [];
+    routeOrder.forEach((id, index) => {
+      const loc = byId.get(id);
+      if (loc) stops.push({ loc, number: index + 1 });
+    });
+    if (stops.length === 0) {
+      if (map.hasLayer(routeLayer)) map.removeLayer(routeLayer);
+      return;
+    }
+    const lineColour = locationRunColours[stops[0].loc.id] ?? "#3b82f6";
+    if (stops.length > 1) {
+      L.polyline(stops.map(({ loc }) => [loc.latitude, loc.longitude]), {
+        color: darkenHex(lineColour),
+        weight: 3,
+        opacity: 0.7,
+        dashArray: "6 6",
+        interactive: false,
+      }).addTo(routeLayer);
+    }
+    for (const { loc, number } of stops) {
+      const visited = visitedSet.has(loc.id);
+      L.marker([loc.latitude, loc.longitude], {
+        icon: L.divIcon({
+          className: visited ? "route-stop-number route-stop-number-visited" : "route-stop-number",
+          html: `<span>${number}</span>`,
+          iconSize: [18, 18],
+          iconAnchor: [-4, 22],
+        }),
+        interactive: false,
+        keyboard: false,
+      }).addTo(routeLayer);
+    }
+    if (!map.hasLayer(routeLayer)) {
+      routeLayer.addTo(map);
+    }
+    routeLayer.bringToBack?.();
   }
 
   function setSelectedLocationId(id) {
     if (selectedLocationId === id) return;
     const prev = selectedLocationId;
     selectedLocationId = id ?? null;
-    const baseRadius = 6;
-    const hoverRadius = 7;
-    const selectedRadius = 10;
-    const suggestionRadius = 8;
-    const selectedWeight = 3;
-    const defaultWeight = 2;
-    const updateStyle = (l, selected) => {
-      if (!l.setStyle) return;
-      const isSuggestion = l._isSuggestion === true;
-      const isVisited = l._isVisited === true;
-      const runColour = l._runColour ?? null;
-      const radius = selected ? (isSuggestion ? suggestionRadius : selectedRadius) : (isSuggestion ? suggestionRadius : baseRadius);
-      const weight = selected ? selectedWeight : (isSuggestion ? 2 : defaultWeight);
-      let fillColor, color, fillOpacity;
-      if (isSuggestion) {
-        fillColor = "#3b82f6";
-        color = "#ffffff";
-        fillOpacity = 0.9;
-      } else if (selected && !isVisited) {
-        fillColor = "#ffffff";
-        color = runColour ? darkenHex(runColour) : "#ef4444";
-        fillOpacity = 1.0;
-      } else {
-        fillColor = isVisited ? "#9ca3af" : (runColour ?? "#ef4444");
-        color = isVisited ? "#6b7280" : (runColour ? darkenHex(runColour) : "#b91c1c");
-        fillOpacity = isVisited ? 0.65 : 0.9;
-      }
-      l.setStyle({ radius, weight, fillColor, color, fillOpacity });
-    };
-    if (prev && layerById[prev]) {
-      updateStyle(layerById[prev], false);
+    clusterLayer.setPinnedId(selectedLocationId);
+    if (prev && markerRegistry.has(prev)) {
+      styleMarker(markerRegistry.get(prev));
     }
-    if (selectedLocationId && layerById[selectedLocationId]) {
-      updateStyle(layerById[selectedLocationId], true);
+    if (selectedLocationId && markerRegistry.has(selectedLocationId)) {
+      styleMarker(markerRegistry.get(selectedLocationId));
     }
   }
 
   function panToLocation(id) {
-    const layer = layerById[id];
+    const layer = markerRegistry.get(id)?.layer;
     if (layer && layer.getLatLng) {
       map.panTo(layer.getLatLng());
       setSelectedLocationId(id);
@@ -0,0 +1,294 @@
+// Offline map tiles: pre-fetch tiles for an area into the Cache API and
+// serve cached tiles first from a Leaflet tile layer. Used by the main map and run detail map.
+//
+// The tile server defaults to VITE_TILE_URL (a Leaflet URL template) and VITE_TILE_ATTRIBUTION at
+// build time, and can be changed at runtime from Settings (setTileServer). The fallback is the
+// OpenStreetMap Foundation's servers, whose tile usage policy
+// (https://operations.osmfoundation.org/policies/tiles/) forbids bulk downloading, so area
+// pre-fetch is off for that host until a server that allows it is configured.
+
+import L from "leaflet";
+
+const TILE_CACHE_NAME = "gumball-tiles-v1";
+/** Tile server in effect when none is configured in Settings. */
+export const DEFAULT_TILE_SERVER = {
+  url: import.meta.env?.VITE_TILE_URL || "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+  attribution: import.meta.env?.VITE_TILE_ATTRIBUTION || "&copy; OpenStreetMap contributors",
+};
+const TILE_SUBDOMAIN = "a";
+const DOWNLOAD_CONCURRENCY = 4;
+/** Hosts whose usage policy forbids bulk downloads. */
+const NO_PREFETCH_HOSTS = /(^|\.)tile\.openstreetmap\.org$/;
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function templateHost(template) {
+  try {
+    return new URL(template.replace(/\{[a-z]+\}/g, TILE_SUBDOMAIN)).hostname;
+  } catch (_) {
+    return "";
+  }
+}
+
+let tileServer = { ...DEFAULT_TILE_SERVER };
+/** Cached tile layers currently on a map, re-pointed when the tile server changes. */
+const activeLayers = new Set();
+
+/**
+ * Tile server in effect.
+ * @returns {{ url: string, attribution: string }}
+ */
+export function getTileServer() {
+  return { ...tileServer };
+}
+
+/**
+ * False when the tile server in effect does not allow area pre-fetch (the OSM servers).
+ * @returns {boolean}
+ */
+export function isTilePrefetchAllowed() {
+  return !NO_PREFETCH_HOSTS.test(templateHost(tileServer.url));
+}
+
+/**
+ * Switch tile server (an empty url restores the default) and reload the tiles of open maps.
+ * Tiles cached from another server stay in the cache but are not used.
+ * @param {{ url?: string, attribution?: string }} server - attribution is plain text
+ */
+export function setTileServer(server) {
+  const previous = tileServer;
+  tileServer = server?.url
+    ? { url: server.url, attribution: escapeHtml(server.attribution || "") }
+    : { ...DEFAULT_TILE_SERVER };
+  if (tileServer.url === previous.url && tileServer.attribution === previous.attribution) return;
+  for (const layer of activeLayers) {
+    const control = layer._map?.attributionControl;
+    if (control && previous.attribution) control.removeAttribution(previous.attribution);
+    layer.options.attribution = tileServer.attribution;
+    if (control && tileServer.attribution) control.addAttribution(tileServer.attribution);
+    layer.setUrl(tileServer.url);
+  }
+}
+
+/** Hard cap per download so a wide area or deep zoom can't hammer the tile server or fill storage. */
+export const MAX_TILES_PER_DOWNLOAD = 5000;
+export const MIN_OFFLINE_ZOOM = 8;
+export const MAX_OFFLINE_ZOOM = 17;
+
+function hasCacheApi() {
+  return typeof caches !== "undefined" && typeof caches.open === "function";
+}
+
+function fillTemplate(template, z, x, y) {
+  return template.replace("{z}", z).replace("{x}", x).replace("{y}", y).replace("{r}", "");
+}
+
+/**
+ * Canonical cache key for a tile. Subdomains are dropped so a tile cached via "a." is found via "b.".
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function tileKey(z, x, y) {
+  return fillTemplate(tileServer.url.replace("{s}.", "").replace("{s}", TILE_SUBDOMAIN), z, x, y);
+}
+
+/** URL a tile is downloaded from (first subdomain). */
+function tileFetchUrl(z, x, y) {
+  return fillTemplate(tileServer.url.replace("{s}", TILE_SUBDOMAIN), z, x, y);
+}
+
+function lonToTileX(lon, z) {
+  return Math.floor(((lon + 180) / 360) * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+  const clamped = Math.max(-85.0511, Math.min(85.0511, lat));
+  const rad = (clamped * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+}
+
+/**
+ * Tile coordinate ranges covering a bounding box for each zoom level.
+ * @param {{ south: number, west: number, north: number, east: number }} bounds
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @returns {Array<{ z: number, minX: number, maxX: number, minY: number, maxY: number }>}
+ */
+function tileRanges(bounds, minZoom, maxZoom) {
+  const ranges = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const max = 2 ** z - 1;
+    ranges.push({
+      z,
+      minX: Math.max(0, lonToTileX(bounds.west, z)),
+      maxX: Math.min(max, lonToTileX(bounds.east, z)),
+      minY: Math.max(0, latToTileY(bounds.north, z)),
+      maxY: Math.min(max, latToTileY(bounds.south, z)),
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Number of tiles needed to cover bounds over a zoom range.
+ * @param {{ south: number, west: number, north: number, east: number }} bounds
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @returns {number}
+ */
+export function countTilesForBounds(bounds, minZoom, maxZoom) {
+  return tileRanges(bounds, minZoom, maxZoom).reduce(
+    (sum, r) => sum + (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1),
+    0
+  );
+}
+
+/**
+ * Download tiles for an area into the tile cache. Tiles already cached are skipped.
+ * @param {{ south: number, west: number, north: number, east: number }} bounds
+ * @param {{ minZoom: number, maxZoom: number, onProgress?: (done: number, total: number) => void }} options
+ * @returns {Promise<{ total: number, downloaded: number, skipped: number, failed: number }>}
+ */
+export async function downloadTilesForBounds(bounds, options) {
+  if (!hasCacheApi()) {
+    throw new Error("Offline maps are not supported in this browser");
+  }
+  if (!isTilePrefetchAllowed()) {
+    throw new Error("Area download is off: the OpenStreetMap tile servers do not allow bulk downloads. Set a tile server in Settings.");
+  }
+  const minZoom = Math.max(MIN_OFFLINE_ZOOM, Math.min(options.minZoom, options.maxZoom));
+  const maxZoom = Math.min(MAX_OFFLINE_ZOOM, Math.max(options.minZoom, options.maxZoom));
+  const total = countTilesForBounds(bounds, minZoom, maxZoom);
+  if (total > MAX_TILES_PER_DOWNLOAD) {
+    throw new Error(`Area needs ${total} tiles (limit ${MAX_TILES_PER_DOWNLOAD}). Lower the max zoom.`);
+  }
+
+  const tiles = [];
+  for (const r of tileRanges(bounds, minZoom, maxZoom)) {
+    for (let x = r.minX; x <= r.maxX; x++) {
+      for (let y = r.minY; y <= r.maxY; y++) tiles.push([r.z, x, y]);
+    }
+  }
+
+  const cache = await caches.open(TILE_CACHE_NAME);
+  const result = { total, downloaded: 0, skipped: 0, failed: 0 };
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < tiles.length) {
+      const [z, x, y] = tiles[next++];
+      const key = tileKey(z, x, y);
+      try {
+        if (await cache.match(key)) {
+          result.skipped += 1;
+        } else {
+          const resp = await fetch(tileFetchUrl(z, x, y), { mode: "cors" });
+          if (!resp.ok) throw new Error(`Tile fetch failed: ${resp.status}`);
+          await cache.put(key, resp);
+          result.downloaded += 1;
+        }
+      } catch (_) {
+        result.failed += 1;
+      }
+      done += 1;
+      if (typeof options.onProgress === "function") options.onProgress(done, total);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, tiles.length) }, worker));
+  return result;
+}
+
+/**
+ * Tile cache size and browser storage quota.
+ * @returns {Promise<{ supported: boolean, tileCount: number, usageBytes: number | null, quotaBytes: number | null }>}
+ */
+export async function getTileCacheStatus() {
+  if (!hasCacheApi()) {
+    return { supported: false, tileCount: 0, usageBytes: null, quotaBytes: null };
+  }
+  const cache = await caches.open(TILE_CACHE_NAME);
+  const tileCount = (await cache.keys()).length;
+  let usageBytes = null;
+  let quotaBytes = null;
+  if (navigator.storage?.estimate) {
+    try {
+      const estimate = await navigator.storage.estimate();
+      usageBytes = estimate.usage ?? null;
+      quotaBytes = estimate.quota ?? null;
+    } catch (_) {
+      // Estimate is best-effort; leave as unknown.
+    }
+  }
+  return { supported: true, tileCount, usageBytes, quotaBytes };
+}
+
+/**
+ * Delete all cached tiles.
+ */
+export async function purgeTileCache() {
+  if (!hasCacheApi()) return;
+  await caches.delete(TILE_CACHE_NAME);
+}
+
+const CachedTileLayer = L.TileLayer.extend({
+  onAdd(map) {
+    activeLayers.add(this);
+    return L.TileLayer.prototype.onAdd.call(this, map);
+  },
+
+  onRemove(map) {
+    activeLayers.delete(this);
+    return L.TileLayer.prototype.onRemove.call(this, map);
+  },
+
+  createTile(coords, done) {
+    const tile = document.createElement("img");
+    L.DomEvent.on(tile, "load", L.Util.bind(this._tileOnLoad, this, done, tile));
+    L.DomEvent.on(tile, "error", L.Util.bind(this._tileOnError, this, done, tile));
+    tile.alt = "";
+    tile.setAttribute("role", "presentation");
+
+    const networkUrl = this.getTileUrl(coords);
+    if (!hasCacheApi()) {
+      tile.src = networkUrl;
+      return tile;
+    }
+    const key = tileKey(this._getZoomForUrl(), coords.x, coords.y);
+    caches
+      .open(TILE_CACHE_NAME)
+      .then((cache) => cache.match(key))
+      .then((resp) => (resp ? resp.blob() : null))
+      .then((blob) => {
+        if (!blob) {
+          tile.src = networkUrl;
+          return;
+        }
+        const objectUrl = URL.createObjectURL(blob);
+        L.DomEvent.on(tile, "load error", () => URL.revokeObjectURL(objectUrl));
+        tile.src = objectUrl;
+      })
+      .catch(() => {
+        tile.src = networkUrl;
+      });
+    return tile;
+  },
+});
+
+/**
+ * Tile layer (the tile server in effect, default OSM) that serves tiles from the offline cache first, then the network.
+ * @returns {L.TileLayer}
+ */
+export function createCachedTileLayer() {
+  return new CachedTileLayer(tileServer.url, {
+    attribution: tileServer.attribution,
+    maxZoom: 19,
+  });
+}
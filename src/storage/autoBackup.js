@@ -0,0 +1,157 @@
+/**
+ * Automatic local backups: snapshots of exportAllData() taken daily and/or after each finished run,
+ * kept in an OPFS directory where the browser has one and in the IndexedDB "snapshots" store otherwise.
+ * Only the newest N snapshots are kept.
+ */
+
+import { deleteEntity, getAllFromStore, getEntity, putEntity } from "./indexedDb.js";
+import { exportAllData } from "./backup.js";
+
+export const SNAPSHOT_REASONS = ["daily", "afterRun", "manual"];
+export const DAILY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const OPFS_DIR = "snapshots";
+const SNAPSHOT_FILE_RE = /^(snapshot-(\d+)-(daily|afterRun|manual))\.json$/;
+
+let opfsDirPromise = null;
+
+/** @returns {Promise<FileSystemDirectoryHandle|null>} */
+function getOpfsDir() {
+  if (!opfsDirPromise) {
+    opfsDirPromise = (async () => {
+      if (typeof navigator === "undefined" || typeof navigator.storage?.getDirectory !== "function") return null;
+      try {
+        const root = await navigator.storage.getDirectory();
+        const dir = await root.getDirectoryHandle(OPFS_DIR, { create: true });
+        // Safari exposes OPFS without createWritable on the main thread; fall back to IndexedDB there.
+        const probe = await dir.getFileHandle(".probe", { create: true });
+        const writable = typeof probe.createWritable === "function";
+        await dir.removeEntry(".probe");
+        return writable ? dir : null;
+      } catch (_) {
+        return null;
+      }
+    })();
+  }
+  return opfsDirPromise;
+}
+
+const opfsBackend = (dir) => ({
+  kind: "opfs",
+  async write(meta, text) {
+    const handle = await dir.getFileHandle(`${meta.id}.json`, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(text);
+    await writable.close();
+  },
+  async list() {
+    const out = [];
+    for await (const [name, handle] of dir.entries()) {
+      const match = SNAPSHOT_FILE_RE.exec(name);
+      if (!match || handle.kind !== "file") continue;
+      const file = await handle.getFile();
+      out.push({ id: match[1], createdAt: new Date(Number(match[2])).toISOString(), reason: match[3], size: file.size });
+    }
+    return out;
+  },
+  async read(id) {
+    const handle = await dir.getFileHandle(`${id}.json`);
+    return (await handle.getFile()).text();
+  },
+  async remove(id) {
+    await dir.removeEntry(`${id}.json`);
+  },
+});
+
+const indexedDbBackend = {
+  kind: "indexedDb",
+  async write(meta, text) {
+    await putEntity("snapshots", { ...meta, data: text });
+  },
+  async list() {
+    const records = await getAllFromStore("snapshots");
+    return (records || []).map(({ data, ...meta }) => meta);
+  },
+  async read(id) {
+    const record = await getEntity("snapshots", id);
+    if (!record) throw new Error("Snapshot not found");
+    return record.data;
+  },
+  async remove(id) {
+    await deleteEntity("snapshots", id);
+  },
+};
+
+async function getBackend() {
+  const dir = await getOpfsDir();
+  return dir ? opfsBackend(dir) : indexedDbBackend;
+}
+
+/**
+ * Snapshots, newest first.
+ * @returns {Promise<Array<{ id: string, createdAt: string, reason: string, size: number }>>}
+ */
+export async function listSnapshots() {
+  const backend = await getBackend();
+  const snapshots = await backend.list();
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Snapshot contents as backup JSON text.
+ * @param {string} id
+ * @returns {Promise<string>}
+ */
+export async function readSnapshot(id) {
+  return (await getBackend()).read(id);
+}
+
+/**
+ * Delete all but the newest `keep` snapshots.
+ * @param {number} keep
+ * @returns {Promise<number>} Number deleted
+ */
+export async function pruneSnapshots(keep) {
+  const backend = await getBackend();
+  const stale = (await listSnapshots()).slice(Math.max(1, keep));
+  for (const snapshot of stale) {
+    await backend.remove(snapshot.id);
+  }
+  return stale.length;
+}
+
+/**
+ * Take a snapshot of all data now, then rotate.
+ * @param {"daily" | "afterRun" | "manual"} reason
+ * @param {{ keep: number, deviceLabel?: string }} options
+ * @returns {Promise<{ id: string, createdAt: string, reason: string, size: number }>}
+ */
+export async function createSnapshot(reason, options) {
+  if (!SNAPSHOT_REASONS.includes(reason)) {
+    throw new Error(`Unknown snapshot reason: ${reason}`);
+  }
+  const backend = await getBackend();
+  const now = Date.now();
+  const text = JSON.stringify(await exportAllData({ deviceLabel: options.deviceLabel }));
+  const meta = {
+    id: `snapshot-${now}-${reason}`,
+    createdAt: new Date(now).toISOString(),
+    reason,
+    size: new Blob([text]).size,
+  };
+  await backend.write(meta, text);
+  await pruneSnapshots(options.keep);
+  return meta;
+}
+
+/**
+ * Take the daily snapshot if the newest snapshot of any kind is more than a day old.
+ * @param {{ daily: boolean, keep: number }} settings
+ * @param {{ deviceLabel?: string }} [options]
+ * @returns {Promise<object|null>} The new snapshot, or null when none was due
+ */
+export async function runScheduledSnapshot(settings, options = {}) {
+  if (!settings?.daily) return null;
+  const [latest] = await listSnapshots();
+  if (latest && Date.now() - new Date(latest.createdAt).getTime() < DAILY_INTERVAL_MS) return null;
+  return createSnapshot("daily", { keep: settings.keep, deviceLabel: options.deviceLabel });
+}
@@ -1,40 +1,339 @@
 // Import/export helpers for full data backup and restore.
-// The implementation starts minimal and can be extended as UI hooks are added.
+// Restore is validated per store, planned as a dry run (added/updated/conflicting counts)
+// and committed in a single multi-store transaction, so a bad file never half-restores.
+// Files carry a version header; older ones are upgraded first (see backupMigrations.js).
 
-import { getAllFromStore, putEntity } from "./indexedDb.js";
+import { DB_VERSION, getAllFromStore, writeStoresAtomically } from "./indexedDb.js";
+import { createBackupHeader, upgradeBackup } from "./backupMigrations.js";
+import { ISSUE_STATUSES } from "../domain/issues.js";
 
-export async function exportAllData() {
-  const [locations, runs, runLocations, visits, runCompletions, activeSessions] = await Promise.all([
+/** Stores included in a full backup, in restore order. */
+export const BACKUP_STORES = ["locations", "runs", "runLocations", "visits", "runCompletions", "activeSessions", "serviceFrequencies", "vanStock", "issues", "auditLog"];
+
+/** Append-only stores keyed by a per-device autoIncrement seq; restored by content, not by key (see planAppendOnly). */
+const APPEND_ONLY_STORES = ["auditLog"];
+
+/** Stores a file must contain (besides locations) to count as a full backup rather than a location list. */
+const FULL_BACKUP_MARKERS = ["runs", "runLocations", "visits"];
+
+const LOCATION_STATUSES = ["active", "archived", "deleted"];
+
+const isString = (v) => typeof v === "string" && v !== "";
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isTimestamp = (v) => isFiniteNumber(v) || (typeof v === "string" && !Number.isNaN(new Date(v).getTime()));
+
+/**
+ * Per-store record checks. Each returns a list of problems for one record (empty when valid).
+ * Only the fields the app relies on are checked; extra fields are kept as-is.
+ */
+const STORE_VALIDATORS = {
+  locations: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    r.name != null && typeof r.name !== "string" && "name must be a string",
+    (!isFiniteNumber(r.latitude) || r.latitude < -90 || r.latitude > 90) && "latitude must be a number between -90 and 90",
+    (!isFiniteNumber(r.longitude) || r.longitude < -180 || r.longitude > 180) && "longitude must be a number between -180 and 180",
+    r.status != null && !LOCATION_STATUSES.includes(r.status) && `status must be one of ${LOCATION_STATUSES.join(", ")}`,
+    r.capacity != null && (!Number.isInteger(r.capacity) || r.capacity < 1) && "capacity must be a positive whole number or null",
+    r.machines != null && (!Array.isArray(r.machines) || r.machines.some((m) => !isString(m?.id))) && "machines must be a list of machines with an id",
+  ],
+  runs: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    typeof r.name !== "string" && "name must be a string",
+  ],
+  runLocations: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    !isString(r.runId) && "runId must be a non-empty string",
+    !isString(r.locationId) && "locationId must be a non-empty string",
+    r.sequence != null && !isFiniteNumber(r.sequence) && "sequence must be a number",
+  ],
+  visits: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    !isString(r.locationId) && "locationId must be a non-empty string",
+    !isTimestamp(r.visitedAt) && "visitedAt must be a timestamp",
+    r.collection != null && !isFiniteNumber(r.collection.amountCents) && "collection.amountCents must be a number",
+    r.refill != null && (!isFiniteNumber(r.refill.levelBefore) || !isFiniteNumber(r.refill.levelAfter)) && "refill levels must be numbers",
+    r.refills != null && (!Array.isArray(r.refills) || r.refills.some((f) => !isString(f?.machineId) || !isFiniteNumber(f.levelBefore) || !isFiniteNumber(f.levelAfter))) && "refills must be a list with machineId and numeric levels",
+  ],
+  runCompletions: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    !isString(r.runId) && "runId must be a non-empty string",
+    !isTimestamp(r.completedAt) && "completedAt must be a timestamp",
+  ],
+  activeSessions: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+  ],
+  serviceFrequencies: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    !isString(r.label) && "label must be a non-empty string",
+    r.intervalDays != null && (!Number.isInteger(r.intervalDays) || r.intervalDays < 1) && "intervalDays must be a positive whole number or null",
+    r.intervalMonths != null && (!Number.isInteger(r.intervalMonths) || r.intervalMonths < 1) && "intervalMonths must be a positive whole number or null",
+    r.activeMonths != null && (!Array.isArray(r.activeMonths) || r.activeMonths.some((m) => !Number.isInteger(m) || m < 1 || m > 12))
+      && "activeMonths must be a list of months 1–12 or null",
+  ],
+  vanStock: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    !isTimestamp(r.at) && "at must be a timestamp",
+    !Number.isInteger(r.units) && "units must be a whole number",
+  ],
+  issues: (r) => [
+    !isString(r.id) && "id must be a non-empty string",
+    !isString(r.locationId) && "locationId must be a non-empty string",
+    !ISSUE_STATUSES.includes(r.status) && `status must be one of ${ISSUE_STATUSES.join(", ")}`,
+    !isTimestamp(r.createdAt) && "createdAt must be a timestamp",
+    r.resolvedAt != null && !isTimestamp(r.resolvedAt) && "resolvedAt must be a timestamp or null",
+  ],
+  auditLog: (r) => [
+    (!Number.isInteger(r.seq) || r.seq < 1) && "seq must be a positive whole number",
+    !isString(r.entityType) && "entityType must be a non-empty string",
+    !isString(r.entityId) && "entityId must be a non-empty string",
+    !isTimestamp(r.at) && "at must be a timestamp",
+    !Array.isArray(r.changes) && "changes must be a list",
+  ],
+};
+
+/** Fields that mark when a record last changed; a local record newer than the backup copy is a conflict. */
+const CHANGE_MARKERS = ["updatedAt", "lastUpdatedAt", "stopOrderUpdatedAt", "visitedAt", "completedAt", "assignedAt", "startedAt"];
+
+/** Extra change markers for one store, checked after CHANGE_MARKERS: an issue last changed when resolved, else when raised. */
+const STORE_CHANGE_MARKERS = { issues: ["resolvedAt", "createdAt"] };
+
+/**
+ * Every backed-up store plus a header (format version, DB_VERSION, export time, device label).
+ * @param {{ deviceLabel?: string }} [options]
+ * @returns {Promise<object>}
+ */
+export async function exportAllData(options = {}) {
+  const [locations, runs, runLocations, visits, runCompletions, activeSessions, serviceFrequencies, vanStock, issues, auditLog] = await Promise.all([
     getAllFromStore("locations"),
     getAllFromStore("runs"),
     getAllFromStore("runLocations"),
     getAllFromStore("visits"),
     getAllFromStore("runCompletions"),
     getAllFromStore("activeSessions"),
+    getAllFromStore("serviceFrequencies"),
+    getAllFromStore("vanStock"),
+    getAllFromStore("issues"),
+    getAllFromStore("auditLog"),
   ]);
 
   return {
+    header: createBackupHeader({ dbVersion: DB_VERSION, deviceLabel: options.deviceLabel }),
     locations,
     runs,
     runLocations,
     visits,
     runCompletions: runCompletions ?? [],
     activeSessions: activeSessions ?? [],
+    serviceFrequencies: serviceFrequencies ?? [],
+    vanStock: vanStock ?? [],
+    issues: issues ?? [],
+    auditLog: auditLog ?? [],
   };
 }
 
-export async function importData(json) {
-  const { locations = [], runs = [], runLocations = [], visits = [], runCompletions = [], activeSessions = [] } = json || {};
+/**
+ * True when parsed JSON is a full backup (locations plus at least one other store) rather than a location list.
+ * @param {unknown} json
+ * @returns {boolean}
+ */
+export function isFullBackup(json) {
+  return json != null
+    && typeof json === "object"
+    && Array.isArray(json.locations)
+    && FULL_BACKUP_MARKERS.some((store) => Array.isArray(json[store]));
+}
 
-  const all = [
-    ...locations.map((l) => putEntity("locations", l)),
-    ...runs.map((r) => putEntity("runs", r)),
-    ...runLocations.map((rl) => putEntity("runLocations", rl)),
-    ...visits.map((v) => putEntity("visits", v)),
-    ...(Array.isArray(runCompletions) ? runCompletions : []).map((rc) => putEntity("runCompletions", rc)),
-    ...(Array.isArray(activeSessions) ? activeSessions : []).map((as) => putEntity("activeSessions", as)),
-  ];
+/**
+ * Validate every record of every store in a backup.
+ * @param {object} json
+ * @returns {Array<{ store: string, index: number, id: string|null, message: string }>} Empty when valid
+ */
+export function validateBackup(json) {
+  if (json == null || typeof json !== "object" || Array.isArray(json)) {
+    return [{ store: "", index: -1, id: null, message: "Backup must be a JSON object" }];
+  }
+  const errors = [];
+  for (const store of BACKUP_STORES) {
+    const records = json[store];
+    if (records == null) continue;
+    if (!Array.isArray(records)) {
+      errors.push({ store, index: -1, id: null, message: `${store} must be an array` });
+      continue;
+    }
+    const seen = new Set();
+    records.forEach((record, index) => {
+      if (record == null || typeof record !== "object") {
+        errors.push({ store, index, id: null, message: "record must be an object" });
+        return;
+      }
+      const id = typeof record.id === "string" ? record.id : null;
+      STORE_VALIDATORS[store](record).filter(Boolean).forEach((message) => {
+        errors.push({ store, index, id, message });
+      });
+      if (id != null) {
+        if (seen.has(id)) errors.push({ store, index, id, message: "duplicate id" });
+        seen.add(id);
+      }
+    });
+  }
+  return errors;
+}
 
-  await Promise.all(all);
+function changeTime(store, record) {
+  for (const field of [...CHANGE_MARKERS, ...(STORE_CHANGE_MARKERS[store] ?? [])]) {
+    const v = record?.[field];
+    if (v == null) continue;
+    const t = typeof v === "number" ? v : new Date(v).getTime();
+    if (Number.isFinite(t)) return t;
+  }
+  return null;
 }
 
+function sameRecord(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Restore plan for an append-only store. Seqs differ between devices, so entries match by content:
+ * merge appends the entries not stored yet (under new seqs), replace writes the file's entries as-is.
+ * @returns {{ counts: object, put: object[] }}
+ */
+function planAppendOnly(local, incoming, mode) {
+  const contentKey = ({ seq, ...entry }) => JSON.stringify(entry);
+  const localKeys = new Set(local.map(contentKey));
+  const counts = { added: 0, updated: 0, conflicting: 0, unchanged: 0, removed: 0 };
+  const put = [];
+  for (const entry of incoming) {
+    if (localKeys.has(contentKey(entry))) {
+      counts.unchanged += 1;
+      if (mode === "replace") put.push(entry);
+    } else {
+      counts.added += 1;
+      if (mode === "replace") {
+        put.push(entry);
+      } else {
+        const { seq, ...rest } = entry;
+        put.push(rest);
+      }
+    }
+  }
+  if (mode === "replace") {
+    const incomingKeys = new Set(incoming.map(contentKey));
+    counts.removed = local.filter((entry) => !incomingKeys.has(contentKey(entry))).length;
+  }
+  return { counts, put };
+}
+
+/**
+ * Dry run: what a restore would do, per store, without writing anything.
+ * The file is first upgraded to the current schema; a file from a newer release is reported as an error.
+ * - added: id not in the database
+ * - updated: id exists with different content; the backup copy will be written
+ * - conflicting: id exists with different content and the local copy changed more recently.
+ *   Merge keeps the local copy; replace writes the backup copy.
+ * - unchanged: identical record already stored
+ * - removed: (replace only) local records missing from the backup, which will be deleted
+ * A store the upgraded file doesn't contain (e.g. one added after the file's release) is left alone
+ * in both modes.
+ * @param {object} json
+ * @param {"merge" | "replace"} mode
+ * @returns {Promise<{ mode: string, header: object|null, upgrades: string[], errors: Array<object>, stores: Record<string, { added: number, updated: number, conflicting: number, unchanged: number, removed: number }>, writes: Record<string, { clear: boolean, put: object[] }> }>}
+ */
+export async function planRestore(input, mode = "merge") {
+  if (mode !== "merge" && mode !== "replace") {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+  const stores = {};
+  const writes = {};
+  let json;
+  let header = null;
+  let upgrades = [];
+  try {
+    ({ backup: json, header, applied: upgrades } = upgradeBackup(input, DB_VERSION));
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    return { mode, header, upgrades, errors: [{ store: "", index: -1, id: null, message }], stores, writes };
+  }
+  const errors = validateBackup(json);
+  if (errors.length > 0) {
+    return { mode, header, upgrades, errors, stores, writes };
+  }
+  const current = await Promise.all(BACKUP_STORES.map((store) => getAllFromStore(store)));
+  BACKUP_STORES.forEach((store, i) => {
+    const inFile = Array.isArray(json[store]);
+    const incoming = inFile ? json[store] : [];
+    const storeMode = inFile ? mode : "merge";
+    if (APPEND_ONLY_STORES.includes(store)) {
+      const { counts, put } = planAppendOnly(current[i] || [], incoming, storeMode);
+      if (storeMode === "replace" || put.length > 0) writes[store] = { clear: storeMode === "replace", put };
+      stores[store] = counts;
+      return;
+    }
+    const localById = new Map((current[i] || []).map((r) => [r.id, r]));
+    const counts = { added: 0, updated: 0, conflicting: 0, unchanged: 0, removed: 0 };
+    const put = [];
+    const incomingIds = new Set();
+    for (const record of incoming) {
+      incomingIds.add(record.id);
+      const local = localById.get(record.id);
+      if (!local) {
+        counts.added += 1;
+        put.push(record);
+      } else if (sameRecord(local, record)) {
+        counts.unchanged += 1;
+        if (storeMode === "replace") put.push(record);
+      } else {
+        const localTime = changeTime(store, local);
+        const backupTime = changeTime(store, record);
+        const localIsNewer = localTime != null && (backupTime == null || localTime > backupTime);
+        if (localIsNewer) {
+          counts.conflicting += 1;
+          if (storeMode === "replace") put.push(record);
+        } else {
+          counts.updated += 1;
+          put.push(record);
+        }
+      }
+    }
+    if (storeMode === "replace") {
+      counts.removed = [...localById.keys()].filter((id) => !incomingIds.has(id)).length;
+    }
+    if (storeMode === "replace" || put.length > 0) {
+      writes[store] = { clear: storeMode === "replace", put };
+    }
+    stores[store] = counts;
+  });
+  return { mode, header, upgrades, errors, stores, writes };
+}
+
+/**
+ * One-line description of a validation error.
+ * @param {{ store: string, index: number, id: string|null, message: string }} error
+ * @returns {string}
+ */
+export function formatBackupError(error) {
+  return error.index >= 0
+    ? `${error.store}[${error.index}]${error.id ? ` (${error.id})` : ""}: ${error.message}`
+    : error.message;
+}
+
+function describeErrors(errors) {
+  const shown = errors.slice(0, 3).map(formatBackupError);
+  const more = errors.length > shown.length ? ` (+${errors.length - shown.length} more)` : "";
+  return `Invalid backup: ${shown.join("; ")}${more}`;
+}
+
+/**
+ * Upgrade, validate and restore a full backup in one transaction.
+ * @param {object} json
+ * @param {{ mode?: "merge" | "replace" }} [options] - merge (default) upserts; replace clears each store first
+ * @returns {Promise<{ mode: string, upgrades: string[], stores: Record<string, object> }>} The applied plan's per-store counts
+ */
+export async function importData(json, options = {}) {
+  const plan = await planRestore(json, options.mode ?? "merge");
+  if (plan.errors.length > 0) {
+    throw new Error(describeErrors(plan.errors));
+  }
+  await writeStoresAtomically(plan.writes);
+  return { mode: plan.mode, upgrades: plan.upgrades, stores: plan.stores };
+}
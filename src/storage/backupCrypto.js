@@ -0,0 +1,145 @@
+/**
+ * Passphrase-encrypted backups: a self-describing JSON envelope holding an AES-GCM ciphertext of the
+ * backup JSON, keyed by PBKDF2 from the user's passphrase (WebCrypto only).
+ * The envelope metadata is bound to the ciphertext as additional data, and a hash of a second derived
+ * key tells a wrong passphrase apart from a damaged or tampered file.
+ */
+
+export const ENCRYPTED_BACKUP_FORMAT = "gumball-tracker-encrypted-backup";
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/** Error message for a passphrase that doesn't match the envelope; callers may ask again. */
+export const WRONG_PASSPHRASE = "Wrong passphrase";
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * PBKDF2 → 64 bytes: the first half is the AES-GCM key, the second half is only hashed into `check`.
+ * @returns {Promise<{ key: CryptoKey, check: string }>}
+ */
+async function deriveKeys(passphrase, kdf) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+    material,
+    512
+  ));
+  const key = await crypto.subtle.importKey("raw", bits.slice(0, 32), { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+  const check = toBase64(new Uint8Array(await crypto.subtle.digest("SHA-256", bits.slice(32))));
+  return { key, check };
+}
+
+/** Envelope fields covered by the GCM tag, in a fixed order. */
+function additionalData(envelope) {
+  const { format, version, kdf, cipher } = envelope;
+  return new TextEncoder().encode(JSON.stringify({ format, version, kdf, cipher }));
+}
+
+/**
+ * True when parsed JSON is an encrypted backup envelope.
+ * @param {unknown} json
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(json) {
+  return json != null && typeof json === "object" && json.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Encrypt a backup object (as written by exportAllData).
+ * @param {object} backup
+ * @param {string} passphrase
+ * @returns {Promise<object>} Envelope, ready for JSON.stringify
+ */
+export async function encryptBackup(backup, passphrase) {
+  if (typeof passphrase !== "string" || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const envelope = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES))) },
+    cipher: { name: "AES-GCM", iv: toBase64(crypto.getRandomValues(new Uint8Array(IV_BYTES))) },
+  };
+  const { key, check } = await deriveKeys(passphrase, envelope.kdf);
+  const plaintext = new TextEncoder().encode(JSON.stringify(backup));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv: fromBase64(envelope.cipher.iv), additionalData: additionalData(envelope) },
+    key,
+    plaintext
+  );
+  return { ...envelope, check, ciphertext: toBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypt an envelope back into the backup object.
+ * Throws WRONG_PASSPHRASE when the passphrase doesn't match, and a damaged-file error when the
+ * passphrase matches but the contents or metadata were altered.
+ * @param {object} envelope
+ * @param {string} passphrase
+ * @returns {Promise<object>}
+ */
+export async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope)) {
+    throw new Error("Not an encrypted backup");
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Encrypted backup version ${envelope.version} is not supported by this app. Update the app and try again.`);
+  }
+  const { kdf, cipher } = envelope;
+  const wellFormed = kdf?.name === "PBKDF2"
+    && typeof kdf.hash === "string"
+    && Number.isInteger(kdf.iterations) && kdf.iterations > 0
+    && typeof kdf.salt === "string"
+    && cipher?.name === "AES-GCM"
+    && typeof cipher.iv === "string"
+    && typeof envelope.check === "string"
+    && typeof envelope.ciphertext === "string";
+  if (!wellFormed) {
+    throw new Error("Encrypted backup is damaged: missing or invalid envelope fields");
+  }
+  let iv, data;
+  try {
+    iv = fromBase64(cipher.iv);
+    data = fromBase64(envelope.ciphertext);
+  } catch (_) {
+    throw new Error("Encrypted backup is damaged: invalid encoding");
+  }
+  let keys;
+  try {
+    keys = await deriveKeys(String(passphrase ?? ""), kdf);
+  } catch (_) {
+    throw new Error("Encrypted backup is damaged: unsupported key settings");
+  }
+  const { key, check } = keys;
+  if (check !== envelope.check) {
+    throw new Error(WRONG_PASSPHRASE);
+  }
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv, additionalData: additionalData(envelope) }, key, data);
+  } catch (_) {
+    throw new Error("Encrypted backup has been modified or is damaged and cannot be restored");
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (_) {
+    throw new Error("Encrypted backup is damaged: contents are not valid JSON");
+  }
+}
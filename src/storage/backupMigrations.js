@@ -0,0 +1,173 @@
+/**
+ * Backup format versioning: the header written by exportAllData and the chain of per-schema-version
+ * upgrades run on import, so a backup from any past release restores into the current stores.
+ * Pure functions over parsed JSON (no IndexedDB), mirroring the onupgradeneeded migrations in indexedDb.js.
+ */
+
+import { DEFAULT_SERVICE_FREQUENCIES } from "../domain/serviceFrequencies.js";
+
+/** Value of header.format for files written by this app. */
+export const BACKUP_FORMAT = "gumball-tracker-backup";
+
+/**
+ * Version of the file layout (header + store arrays). Files without a header are version 1.
+ * Bump when the envelope changes; schema changes inside stores are handled by BACKUP_UPGRADES.
+ */
+export const BACKUP_FORMAT_VERSION = 2;
+
+/**
+ * Order a run's links for sequence seeding: by assignedAt, the order stops were added in.
+ * Shared with the IndexedDB v7 migration.
+ * @param {object[]} links
+ * @returns {object[]}
+ */
+export function sortLinksForSequence(links) {
+  return links.slice().sort((a, b) => (a.assignedAt ?? 0) - (b.assignedAt ?? 0));
+}
+
+/**
+ * Upgrades keyed by the DB schema version they bring a backup up to, in ascending order.
+ * Each takes the store arrays of a backup at an older schema and returns new arrays; inputs are not mutated.
+ * Steps must be safe to run on data that is already upgraded, because headerless (format 1) files
+ * don't say which schema they were exported from and run the whole chain.
+ */
+export const BACKUP_UPGRADES = [
+  {
+    toVersion: 5,
+    description: "Single \"last\" run completion becomes a completion record (PRD V2.7)",
+    upgrade(stores) {
+      const completions = stores.runCompletions ?? [];
+      if (!completions.some((c) => c?.id === "last")) return stores;
+      return {
+        ...stores,
+        runCompletions: completions.map((c, i) => {
+          if (c?.id !== "last") return c;
+          const completedAt = new Date(c.completedAt).getTime();
+          return {
+            id: `completion-${Number.isFinite(completedAt) ? completedAt : i}-last`,
+            runId: c.runId,
+            runName: c.runName,
+            visitedCount: c.visitedCount,
+            totalCount: c.totalCount,
+            completedAt: c.completedAt,
+            durationMinutes: c.durationMinutes,
+          };
+        }),
+      };
+    },
+  },
+  {
+    toVersion: 7,
+    description: "Run stops get a sequence (stop order) from the order they were added",
+    upgrade(stores) {
+      const links = stores.runLocations ?? [];
+      if (!links.some((l) => l?.sequence == null)) return stores;
+
+      const linksByRun = new Map();
+      for (const link of links) {
+        if (!linksByRun.has(link.runId)) linksByRun.set(link.runId, []);
+        linksByRun.get(link.runId).push(link);
+      }
+      const sequenceById = new Map();
+      for (const [runId, runLinks] of linksByRun) {
+        if (runLinks.every((l) => l.sequence != null)) continue;
+        sortLinksForSequence(runLinks).forEach((link, i) => {
+          sequenceById.set(link.id, i + 1);
+        });
+      }
+      return {
+        ...stores,
+        runLocations: links.map((l) => (sequenceById.has(l.id) ? { ...l, sequence: sequenceById.get(l.id) } : l)),
+      };
+    },
+  },
+  {
+    toVersion: 11,
+    description: "Service frequencies store gets the built-in defaults",
+    upgrade(stores) {
+      if ((stores.serviceFrequencies ?? []).length > 0) return stores;
+      return { ...stores, serviceFrequencies: DEFAULT_SERVICE_FREQUENCIES.map((f) => ({ ...f })) };
+    },
+  },
+];
+
+/**
+ * Header written at the top of every exported backup.
+ * @param {{ dbVersion: number, deviceLabel?: string, exportedAt?: Date }} options
+ * @returns {{ format: string, formatVersion: number, dbVersion: number, exportedAt: string, deviceLabel: string }}
+ */
+export function createBackupHeader({ dbVersion, deviceLabel = "", exportedAt = new Date() }) {
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    dbVersion,
+    exportedAt: exportedAt.toISOString(),
+    deviceLabel: String(deviceLabel ?? ""),
+  };
+}
+
+/**
+ * Read a backup's header. Headerless files (written before versioning) report format 1 and
+ * schema version 1 so that every upgrade runs.
+ * @param {object} json
+ * @returns {{ formatVersion: number, dbVersion: number, exportedAt: string|null, deviceLabel: string|null }}
+ */
+export function readBackupHeader(json) {
+  const header = json?.header;
+  if (header == null || typeof header !== "object") {
+    return { formatVersion: 1, dbVersion: 1, exportedAt: null, deviceLabel: null };
+  }
+  if (header.format !== BACKUP_FORMAT) {
+    throw new Error("Invalid backup: unrecognised header format");
+  }
+  const formatVersion = Number(header.formatVersion);
+  const dbVersion = Number(header.dbVersion);
+  if (!Number.isInteger(formatVersion) || formatVersion < 1) {
+    throw new Error("Invalid backup: header.formatVersion must be a positive integer");
+  }
+  if (!Number.isInteger(dbVersion) || dbVersion < 1) {
+    throw new Error("Invalid backup: header.dbVersion must be a positive integer");
+  }
+  return {
+    formatVersion,
+    dbVersion,
+    exportedAt: typeof header.exportedAt === "string" ? header.exportedAt : null,
+    deviceLabel: typeof header.deviceLabel === "string" ? header.deviceLabel : null,
+  };
+}
+
+/**
+ * Bring a parsed backup up to the target schema version by running each pending upgrade in order.
+ * Returns a new object with the header rewritten to the target version; the input is not modified.
+ * `applied` lists the upgrades that changed something.
+ * @param {object} json
+ * @param {number} targetVersion - Current DB schema version
+ * @param {Array<{ toVersion: number, description: string, upgrade: (stores: object) => object }>} [upgrades]
+ * @returns {{ backup: object, header: ReturnType<typeof readBackupHeader>, applied: string[] }}
+ */
+export function upgradeBackup(json, targetVersion, upgrades = BACKUP_UPGRADES) {
+  if (json == null || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("Backup must be a JSON object");
+  }
+  const header = readBackupHeader(json);
+  if (header.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error(`Backup format v${header.formatVersion} is newer than this app supports (v${BACKUP_FORMAT_VERSION}). Update the app and try again.`);
+  }
+  if (header.dbVersion > targetVersion) {
+    throw new Error(`Backup was exported from a newer app version (schema v${header.dbVersion}, this app is v${targetVersion}). Update the app and try again.`);
+  }
+  const { header: _ignored, ...rest } = json;
+  let stores = rest;
+  const applied = [];
+  for (const step of upgrades) {
+    if (step.toVersion <= header.dbVersion || step.toVersion > targetVersion) continue;
+    const next = step.upgrade(stores);
+    if (next !== stores) applied.push(step.description);
+    stores = next;
+  }
+  return {
+    backup: { ...stores, header: { ...json.header, format: BACKUP_FORMAT, formatVersion: BACKUP_FORMAT_VERSION, dbVersion: targetVersion } },
+    header,
+    applied,
+  };
+}
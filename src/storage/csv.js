@@ -0,0 +1,225 @@
+/**
+ * CSV/TSV import for customer site lists: delimiter detection, parsing, column mapping,
+ * row validation and commit (locations upserted, runs and runLocations created from a run column).
+ */
+
+import { bulkUpsert, getAllFromStore } from "./indexedDb.js";
+import { waypointToLocation } from "./seed.js";
+import { getAllRuns, addLocationToRun, createRunFromName } from "../domain/runModel.js";
+import { DEFAULT_SERVICE_FREQUENCIES, resolveFrequencyId } from "../domain/serviceFrequencies.js";
+import { recordAuditBatch } from "../domain/auditLog.js";
+
+const CANDIDATE_DELIMITERS = [",", "\t", ";", "|"];
+
+/** Importable fields, in mapping-step order. `aliases` are lower-case header names auto-mapped to the field. */
+export const CSV_FIELDS = [
+  { key: "name", label: "Name", required: true, aliases: ["name", "site", "site name", "location", "location name", "customer"] },
+  { key: "latitude", label: "Latitude", required: true, aliases: ["latitude", "lat", "y"] },
+  { key: "longitude", label: "Longitude", required: true, aliases: ["longitude", "lon", "lng", "long", "x"] },
+  { key: "serviceFrequency", label: "Service frequency", required: false, aliases: ["servicefrequency", "service frequency", "frequency", "freq"] },
+  { key: "productType", label: "Product type", required: false, aliases: ["producttype", "product type", "product", "machine"] },
+  { key: "notes", label: "Notes", required: false, aliases: ["notes", "note", "comments", "description", "desc"] },
+  { key: "runName", label: "Run name", required: false, aliases: ["run", "run name", "runname", "route"] },
+];
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let inQuotes = false;
+  for (const ch of line) {
+    if (ch === "\"") inQuotes = !inQuotes;
+    else if (ch === delimiter && !inQuotes) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the most consistent, non-zero column count.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const lines = String(text).split(/\r?\n/).filter((l) => l.trim() !== "").slice(0, 10);
+  let best = ",";
+  let bestScore = 0;
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const counts = lines.map((l) => countOutsideQuotes(l, delimiter));
+    if (counts.length === 0 || counts[0] === 0) continue;
+    const consistent = counts.filter((c) => c === counts[0]).length;
+    const score = consistent * 100 + counts[0];
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting: "" escapes a quote, quoted fields may span lines).
+ * The first non-empty row is the header row; blank rows are dropped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected when omitted
+ * @returns {{ delimiter: string, headers: string[], rows: string[][] }}
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === "\"" && src[i + 1] === "\"") {
+        field += "\"";
+        i += 1;
+      } else if (ch === "\"") {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === "\"") {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  const nonEmpty = records.filter((r) => r.some((cell) => cell.trim() !== ""));
+  if (nonEmpty.length === 0) {
+    throw new Error("CSV file is empty");
+  }
+  const [headers, ...rows] = nonEmpty;
+  return { delimiter, headers: headers.map((h) => h.trim()), rows };
+}
+
+/**
+ * Auto-map headers to fields by name.
+ * @param {string[]} headers
+ * @returns {Record<string, number|null>} field key → column index (null when unmapped)
+ */
+export function guessColumnMapping(headers) {
+  const normalised = headers.map((h) => h.trim().toLowerCase().replace(/[_-]+/g, " "));
+  const mapping = {};
+  for (const field of CSV_FIELDS) {
+    const index = normalised.findIndex((h) => field.aliases.includes(h));
+    mapping[field.key] = index >= 0 ? index : null;
+  }
+  return mapping;
+}
+
+/**
+ * Validate rows against a column mapping. Service frequency cells may hold a frequency id or label.
+ * @param {string[][]} rows
+ * @param {Record<string, number|null>} mapping
+ * @param {{ frequencies?: Array<{ id: string, label: string }> }} [options] - Known frequencies (defaults to the built-in set)
+ * @returns {Array<{ rowNumber: number, entry: object, errors: string[] }>} rowNumber is 1-based and counts the header row
+ */
+export function validateCsvRows(rows, mapping, options = {}) {
+  const frequencies = options.frequencies ?? DEFAULT_SERVICE_FREQUENCIES;
+  const missing = CSV_FIELDS.filter((f) => f.required && mapping[f.key] == null);
+  if (missing.length > 0) {
+    throw new Error(`Map a column for: ${missing.map((f) => f.label).join(", ")}`);
+  }
+  const cell = (row, key) => (mapping[key] == null ? "" : String(row[mapping[key]] ?? "").trim());
+  return rows.map((row, i) => {
+    const errors = [];
+    const name = cell(row, "name");
+    const latitude = Number(cell(row, "latitude"));
+    const longitude = Number(cell(row, "longitude"));
+    const frequencyCell = cell(row, "serviceFrequency");
+    const frequency = resolveFrequencyId(frequencyCell, frequencies);
+    if (!name) errors.push("Name is empty");
+    if (cell(row, "latitude") === "" || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+      errors.push("Latitude must be a number between -90 and 90");
+    }
+    if (cell(row, "longitude") === "" || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      errors.push("Longitude must be a number between -180 and 180");
+    }
+    if (frequencyCell && !frequency) {
+      errors.push(`Service frequency must be one of ${frequencies.map((f) => f.label).join(", ")}`);
+    }
+    return {
+      rowNumber: i + 2,
+      entry: {
+        name,
+        latitude,
+        longitude,
+        serviceFrequency: frequency || null,
+        productType: cell(row, "productType"),
+        notes: cell(row, "notes"),
+        runName: cell(row, "runName"),
+      },
+      errors,
+    };
+  });
+}
+
+/**
+ * Commit validated entries: upsert locations, create missing runs (matched by name) and link locations to them.
+ * Existing locations keep fields whose column was not mapped (mapping value null) or whose cell is empty.
+ * @param {Array<object>} entries - `entry` objects from validateCsvRows rows without errors
+ * @param {Record<string, number|null>} mapping
+ * @returns {Promise<{ locations: number, runsCreated: number, links: number }>}
+ */
+export async function importCsvEntries(entries, mapping) {
+  const existing = new Map((await getAllFromStore("locations")).map((loc) => [loc.id, loc]));
+  const locations = [];
+  const links = [];
+  for (const entry of entries) {
+    const loc = await waypointToLocation({
+      name: entry.name,
+      latitude: entry.latitude,
+      longitude: entry.longitude,
+      serviceFrequency: entry.serviceFrequency ?? undefined,
+      productType: entry.productType,
+      notes: entry.notes,
+    });
+    const prev = existing.get(loc.id);
+    const merged = prev
+      ? {
+          ...prev,
+          ...loc,
+          status: prev.status,
+          serviceFrequency: mapping.serviceFrequency == null || !entry.serviceFrequency ? prev.serviceFrequency : loc.serviceFrequency,
+          productType: mapping.productType == null || !entry.productType ? prev.productType : loc.productType,
+          notes: mapping.notes == null || !entry.notes ? prev.notes : loc.notes,
+        }
+      : loc;
+    locations.push(merged);
+    if (entry.runName) links.push({ runName: entry.runName, locationId: merged.id });
+  }
+  if (locations.length > 0) {
+    await bulkUpsert("locations", locations);
+    await recordAuditBatch(locations.map((loc) => ({
+      entityType: "location", entityId: loc.id, before: existing.get(loc.id) ?? null, after: loc, action: "import",
+    })));
+  }
+
+  const runs = await getAllRuns();
+  const runByName = new Map((runs || []).map((r) => [String(r.name ?? "").trim().toLowerCase(), r]));
+  let runsCreated = 0;
+  for (const { runName, locationId } of links) {
+    const key = runName.toLowerCase();
+    let run = runByName.get(key);
+    if (!run) {
+      run = await createRunFromName(runName);
+      runByName.set(key, run);
+      runsCreated += 1;
+    }
+    await addLocationToRun(run.id, locationId);
+  }
+  return { locations: locations.length, runsCreated, links: links.length };
+}
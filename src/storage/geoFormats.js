@@ -0,0 +1,289 @@
+/**
+ * Map exports for Google Earth / QGIS: GeoJSON FeatureCollection, KML and KMZ of locations
+ * plus completed run traces. GeoJSON import normalises Point features through waypointToLocation.
+ */
+
+import { bulkUpsert, getAllFromStore } from "./indexedDb.js";
+import { waypointToLocation } from "./seed.js";
+import { RUN_COLOUR_PALETTE, buildLocationRunColours, sortLinksBySequence } from "../domain/runModel.js";
+import { recordAuditBatch } from "../domain/auditLog.js";
+import { createZip } from "../utils/zip.js";
+
+const UNASSIGNED_COLOUR = "#ef4444";
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toIso(ts) {
+  if (ts == null) return null;
+  const d = new Date(typeof ts === "number" ? ts : String(ts));
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Visits recorded during a completed run: same run, before completedAt and inside the run's duration
+ * (or the same calendar day when the duration is unknown), ordered by time.
+ */
+function visitsForCompletion(completion, visits) {
+  const end = new Date(completion.completedAt).getTime();
+  if (!Number.isFinite(end)) return [];
+  let start;
+  if (typeof completion.durationMinutes === "number") {
+    start = end - completion.durationMinutes * 60000;
+  } else {
+    const day = new Date(end);
+    day.setHours(0, 0, 0, 0);
+    start = day.getTime();
+  }
+  return visits
+    .filter((v) => v.runId === completion.runId && Number(v.visitedAt) >= start && Number(v.visitedAt) <= end)
+    .sort((a, b) => Number(a.visitedAt) - Number(b.visitedAt));
+}
+
+/**
+ * Gather locations (deleted excluded) and completed run traces with their export properties.
+ * @returns {Promise<{ locations: Array<{ location: object, properties: object, colour: string }>, traces: Array<{ coordinates: number[][], properties: object, colour: string }> }>}
+ */
+async function collectMapData() {
+  const [locations, runs, runLocations, visits, completions] = await Promise.all([
+    getAllFromStore("locations"),
+    getAllFromStore("runs"),
+    getAllFromStore("runLocations"),
+    getAllFromStore("visits"),
+    getAllFromStore("runCompletions"),
+  ]);
+  const runById = new Map((runs || []).map((r) => [r.id, r]));
+  const colours = buildLocationRunColours(runLocations, runs);
+  const runsByLocation = new Map();
+  sortLinksBySequence(runLocations).forEach((rl) => {
+    const run = runById.get(rl.runId);
+    if (!run) return;
+    if (!runsByLocation.has(rl.locationId)) runsByLocation.set(rl.locationId, []);
+    runsByLocation.get(rl.locationId).push(run);
+  });
+  const lastVisitByLocation = new Map();
+  (visits || []).forEach((v) => {
+    const t = Number(v.visitedAt) || 0;
+    if (t > (lastVisitByLocation.get(v.locationId) ?? 0)) lastVisitByLocation.set(v.locationId, t);
+  });
+
+  const locationById = new Map();
+  const locationRows = (locations || [])
+    .filter((loc) => loc.status !== "deleted")
+    .map((loc) => {
+      locationById.set(loc.id, loc);
+      const memberOf = runsByLocation.get(loc.id) ?? [];
+      return {
+        location: loc,
+        colour: colours[loc.id] ?? UNASSIGNED_COLOUR,
+        properties: {
+          id: loc.id,
+          name: loc.name ?? "",
+          status: loc.status ?? "active",
+          serviceFrequency: loc.serviceFrequency ?? "adhoc",
+          productType: loc.productType ?? "",
+          notes: loc.notes ?? "",
+          runs: memberOf.map((r) => r.name ?? r.id),
+          runIds: memberOf.map((r) => r.id),
+          lastVisitAt: toIso(lastVisitByLocation.get(loc.id)),
+        },
+      };
+    });
+
+  const traces = [];
+  (completions || []).forEach((completion) => {
+    const coordinates = visitsForCompletion(completion, visits || [])
+      .map((v) => locationById.get(v.locationId))
+      .filter(Boolean)
+      .map((loc) => [Number(loc.longitude), Number(loc.latitude)]);
+    if (coordinates.length < 2) return;
+    traces.push({
+      coordinates,
+      colour: runById.get(completion.runId)?.colour ?? UNASSIGNED_COLOUR,
+      properties: {
+        kind: "runTrace",
+        runId: completion.runId,
+        runName: completion.runName ?? "",
+        completedAt: toIso(completion.completedAt),
+        visitedCount: completion.visitedCount ?? 0,
+        totalCount: completion.totalCount ?? 0,
+      },
+    });
+  });
+
+  return { locations: locationRows, traces };
+}
+
+/**
+ * GeoJSON FeatureCollection: one Point per location and one LineString per completed run trace.
+ * @returns {Promise<string>}
+ */
+export async function exportGeoJson() {
+  const { locations, traces } = await collectMapData();
+  const features = [
+    ...locations.map(({ location, properties, colour }) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [Number(location.longitude), Number(location.latitude)] },
+      properties: { kind: "location", ...properties, colour },
+    })),
+    ...traces.map(({ coordinates, properties, colour }) => ({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates },
+      properties: { ...properties, colour },
+    })),
+  ];
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+/** KML colours are aabbggrr. */
+function kmlColour(hex, alpha = "ff") {
+  const h = /^#[0-9a-f]{6}$/i.test(hex ?? "") ? hex.slice(1) : UNASSIGNED_COLOUR.slice(1);
+  return `${alpha}${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`.toLowerCase();
+}
+
+function styleId(hex) {
+  return `run-${String(hex).replace(/^#/, "").toLowerCase()}`;
+}
+
+function extendedData(properties) {
+  const rows = Object.entries(properties).map(([key, value]) => {
+    const text = Array.isArray(value) ? value.join(", ") : (value ?? "");
+    return `        <Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`;
+  });
+  return `      <ExtendedData>\n${rows.join("\n")}\n      </ExtendedData>`;
+}
+
+/**
+ * KML document: one style per run colour (palette plus any custom run colours), a Locations
+ * folder of placemarks and a Completed runs folder of traces.
+ * @returns {Promise<string>}
+ */
+export async function exportKml() {
+  const { locations, traces } = await collectMapData();
+  const styleColours = new Set([...RUN_COLOUR_PALETTE, UNASSIGNED_COLOUR].map((c) => c.toLowerCase()));
+  locations.forEach((l) => styleColours.add(l.colour.toLowerCase()));
+  traces.forEach((t) => styleColours.add(t.colour.toLowerCase()));
+
+  const styles = [...styleColours].map((hex) => `    <Style id="${styleId(hex)}">
+      <IconStyle>
+        <color>${kmlColour(hex)}</color>
+        <Icon><href>https://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon>
+      </IconStyle>
+      <LineStyle>
+        <color>${kmlColour(hex, "cc")}</color>
+        <width>3</width>
+      </LineStyle>
+    </Style>`);
+
+  const placemarks = locations.map(({ location, properties, colour }) => `    <Placemark>
+      <name>${escapeXml(properties.name || properties.id)}</name>
+      <description>${escapeXml(properties.notes)}</description>
+      <styleUrl>#${styleId(colour)}</styleUrl>
+${extendedData(properties)}
+      <Point><coordinates>${Number(location.longitude)},${Number(location.latitude)}</coordinates></Point>
+    </Placemark>`);
+
+  const tracePlacemarks = traces.map(({ coordinates, properties, colour }) => `    <Placemark>
+      <name>${escapeXml(`${properties.runName} – ${(properties.completedAt ?? "").slice(0, 10)}`)}</name>
+      <styleUrl>#${styleId(colour)}</styleUrl>
+${extendedData(properties)}
+      <LineString><tessellate>1</tessellate><coordinates>${coordinates.map(([lon, lat]) => `${lon},${lat}`).join(" ")}</coordinates></LineString>
+    </Placemark>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Gumball Tracker</name>
+${styles.join("\n")}
+    <Folder>
+      <name>Locations</name>
+${placemarks.join("\n")}
+    </Folder>
+    <Folder>
+      <name>Completed runs</name>
+${tracePlacemarks.join("\n")}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * KMZ (zipped doc.kml) of the same content as exportKml.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function exportKmz() {
+  return createZip([{ name: "doc.kml", data: await exportKml() }]);
+}
+
+/**
+ * True when parsed JSON looks like a GeoJSON Feature or FeatureCollection.
+ * @param {unknown} json
+ * @returns {boolean}
+ */
+export function isGeoJson(json) {
+  return json != null && typeof json === "object" && (json.type === "FeatureCollection" || json.type === "Feature");
+}
+
+/**
+ * Import Point features as locations. Properties map onto the waypointToLocation fields
+ * (id, name, serviceFrequency, productType, notes, status); features without a name or
+ * Point geometry are skipped. A feature matching an existing location is merged onto it:
+ * properties the feature leaves out keep their stored value, and the status is never changed.
+ * @param {object} json - GeoJSON Feature or FeatureCollection
+ * @returns {Promise<{ count: number, skipped: number }>}
+ */
+export async function importFromGeoJson(json) {
+  if (!isGeoJson(json)) {
+    throw new Error("Invalid GeoJSON: expected a Feature or FeatureCollection");
+  }
+  const features = json.type === "Feature" ? [json] : (Array.isArray(json.features) ? json.features : []);
+  const existing = new Map((await getAllFromStore("locations")).map((loc) => [loc.id, loc]));
+  const locations = [];
+  let skipped = 0;
+  for (const feature of features) {
+    const coords = feature?.geometry?.type === "Point" ? feature.geometry.coordinates : null;
+    const props = feature?.properties ?? {};
+    const name = props.name ?? props.Name ?? props.title;
+    if (!Array.isArray(coords) || !Number.isFinite(Number(coords[0])) || !Number.isFinite(Number(coords[1])) || name == null || name === "") {
+      skipped += 1;
+      continue;
+    }
+    const notes = props.notes ?? props.description;
+    const loc = await waypointToLocation({
+      id: props.id ?? feature.id ?? undefined,
+      name,
+      latitude: Number(coords[1]),
+      longitude: Number(coords[0]),
+      serviceFrequency: props.serviceFrequency,
+      productType: props.productType,
+      notes,
+      status: props.status,
+    });
+    const prev = existing.get(loc.id);
+    locations.push(prev
+      ? {
+          ...prev,
+          name: loc.name,
+          latitude: loc.latitude,
+          longitude: loc.longitude,
+          serviceFrequency: typeof props.serviceFrequency === "string" && props.serviceFrequency.trim() !== "" ? loc.serviceFrequency : prev.serviceFrequency,
+          productType: props.productType != null ? loc.productType : prev.productType,
+          notes: notes != null ? loc.notes : prev.notes,
+        }
+      : loc);
+  }
+  if (locations.length > 0) {
+    await bulkUpsert("locations", locations);
+    await recordAuditBatch(locations.map((loc) => ({
+      entityType: "location", entityId: loc.id, before: existing.get(loc.id) ?? null, after: loc, action: "import",
+    })));
+  }
+  return { count: locations.length, skipped };
+}
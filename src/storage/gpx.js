@@ -0,0 +1,218 @@
+/**
+ * GPX 1.1 import/export for Garmin units and route planners.
+ * Import: <wpt> → locations (via waypointToLocation); <rte>/<trk> → runs with stop order.
+ * Export: all locations as waypoints, or one run as waypoints plus an ordered route.
+ */
+
+import { bulkUpsert, getAllFromStore } from "./indexedDb.js";
+import { waypointToLocation } from "./seed.js";
+import {
+  getAllRuns,
+  getLocationsForRun,
+  addLocationToRun,
+  saveRunStopOrder,
+  createRunFromName,
+} from "../domain/runModel.js";
+import { recordAuditBatch } from "../domain/auditLog.js";
+import { haversineKm } from "../utils/geo.js";
+
+const GPX_NS = "http://www.topografix.com/GPX/1/1";
+/** Route/track points within this distance of an existing location are treated as that stop. */
+const STOP_MATCH_RADIUS_KM = 0.025;
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function childText(el, tagName) {
+  const child = Array.from(el.children).find((c) => c.localName === tagName);
+  const text = child?.textContent?.trim();
+  return text ? text : null;
+}
+
+function childrenNamed(el, tagName) {
+  return Array.from(el.children).filter((c) => c.localName === tagName);
+}
+
+function readPoint(el) {
+  const lat = Number(el.getAttribute("lat"));
+  const lon = Number(el.getAttribute("lon"));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return { name: childText(el, "name"), lat, lon, desc: childText(el, "desc") ?? childText(el, "cmt") };
+}
+
+/**
+ * Parse GPX text into waypoints and ordered point lists for routes and tracks.
+ * @param {string} text
+ * @returns {{ waypoints: Array<{ name: string|null, lat: number, lon: number, desc: string|null }>, routes: Array<{ name: string|null, points: Array<{ name: string|null, lat: number, lon: number }> }> }}
+ */
+export function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(String(text), "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0 || doc.documentElement.localName !== "gpx") {
+    throw new Error("Invalid GPX: file is not a GPX document");
+  }
+  const root = doc.documentElement;
+  const waypoints = childrenNamed(root, "wpt").map(readPoint).filter(Boolean);
+  const routes = [
+    ...childrenNamed(root, "rte").map((rte) => ({
+      name: childText(rte, "name"),
+      points: childrenNamed(rte, "rtept").map(readPoint).filter(Boolean),
+    })),
+    ...childrenNamed(root, "trk").map((trk) => ({
+      name: childText(trk, "name"),
+      points: childrenNamed(trk, "trkseg").flatMap((seg) => childrenNamed(seg, "trkpt").map(readPoint).filter(Boolean)),
+    })),
+  ].filter((r) => r.points.length > 0);
+  return { waypoints, routes };
+}
+
+function findNearestLocation(point, locations) {
+  let best = null;
+  let bestKm = STOP_MATCH_RADIUS_KM;
+  for (const loc of locations) {
+    if (loc.status === "deleted") continue;
+    const km = haversineKm(point.lat, point.lon, loc.latitude, loc.longitude);
+    if (km <= bestKm) {
+      best = loc;
+      bestKm = km;
+    }
+  }
+  return best;
+}
+
+/**
+ * Import a GPX file. Waypoints become locations (deterministic ids, so re-imports don't duplicate).
+ * Each route or track becomes a run (matched by name, created if missing) whose stop order follows the points.
+ * Route points resolve to an existing location by id or proximity; named points with no match become new locations.
+ * Unnamed track points with no nearby location are breadcrumbs and are skipped.
+ * @param {string} text - GPX file contents
+ * @returns {Promise<{ locations: number, runs: number, stops: number }>}
+ */
+export async function importFromGpx(text) {
+  const { waypoints, routes } = parseGpx(text);
+  if (waypoints.length === 0 && routes.length === 0) {
+    throw new Error("GPX file has no waypoints, routes or tracks");
+  }
+
+  const existing = await getAllFromStore("locations");
+  const byId = new Map((existing || []).map((loc) => [loc.id, loc]));
+
+  // Waypoints already in the store are left as-is so local edits (frequency, notes) survive a re-import.
+  const newLocations = [];
+  for (const wpt of waypoints) {
+    const loc = await waypointToLocation({
+      name: wpt.name ?? `Waypoint ${wpt.lat.toFixed(5)}, ${wpt.lon.toFixed(5)}`,
+      lat: wpt.lat,
+      lon: wpt.lon,
+      popup: wpt.desc ?? undefined,
+    });
+    if (byId.has(loc.id)) continue;
+    byId.set(loc.id, loc);
+    newLocations.push(loc);
+  }
+
+  const routeStops = [];
+  for (const route of routes) {
+    const stopIds = [];
+    for (const point of route.points) {
+      let loc = null;
+      if (point.name) {
+        const candidate = await waypointToLocation({ name: point.name, lat: point.lat, lon: point.lon });
+        loc = byId.get(candidate.id) ?? findNearestLocation(point, byId.values());
+        if (!loc) {
+          loc = candidate;
+          byId.set(loc.id, loc);
+          newLocations.push(loc);
+        }
+      } else {
+        loc = findNearestLocation(point, byId.values());
+      }
+      if (loc && !stopIds.includes(loc.id)) stopIds.push(loc.id);
+    }
+    if (stopIds.length > 0) routeStops.push({ name: route.name, stopIds });
+  }
+
+  if (newLocations.length > 0) {
+    await bulkUpsert("locations", newLocations);
+    await recordAuditBatch(newLocations.map((loc) => ({
+      entityType: "location", entityId: loc.id, before: null, after: loc, action: "import",
+    })));
+  }
+
+  const runs = await getAllRuns();
+  let stops = 0;
+  for (const [i, { name, stopIds }] of routeStops.entries()) {
+    const runName = name ?? `GPX route ${i + 1}`;
+    let run = (runs || []).find((r) => String(r.name ?? "").trim().toLowerCase() === runName.trim().toLowerCase());
+    if (!run) {
+      run = await createRunFromName(runName);
+      runs.push(run);
+    }
+    for (const locationId of stopIds) {
+      await addLocationToRun(run.id, locationId);
+    }
+    await saveRunStopOrder(run.id, stopIds);
+    stops += stopIds.length;
+  }
+
+  return { locations: newLocations.length, runs: routeStops.length, stops };
+}
+
+function waypointXml(loc) {
+  const desc = loc.notes ? `\n    <desc>${escapeXml(loc.notes)}</desc>` : "";
+  return `  <wpt lat="${Number(loc.latitude)}" lon="${Number(loc.longitude)}">
+    <name>${escapeXml(loc.name ?? loc.id)}</name>${desc}
+  </wpt>`;
+}
+
+/**
+ * Serialise locations (and optionally one ordered route) as GPX 1.1.
+ * @param {{ name?: string, locations: object[], route?: { name: string, locations: object[] } }} data
+ * @returns {string}
+ */
+export function buildGpx({ name, locations, route }) {
+  const parts = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    `<gpx version="1.1" creator="Gumball Tracker" xmlns="${GPX_NS}">`,
+  ];
+  if (name) parts.push(`  <metadata>\n    <name>${escapeXml(name)}</name>\n  </metadata>`);
+  (locations || []).forEach((loc) => parts.push(waypointXml(loc)));
+  if (route && route.locations.length > 0) {
+    const points = route.locations.map(
+      (loc) => `    <rtept lat="${Number(loc.latitude)}" lon="${Number(loc.longitude)}">\n      <name>${escapeXml(loc.name ?? loc.id)}</name>\n    </rtept>`
+    );
+    parts.push(`  <rte>\n    <name>${escapeXml(route.name)}</name>\n${points.join("\n")}\n  </rte>`);
+  }
+  parts.push("</gpx>");
+  return `${parts.join("\n")}\n`;
+}
+
+/**
+ * GPX of all active locations as waypoints.
+ * @returns {Promise<string>}
+ */
+export async function exportLocationsGpx() {
+  const locations = (await getAllFromStore("locations")).filter((loc) => loc.status === "active" || !loc.status);
+  return buildGpx({ name: "Gumball locations", locations });
+}
+
+/**
+ * GPX of one run: its stops as waypoints plus a route in stop order.
+ * @param {string} runId
+ * @returns {Promise<{ filename: string, gpx: string }>}
+ */
+export async function exportRunGpx(runId) {
+  const [runs, locations] = await Promise.all([getAllRuns(), getLocationsForRun(runId)]);
+  const run = (runs || []).find((r) => r.id === runId);
+  const runName = run?.name ?? runId;
+  const slug = runName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "run";
+  return {
+    filename: `gumball-run-${slug}.gpx`,
+    gpx: buildGpx({ name: runName, locations, route: { name: runName, locations } }),
+  };
+}
@@ -2,10 +2,29 @@
 // This focuses on schema and opening the database; higher-level CRUD helpers
 // will be added as features are implemented.
 
+import { sortLinksForSequence } from "./backupMigrations.js";
+import { DB_VERSION } from "./schemaVersion.js";
+
+export { DB_VERSION };
+
 const DB_NAME = "gumball-tracker";
-const DB_VERSION = 6;
+
+/** Stores replicated by sync (see sync.js). Writes to these are recorded in changeLog while tracking is on. */
+export const SYNCED_STORES = ["locations", "runs", "runLocations", "visits", "runCompletions", "serviceFrequencies", "issues"];
 
 let dbPromise;
+let changeTracking = false;
+let changeListener = null;
+
+/**
+ * Turn change logging for synced stores on or off (on while sync is enabled).
+ * @param {boolean} enabled
+ * @param {(() => void) | null} [onChange] - Called after a logged write commits
+ */
+export function setChangeTracking(enabled, onChange = null) {
+  changeTracking = Boolean(enabled);
+  changeListener = changeTracking ? onChange : null;
+}
 
 export function initStorage() {
   if (!dbPromise) {
@@ -49,6 +68,24 @@ function openDatabase() {
         };
       }
 
+      // Migration: runLocations.sequence (stop order), seeded from assignedAt.
+      if (oldVersion > 0 && oldVersion < 7 && db.objectStoreNames.contains("runLocations")) {
+        const linksStore = tx.objectStore("runLocations");
+        const linksReq = linksStore.getAll();
+        linksReq.onsuccess = () => {
+          const linksByRun = new Map();
+          for (const link of linksReq.result || []) {
+            if (!linksByRun.has(link.runId)) linksByRun.set(link.runId, []);
+            linksByRun.get(link.runId).push(link);
+          }
+          for (const links of linksByRun.values()) {
+            sortLinksForSequence(links).forEach((link, i) => {
+              linksStore.put({ ...link, sequence: i + 1 });
+            });
+          }
+        };
+      }
+
       // Locations store
       if (!db.objectStoreNames.contains("locations")) {
         const store = db.createObjectStore("locations", { keyPath: "id" });
@@ -89,6 +126,46 @@ function openDatabase() {
       if (!db.objectStoreNames.contains("settings")) {
         db.createObjectStore("settings", { keyPath: "id" });
       }
+
+      // Automatic local backups where OPFS is unavailable: { id, createdAt, reason, size, data }
+      if (!db.objectStoreNames.contains("snapshots")) {
+        db.createObjectStore("snapshots", { keyPath: "id" });
+      }
+
+      // Sync outbox: one entry per local put/delete on a synced store, pushed then removed.
+      if (!db.objectStoreNames.contains("changeLog")) {
+        db.createObjectStore("changeLog", { keyPath: "seq", autoIncrement: true });
+      }
+
+      // Sync clocks: last-writer-wins metadata per synced record; deleted records stay as tombstones.
+      if (!db.objectStoreNames.contains("syncRecords")) {
+        db.createObjectStore("syncRecords", { keyPath: "id" });
+      }
+
+      // Service frequencies (v11): { id, label, intervalDays, intervalMonths, activeMonths }; empty = built-in defaults
+      if (!db.objectStoreNames.contains("serviceFrequencies")) {
+        db.createObjectStore("serviceFrequencies", { keyPath: "id" });
+      }
+
+      // Audit trail (append-only): before/after diffs for location and run mutations, per device.
+      if (!db.objectStoreNames.contains("auditLog")) {
+        const store = db.createObjectStore("auditLog", { keyPath: "seq", autoIncrement: true });
+        store.createIndex("entityKey", "entityKey", { unique: false });
+        store.createIndex("locationId", "locationId", { unique: false });
+      }
+
+      // Van stock ledger (v12): signed units per product in / out of the van (see vanStock.js)
+      if (!db.objectStoreNames.contains("vanStock")) {
+        const store = db.createObjectStore("vanStock", { keyPath: "id" });
+        store.createIndex("runId", "runId", { unique: false });
+      }
+
+      // Fault / maintenance issues (v13): open until resolved, per location (see issues.js)
+      if (!db.objectStoreNames.contains("issues")) {
+        const store = db.createObjectStore("issues", { keyPath: "id" });
+        store.createIndex("locationId", "locationId", { unique: false });
+        store.createIndex("status", "status", { unique: false });
+      }
     };
 
     request.onsuccess = () => {
@@ -110,24 +187,57 @@ function openDatabase() {
 
 async function runTransaction(storeName, mode, operation) {
   const db = await getDb();
+  const tracked = mode === "readwrite" && isTracked(storeName);
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, mode);
+    const tx = db.transaction(tracked ? [storeName, "changeLog", "syncRecords"] : storeName, mode);
     const store = tx.objectStore(storeName);
     let result;
 
     tx.oncomplete = () => resolve(result);
     tx.onerror = () => reject(tx.error);
 
-    result = operation(store);
+    result = operation(store, tracked ? (op, key, value) => logChange(tx, storeName, op, key, value) : null);
   });
 }
 
+function isTracked(storeName) {
+  return changeTracking && SYNCED_STORES.includes(storeName);
+}
+
+/** Id of a record's entry in syncRecords. */
+export function syncRecordId(storeName, key) {
+  return `${storeName}:${key}`;
+}
+
+/**
+ * Record a local write inside the caller's transaction (which must include changeLog and syncRecords).
+ * Local clocks carry deviceId null; sync.js substitutes this device's id.
+ */
+function logChange(tx, storeName, op, key, value) {
+  const updatedAt = Date.now();
+  if (changeListener && !tx._changeNotified) {
+    tx._changeNotified = true;
+    const listener = changeListener;
+    tx.addEventListener("complete", () => listener());
+  }
+  tx.objectStore("changeLog").add({ store: storeName, key, op, value: op === "put" ? value : null, updatedAt });
+  tx.objectStore("syncRecords").put({ id: syncRecordId(storeName, key), store: storeName, key, updatedAt, deviceId: null, deleted: op === "delete" });
+}
+
 export function putEntity(storeName, value) {
-  return runTransaction(storeName, "readwrite", (store) => store.put(value));
+  return runTransaction(storeName, "readwrite", (store, log) => {
+    const req = store.put(value);
+    log?.("put", value.id, value);
+    return req;
+  });
 }
 
 export function deleteEntity(storeName, key) {
-  return runTransaction(storeName, "readwrite", (store) => store.delete(key));
+  return runTransaction(storeName, "readwrite", (store, log) => {
+    const req = store.delete(key);
+    log?.("delete", key);
+    return req;
+  });
 }
 
 export async function getEntity(storeName, key) {
@@ -152,6 +262,45 @@ export async function getAllFromStore(storeName) {
   });
 }
 
+/**
+ * Add a record to an autoIncrement store; never overwrites (used by append-only logs).
+ * @param {string} storeName
+ * @param {object} value
+ * @returns {Promise<number>} Generated key
+ */
+export function appendEntry(storeName, value) {
+  return runTransaction(storeName, "readwrite", (store) => store.add(value)).then((req) => req.result);
+}
+
+/**
+ * Add several records to an autoIncrement store in one transaction (bulk audit entries).
+ * @param {string} storeName
+ * @param {object[]} values
+ * @returns {Promise<void>}
+ */
+export function appendEntries(storeName, values) {
+  return runTransaction(storeName, "readwrite", (store) => {
+    values.forEach((value) => store.add(value));
+  });
+}
+
+/**
+ * All records whose index matches a key.
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {IDBValidKey} key
+ * @returns {Promise<object[]>}
+ */
+export async function getAllByIndex(storeName, indexName, key) {
+  const db = await getDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readonly");
+    const req = tx.objectStore(storeName).index(indexName).getAll(key);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
 /**
  * Bulk upsert items into a store in a single readwrite transaction.
  * Resolves when the transaction commits; rejects on tx.onerror/tx.onabort.
@@ -164,18 +313,159 @@ export async function bulkUpsert(storeName, items) {
     throw new Error("bulkUpsert requires an array of items");
   }
   const db = await getDb();
+  const tracked = isTracked(storeName);
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, "readwrite");
+    const tx = db.transaction(tracked ? [storeName, "changeLog", "syncRecords"] : storeName, "readwrite");
     const store = tx.objectStore(storeName);
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
     tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
     for (const item of items) {
       store.put(item);
+      if (tracked) logChange(tx, storeName, "put", item.id, item);
     }
   });
 }
 
+/**
+ * Apply writes to several stores in one readwrite transaction: either every store is written or none is.
+ * Per store, `clear` empties it, then `delete` keys are removed, then `put` items are written.
+ * @param {Record<string, { clear?: boolean, delete?: IDBValidKey[], put?: object[] }>} writes - store name → writes
+ * @returns {Promise<void>}
+ */
+export async function writeStoresAtomically(writes) {
+  const storeNames = Object.keys(writes || {});
+  if (storeNames.length === 0) return;
+  const tracked = storeNames.some(isTracked);
+  const db = await getDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(tracked ? [...storeNames, "changeLog", "syncRecords"] : storeNames, "readwrite");
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    try {
+      for (const storeName of storeNames) {
+        const store = tx.objectStore(storeName);
+        const { clear = false, delete: remove = [], put = [] } = writes[storeName];
+        if (clear && isTracked(storeName)) {
+          // Records a replace removes become delete changes so other devices drop them too.
+          const keep = new Set(put.map((item) => item.id));
+          const keysReq = store.getAllKeys();
+          keysReq.onsuccess = () => {
+            keysReq.result.filter((key) => !keep.has(key)).forEach((key) => logChange(tx, storeName, "delete", key));
+          };
+        }
+        if (clear) store.clear();
+        for (const key of remove) {
+          store.delete(key);
+          if (isTracked(storeName)) logChange(tx, storeName, "delete", key);
+        }
+        for (const item of put) {
+          store.put(item);
+          if (isTracked(storeName)) logChange(tx, storeName, "put", item.id, item);
+        }
+      }
+    } catch (err) {
+      // A synchronous failure (e.g. DataError on a bad key) must not leave a partial write.
+      tx.abort();
+      reject(err);
+    }
+  });
+}
+
+/**
+ * True when clock a is newer than clock b (updatedAt, then deviceId as tie-break).
+ * @param {{ updatedAt: number, deviceId: string }} a
+ * @param {{ updatedAt: number, deviceId: string }} b
+ */
+export function isNewerClock(a, b) {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+  return String(a.deviceId) > String(b.deviceId);
+}
+
+/**
+ * Apply changes pulled from the sync server in one transaction, last-writer-wins per record.
+ * Applied changes are not logged (they must not echo back); tombstones are kept in syncRecords.
+ * @param {Array<{ store: string, key: string, op: "put" | "delete", value?: object, updatedAt: number, deviceId: string }>} changes
+ * @param {string} localDeviceId - Substituted for local clocks (deviceId null)
+ * @returns {Promise<{ applied: number, stores: string[] }>}
+ */
+export async function applyRemoteChanges(changes, localDeviceId) {
+  const valid = (changes || []).filter((c) => SYNCED_STORES.includes(c?.store) && c.key != null && (c.op === "put" || c.op === "delete"));
+  const storeNames = [...new Set(valid.map((c) => c.store))];
+  if (storeNames.length === 0) return { applied: 0, stores: [] };
+  const db = await getDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([...storeNames, "syncRecords"], "readwrite");
+    const clocks = tx.objectStore("syncRecords");
+    const touched = new Set();
+    let applied = 0;
+    tx.oncomplete = () => resolve({ applied, stores: [...touched] });
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    valid.forEach((change) => {
+      const id = syncRecordId(change.store, change.key);
+      const req = clocks.get(id);
+      req.onsuccess = () => {
+        const local = req.result;
+        const remote = { updatedAt: Number(change.updatedAt) || 0, deviceId: String(change.deviceId ?? "") };
+        if (local && !isNewerClock(remote, { updatedAt: local.updatedAt, deviceId: local.deviceId ?? localDeviceId })) return;
+        const store = tx.objectStore(change.store);
+        if (change.op === "put" && change.value && typeof change.value === "object") {
+          store.put({ ...change.value, id: change.key });
+        } else {
+          store.delete(change.key);
+        }
+        clocks.put({ id, store: change.store, key: change.key, ...remote, deleted: change.op === "delete" });
+        touched.add(change.store);
+        applied += 1;
+      };
+    });
+  });
+}
+
+/**
+ * Delete pushed outbox entries.
+ * @param {number} lastSeq - Highest changeLog seq that the server accepted
+ * @returns {Promise<void>}
+ */
+export async function clearChangeLogThrough(lastSeq) {
+  return runTransaction("changeLog", "readwrite", (store) => store.delete(IDBKeyRange.upperBound(lastSeq)));
+}
+
+/**
+ * Queue every existing synced record that has no sync clock yet (first time sync is turned on).
+ * Their clock is 0 so a copy already on the server wins over this device's untracked history.
+ * @returns {Promise<number>} Number of records queued
+ */
+export async function enqueueUntrackedRecords() {
+  const db = await getDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([...SYNCED_STORES, "changeLog", "syncRecords"], "readwrite");
+    const clocks = tx.objectStore("syncRecords");
+    const log = tx.objectStore("changeLog");
+    let queued = 0;
+    tx.oncomplete = () => resolve(queued);
+    tx.onerror = () => reject(tx.error);
+    const clocksReq = clocks.getAllKeys();
+    clocksReq.onsuccess = () => {
+      const known = new Set(clocksReq.result);
+      SYNCED_STORES.forEach((storeName) => {
+        const req = tx.objectStore(storeName).getAll();
+        req.onsuccess = () => {
+          (req.result || []).forEach((record) => {
+            const id = syncRecordId(storeName, record.id);
+            if (known.has(id)) return;
+            log.add({ store: storeName, key: record.id, op: "put", value: record, updatedAt: 0 });
+            clocks.put({ id, store: storeName, key: record.id, updatedAt: 0, deviceId: null, deleted: false });
+            queued += 1;
+          });
+        };
+      });
+    };
+  });
+}
+
 export async function countStore(storeName) {
   const db = await getDb();
   return new Promise((resolve, reject) => {
@@ -0,0 +1,6 @@
+/**
+ * Current IndexedDB schema version, in a module of its own so that code without IndexedDB
+ * (backup upgrade tests) can read it. Bump together with the onupgradeneeded steps in indexedDb.js;
+ * it is also recorded in backup headers (see backupMigrations.js).
+ */
+export const DB_VERSION = 13;
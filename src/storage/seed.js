@@ -5,6 +5,10 @@
  */
 
 import { bulkUpsert, getAllFromStore } from "./indexedDb.js";
+import { recordAuditBatch } from "../domain/auditLog.js";
+import { WRONG_PASSPHRASE, decryptBackup, isEncryptedBackup } from "./backupCrypto.js";
+import { importFromGeoJson } from "./geoFormats.js";
+import { importData } from "./backup.js";
 
 /** Default seed URL (bundled in public/). */
 export const DEFAULT_SEED_URL = "/garmin_waypoints_locations_seed.json";
@@ -48,8 +52,10 @@ export async function waypointToLocation(entry) {
     latitude = Number(entry.latitude);
     longitude = Number(entry.longitude);
     name = String(entry.name);
-    serviceFrequency = entry.serviceFrequency != null && ["weekly", "fortnightly", "monthly", "adhoc"].includes(entry.serviceFrequency)
-      ? entry.serviceFrequency
+    // Kept as given: frequencies are user-defined (serviceFrequencies store), and an id this device
+    // does not know yet may arrive with its definition in the same backup or via sync.
+    serviceFrequency = typeof entry.serviceFrequency === "string" && entry.serviceFrequency.trim() !== ""
+      ? entry.serviceFrequency.trim()
       : "adhoc";
     productType = entry.productType != null ? String(entry.productType) : "";
     notes = entry.notes != null ? String(entry.notes) : "";
@@ -98,7 +104,11 @@ export async function importLocationsFromSeed(entries) {
     locations.push(location);
   }
   if (locations.length > 0) {
+    const existing = new Map((await getAllFromStore("locations")).map((loc) => [loc.id, loc]));
     await bulkUpsert("locations", locations);
+    await recordAuditBatch(locations.map((loc) => ({
+      entityType: "location", entityId: loc.id, before: existing.get(loc.id) ?? null, after: loc, action: "import",
+    })));
   }
   return locations.length;
 }
@@ -133,24 +143,50 @@ export async function runFirstRunSeedIfEmpty(seedUrl = DEFAULT_SEED_URL) {
 
 /**
  * Import from JSON for Maintenance "Import seed/backup" UI.
- * Accepts: same structure as exportAllData() (full backup), or locations[] only, or raw array of waypoints.
- * Upserts; does not crash on id collisions.
+ * Accepts: same structure as exportAllData() (full backup), or locations[] only, or raw array of waypoints,
+ * or a GeoJSON Feature/FeatureCollection of Point features.
+ * Location lists upsert and do not crash on id collisions; full backups are validated and restored
+ * in one transaction (see importData). Encrypted backup envelopes are decrypted first with the
+ * passphrase from options.getPassphrase; it may be asked again after a wrong passphrase.
  * @param {object} json - Parsed JSON (array or object with locations / runs / runLocations / visits)
- * @returns {Promise<{ kind: 'full' } | { kind: 'locations'; count: number }>}
+ * @param {{ mode?: "merge" | "replace", getPassphrase?: (error: string|null) => Promise<string|null> }} [options] - Restore mode for full backups;
+ *   getPassphrase receives the previous attempt's error and resolves null to cancel
+ * @returns {Promise<{ kind: 'full', stores: object } | { kind: 'locations'; count: number }>}
  */
-export async function importFromJson(json) {
+export async function importFromJson(json, options = {}) {
   if (json == null || typeof json !== "object") {
     throw new Error("Invalid import: expected JSON object or array");
   }
+  if (isEncryptedBackup(json)) {
+    if (typeof options.getPassphrase !== "function") {
+      throw new Error("This backup is encrypted; a passphrase is required");
+    }
+    let error = null;
+    for (;;) {
+      const passphrase = await options.getPassphrase(error);
+      if (passphrase == null) throw new Error("Import cancelled");
+      try {
+        json = await decryptBackup(json, passphrase);
+        break;
+      } catch (err) {
+        error = err instanceof Error ? err.message : String(err);
+        if (error !== WRONG_PASSPHRASE) throw err;
+      }
+    }
+    return importFromJson(json, { mode: options.mode });
+  }
+  if (json.type === "FeatureCollection" || json.type === "Feature") {
+    const { count } = await importFromGeoJson(json);
+    return { kind: "locations", count };
+  }
   const hasOtherStores =
     (json.runs != null && Array.isArray(json.runs)) ||
     (json.runLocations != null && Array.isArray(json.runLocations)) ||
     (json.visits != null && Array.isArray(json.visits));
   const isFullBackup = Array.isArray(json.locations) && hasOtherStores;
   if (isFullBackup) {
-    const { importData } = await import("./backup.js");
-    await importData(json);
-    return { kind: "full" };
+    const { stores } = await importData(json, options);
+    return { kind: "full", stores };
   }
   const entries = Array.isArray(json) ? json : json.locations;
   if (!Array.isArray(entries)) {
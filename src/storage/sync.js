@@ -0,0 +1,153 @@
+/**
+ * Sync protocol client: pushes the local change log to a sync endpoint and pulls other devices'
+ * changes since a cursor. Conflicts resolve last-writer-wins per record (see applyRemoteChanges).
+ * Endpoint contract (implemented by sync-server/server.js):
+ *   POST {endpoint}/push  { deviceId, changes: [{ store, key, op, value, updatedAt, deviceId }] } → { accepted, rejected }
+ *   GET  {endpoint}/pull?since=<cursor>&limit=<n> → { changes: [...], cursor, hasMore }
+ */
+
+import {
+  applyRemoteChanges,
+  clearChangeLogThrough,
+  enqueueUntrackedRecords,
+  getAllFromStore,
+  getEntity,
+  putEntity,
+} from "./indexedDb.js";
+
+const SYNC_STATE_KEY = "syncState";
+const BATCH_SIZE = 500;
+
+/**
+ * Device id, pull cursor and last successful sync, kept in the settings store.
+ * @returns {Promise<{ deviceId: string, cursor: number, lastSyncedAt: string|null, initialized: boolean }>}
+ */
+export async function getSyncState() {
+  const raw = await getEntity("settings", SYNC_STATE_KEY);
+  if (raw?.deviceId) {
+    return {
+      deviceId: raw.deviceId,
+      cursor: Number(raw.cursor) || 0,
+      lastSyncedAt: raw.lastSyncedAt ?? null,
+      initialized: Boolean(raw.initialized),
+    };
+  }
+  const state = { deviceId: `device-${crypto.randomUUID()}`, cursor: 0, lastSyncedAt: null, initialized: false };
+  await saveSyncState(state);
+  return state;
+}
+
+async function saveSyncState(state) {
+  await putEntity("settings", { id: SYNC_STATE_KEY, ...state });
+}
+
+/**
+ * Forget the pull cursor so the next sync downloads everything (e.g. after changing endpoint).
+ * @returns {Promise<void>}
+ */
+export async function resetSyncCursor() {
+  const state = await getSyncState();
+  await saveSyncState({ ...state, cursor: 0, lastSyncedAt: null });
+}
+
+/**
+ * Queue records written before sync was turned on. Runs once per device.
+ * @returns {Promise<number>} Records queued
+ */
+export async function prepareInitialSync() {
+  const state = await getSyncState();
+  if (state.initialized) return 0;
+  const queued = await enqueueUntrackedRecords();
+  await saveSyncState({ ...state, initialized: true });
+  return queued;
+}
+
+/** @returns {Promise<number>} Local changes not yet pushed */
+export async function countPendingChanges() {
+  return (await getAllFromStore("changeLog")).length;
+}
+
+function endpointUrl(endpoint, path) {
+  return `${String(endpoint).replace(/\/+$/, "")}/${path}`;
+}
+
+async function request(config, path, init = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+  const res = await fetch(endpointUrl(config.endpoint, path), { ...init, headers });
+  if (!res.ok) {
+    let detail = "";
+    try {
+      detail = (await res.json())?.error ?? "";
+    } catch (_) {}
+    throw new Error(`Sync server returned ${res.status}${detail ? `: ${detail}` : ""}`);
+  }
+  return res.json();
+}
+
+/**
+ * Latest change per record, so an edited-then-edited-again record is sent once.
+ * @returns {Array<object>} Sorted by seq
+ */
+function compactChangeLog(entries) {
+  const latest = new Map();
+  for (const entry of entries) {
+    latest.set(`${entry.store}:${entry.key}`, entry);
+  }
+  return [...latest.values()].sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Push the outbox in batches; each accepted batch is removed from the change log.
+ * @param {{ endpoint: string, token?: string }} config
+ * @returns {Promise<{ pushed: number, rejected: number }>}
+ */
+export async function pushChanges(config) {
+  const { deviceId } = await getSyncState();
+  const entries = await getAllFromStore("changeLog");
+  if (entries.length === 0) return { pushed: 0, rejected: 0 };
+  const lastSeq = entries[entries.length - 1].seq;
+  const changes = compactChangeLog(entries);
+  let pushed = 0;
+  let rejected = 0;
+  for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+    const batch = changes.slice(i, i + BATCH_SIZE);
+    const result = await request(config, "push", {
+      method: "POST",
+      body: JSON.stringify({
+        deviceId,
+        changes: batch.map(({ store, key, op, value, updatedAt }) => ({ store, key, op, value, updatedAt, deviceId })),
+      }),
+    });
+    pushed += Number(result?.accepted) || 0;
+    rejected += Number(result?.rejected) || 0;
+    // Older entries for the same records were compacted away, so clear through this batch's last seq,
+    // or through the whole snapshot once the final batch is in.
+    await clearChangeLogThrough(i + BATCH_SIZE >= changes.length ? lastSeq : batch[batch.length - 1].seq);
+  }
+  return { pushed, rejected };
+}
+
+/**
+ * Pull and apply remote changes since the saved cursor.
+ * @param {{ endpoint: string, token?: string }} config
+ * @returns {Promise<{ applied: number, stores: string[] }>}
+ */
+export async function pullChanges(config) {
+  const state = await getSyncState();
+  let cursor = state.cursor;
+  let applied = 0;
+  const stores = new Set();
+  for (;;) {
+    const result = await request(config, `pull?since=${encodeURIComponent(cursor)}&limit=${BATCH_SIZE}`);
+    const changes = Array.isArray(result?.changes) ? result.changes : [];
+    const outcome = await applyRemoteChanges(changes, state.deviceId);
+    applied += outcome.applied;
+    outcome.stores.forEach((s) => stores.add(s));
+    cursor = Number(result?.cursor) || cursor;
+    await saveSyncState({ ...(await getSyncState()), cursor });
+    if (!result?.hasMore || changes.length === 0) break;
+  }
+  await saveSyncState({ ...(await getSyncState()), lastSyncedAt: new Date().toISOString() });
+  return { applied, stores: [...stores] };
+}
@@ -3,11 +3,22 @@
  * Mobile: slides up from bottom (50–70% height). Tablet: uses side panel area.
  * Dual-mode: VIEW (read-only + Edit/Delete) and EDIT (editable + Save/Cancel).
  * Maintenance: Previous/Next replace Archive for location navigation.
+ * Maintenance also gets a History tab (audit entries, per-field revert) when getHistory is provided.
+ * Operation: Mark Visited opens a visit form (cash collection and/or machine refill) when
+ * cashCollection or stock is provided. At a bank of machines the form ticks off machines one by
+ * one; the stop is only marked visited once every machine in service is done.
+ * With issues provided, open fault issues are listed with Resolve, and Operation can report new ones.
  */
 
 
 const TABLET_BREAKPOINT_PX = 768;
-const SERVICE_FREQUENCIES = ["weekly", "fortnightly", "monthly", "adhoc"];
+/** Used until the app passes the stored frequency list (serviceFrequenciesRef). */
+const FALLBACK_FREQUENCIES = [
+  { id: "weekly", label: "Weekly" },
+  { id: "fortnightly", label: "Fortnightly" },
+  { id: "monthly", label: "Monthly" },
+  { id: "adhoc", label: "Ad hoc" },
+];
 
 function isTablet() {
   return typeof window !== "undefined" && window.matchMedia(`(min-width: ${TABLET_BREAKPOINT_PX}px)`).matches;
@@ -19,12 +30,64 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
-function renderViewMode(location, callbacks, context = "maintenance", runsOptions = null, operationOptions = null) {
+function frequencyLabel(id, frequencies) {
+  if (id == null) return "—";
+  return frequencies.find((f) => f.id === id)?.label ?? String(id);
+}
+
+/** A location without a machines list has one implicit machine (label "Machine"). */
+function fallbackMachines(location) {
+  return [{ id: "main", label: "Machine", productType: location?.productType ?? "", capacity: location?.capacity ?? null, state: "active" }];
+}
+
+/** e.g. "Gumballs · 200 units · out of order"; the label is left out for a single machine. */
+function describeMachine(machine, withLabel) {
+  const parts = [];
+  if (withLabel) parts.push(machine.label);
+  parts.push(machine.productType || "No product set");
+  if (machine.capacity != null) parts.push(`${machine.capacity} units`);
+  if (machine.state === "outOfOrder") parts.push("out of order");
+  return parts.join(" · ");
+}
+
+function optionLabel(list, id) {
+  return list.find((item) => item.id === id)?.label ?? String(id);
+}
+
+/**
+ * Open issues of the location, most severe first, each with a Resolve button.
+ * @param {{ issues: object[]|null, categories: Array<{ id: string, label: string }>, severities: Array<{ id: string, label: string }>, error?: string }} issuesView
+ *   error: why the last Resolve failed
+ * @param {object[]} machines
+ */
+function renderOpenIssues(issuesView, machines) {
+  const open = (issuesView.issues || []).filter((i) => i.status === "open");
+  const errorHtml = issuesView.error ? `<p class="bottom-sheet-collect-error">${escapeHtml(issuesView.error)}</p>` : "";
+  if (open.length === 0) return errorHtml;
+  const machineLabel = (id) => (machines.length > 1 ? machines.find((m) => m.id === id)?.label ?? null : null);
+  return `
+    <div class="bottom-sheet-issues">
+      <p class="bottom-sheet-issues-title">Open issues (${open.length})</p>
+      <ul class="bottom-sheet-issues-list">
+        ${open.map((i) => `
+          <li class="bottom-sheet-issue bottom-sheet-issue--${escapeHtml(i.severity)}">
+            <div>
+              <strong>${escapeHtml(optionLabel(issuesView.categories, i.category))}</strong>
+              <span class="bottom-sheet-issue-meta">${escapeHtml([optionLabel(issuesView.severities, i.severity), machineLabel(i.machineId), `since ${formatStockDate(i.createdAt)}`].filter(Boolean).join(" · "))}</span>
+              ${i.note ? `<p class="bottom-sheet-issue-note">${escapeHtml(i.note)}</p>` : ""}
+            </div>
+            <button type="button" class="bottom-sheet-issue-resolve" data-issue-id="${escapeHtml(i.id)}">Resolve</button>
+          </li>`).join("")}
+      </ul>
+      ${errorHtml}
+    </div>`;
+}
+
+function renderViewMode(location, callbacks, context = "maintenance", runsOptions = null, operationOptions = null, frequencies = FALLBACK_FREQUENCIES, machines = fallbackMachines(location), issuesView = null) {
   const content = document.createElement("div");
   content.className = "bottom-sheet-content";
   const name = location.name != null ? String(location.name) : "—";
-  const serviceFrequency = location.serviceFrequency != null ? String(location.serviceFrequency) : "—";
-  const productType = location.productType != null ? String(location.productType) : "—";
+  const serviceFrequency = frequencyLabel(location.serviceFrequency, frequencies);
   const notes = location.notes != null ? String(location.notes) : "—";
   const status = location.status != null ? String(location.status) : "—";
 
@@ -32,6 +95,11 @@ function renderViewMode(location, callbacks, context = "maintenance", runsOption
   const isDisruption = context === "disruption";
   const isReadOnlyWithMarkVisited = isOperation || isDisruption;
   const isVisited = operationOptions?.isVisited === true;
+  const activeMachines = machines.filter((m) => m.state !== "outOfOrder");
+  const machinesDone = activeMachines.filter((m) => (operationOptions?.machinesDone ?? []).includes(m.id)).length;
+  const progressHtml = isReadOnlyWithMarkVisited && !isVisited && activeMachines.length > 1
+    ? `<p class="bottom-sheet-machine-progress">${machinesDone} of ${activeMachines.length} machines done</p>`
+    : "";
   const showRunsSection = (context === "maintenance" || context === "operation") && runsOptions && Array.isArray(runsOptions.runs) && runsOptions.runs.length > 0;
 
   let runsSectionHtml = "";
@@ -58,6 +126,7 @@ function renderViewMode(location, callbacks, context = "maintenance", runsOption
          ${isVisited
       ? '<button type="button" class="bottom-sheet-btn bottom-sheet-btn-unvisited" data-action="mark-unvisited">Mark Unvisited</button>'
       : '<button type="button" class="bottom-sheet-btn bottom-sheet-btn-primary" data-action="mark-visited">Mark Visited</button>'}
+         ${issuesView ? '<button type="button" class="bottom-sheet-btn bottom-sheet-btn-secondary" data-action="report-issue">Report issue</button>' : ""}
          ${isDisruption ? '<button type="button" class="bottom-sheet-btn bottom-sheet-btn-secondary" data-action="back">Back</button>' : ""}
        </div>`
     : `<div class="bottom-sheet-actions">
@@ -70,11 +139,14 @@ function renderViewMode(location, callbacks, context = "maintenance", runsOption
     <dl class="bottom-sheet-details">
       <dt>Name</dt><dd>${escapeHtml(name)}</dd>
       <dt>Service Frequency</dt><dd>${escapeHtml(serviceFrequency)}</dd>
-      <dt>Product Type</dt><dd>${escapeHtml(productType)}</dd>
+      <dt>${machines.length > 1 ? "Machines" : "Machine"}</dt>
+      <dd>${machines.map((m) => `<span class="bottom-sheet-machine${m.state === "outOfOrder" ? " bottom-sheet-machine--out" : ""}">${escapeHtml(describeMachine(m, machines.length > 1))}</span>`).join("")}</dd>
       <dt>Notes</dt><dd>${escapeHtml(notes)}</dd>
       <dt>Status</dt><dd>${escapeHtml(status)}</dd>
     </dl>
+    ${issuesView ? renderOpenIssues(issuesView, machines) : ""}
     ${runsSectionHtml}
+    ${progressHtml}
     ${actionsHtml}
   `;
 
@@ -97,27 +169,56 @@ function renderViewMode(location, callbacks, context = "maintenance", runsOption
     content.querySelector('[data-action="mark-visited"]')?.addEventListener("click", () => callbacks.onMarkVisited?.());
     content.querySelector('[data-action="mark-unvisited"]')?.addEventListener("click", () => callbacks.onMarkUnvisited?.());
     content.querySelector('[data-action="back"]')?.addEventListener("click", () => callbacks.onBack?.());
+    content.querySelector('[data-action="report-issue"]')?.addEventListener("click", () => callbacks.onReportIssue?.());
   } else {
     content.querySelector('[data-action="edit"]')?.addEventListener("click", () => callbacks.onEdit());
     content.querySelector('[data-action="prev"]')?.addEventListener("click", () => callbacks.onPrevious?.());
     content.querySelector('[data-action="next"]')?.addEventListener("click", () => callbacks.onNext?.());
     content.querySelector('[data-action="delete"]')?.addEventListener("click", () => callbacks.onDelete());
   }
+  content.querySelectorAll(".bottom-sheet-issue-resolve").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      btn.disabled = true;
+      callbacks.onResolveIssue?.(btn.getAttribute("data-issue-id"));
+    });
+  });
   return content;
 }
 
-function renderEditMode(draftLocation, callbacks) {
+function renderMachineRow(machine, index) {
+  return `
+    <div class="bottom-sheet-machine-row" data-machine-id="${escapeHtml(machine.id ?? "")}">
+      <input type="text" name="machineLabel" placeholder="Machine ${index + 1}" value="${escapeHtml(machine.label ?? "")}" aria-label="Label" autocomplete="off" />
+      <input type="text" name="machineProduct" placeholder="Product" value="${escapeHtml(machine.productType ?? "")}" aria-label="Product" autocomplete="off" />
+      <input type="number" name="machineCapacity" placeholder="Capacity" min="1" step="1" inputmode="numeric" value="${machine.capacity != null ? escapeHtml(String(machine.capacity)) : ""}" aria-label="Capacity (units)" />
+      <select name="machineState" aria-label="State">
+        <option value="active"${machine.state !== "outOfOrder" ? " selected" : ""}>In service</option>
+        <option value="outOfOrder"${machine.state === "outOfOrder" ? " selected" : ""}>Out of order</option>
+      </select>
+      <button type="button" class="bottom-sheet-machine-remove" data-action="remove-machine" aria-label="Remove machine">×</button>
+    </div>`;
+}
+
+/**
+ * @param {object} draftLocation
+ * @param {{ onSave: (location: object) => void, onCancel: () => void }} callbacks
+ * @param {Array<{ id: string, label: string }>} [frequencies]
+ * @param {object[]} [machines] - Rows the machines editor starts with
+ * @param {((input: object[]) => object[])|null} [normalizeMachines] - Validates the rows on Save; throws with a user-facing message
+ */
+function renderEditMode(draftLocation, callbacks, frequencies = FALLBACK_FREQUENCIES, machines = fallbackMachines(draftLocation), normalizeMachines = null) {
   const content = document.createElement("div");
   content.className = "bottom-sheet-content";
   const name = draftLocation.name != null ? String(draftLocation.name) : "";
-  const serviceFrequency = draftLocation.serviceFrequency != null && SERVICE_FREQUENCIES.includes(draftLocation.serviceFrequency)
-    ? draftLocation.serviceFrequency
-    : "adhoc";
-  const productType = draftLocation.productType != null ? String(draftLocation.productType) : "";
+  const serviceFrequency = draftLocation.serviceFrequency != null ? String(draftLocation.serviceFrequency) : "adhoc";
   const notes = draftLocation.notes != null ? String(draftLocation.notes) : "";
 
-  const options = SERVICE_FREQUENCIES.map(
-    (f) => `<option value="${escapeHtml(f)}"${f === serviceFrequency ? " selected" : ""}>${escapeHtml(f)}</option>`
+  // A frequency id not in the list (e.g. deleted on another device) stays selectable so saving keeps it.
+  const choices = frequencies.some((f) => f.id === serviceFrequency)
+    ? frequencies
+    : [...frequencies, { id: serviceFrequency, label: serviceFrequency }];
+  const options = choices.map(
+    (f) => `<option value="${escapeHtml(f.id)}"${f.id === serviceFrequency ? " selected" : ""}>${escapeHtml(f.label)}</option>`
   ).join("");
 
   content.innerHTML = `
@@ -132,14 +233,16 @@ function renderEditMode(draftLocation, callbacks) {
           ${options}
         </select>
       </label>
-      <label class="bottom-sheet-field">
-        <span class="bottom-sheet-label">Product Type</span>
-        <input type="text" name="productType" value="${escapeHtml(productType)}" autocomplete="off" />
-      </label>
+      <div class="bottom-sheet-field">
+        <span class="bottom-sheet-label">Machines (label, product, capacity in units)</span>
+        <div class="bottom-sheet-machines">${machines.map(renderMachineRow).join("")}</div>
+        <button type="button" class="bottom-sheet-machine-add" data-action="add-machine">Add machine</button>
+      </div>
       <label class="bottom-sheet-field">
         <span class="bottom-sheet-label">Notes</span>
         <textarea name="notes" rows="3">${escapeHtml(notes)}</textarea>
       </label>
+      <p class="bottom-sheet-collect-error" data-role="error" hidden></p>
       <div class="bottom-sheet-actions">
         <button type="submit" class="bottom-sheet-btn bottom-sheet-btn-primary">Save</button>
         <button type="button" class="bottom-sheet-btn bottom-sheet-btn-secondary" data-action="cancel">Cancel</button>
@@ -147,16 +250,55 @@ function renderEditMode(draftLocation, callbacks) {
     </form>
   `;
 
+  const machinesEl = content.querySelector(".bottom-sheet-machines");
+  const errorEl = content.querySelector('[data-role="error"]');
+
+  function readMachineRows() {
+    return Array.from(machinesEl.querySelectorAll(".bottom-sheet-machine-row")).map((row) => ({
+      id: row.getAttribute("data-machine-id") || undefined,
+      label: row.querySelector('[name="machineLabel"]').value,
+      productType: row.querySelector('[name="machineProduct"]').value,
+      capacity: row.querySelector('[name="machineCapacity"]').value,
+      state: row.querySelector('[name="machineState"]').value,
+    }));
+  }
+
+  function updateRemoveButtons() {
+    const buttons = machinesEl.querySelectorAll('[data-action="remove-machine"]');
+    buttons.forEach((btn) => { btn.disabled = buttons.length <= 1; });
+  }
+
+  content.querySelector('[data-action="add-machine"]').addEventListener("click", () => {
+    const count = machinesEl.querySelectorAll(".bottom-sheet-machine-row").length;
+    machinesEl.insertAdjacentHTML("beforeend", renderMachineRow({ label: "", productType: "", capacity: null, state: "active" }, count));
+    updateRemoveButtons();
+  });
+  machinesEl.addEventListener("click", (e) => {
+    const btn = e.target.closest('[data-action="remove-machine"]');
+    if (!btn || btn.disabled) return;
+    btn.closest(".bottom-sheet-machine-row").remove();
+    updateRemoveButtons();
+  });
+  updateRemoveButtons();
+
   content.querySelector("form")?.addEventListener("submit", (e) => {
     e.preventDefault();
     const form = e.target;
     const nameVal = (form.querySelector('[name="name"]')?.value ?? "").trim();
     if (!nameVal) return;
+    let machinesVal;
+    try {
+      machinesVal = normalizeMachines ? normalizeMachines(readMachineRows()) : readMachineRows();
+    } catch (err) {
+      errorEl.textContent = err instanceof Error ? err.message : String(err);
+      errorEl.hidden = false;
+      return;
+    }
     const updated = {
       ...draftLocation,
       name: nameVal,
       serviceFrequency: form.querySelector('[name="serviceFrequency"]')?.value ?? "adhoc",
-      productType: (form.querySelector('[name="productType"]')?.value ?? "").trim(),
+      machines: machinesVal,
       notes: (form.querySelector('[name="notes"]')?.value ?? "").trim(),
     };
     callbacks.onSave(updated);
@@ -165,6 +307,437 @@ function renderEditMode(draftLocation, callbacks) {
   return content;
 }
 
+function formatStockDate(ms) {
+  return new Date(ms).toLocaleDateString(undefined, { day: "numeric", month: "short" });
+}
+
+/** One-line stock estimate, e.g. "About 40 of 200 left · ~12/day · empty around 21 Oct". */
+function describeForecast(forecast) {
+  if (!forecast || forecast.levelAfterRefill == null) return "";
+  if (forecast.estimatedLevel == null) {
+    return `${forecast.levelAfterRefill} units after the last refill (${formatStockDate(forecast.lastRefillAt)}); not enough history for an estimate yet`;
+  }
+  const of = forecast.capacity != null ? ` of ${forecast.capacity}` : "";
+  const rate = `~${forecast.unitsPerDay >= 10 ? Math.round(forecast.unitsPerDay) : forecast.unitsPerDay.toFixed(1)}/day`;
+  const empty = forecast.emptyAt == null ? "" : forecast.status === "likelyEmpty"
+    ? ` · likely empty since ${formatStockDate(forecast.emptyAt)}`
+    : ` · empty around ${formatStockDate(forecast.emptyAt)}`;
+  return `About ${forecast.estimatedLevel}${of} left · ${rate}${empty}`;
+}
+
+/**
+ * Form shown by Mark Visited: cash collection (amount, coin/note breakdown, site commission)
+ * and/or a refill per machine (units left, units added), depending on which options the sheet has.
+ * At a bank of machines each machine still to do gets a Done tick; the form marks the stop visited
+ * once every machine in service is done and otherwise saves the progress.
+ * @param {object} location
+ * @param {{ commissionPercent?: number|null, stockForecasts?: Map<string, object> }|null} defaults - stockForecasts keyed by machine id
+ * @param {{ denominations: Array<{ key: string, label: string, cents: number }>, formatMoney: (cents: number) => string, normalize: (input: object) => object|null }|null} cash
+ * @param {{ normalize: (input: object, capacity: number|null) => object|null }|null} stock
+ * @param {{ machines: object[], doneIds: string[], collection: object|null }} progress - The stop's machines, and what was saved here earlier this run
+ * @param {{ onConfirm: (work: { collection: object|null, refills: object[], machineIds: string[] }) => void, onCancel: () => void }} callbacks
+ */
+function renderCollectMode(location, defaults, cash, stock, progress, callbacks) {
+  const content = document.createElement("div");
+  content.className = "bottom-sheet-content";
+  const commission = defaults?.commissionPercent ?? "";
+  const active = progress.machines.filter((m) => m.state !== "outOfOrder");
+  const doneIds = new Set(progress.doneIds);
+  const pending = active.filter((m) => !doneIds.has(m.id));
+  const isBank = active.length > 1;
+  const machineById = new Map(progress.machines.map((m) => [m.id, m]));
+  const earlierCash = cash && progress.collection
+    ? `<p class="bottom-sheet-collect-hint">${escapeHtml(cash.formatMoney(progress.collection.amountCents))} already recorded here this run; a new amount replaces it.</p>`
+    : "";
+  const cashHtml = cash ? `
+      <p class="bottom-sheet-collect-title">Cash collected at ${escapeHtml(location.name ?? "this stop")}</p>
+      ${earlierCash}
+      <label class="bottom-sheet-field">
+        <span class="bottom-sheet-label">Amount</span>
+        <input type="text" name="amount" inputmode="decimal" placeholder="0.00" autocomplete="off" />
+      </label>
+      <details class="bottom-sheet-collect-breakdown">
+        <summary>Coin / note breakdown</summary>
+        <div class="bottom-sheet-collect-grid">
+          ${cash.denominations.map((d) => `
+            <label><span>${escapeHtml(d.label)}</span><input type="number" min="0" step="1" inputmode="numeric" data-denomination="${escapeHtml(d.key)}" /></label>`).join("")}
+        </div>
+        <p class="bottom-sheet-collect-hint" data-role="breakdown-total"></p>
+      </details>
+      <label class="bottom-sheet-field">
+        <span class="bottom-sheet-label">Site owner commission (%)</span>
+        <input type="number" name="commissionPercent" min="0" max="100" step="0.5" value="${escapeHtml(String(commission))}" />
+      </label>
+      <p class="bottom-sheet-collect-hint" data-role="split"></p>` : "";
+
+  const refillFields = (machine) => {
+    const forecastText = describeForecast(defaults?.stockForecasts?.get(machine.id));
+    return `
+        ${forecastText ? `<p class="bottom-sheet-collect-hint">${escapeHtml(forecastText)}</p>` : ""}
+        <div class="bottom-sheet-refill-row">
+          <label class="bottom-sheet-field">
+            <span class="bottom-sheet-label">Units left</span>
+            <input type="number" name="levelBefore" min="0" step="1" inputmode="numeric" />
+          </label>
+          <label class="bottom-sheet-field">
+            <span class="bottom-sheet-label">Units added</span>
+            <input type="number" name="unitsAdded" min="0" step="1" inputmode="numeric" />
+          </label>
+        </div>
+        <p class="bottom-sheet-collect-hint" data-role="refill"></p>`;
+  };
+  let machinesHtml = "";
+  if (isBank) {
+    machinesHtml = `
+      <p class="bottom-sheet-collect-title">Machines · ${active.length - pending.length} of ${active.length} done</p>
+      ${progress.machines.map((m) => {
+        const product = m.productType ? ` · ${escapeHtml(m.productType)}` : "";
+        if (m.state === "outOfOrder") {
+          return `<div class="bottom-sheet-visit-machine bottom-sheet-visit-machine--out"><span>${escapeHtml(m.label)}${product}</span><span>Out of order</span></div>`;
+        }
+        if (doneIds.has(m.id)) {
+          return `<div class="bottom-sheet-visit-machine bottom-sheet-visit-machine--done"><span>${escapeHtml(m.label)}${product}</span><span>Done</span></div>`;
+        }
+        return `
+      <div class="bottom-sheet-visit-machine" data-machine-id="${escapeHtml(m.id)}">
+        <label class="bottom-sheet-visit-machine-head"><input type="checkbox" data-machine-done /><span>${escapeHtml(m.label)}${product}</span></label>
+        ${stock ? refillFields(m) : ""}
+      </div>`;
+      }).join("")}`;
+  } else if (stock && pending.length === 1) {
+    const machine = pending[0];
+    machinesHtml = `
+      <p class="bottom-sheet-collect-title">Refill${machine.productType ? ` · ${escapeHtml(machine.productType)}` : ""}</p>
+      <div class="bottom-sheet-visit-single" data-machine-id="${escapeHtml(machine.id)}">
+        ${refillFields(machine)}
+      </div>`;
+  }
+  content.innerHTML = `
+    <form class="bottom-sheet-form bottom-sheet-collect">
+      ${cashHtml}
+      ${machinesHtml}
+      <p class="bottom-sheet-collect-error" data-role="error" hidden></p>
+      <div class="bottom-sheet-actions">
+        <button type="submit" class="bottom-sheet-btn bottom-sheet-btn-primary">Save &amp; Mark Visited</button>
+        <button type="button" class="bottom-sheet-btn bottom-sheet-btn-secondary" data-action="skip">Visited, nothing to record</button>
+        <button type="button" class="bottom-sheet-btn bottom-sheet-btn-secondary" data-action="cancel">Cancel</button>
+      </div>
+    </form>
+  `;
+  const form = content.querySelector("form");
+  const errorEl = content.querySelector('[data-role="error"]');
+  const submitBtn = form.querySelector('[type="submit"]');
+  const machineEls = Array.from(form.querySelectorAll("[data-machine-id]"));
+
+  function readCashInput() {
+    const breakdown = {};
+    form.querySelectorAll("[data-denomination]").forEach((input) => {
+      breakdown[input.getAttribute("data-denomination")] = input.value;
+    });
+    return {
+      amount: form.querySelector('[name="amount"]').value,
+      breakdown,
+      commissionPercent: form.querySelector('[name="commissionPercent"]').value,
+    };
+  }
+
+  function readRefill(machineEl) {
+    if (!stock) return null;
+    const machineId = machineEl.getAttribute("data-machine-id");
+    return stock.normalize({
+      machineId,
+      levelBefore: machineEl.querySelector('[name="levelBefore"]').value,
+      unitsAdded: machineEl.querySelector('[name="unitsAdded"]').value,
+    }, machineById.get(machineId)?.capacity ?? null);
+  }
+
+  /** Machines ticked off by this save: all pending ones at a single-machine stop, the ticked ones at a bank. */
+  function readDoneIds() {
+    if (!isBank) return pending.map((m) => m.id);
+    return machineEls
+      .filter((el) => el.querySelector("[data-machine-done]").checked)
+      .map((el) => el.getAttribute("data-machine-id"));
+  }
+
+  function updateHints() {
+    if (cash) {
+      const input = readCashInput();
+      const breakdownCents = cash.denominations.reduce((sum, d) => sum + (Number(input.breakdown[d.key]) || 0) * d.cents, 0);
+      content.querySelector('[data-role="breakdown-total"]').textContent = breakdownCents > 0 ? `Breakdown total ${cash.formatMoney(breakdownCents)}` : "";
+      let split = "";
+      try {
+        const collection = cash.normalize(input);
+        if (collection) split = `Site share ${cash.formatMoney(collection.commissionCents)} · You keep ${cash.formatMoney(collection.netCents)}`;
+      } catch (_) {
+        // Shown on submit
+      }
+      content.querySelector('[data-role="split"]').textContent = split;
+    }
+    for (const el of machineEls) {
+      const hint = el.querySelector('[data-role="refill"]');
+      if (!hint) continue;
+      const capacity = machineById.get(el.getAttribute("data-machine-id"))?.capacity ?? null;
+      let after = "";
+      try {
+        const refill = readRefill(el);
+        if (refill) after = `${refill.levelAfter}${capacity != null ? ` of ${capacity}` : ""} units after refill`;
+      } catch (_) {
+        // Shown on submit
+      }
+      hint.textContent = after;
+    }
+    submitBtn.textContent = readDoneIds().length >= pending.length ? "Save & Mark Visited" : "Save progress";
+  }
+
+  form.addEventListener("input", (e) => {
+    // Typing a refill for a machine ticks it off.
+    const machineEl = e.target.closest(".bottom-sheet-visit-machine");
+    if (machineEl && e.target.type === "number" && e.target.value !== "") {
+      machineEl.querySelector("[data-machine-done]").checked = true;
+    }
+    updateHints();
+  });
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    try {
+      const collection = cash ? cash.normalize(readCashInput()) : null;
+      const machineIds = readDoneIds();
+      const refills = machineEls
+        .filter((el) => machineIds.includes(el.getAttribute("data-machine-id")))
+        .map(readRefill)
+        .filter(Boolean);
+      if (machineIds.length === 0 && !collection) throw new Error("Tick the machines you have done");
+      callbacks.onConfirm({ collection, refills, machineIds });
+    } catch (err) {
+      errorEl.textContent = err instanceof Error ? err.message : String(err);
+      errorEl.hidden = false;
+    }
+  });
+  content.querySelector('[data-action="skip"]').addEventListener("click", () => {
+    callbacks.onConfirm({ collection: null, refills: [], machineIds: pending.map((m) => m.id) });
+  });
+  content.querySelector('[data-action="cancel"]').addEventListener("click", () => callbacks.onCancel());
+  updateHints();
+  return content;
+}
+
+/**
+ * Report issue form (Operation): what is wrong, how bad, which machine and a note.
+ * @param {object[]} machines
+ * @param {{ categories: Array<{ id: string, label: string }>, severities: Array<{ id: string, label: string }>, normalize: (input: object) => object }} issueOptions
+ * @param {{ onConfirm: (fields: object) => Promise<void>, onCancel: () => void }} callbacks
+ *   onConfirm rejects with a user-facing message when saving fails; the form then stays open
+ */
+function renderIssueMode(machines, issueOptions, callbacks) {
+  const content = document.createElement("div");
+  content.className = "bottom-sheet-content";
+  const machineField = machines.length > 1 ? `
+      <label class="bottom-sheet-field">
+        <span class="bottom-sheet-label">Machine</span>
+        <select name="machineId">
+          <option value="">Whole location</option>
+          ${machines.map((m) => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.label)}</option>`).join("")}
+        </select>
+      </label>` : "";
+  content.innerHTML = `
+    <form class="bottom-sheet-form">
+      <p class="bottom-sheet-collect-title">Report issue</p>
+      <label class="bottom-sheet-field">
+        <span class="bottom-sheet-label">What is wrong</span>
+        <select name="category">
+          <option value="">Choose…</option>
+          ${issueOptions.categories.map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.label)}</option>`).join("")}
+        </select>
+      </label>
+      <label class="bottom-sheet-field">
+        <span class="bottom-sheet-label">Severity</span>
+        <select name="severity">
+          ${issueOptions.severities.map((sv) => `<option value="${escapeHtml(sv.id)}"${sv.id === "medium" ? " selected" : ""}>${escapeHtml(sv.label)}</option>`).join("")}
+        </select>
+      </label>
+      ${machineField}
+      <label class="bottom-sheet-field">
+        <span class="bottom-sheet-label">Note</span>
+        <textarea name="note" rows="3"></textarea>
+      </label>
+      <p class="bottom-sheet-collect-error" data-role="error" hidden></p>
+      <div class="bottom-sheet-actions">
+        <button type="submit" class="bottom-sheet-btn bottom-sheet-btn-primary">Save issue</button>
+        <button type="button" class="bottom-sheet-btn bottom-sheet-btn-secondary" data-action="cancel">Cancel</button>
+      </div>
+    </form>
+  `;
+  const form = content.querySelector("form");
+  const errorEl = content.querySelector('[data-role="error"]');
+  const submitBtn = form.querySelector('[type="submit"]');
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    errorEl.hidden = true;
+    try {
+      const fields = issueOptions.normalize({
+        category: form.querySelector('[name="category"]').value,
+        severity: form.querySelector('[name="severity"]').value,
+        machineId: form.querySelector('[name="machineId"]')?.value ?? "",
+        note: form.querySelector('[name="note"]').value,
+      });
+      submitBtn.disabled = true;
+      await callbacks.onConfirm(fields);
+    } catch (err) {
+      errorEl.textContent = err instanceof Error ? err.message : String(err);
+      errorEl.hidden = false;
+      submitBtn.disabled = false;
+    }
+  });
+  content.querySelector('[data-action="cancel"]').addEventListener("click", () => callbacks.onCancel());
+  return content;
+}
+
+const ACTION_LABELS = {
+  create: "Created",
+  import: "Imported",
+  update: "Edited",
+  archive: "Archived",
+  delete: "Deleted",
+  restore: "Restored",
+  revert: "Reverted",
+  undo: "Undone",
+  redo: "Redone",
+  assign: "Added to run",
+  unassign: "Removed from run",
+};
+
+const FIELD_LABELS = {
+  name: "Name",
+  latitude: "Latitude",
+  longitude: "Longitude",
+  serviceFrequency: "Service Frequency",
+  productType: "Product Type",
+  capacity: "Capacity",
+  machines: "Machines",
+  notes: "Notes",
+  status: "Status",
+};
+
+function formatHistoryValue(value) {
+  if (value == null || value === "") return "—";
+  if (Array.isArray(value) && value.every((m) => m?.label != null)) return value.map((m) => describeMachine(m, true)).join("; ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function formatHistoryTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function renderTabs(activeTab, onSelect) {
+  const tabs = document.createElement("div");
+  tabs.className = "bottom-sheet-tabs";
+  tabs.setAttribute("role", "tablist");
+  tabs.innerHTML = ["details", "history"].map((tab) => `
+    <button type="button" role="tab" class="bottom-sheet-tab${tab === activeTab ? " active" : ""}" data-tab="${tab}" aria-selected="${tab === activeTab}">
+      ${tab === "details" ? "Details" : "History"}
+    </button>
+  `).join("");
+  tabs.querySelectorAll("[data-tab]").forEach((btn) => {
+    btn.addEventListener("click", () => onSelect(btn.getAttribute("data-tab")));
+  });
+  return tabs;
+}
+
+/**
+ * @param {object} location - Current location (revert buttons hide when the field already has that value)
+ * @param {Array<object>|null} entries - Audit entries newest first; null while loading
+ * @param {{ revertibleFields: string[], runNames: Map<string, string>, onRevert: (field: string, value: unknown) => void, collections?: object|null, formatMoney?: (cents: number) => string, stock?: object|null }} historyOptions
+ *   collections: { totals, entries } from getCollections and stock: { machines } from stock.getStock, shown above the change list
+ */
+function renderHistoryMode(location, entries, historyOptions) {
+  const content = document.createElement("div");
+  content.className = "bottom-sheet-content";
+  if (entries == null) {
+    content.innerHTML = '<p class="bottom-sheet-history-empty">Loading history…</p>';
+    return content;
+  }
+  const cashHtml = renderStockHistory(historyOptions.stock) + renderCollectionsHistory(historyOptions.collections, historyOptions.formatMoney);
+  if (entries.length === 0) {
+    content.innerHTML = `${cashHtml}<p class="bottom-sheet-history-empty">No changes recorded yet.</p>`;
+    return content;
+  }
+  const { revertibleFields, runNames } = historyOptions;
+  const items = entries.map((entry) => {
+    const label = ACTION_LABELS[entry.action] ?? entry.action;
+    let body;
+    if (entry.entityType === "runLocation") {
+      const runId = entry.changes.find((c) => c.field === "runId");
+      const id = runId?.after ?? runId?.before;
+      body = `<p class="bottom-sheet-history-run">${escapeHtml(runNames.get(id) ?? id ?? "")}</p>`;
+    } else {
+      body = `<ul class="bottom-sheet-history-changes">${entry.changes.map((change) => {
+        const canRevert = entry.entityType === "location"
+          && entry.action !== "create"
+          && revertibleFields.includes(change.field)
+          && change.before != null
+          && JSON.stringify(location[change.field]) !== JSON.stringify(change.before);
+        return `<li>
+          <span class="bottom-sheet-history-field">${escapeHtml(FIELD_LABELS[change.field] ?? change.field)}</span>
+          <span class="bottom-sheet-history-values">${escapeHtml(formatHistoryValue(change.before))} → ${escapeHtml(formatHistoryValue(change.after))}</span>
+          ${canRevert ? `<button type="button" class="bottom-sheet-history-revert" data-seq="${entry.seq}" data-field="${escapeHtml(change.field)}">Revert</button>` : ""}
+        </li>`;
+      }).join("")}</ul>`;
+    }
+    return `<li class="bottom-sheet-history-item">
+      <div class="bottom-sheet-history-meta">
+        <strong>${escapeHtml(label)}</strong>
+        <span>${escapeHtml(formatHistoryTime(entry.at))}${entry.actor ? ` · ${escapeHtml(entry.actor)}` : ""}</span>
+      </div>
+      ${body}
+    </li>`;
+  }).join("");
+  content.innerHTML = `${cashHtml}<ul class="bottom-sheet-history">${items}</ul>`;
+  content.querySelectorAll(".bottom-sheet-history-revert").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const seq = Number(btn.getAttribute("data-seq"));
+      const field = btn.getAttribute("data-field");
+      const change = entries.find((e) => e.seq === seq)?.changes.find((c) => c.field === field);
+      if (change) historyOptions.onRevert(field, change.before);
+    });
+  });
+  return content;
+}
+
+const COLLECTION_HISTORY_LIMIT = 10;
+const REFILL_HISTORY_LIMIT = 10;
+
+function renderStockHistory(stock) {
+  const machines = (stock?.machines ?? []).filter((m) => m.entries.length > 0);
+  const withLabel = (stock?.machines ?? []).length > 1;
+  return machines.map(({ machine, forecast, entries }) => `
+    <div class="bottom-sheet-stock">
+      <p class="bottom-sheet-stock-title">Stock${withLabel ? ` · ${escapeHtml(machine.label)}` : ""}</p>
+      <p class="bottom-sheet-collect-hint">${escapeHtml(describeForecast(forecast))}</p>
+      <ul class="bottom-sheet-cash-list">
+        ${entries.slice(0, REFILL_HISTORY_LIMIT).map((e) => `
+          <li><span>${escapeHtml(new Date(e.visitedAt).toLocaleDateString(undefined, { dateStyle: "medium" }))}</span><span>${e.refill.levelBefore} left, +${e.refill.unitsAdded} → ${e.refill.levelAfter}</span></li>`).join("")}
+      </ul>
+    </div>
+  `).join("");
+}
+
+function renderCollectionsHistory(collections, formatMoney) {
+  if (!collections?.entries?.length || typeof formatMoney !== "function") return "";
+  const { totals, entries } = collections;
+  return `
+    <div class="bottom-sheet-cash">
+      <p class="bottom-sheet-cash-total">Cash collected ${escapeHtml(formatMoney(totals.collectedCents))} over ${totals.count} visit${totals.count === 1 ? "" : "s"}</p>
+      <p class="bottom-sheet-collect-hint">Site share ${escapeHtml(formatMoney(totals.commissionCents))} · Net ${escapeHtml(formatMoney(totals.netCents))}</p>
+      <ul class="bottom-sheet-cash-list">
+        ${entries.slice(0, COLLECTION_HISTORY_LIMIT).map((e) => `
+          <li><span>${escapeHtml(new Date(e.visitedAt).toLocaleDateString(undefined, { dateStyle: "medium" }))}</span><span>${escapeHtml(formatMoney(e.collection.amountCents))}</span></li>`).join("")}
+      </ul>
+    </div>
+  `;
+}
+
 function renderHeader(closeBtn) {
   const header = document.createElement("div");
   header.className = "bottom-sheet-header";
@@ -189,11 +762,21 @@ function renderHeader(closeBtn) {
  * @param {(location: object) => void} [options.onSave] - Called with updated location on Save
  * @param {(location: object) => void} [options.onArchive] - Called with location on Archive
  * @param {(location: object) => void} [options.onDelete] - Called with location on Delete
- * @param {(location: object) => void} [options.onMarkVisited] - Called when Mark Visited is pressed (Operation mode)
+ * @param {(location: object, work: { collection: object|null, refills: object[], machineIds: string[] }) => void} [options.onMarkVisited] - Called when the visit form is saved (Operation mode); machineIds are the machines ticked off by this save
+ * @param {{ denominations: object[], formatMoney: (cents: number) => string, normalize: (input: object) => object|null, getDefaults: (locationId: string) => Promise<{ commissionPercent: number|null }> }} [options.cashCollection] - Enables the collection form
+ * @param {(locationId: string) => Promise<{ totals: object, entries: object[] }>} [options.getCollections] - Cash collections for the History tab
+ * @param {{ normalize: (input: object, capacity: number|null) => object|null, getStock: (locationId: string) => Promise<{ machines: Array<{ machine: object, forecast: object, entries: object[] }> }> }} [options.stock] - Enables the refill fields and the History tab stock list
+ * @param {{ getMachines: (location: object) => object[], normalize: (input: object[]) => object[] }} [options.machines] - A location's machines, and validation for the edit form's machine rows
+ * @param {{ categories: object[], severities: object[], normalize: (input: object) => object, getIssues: (locationId: string) => Promise<object[]>, onRaise: (location: object, fields: object) => Promise<void>, onResolve: (issue: object, location: object) => Promise<void> }} [options.issues] - Open issues in Details, Report issue in Operation
  * @param {(location: object) => void} [options.onMarkUnvisited] - Called when Mark Unvisited is pressed (Operation mode, PRD V2.5)
+ * @param {(locationId: string) => Promise<object[]>} [options.getHistory] - Audit entries for the History tab, newest first
+ * @param {(location: object, field: string, value: unknown) => Promise<object>} [options.onRevertField] - Save a field's earlier value; resolves with the updated location
+ * @param {string[]} [options.revertibleFields] - Location fields the History tab offers to revert
+ * @param {{ current: Array<{ id: string, label: string }> }} [options.serviceFrequenciesRef] - Frequencies for the edit form and labels
  */
 export function createBottomSheet(options) {
-  const { sheetHost, sidePanel, onClose, onSave, onArchive, onDelete, onMarkVisited, onMarkUnvisited } = options;
+  const { sheetHost, sidePanel, onClose, onSave, onArchive, onDelete, onMarkVisited, onMarkUnvisited, getHistory, onRevertField, cashCollection, getCollections, stock, machines, issues } = options;
+  const revertibleFields = Array.isArray(options.revertibleFields) ? options.revertibleFields : [];
   let currentWrapper = null;
   let usedTablet = false;
   let touchStartY = 0;
@@ -204,6 +787,14 @@ export function createBottomSheet(options) {
   let openOperationOptions = null;
   let overrideSave = null;
   let openCancelCreate = null;
+  let historyEntries = null;
+  let historyCollections = null;
+  let historyStock = null;
+  let collectDefaults = null;
+  let locationIssues = null;
+  let issuesError = "";
+
+  const machinesOf = (location) => (machines ? machines.getMachines(location) : fallbackMachines(location));
 
   function doClose() {
     const wrapper = currentWrapper;
@@ -212,6 +803,12 @@ export function createBottomSheet(options) {
     mode = "view";
     overrideSave = null;
     openCancelCreate = null;
+    historyEntries = null;
+    historyCollections = null;
+    historyStock = null;
+    collectDefaults = null;
+    locationIssues = null;
+    issuesError = "";
     if (!wrapper) return;
     if (usedTablet) {
       sidePanel.innerHTML = "";
@@ -245,10 +842,164 @@ export function createBottomSheet(options) {
     }, { passive: true });
   }
 
+  const hasHistoryTab = () => openContext === "maintenance" && typeof getHistory === "function";
+
+  function loadHistory() {
+    const locationId = currentLocation?.id;
+    historyEntries = null;
+    renderContentArea();
+    Promise.all([
+      getHistory(locationId),
+      typeof getCollections === "function" ? getCollections(locationId) : null,
+      stock ? stock.getStock(locationId) : null,
+    ])
+      .then(([entries, collections, stockHistory]) => {
+        if (mode !== "history" || currentLocation?.id !== locationId) return;
+        historyEntries = entries || [];
+        historyCollections = collections;
+        historyStock = stockHistory;
+        renderContentArea();
+      })
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error("[BottomSheet] Failed to load history:", err);
+        historyEntries = [];
+        renderContentArea();
+      });
+  }
+
+  async function revertField(field, value) {
+    if (typeof onRevertField !== "function" || !currentLocation) return;
+    try {
+      currentLocation = { ...(await onRevertField(currentLocation, field, value)) };
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("[BottomSheet] Revert failed:", err);
+    }
+    if (mode === "history") loadHistory();
+  }
+
+  function loadIssues() {
+    if (!issues || !currentLocation || openContext === "create") return;
+    const locationId = currentLocation.id;
+    issues.getIssues(locationId)
+      .then((list) => {
+        if (currentLocation?.id !== locationId) return;
+        locationIssues = list || [];
+        if (mode === "view") renderContentArea();
+      })
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error("[BottomSheet] Failed to load issues:", err);
+      });
+  }
+
+  async function resolveIssue(issueId) {
+    const issue = locationIssues?.find((i) => i.id === issueId);
+    if (!issue || !currentLocation) return;
+    const locationId = currentLocation.id;
+    issuesError = "";
+    try {
+      await issues.onResolve(issue, currentLocation);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("[BottomSheet] Resolve issue failed:", err);
+      if (currentLocation?.id !== locationId) return;
+      // Re-rendering brings the Resolve button back.
+      issuesError = "Could not resolve the issue. Try again.";
+      if (mode === "view") renderContentArea();
+      return;
+    }
+    loadIssues();
+  }
+
+  /** Load the form defaults first, so a late result never wipes what was typed. */
+  async function openCollectForm() {
+    const locationId = currentLocation?.id;
+    let defaults = null;
+    try {
+      const [cashDefaults, stockHistory] = await Promise.all([
+        cashCollection ? cashCollection.getDefaults(locationId) : null,
+        stock ? stock.getStock(locationId) : null,
+      ]);
+      defaults = { ...cashDefaults, stockForecasts: new Map((stockHistory?.machines ?? []).map((m) => [m.machine.id, m.forecast])) };
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("[BottomSheet] Failed to load visit form defaults:", err);
+    }
+    if (currentLocation?.id !== locationId || mode !== "view") return;
+    collectDefaults = defaults;
+    mode = "collect";
+    renderContentArea();
+  }
+
   function renderContentArea() {
     const contentSlot = currentWrapper?.querySelector(".bottom-sheet-content-slot");
     if (!contentSlot || !currentLocation) return;
     contentSlot.innerHTML = "";
+    if (hasHistoryTab() && mode !== "edit") {
+      contentSlot.appendChild(renderTabs(mode === "history" ? "history" : "details", (tab) => {
+        if (tab === "history" && mode !== "history") {
+          mode = "history";
+          loadHistory();
+        } else if (tab === "details" && mode !== "view") {
+          mode = "view";
+          renderContentArea();
+        }
+      }));
+    }
+    if (mode === "history") {
+      const runNames = new Map((openRunsOptions?.runs || []).map((run) => [run.id, run.name ?? run.id]));
+      contentSlot.appendChild(renderHistoryMode(currentLocation, historyEntries, {
+        revertibleFields,
+        runNames,
+        onRevert: revertField,
+        collections: historyCollections,
+        formatMoney: cashCollection?.formatMoney,
+        stock: historyStock,
+      }));
+      return;
+    }
+    if (mode === "issue") {
+      contentSlot.appendChild(renderIssueMode(machinesOf(currentLocation), issues, {
+        onConfirm: async (fields) => {
+          try {
+            await issues.onRaise(currentLocation, fields);
+          } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error("[BottomSheet] Report issue failed:", err);
+            throw new Error("Could not save the issue. Try again.");
+          }
+          if (mode !== "issue") return;
+          mode = "view";
+          renderContentArea();
+          loadIssues();
+        },
+        onCancel: () => {
+          mode = "view";
+          renderContentArea();
+        },
+      }));
+      return;
+    }
+    if (mode === "collect") {
+      const progress = {
+        machines: machinesOf(currentLocation),
+        doneIds: openOperationOptions?.machinesDone ?? [],
+        collection: openOperationOptions?.collection ?? null,
+      };
+      contentSlot.appendChild(renderCollectMode(currentLocation, collectDefaults, cashCollection ?? null, stock ?? null, progress, {
+        onConfirm: (work) => {
+          if (typeof onMarkVisited === "function") onMarkVisited(currentLocation, work);
+          doClose();
+        },
+        onCancel: () => {
+          mode = "view";
+          renderContentArea();
+        },
+      }));
+      return;
+    }
     const callbacks = {
       onEdit: () => {
         mode = "edit";
@@ -292,7 +1043,12 @@ export function createBottomSheet(options) {
         doClose();
       },
       onMarkVisited: () => {
-        if (typeof onMarkVisited === "function") onMarkVisited(currentLocation);
+        if (cashCollection || stock) {
+          openCollectForm();
+          return;
+        }
+        const pending = machinesOf(currentLocation).filter((m) => m.state !== "outOfOrder").map((m) => m.id);
+        if (typeof onMarkVisited === "function") onMarkVisited(currentLocation, { collection: null, refills: [], machineIds: pending });
         doClose();
       },
       onMarkUnvisited: () => {
@@ -300,27 +1056,42 @@ export function createBottomSheet(options) {
         doClose();
       },
       onBack: () => doClose(),
+      onReportIssue: () => {
+        mode = "issue";
+        renderContentArea();
+      },
+      onResolveIssue: (issueId) => resolveIssue(issueId),
     };
+    const frequencies = options.serviceFrequenciesRef?.current?.length ? options.serviceFrequenciesRef.current : FALLBACK_FREQUENCIES;
+    const issuesView = issues ? { issues: locationIssues, categories: issues.categories, severities: issues.severities, error: issuesError } : null;
     const content = mode === "view"
-      ? renderViewMode(currentLocation, callbacks, openContext, openRunsOptions, openOperationOptions)
-      : renderEditMode({ ...currentLocation }, callbacks);
+      ? renderViewMode(currentLocation, callbacks, openContext, openRunsOptions, openOperationOptions, frequencies, machinesOf(currentLocation), issuesView)
+      : renderEditMode({ ...currentLocation }, callbacks, frequencies, machinesOf(currentLocation), machines?.normalize ?? null);
     contentSlot.appendChild(content);
   }
 
   /**
    * Open the bottom sheet with location details.
-   * @param {object} location - { id, name, latitude, longitude, serviceFrequency, productType, notes, status }
-   * @param {{ context?: 'maintenance'|'operation'|'disruption', runs?: object[], selectedRunIds?: Set<string>|string[], onRunToggle?: (runId: string, checked: boolean) => void, isVisited?: boolean }} [openOptions]
+   * @param {object} location - { id, name, latitude, longitude, serviceFrequency, productType, machines, notes, status }
+   * @param {{ context?: 'maintenance'|'operation'|'disruption', runs?: object[], selectedRunIds?: Set<string>|string[], onRunToggle?: (runId: string, checked: boolean) => void, isVisited?: boolean, machinesDone?: string[], collection?: object|null }} [openOptions]
+   *   machinesDone / collection: work saved earlier this run at a stop whose machines are not all done
    */
   function open(location, openOptions = {}) {
     if (!location || typeof location !== "object") return;
 
     currentLocation = { ...location };
+    historyEntries = null;
+    locationIssues = null;
+    issuesError = "";
     openContext = openOptions.context === "operation" ? "operation" : (openOptions.context === "disruption" ? "disruption" : (openOptions.context === "create" ? "create" : "maintenance"));
     mode = openContext === "create" ? "edit" : "view";
     overrideSave = typeof openOptions.onSave === "function" ? openOptions.onSave : null;
     openCancelCreate = typeof openOptions.onCancelCreate === "function" ? openOptions.onCancelCreate : null;
-    openOperationOptions = (openContext === "operation" || openContext === "disruption") ? { isVisited: openOptions.isVisited } : null;
+    openOperationOptions = (openContext === "operation" || openContext === "disruption") ? {
+      isVisited: openOptions.isVisited,
+      machinesDone: Array.isArray(openOptions.machinesDone) ? openOptions.machinesDone : [],
+      collection: openOptions.collection ?? null,
+    } : null;
     openRunsOptions = (openContext === "maintenance" || openContext === "operation") ? {
       runs: openOptions.runs || [],
       selectedRunIds: openOptions.selectedRunIds instanceof Set ? openOptions.selectedRunIds : new Set(openOptions.selectedRunIds || []),
@@ -350,6 +1121,7 @@ export function createBottomSheet(options) {
 
     currentWrapper = wrapper;
     renderContentArea();
+    loadIssues();
   }
 
   return {
@@ -0,0 +1,206 @@
+/**
+ * Calendar panel (Dashboard): month or week grid of completed runs (visited/total), recurring
+ * planned runs, and days where due locations are not covered by any planned run.
+ * Day data comes from the getDays callback; tapping a completed run opens its detail.
+ */
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+const WEEKDAY_HEADINGS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTH_CELL_ITEMS = 2;
+const UNCOVERED_LIST_LIMIT = 20;
+
+function startOfWeek(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function dayNumber(key) {
+  return Number(key.slice(8, 10));
+}
+
+/**
+ * Create the Calendar panel.
+ * @param {HTMLElement} host - Container to render into
+ * @param {object} options
+ * @param {(from: Date, to: Date) => Array<{ date: string, isPast: boolean, isToday: boolean, completions: object[], planned: Array<{ id: string, name: string, colour?: string }>, uncovered: Array<{ id: string, name?: string }> }>} options.getDays
+ * @param {(completion: object) => void} [options.onOpenCompletion]
+ * @param {() => void} options.onClose
+ * @returns {{ render: () => void, destroy: () => void }}
+ */
+export function createCalendarPanel(host, options) {
+  const { getDays, onOpenCompletion, onClose } = options;
+  let view = "month"; // "month" | "week"
+  let cursor = new Date();
+  let selectedKey = null;
+  let panelEl = null;
+
+  function visibleRange() {
+    if (view === "week") {
+      const from = startOfWeek(cursor);
+      return { from, to: addDays(from, 6) };
+    }
+    const first = new Date(cursor.getFullYear(), cursor.getMonth(), 1);
+    const last = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+    return { from: startOfWeek(first), to: addDays(startOfWeek(last), 6) };
+  }
+
+  function title(from, to) {
+    if (view === "month") return cursor.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+    const start = from.toLocaleDateString(undefined, { day: "numeric", month: "short" });
+    const end = to.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+    return `${start} – ${end}`;
+  }
+
+  function move(step) {
+    cursor = view === "week"
+      ? addDays(cursor, step * 7)
+      : new Date(cursor.getFullYear(), cursor.getMonth() + step, 1);
+    render();
+  }
+
+  function renderItems(day, limit) {
+    const items = [
+      ...day.completions.map((c) => `<span class="calendar-item calendar-item--done">✓ ${escapeHtml(c.runName ?? c.runId ?? "Run")} ${c.visitedCount}/${c.totalCount}</span>`),
+      ...day.planned.map((r) => `<span class="calendar-item calendar-item--planned"><span class="calendar-dot" style="background:${escapeHtml(r.colour ?? "#3b82f6")}"></span>${escapeHtml(r.name ?? r.id)}</span>`),
+    ];
+    const shown = limit != null ? items.slice(0, limit) : items;
+    const more = items.length - shown.length;
+    return `${shown.join("")}${more > 0 ? `<span class="calendar-item calendar-item--more">+${more} more</span>` : ""}`;
+  }
+
+  function renderGrid(days) {
+    const inMonth = (key) => view === "week" || Number(key.slice(5, 7)) === cursor.getMonth() + 1;
+    return `
+      <div class="calendar-grid calendar-grid--${view}">
+        ${WEEKDAY_HEADINGS.map((d) => `<span class="calendar-weekday">${d}</span>`).join("")}
+        ${days.map((day) => `
+          <button type="button" class="calendar-day${day.isToday ? " calendar-day--today" : ""}${day.isPast ? " calendar-day--past" : ""}${inMonth(day.date) ? "" : " calendar-day--outside"}${day.date === selectedKey ? " calendar-day--selected" : ""}" data-date="${day.date}">
+            <span class="calendar-day-number">${dayNumber(day.date)}</span>
+            ${day.uncovered.length > 0 ? `<span class="calendar-flag" title="${day.uncovered.length} due location(s) not on a planned run">⚠ ${day.uncovered.length}</span>` : ""}
+            ${renderItems(day, view === "month" ? MONTH_CELL_ITEMS : null)}
+          </button>`).join("")}
+      </div>
+    `;
+  }
+
+  function renderDetail(day) {
+    if (!day) return "";
+    const heading = new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, { weekday: "long", day: "numeric", month: "long" });
+    const nothing = day.completions.length === 0 && day.planned.length === 0 && day.uncovered.length === 0;
+    return `
+      <div class="calendar-detail">
+        <h3 class="calendar-detail-title">${escapeHtml(heading)}</h3>
+        ${nothing ? `<p class="settings-hint">Nothing completed or planned.</p>` : ""}
+        ${day.completions.length > 0 ? `
+          <p class="calendar-detail-label">Completed</p>
+          <ul class="calendar-detail-list">
+            ${day.completions.map((c, i) => `<li><button type="button" class="calendar-completion" data-index="${i}">${escapeHtml(c.runName ?? c.runId ?? "Run")} · ${c.visitedCount}/${c.totalCount} visited</button></li>`).join("")}
+          </ul>` : ""}
+        ${day.planned.length > 0 ? `
+          <p class="calendar-detail-label">Planned</p>
+          <ul class="calendar-detail-list">
+            ${day.planned.map((r) => `<li><span class="calendar-dot" style="background:${escapeHtml(r.colour ?? "#3b82f6")}"></span>${escapeHtml(r.name ?? r.id)}</li>`).join("")}
+          </ul>` : ""}
+        ${day.uncovered.length > 0 ? `
+          <p class="calendar-detail-label calendar-detail-label--warn">Due, not on a planned run (${day.uncovered.length})</p>
+          <ul class="calendar-detail-list">
+            ${day.uncovered.slice(0, UNCOVERED_LIST_LIMIT).map((loc) => `<li>${escapeHtml(loc.name || loc.id)}</li>`).join("")}
+            ${day.uncovered.length > UNCOVERED_LIST_LIMIT ? `<li>…and ${day.uncovered.length - UNCOVERED_LIST_LIMIT} more</li>` : ""}
+          </ul>` : ""}
+      </div>
+    `;
+  }
+
+  function render() {
+    if (!panelEl) return;
+    const { from, to } = visibleRange();
+    const days = getDays(from, to);
+    const selected = days.find((d) => d.date === selectedKey) ?? null;
+    panelEl.querySelector(".calendar-title").textContent = title(from, to);
+    panelEl.querySelectorAll(".calendar-view-btn").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.view === view);
+    });
+    const content = panelEl.querySelector(".calendar-content");
+    content.innerHTML = `${renderGrid(days)}${renderDetail(selected)}`;
+    content.querySelectorAll(".calendar-day").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        selectedKey = btn.dataset.date === selectedKey ? null : btn.dataset.date;
+        render();
+      });
+    });
+    content.querySelectorAll(".calendar-completion").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const completion = selected?.completions[Number(btn.dataset.index)];
+        if (completion && typeof onOpenCompletion === "function") onOpenCompletion(completion);
+      });
+    });
+  }
+
+  function init() {
+    panelEl = document.createElement("div");
+    panelEl.className = "calendar-panel";
+    panelEl.innerHTML = `
+      <div class="calendar-header">
+        <h2 class="calendar-title"></h2>
+        <button type="button" class="calendar-close" aria-label="Close">×</button>
+      </div>
+      <div class="calendar-toolbar">
+        <button type="button" class="calendar-nav-btn" data-step="-1" aria-label="Previous">‹</button>
+        <button type="button" class="calendar-nav-btn calendar-today-btn">Today</button>
+        <button type="button" class="calendar-nav-btn" data-step="1" aria-label="Next">›</button>
+        <span class="calendar-toolbar-spacer"></span>
+        <button type="button" class="calendar-view-btn" data-view="month">Month</button>
+        <button type="button" class="calendar-view-btn" data-view="week">Week</button>
+      </div>
+      <div class="calendar-content"></div>
+    `;
+    panelEl.querySelector(".calendar-close").addEventListener("click", () => {
+      if (typeof onClose === "function") onClose();
+    });
+    panelEl.querySelectorAll("[data-step]").forEach((btn) => {
+      btn.addEventListener("click", () => move(Number(btn.dataset.step)));
+    });
+    panelEl.querySelector(".calendar-today-btn").addEventListener("click", () => {
+      cursor = new Date();
+      render();
+    });
+    panelEl.querySelectorAll(".calendar-view-btn").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        view = btn.dataset.view;
+        render();
+      });
+    });
+    host.innerHTML = "";
+    host.appendChild(panelEl);
+    host.setAttribute("aria-hidden", "false");
+    requestAnimationFrame(() => panelEl.classList.add("open"));
+    render();
+  }
+
+  function destroy() {
+    host.setAttribute("aria-hidden", "true");
+    host.innerHTML = "";
+    panelEl = null;
+  }
+
+  init();
+
+  return {
+    render() {
+      render();
+    },
+    destroy,
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * CSV/TSV import wizard (Settings → Data Management): column mapping → validated preview → commit.
+ * Parsing, validation and persistence come in through callbacks.
+ */
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+const DELIMITER_LABELS = { ",": "comma", "\t": "tab", ";": "semicolon", "|": "pipe" };
+const PREVIEW_ROW_LIMIT = 50;
+
+/**
+ * Create the import wizard for one parsed file.
+ * @param {HTMLElement} host - Container to render into
+ * @param {object} options
+ * @param {string} options.fileName
+ * @param {{ delimiter: string, headers: string[], rows: string[][] }} options.parsed
+ * @param {Array<{ key: string, label: string, required: boolean }>} options.fields
+ * @param {Record<string, number|null>} options.initialMapping
+ * @param {(rows: string[][], mapping: Record<string, number|null>) => Array<{ rowNumber: number, entry: object, errors: string[] }>} options.validate - Throws when required fields are unmapped
+ * @param {(entries: object[], mapping: Record<string, number|null>) => Promise<void>} options.onCommit
+ * @param {() => void} options.onClose
+ * @returns {{ destroy: () => void }}
+ */
+export function createCsvImportWizard(host, options) {
+  const { fileName, parsed, fields, initialMapping, validate, onCommit, onClose } = options;
+  const mapping = { ...initialMapping };
+  let step = "mapping"; // "mapping" | "preview"
+  let results = [];
+  let mappingError = "";
+  let committing = false;
+
+  const root = document.createElement("div");
+  root.className = "csv-wizard";
+  host.appendChild(root);
+
+  function renderMapping() {
+    const delimiterLabel = DELIMITER_LABELS[parsed.delimiter] ?? parsed.delimiter;
+    root.innerHTML = `
+      <p class="csv-wizard-title">${escapeHtml(fileName)}</p>
+      <p class="settings-hint">${parsed.rows.length} row(s), ${escapeHtml(delimiterLabel)}-separated. Match each field to a column. Empty cells keep an existing location's value.</p>
+    `;
+    const grid = document.createElement("div");
+    grid.className = "csv-wizard-mapping";
+    fields.forEach((field) => {
+      const label = document.createElement("label");
+      label.className = "csv-wizard-field";
+      label.innerHTML = `<span>${escapeHtml(field.label)}${field.required ? " *" : ""}</span>`;
+      const select = document.createElement("select");
+      select.className = "settings-select";
+      const none = document.createElement("option");
+      none.value = "";
+      none.textContent = "— not mapped —";
+      select.appendChild(none);
+      parsed.headers.forEach((header, index) => {
+        const opt = document.createElement("option");
+        opt.value = String(index);
+        opt.textContent = header || `Column ${index + 1}`;
+        select.appendChild(opt);
+      });
+      select.value = mapping[field.key] == null ? "" : String(mapping[field.key]);
+      select.addEventListener("change", () => {
+        mapping[field.key] = select.value === "" ? null : Number(select.value);
+      });
+      label.appendChild(select);
+      grid.appendChild(label);
+    });
+    root.appendChild(grid);
+
+    if (mappingError) {
+      const err = document.createElement("p");
+      err.className = "csv-wizard-error";
+      err.textContent = mappingError;
+      root.appendChild(err);
+    }
+
+    const btns = document.createElement("div");
+    btns.className = "settings-data-btns";
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "settings-data-btn";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", onClose);
+    const previewBtn = document.createElement("button");
+    previewBtn.type = "button";
+    previewBtn.className = "settings-data-btn";
+    previewBtn.textContent = "Preview";
+    previewBtn.addEventListener("click", () => {
+      try {
+        results = validate(parsed.rows, mapping);
+        mappingError = "";
+        step = "preview";
+      } catch (err) {
+        mappingError = err instanceof Error ? err.message : String(err);
+      }
+      render();
+    });
+    btns.appendChild(cancelBtn);
+    btns.appendChild(previewBtn);
+    root.appendChild(btns);
+  }
+
+  function renderPreview() {
+    const valid = results.filter((r) => r.errors.length === 0);
+    const invalidCount = results.length - valid.length;
+    const shown = results.slice(0, PREVIEW_ROW_LIMIT);
+    const more = results.length > shown.length ? `<p class="settings-hint">Showing first ${shown.length} of ${results.length} rows.</p>` : "";
+    root.innerHTML = `
+      <p class="csv-wizard-title">${escapeHtml(fileName)}</p>
+      <p class="settings-hint">${valid.length} row(s) ready to import${invalidCount > 0 ? `, ${invalidCount} with errors will be skipped` : ""}.</p>
+      <div class="csv-wizard-preview">
+        <table>
+          <thead><tr><th>Row</th><th>Name</th><th>Lat</th><th>Lon</th><th>Run</th><th>Problems</th></tr></thead>
+          <tbody>
+            ${shown.map((r) => `
+              <tr class="${r.errors.length > 0 ? "csv-wizard-row-invalid" : ""}">
+                <td>${r.rowNumber}</td>
+                <td>${escapeHtml(r.entry.name || "—")}</td>
+                <td>${Number.isFinite(r.entry.latitude) ? r.entry.latitude : "—"}</td>
+                <td>${Number.isFinite(r.entry.longitude) ? r.entry.longitude : "—"}</td>
+                <td>${escapeHtml(r.entry.runName || "")}</td>
+                <td>${escapeHtml(r.errors.join("; "))}</td>
+              </tr>`).join("")}
+          </tbody>
+        </table>
+      </div>
+      ${more}
+    `;
+
+    const btns = document.createElement("div");
+    btns.className = "settings-data-btns";
+    const backBtn = document.createElement("button");
+    backBtn.type = "button";
+    backBtn.className = "settings-data-btn";
+    backBtn.textContent = "Back";
+    backBtn.addEventListener("click", () => {
+      step = "mapping";
+      render();
+    });
+    const importBtn = document.createElement("button");
+    importBtn.type = "button";
+    importBtn.className = "settings-data-btn";
+    importBtn.textContent = committing ? "Importing…" : `Import ${valid.length} row(s)`;
+    importBtn.disabled = valid.length === 0 || committing;
+    importBtn.addEventListener("click", async () => {
+      committing = true;
+      render();
+      try {
+        await onCommit(valid.map((r) => r.entry), { ...mapping });
+        onClose();
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("CSV import failed", err);
+        committing = false;
+        render();
+      }
+    });
+    btns.appendChild(backBtn);
+    btns.appendChild(importBtn);
+    root.appendChild(btns);
+  }
+
+  function render() {
+    if (step === "preview") renderPreview();
+    else renderMapping();
+  }
+
+  render();
+
+  return {
+    destroy() {
+      root.remove();
+    },
+  };
+}
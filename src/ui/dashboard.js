@@ -2,15 +2,25 @@
  * Dashboard (V1): default landing mode. Cards for active locations, runs, last visit,
  * last run (PRD V2.1), resume last run (PRD V2.4); quick links to Maintenance and Operation.
  * V2.9: Statistics section (visits today/week/month, most/least visited, due for service, 7-day chart).
+ * Cash: today's takings with site share, and a 7-day cash chart.
+ * Stock: "Likely Empty" / "Running Low" warnings from the machine refill history.
+ * Plan Today opens the wizard that turns due locations into a temporary run; View Calendar opens the
+ * month/week calendar of completed and planned runs.
  * Map is hidden when Dashboard is active.
  */
 
-import { renderVisitsChart } from "./visitsChart.js";
+import { renderBarChart, renderVisitsChart } from "./visitsChart.js";
+
+const STOCK_LIST_LIMIT = 5;
+
+function formatStockDate(ms) {
+  return new Date(ms).toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" });
+}
 
 /**
  * Render dashboard content into the given container.
  * @param {HTMLElement} container
- * @param {{ activeCount: number, runsCount: number, lastVisitText: string, lastRun?: object | null, stats?: object, onGoToMaintenance: () => void, onGoToOperation: () => void, onResumeLastRun?: () => void, onOpenRunManagement?: () => void, onOpenRunHistory?: () => void }} options
+ * @param {{ activeCount: number, runsCount: number, lastVisitText: string, lastRun?: object | null, stats?: object, onGoToMaintenance: () => void, onGoToOperation: () => void, onResumeLastRun?: () => void, onOpenRunManagement?: () => void, onOpenRunHistory?: () => void, onOpenCalendar?: () => void, onPlanToday?: () => void }} options
  */
 export function renderDashboard(container, options) {
   const {
@@ -25,6 +35,8 @@ export function renderDashboard(container, options) {
     onResumeLastRun,
     onOpenRunManagement,
     onOpenRunHistory,
+    onOpenCalendar,
+    onPlanToday,
   } = options;
 
   container.innerHTML = "";
@@ -84,6 +96,14 @@ export function renderDashboard(container, options) {
   historyBtn.textContent = "View Run History";
   historyBtn.addEventListener("click", () => typeof onOpenRunHistory === "function" && onOpenRunHistory());
   historyBtnWrap.appendChild(historyBtn);
+  if (typeof onOpenCalendar === "function") {
+    const calendarBtn = document.createElement("button");
+    calendarBtn.type = "button";
+    calendarBtn.className = "dashboard-btn-link";
+    calendarBtn.textContent = "View Calendar";
+    calendarBtn.addEventListener("click", () => onOpenCalendar());
+    historyBtnWrap.appendChild(calendarBtn);
+  }
 
   panel.appendChild(card1);
   panel.appendChild(card2);
@@ -129,15 +149,73 @@ export function renderDashboard(container, options) {
     cardLeast.innerHTML = `<span class="dashboard-card-label">Least Visited</span><span class="dashboard-card-value dashboard-card-value--muted">${leastVisitedText}</span>`;
     panel.appendChild(cardLeast);
 
-    const cardDue = document.createElement("div");
-    cardDue.className = "dashboard-card";
-    cardDue.innerHTML = `<span class="dashboard-card-label">Due for Service</span><span class="dashboard-card-value">${stats.dueForServiceCount ?? 0} locations</span>`;
-    panel.appendChild(cardDue);
+    const due = stats.due ?? {};
+    [
+      ["overdue", "Overdue"],
+      ["dueToday", "Due Today"],
+      ["dueThisWeek", "Due This Week"],
+    ].forEach(([key, label]) => {
+      const cardDue = document.createElement("div");
+      cardDue.className = `dashboard-card dashboard-card--due dashboard-card--${key}`;
+      cardDue.innerHTML = `<span class="dashboard-card-label">${label}</span><span class="dashboard-card-value">${due[key] ?? 0} locations</span>`;
+      panel.appendChild(cardDue);
+    });
+
+    const stock = stats.stock;
+    if (stock && (stock.likelyEmpty.length > 0 || stock.runningLow.length > 0)) {
+      [
+        ["likelyEmpty", "Likely Empty", "empty since"],
+        ["runningLow", "Running Low", "empty around"],
+      ].forEach(([key, label, when]) => {
+        const entries = stock[key];
+        if (entries.length === 0) return;
+        const cardStock = document.createElement("div");
+        cardStock.className = `dashboard-card dashboard-card--stock dashboard-card--${key}`;
+        const shown = entries.slice(0, STOCK_LIST_LIMIT);
+        const more = entries.length - shown.length;
+        cardStock.innerHTML = `
+          <span class="dashboard-card-label">${label}</span>
+          <span class="dashboard-card-value">${entries.length} machine${entries.length === 1 ? "" : "s"}</span>
+          <ul class="dashboard-stock-list">
+            ${shown.map((e) => `<li>${escapeHtml(e.name)}${e.productType ? ` <span class="dashboard-stock-product">${escapeHtml(e.productType)}</span>` : ""} <span class="dashboard-card-sublabel">${when} ${escapeHtml(formatStockDate(e.emptyAt))}</span></li>`).join("")}
+            ${more > 0 ? `<li class="dashboard-card-sublabel">…and ${more} more</li>` : ""}
+          </ul>`;
+        panel.appendChild(cardStock);
+      });
+    }
+
+    if (typeof onPlanToday === "function") {
+      const planWrap = document.createElement("div");
+      planWrap.className = "dashboard-plan-wrap";
+      const planBtn = document.createElement("button");
+      planBtn.type = "button";
+      planBtn.className = "dashboard-btn dashboard-btn-primary dashboard-btn-plan";
+      planBtn.textContent = "Plan Today";
+      planBtn.addEventListener("click", () => onPlanToday());
+      planWrap.appendChild(planBtn);
+      panel.appendChild(planWrap);
+    }
 
     const chartContainer = document.createElement("div");
     chartContainer.className = "dashboard-chart-wrap";
     renderVisitsChart(chartContainer, stats.visitsPerDayLast7 ?? []);
     panel.appendChild(chartContainer);
+
+    if (stats.cash) {
+      const cardCash = document.createElement("div");
+      cardCash.className = "dashboard-card dashboard-card--cash";
+      cardCash.innerHTML = `<span class="dashboard-card-label">Cash Today</span><span class="dashboard-card-value">${escapeHtml(stats.cash.today.collected)}</span><span class="dashboard-card-sublabel">${stats.cash.today.count} collection${stats.cash.today.count === 1 ? "" : "s"} · site share ${escapeHtml(stats.cash.today.siteShare)} · net ${escapeHtml(stats.cash.today.net)}</span>`;
+      panel.appendChild(cardCash);
+
+      const cashChart = document.createElement("div");
+      cashChart.className = "dashboard-chart-wrap";
+      renderBarChart(
+        cashChart,
+        (stats.cash.perDayLast7 ?? []).map((day) => ({ dayLabel: day.dayLabel, value: day.cents, label: day.collected })),
+        { heading: "Cash collected, last 7 days", modifier: "visits-chart--labelled" }
+      );
+      panel.appendChild(cashChart);
+    }
   }
 
   const actions = document.createElement("div");
@@ -48,8 +48,8 @@ function createMaintenanceToggleButton(container, options) {
 }
 
 /**
- * Create maintenance filter bar (PRD V1.7, V2.3): status chips, unassigned toggle, search, Runs button.
- * @param {{ active: boolean, archived: boolean, deleted: boolean, unassignedOnly: boolean, searchQuery: string }} filters
+ * Create maintenance filter bar (PRD V1.7, V2.3): status chips, Due / Issues chips, unassigned toggle, search, Runs button.
+ * @param {{ active: boolean, archived: boolean, deleted: boolean, unassignedOnly: boolean, dueOnly: boolean, issuesOnly: boolean, searchQuery: string }} filters
  * @param {(filters: object) => void} onFiltersChange
  * @param {() => void} [onOpenRunManagement]
  */
@@ -73,6 +73,28 @@ function createMaintenanceFilterBar(filters, onFiltersChange, onOpenRunManagemen
     chipsWrap.appendChild(btn);
   });
 
+  const dueChip = document.createElement("button");
+  dueChip.type = "button";
+  dueChip.className = "filter-chip filter-chip-due";
+  dueChip.textContent = "Due";
+  dueChip.title = "Overdue, due today or due this week";
+  if (filters.dueOnly) dueChip.classList.add("active");
+  dueChip.addEventListener("click", () => {
+    onFiltersChange({ ...filters, dueOnly: !filters.dueOnly });
+  });
+  chipsWrap.appendChild(dueChip);
+
+  const issuesChip = document.createElement("button");
+  issuesChip.type = "button";
+  issuesChip.className = "filter-chip filter-chip-issues";
+  issuesChip.textContent = "Issues";
+  issuesChip.title = "Locations with open issues";
+  if (filters.issuesOnly) issuesChip.classList.add("active");
+  issuesChip.addEventListener("click", () => {
+    onFiltersChange({ ...filters, issuesOnly: !filters.issuesOnly });
+  });
+  chipsWrap.appendChild(issuesChip);
+
   const unassignedLabel = document.createElement("label");
   unassignedLabel.className = "filter-unassigned-label";
   const unassignedCheck = document.createElement("input");
@@ -116,6 +138,65 @@ function createMaintenanceFilterBar(filters, onFiltersChange, onOpenRunManagemen
   return bar;
 }
 
+function formatDistance(km) {
+  if (km < 1) return `${Math.round((km * 1000) / 10) * 10} m`;
+  return `${km.toFixed(km < 10 ? 1 : 0)} km`;
+}
+
+/**
+ * Next-stop guidance card (Operation mode): next unvisited stop by sequence,
+ * live distance and bearing from the current GPS fix, remaining count, one-tap Mark Visited.
+ * @param {{ nextStop?: { location: object, number: number, distanceKm?: number|null, bearingDeg?: number|null, compass?: string|null } | null, visitedCount?: number, totalCount?: number, onMarkNextVisited?: (location: object) => Promise<void>|void }} operationOpts
+ * @returns {HTMLElement}
+ */
+function createNextStopCard(operationOpts) {
+  const card = document.createElement("div");
+  card.className = "next-stop-card";
+  const nextStop = operationOpts?.nextStop;
+  const totalCount = operationOpts?.totalCount ?? 0;
+  const remaining = Math.max(0, totalCount - (operationOpts?.visitedCount ?? 0));
+
+  if (!nextStop) {
+    card.classList.add("next-stop-card-done");
+    card.innerHTML = `<span class="next-stop-label">${totalCount > 0 ? "All stops visited" : "No stops in this run"}</span>`;
+    return card;
+  }
+
+  const { location, number, distanceKm, bearingDeg, compass } = nextStop;
+  const hasFix = typeof distanceKm === "number" && typeof bearingDeg === "number";
+  const name = location.name ?? location.id;
+  card.innerHTML = `
+    <span class="next-stop-label">Next stop · ${number} of ${totalCount}</span>
+    <span class="next-stop-name"></span>
+    <span class="next-stop-guidance">
+      ${hasFix
+        ? `<span class="next-stop-arrow" aria-hidden="true" style="transform: rotate(${Math.round(bearingDeg)}deg)">&#8593;</span>
+           <span class="next-stop-distance">${formatDistance(distanceKm)} ${compass ?? ""}</span>`
+        : '<span class="next-stop-distance next-stop-distance-waiting">Waiting for GPS…</span>'}
+    </span>
+    <span class="next-stop-remaining">${remaining} stop${remaining === 1 ? "" : "s"} remaining</span>
+  `;
+  card.querySelector(".next-stop-name").textContent = name;
+
+  if (typeof operationOpts?.onMarkNextVisited === "function") {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "next-stop-visited-btn";
+    btn.textContent = "Mark Visited";
+    btn.setAttribute("aria-label", `Mark ${name} visited and move to the following stop`);
+    btn.addEventListener("click", () => {
+      btn.disabled = true;
+      Promise.resolve(operationOpts.onMarkNextVisited(location)).catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error("[Layout] Mark next stop visited failed:", err);
+        btn.disabled = false;
+      });
+    });
+    card.appendChild(btn);
+  }
+  return card;
+}
+
 function renderSidePanelContent(sidePanel, mode, options = {}) {
   const { onImportSuccessRef, maintenanceFilterOptionsRef, operationOptionsRef } = options;
   const filterOpts = maintenanceFilterOptionsRef?.current;
@@ -136,6 +217,9 @@ function renderSidePanelContent(sidePanel, mode, options = {}) {
     const totalCount = operationOpts?.totalCount ?? 0;
     progress.textContent = `Run: ${runName} | ${visitedCount} / ${totalCount} visited`;
     wrap.appendChild(progress);
+    if (operationOpts?.selectedRunId) {
+      wrap.appendChild(createNextStopCard(operationOpts));
+    }
     if (operationOpts?.selectedRunId && typeof operationOpts?.onFinishRun === "function") {
       const finishBtn = document.createElement("button");
       finishBtn.type = "button";
@@ -145,6 +229,36 @@ function renderSidePanelContent(sidePanel, mode, options = {}) {
       finishBtn.addEventListener("click", () => operationOpts.onFinishRun());
       wrap.appendChild(finishBtn);
     }
+    if (operationOpts?.selectedRunId && typeof operationOpts?.onPlanRoute === "function") {
+      const routeActions = document.createElement("div");
+      routeActions.className = "operation-route-actions";
+      [
+        { from: "depot", label: "Plan route from depot" },
+        { from: "gps", label: "Plan route from my location" },
+      ].forEach(({ from, label }) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "operation-route-btn";
+        btn.textContent = label;
+        btn.addEventListener("click", () => operationOpts.onPlanRoute(from));
+        routeActions.appendChild(btn);
+      });
+      if (typeof operationOpts.onOpenLoadingList === "function") {
+        const loadBtn = document.createElement("button");
+        loadBtn.type = "button";
+        loadBtn.className = "operation-route-btn";
+        loadBtn.textContent = "Loading list";
+        loadBtn.addEventListener("click", () => operationOpts.onOpenLoadingList());
+        routeActions.appendChild(loadBtn);
+      }
+      wrap.appendChild(routeActions);
+      if (operationOpts.routeSummary) {
+        const summary = document.createElement("p");
+        summary.className = "operation-route-summary";
+        summary.textContent = operationOpts.routeSummary;
+        wrap.appendChild(summary);
+      }
+    }
     sidePanel.appendChild(wrap);
   }
   if (mode === "maintenance") {
@@ -204,6 +318,21 @@ export function createShellLayout(root, options) {
   settingsBtn.className = "header-settings-btn";
   settingsBtn.setAttribute("aria-label", "Open settings");
   settingsBtn.textContent = "\u2699\uFE0F";
+  const syncBtn = document.createElement("button");
+  syncBtn.type = "button";
+  syncBtn.className = "header-sync-btn";
+  syncBtn.hidden = true;
+  syncBtn.innerHTML = "<span class=\"header-sync-dot\" aria-hidden=\"true\"></span><span class=\"header-sync-label\"></span>";
+  const historyGroup = document.createElement("div");
+  historyGroup.className = "header-history";
+  historyGroup.innerHTML = `
+    <button type="button" class="header-history-btn" data-history="undo" aria-label="Undo" title="Undo (Ctrl+Z)" disabled>\u21B6</button>
+    <button type="button" class="header-history-btn" data-history="redo" aria-label="Redo" title="Redo (Ctrl+Shift+Z)" disabled>\u21B7</button>
+  `;
+  const undoBtn = historyGroup.querySelector('[data-history="undo"]');
+  const redoBtn = historyGroup.querySelector('[data-history="redo"]');
+  headerRight.appendChild(historyGroup);
+  headerRight.appendChild(syncBtn);
   headerRight.appendChild(settingsBtn);
   header.appendChild(titleDiv);
   header.appendChild(headerOperation);
@@ -217,6 +346,55 @@ export function createShellLayout(root, options) {
     });
   }
 
+  if (options.onSyncClickRef) {
+    syncBtn.addEventListener("click", () => {
+      if (typeof options.onSyncClickRef.current === "function") options.onSyncClickRef.current();
+    });
+  }
+
+  if (options.onUndoClickRef) {
+    undoBtn.addEventListener("click", () => {
+      if (typeof options.onUndoClickRef.current === "function") options.onUndoClickRef.current();
+    });
+  }
+  if (options.onRedoClickRef) {
+    redoBtn.addEventListener("click", () => {
+      if (typeof options.onRedoClickRef.current === "function") options.onRedoClickRef.current();
+    });
+  }
+
+  /**
+   * Enable/disable the header Undo/Redo buttons and name the command each would step over.
+   * @param {{ canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null }} state
+   */
+  function setUndoState(state) {
+    undoBtn.disabled = !state?.canUndo;
+    redoBtn.disabled = !state?.canRedo;
+    undoBtn.title = state?.undoLabel ? `Undo ${state.undoLabel} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+    redoBtn.title = state?.redoLabel ? `Redo ${state.redoLabel} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)";
+    undoBtn.setAttribute("aria-label", undoBtn.title);
+    redoBtn.setAttribute("aria-label", redoBtn.title);
+  }
+
+  const SYNC_LABELS = { idle: "Synced", syncing: "Syncing…", offline: "Offline", error: "Sync error" };
+
+  /**
+   * Header sync indicator; hidden while sync is disabled.
+   * @param {{ state: string, pending: number, lastSyncedAt: string|null, error: string|null }} status
+   */
+  function setSyncStatus(status) {
+    syncBtn.hidden = !status || status.state === "disabled";
+    if (syncBtn.hidden) return;
+    syncBtn.dataset.state = status.state;
+    const pending = status.pending > 0 && status.state !== "syncing" ? ` (${status.pending})` : "";
+    syncBtn.querySelector(".header-sync-label").textContent = `${SYNC_LABELS[status.state] ?? status.state}${pending}`;
+    const last = status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}.` : "Not synced yet.";
+    syncBtn.title = [status.error, last, status.pending > 0 ? `${status.pending} change(s) waiting to upload.` : "", "Tap to sync now."]
+      .filter(Boolean)
+      .join(" ");
+    syncBtn.setAttribute("aria-label", `Sync status: ${syncBtn.title}`);
+  }
+
   function updateHeaderOperation() {
     headerOperation.innerHTML = "";
     headerOperation.hidden = currentMode !== "operation";
@@ -333,13 +511,28 @@ export function createShellLayout(root, options) {
   settingsHost.className = "settings-host";
   settingsHost.setAttribute("aria-hidden", "true");
 
+  const calendarHost = document.createElement("div");
+  calendarHost.className = "calendar-host";
+  calendarHost.setAttribute("aria-hidden", "true");
+
+  const planDayHost = document.createElement("div");
+  planDayHost.className = "plan-day-host";
+  planDayHost.setAttribute("aria-hidden", "true");
+
+  const loadingListHost = document.createElement("div");
+  loadingListHost.className = "loading-list-host";
+  loadingListHost.setAttribute("aria-hidden", "true");
+
   app.appendChild(header);
   app.appendChild(main);
   app.appendChild(runManagementHost);
   app.appendChild(resumePromptHost);
   app.appendChild(runHistoryHost);
+  app.appendChild(calendarHost);
   app.appendChild(runDetailHost);
   app.appendChild(settingsHost);
+  app.appendChild(planDayHost);
+  app.appendChild(loadingListHost);
   app.appendChild(snackbarHost);
   app.appendChild(disruptionPanelHost);
   app.appendChild(sheetHost);
@@ -458,6 +651,15 @@ export function createShellLayout(root, options) {
     getSettingsHost() {
       return settingsHost;
     },
+    getCalendarHost() {
+      return calendarHost;
+    },
+    getPlanDayHost() {
+      return planDayHost;
+    },
+    getLoadingListHost() {
+      return loadingListHost;
+    },
     getDisruptionPanelHost() {
       return disruptionPanelHost;
     },
@@ -472,6 +674,8 @@ export function createShellLayout(root, options) {
     },
     setGpsActive,
     setOnCenterOnMe,
+    setSyncStatus,
+    setUndoState,
     setAddMode(active) {
       addModeActive = Boolean(active);
       updateFabVisibility();
@@ -484,6 +688,12 @@ export function createShellLayout(root, options) {
       updateFabVisibility();
     },
     updateHeaderOperation,
+    /** Re-render only the next-stop card in place (e.g. on each GPS fix) without rebuilding the side panel. */
+    updateNextStopCard() {
+      if (currentMode !== "operation") return;
+      const existing = sidePanel.querySelector(".next-stop-card");
+      if (existing) existing.replaceWith(createNextStopCard(operationOptionsRef?.current));
+    },
     showError(message) {
       // Minimal inline error for now; can be replaced with snackbar.
       // eslint-disable-next-line no-console
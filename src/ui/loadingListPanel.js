@@ -0,0 +1,185 @@
+/**
+ * Loading list panel (Operation): expected refill units per product for the selected run's stops,
+ * what is already in the van, and how much to load; plus a van stock count and the recent
+ * ledger. Data and persistence come in through callbacks.
+ */
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+const LEDGER_LIST_LIMIT = 10;
+const ENTRY_LABELS = { load: "Loaded", refill: "Refill", reversal: "Refill undone", count: "Count" };
+
+function productLabel(productType) {
+  return productType || "Unspecified product";
+}
+
+function formatEntryTime(ms) {
+  return new Date(ms).toLocaleString(undefined, { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+/**
+ * @typedef {{
+ *   list: { lines: Array<{ productType: string, units: number, machines: number, guessedMachines: number }>, totalUnits: number, unknownMachines: Array<{ id: string, name: string }> },
+ *   vanStock: Array<{ productType: string, units: number }>,
+ *   entries: Array<{ id: string, at: number, type: string, productType: string, units: number, locationName?: string|null }>,
+ * }} LoadingListData
+ */
+
+/**
+ * Create the Loading list panel.
+ * @param {HTMLElement} host - Container to render into
+ * @param {object} options
+ * @param {string} options.runName
+ * @param {() => Promise<LoadingListData>} options.getData
+ * @param {(items: Array<{ productType: string, units: number }>) => Promise<void>} options.onLoad - Throws with a user-facing message
+ * @param {(counts: Array<{ productType: string, units: number }>) => Promise<void>} options.onCount - Throws with a user-facing message
+ * @param {() => void} options.onClose
+ * @returns {{ destroy: () => void }}
+ */
+export function createLoadingListPanel(host, options) {
+  const { runName, getData, onLoad, onCount, onClose } = options;
+  let data = null;
+  let error = "";
+  let busy = false;
+
+  const panelEl = document.createElement("div");
+  panelEl.className = "loading-list-panel";
+  panelEl.innerHTML = `
+    <div class="loading-list-header">
+      <h2 class="loading-list-title">Loading list – ${escapeHtml(runName)}</h2>
+      <button type="button" class="loading-list-close" aria-label="Close">×</button>
+    </div>
+    <div class="loading-list-content"></div>
+  `;
+  panelEl.querySelector(".loading-list-close").addEventListener("click", onClose);
+  const content = panelEl.querySelector(".loading-list-content");
+
+  function readUnits(selector) {
+    return Array.from(content.querySelectorAll(selector)).map((input) => ({
+      productType: input.getAttribute("data-product"),
+      units: input.value === "" ? 0 : Number(input.value),
+    }));
+  }
+
+  async function submit(action, items) {
+    busy = true;
+    error = "";
+    render();
+    try {
+      await action(items);
+      data = await getData();
+    } catch (err) {
+      error = err instanceof Error ? err.message : String(err);
+    }
+    busy = false;
+    render();
+  }
+
+  function renderLoadSection() {
+    const { lines, totalUnits, unknownMachines } = data.list;
+    const inVan = new Map(data.vanStock.map((p) => [p.productType, p.units]));
+    const guessed = lines.reduce((sum, l) => sum + l.guessedMachines, 0);
+    if (lines.length === 0) {
+      return `
+        <p class="settings-hint">None of this run's machines has a capacity yet. Set one in Maintenance (Edit location) to get a loading list.</p>`;
+    }
+    const machineCount = lines.reduce((sum, l) => sum + l.machines, 0);
+    return `
+      <p class="loading-list-summary">${totalUnits} units expected across ${machineCount} machine${machineCount === 1 ? "" : "s"}</p>
+      <table class="loading-list-table">
+        <thead><tr><th>Product</th><th>Expected</th><th>In van</th><th>Load</th></tr></thead>
+        <tbody>
+          ${lines.map((l) => `
+            <tr>
+              <td>${escapeHtml(productLabel(l.productType))}</td>
+              <td>${l.units}</td>
+              <td>${inVan.get(l.productType) ?? 0}</td>
+              <td><input type="number" class="plan-day-number" min="0" step="1" data-load data-product="${escapeHtml(l.productType)}" value="${Math.max(0, l.units - (inVan.get(l.productType) ?? 0))}" /></td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+      ${guessed > 0 ? `<p class="settings-hint">${guessed} machine${guessed === 1 ? " has" : "s have"} no refill history yet and ${guessed === 1 ? "is" : "are"} counted as empty.</p>` : ""}
+      ${unknownMachines.length > 0 ? `<p class="settings-hint">No capacity set for: ${unknownMachines.map((m) => escapeHtml(m.name)).join(", ")}.</p>` : ""}
+      <div class="settings-data-btns">
+        <button type="button" class="settings-data-btn" data-action="load" ${busy ? "disabled" : ""}>Load into van</button>
+      </div>`;
+  }
+
+  function renderVanSection() {
+    if (data.vanStock.length === 0) {
+      return `<p class="settings-hint">The van is empty.</p>`;
+    }
+    return `
+      <table class="loading-list-table">
+        <thead><tr><th>Product</th><th>In van</th><th>Counted</th></tr></thead>
+        <tbody>
+          ${data.vanStock.map((p) => `
+            <tr>
+              <td>${escapeHtml(productLabel(p.productType))}</td>
+              <td>${p.units}</td>
+              <td><input type="number" class="plan-day-number" min="0" step="1" data-count data-product="${escapeHtml(p.productType)}" value="${Math.max(0, p.units)}" /></td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+      <div class="settings-data-btns">
+        <button type="button" class="settings-data-btn" data-action="count" ${busy ? "disabled" : ""}>Save count</button>
+      </div>`;
+  }
+
+  function renderLedger() {
+    if (data.entries.length === 0) return "";
+    return `
+      <h3 class="loading-list-section-title">Recent</h3>
+      <ul class="loading-list-ledger">
+        ${data.entries.slice(0, LEDGER_LIST_LIMIT).map((e) => `
+          <li>
+            <span>${escapeHtml(formatEntryTime(e.at))} · ${escapeHtml(ENTRY_LABELS[e.type] ?? e.type)}${e.locationName ? ` · ${escapeHtml(e.locationName)}` : ""}</span>
+            <span class="loading-list-units${e.units < 0 ? " loading-list-units--out" : ""}">${e.units > 0 ? "+" : ""}${e.units} ${escapeHtml(productLabel(e.productType))}</span>
+          </li>`).join("")}
+      </ul>`;
+  }
+
+  function render() {
+    if (!data) {
+      content.innerHTML = `${error ? `<p class="csv-wizard-error">${escapeHtml(error)}</p>` : "<p class=\"settings-hint\">Loading…</p>"}`;
+      return;
+    }
+    content.innerHTML = `
+      ${renderLoadSection()}
+      <h3 class="loading-list-section-title">Van stock</h3>
+      ${renderVanSection()}
+      ${error ? `<p class="csv-wizard-error">${escapeHtml(error)}</p>` : ""}
+      ${renderLedger()}
+    `;
+    content.querySelector('[data-action="load"]')?.addEventListener("click", () => submit(onLoad, readUnits("[data-load]")));
+    content.querySelector('[data-action="count"]')?.addEventListener("click", () => submit(onCount, readUnits("[data-count]")));
+  }
+
+  host.innerHTML = "";
+  host.appendChild(panelEl);
+  host.setAttribute("aria-hidden", "false");
+  requestAnimationFrame(() => panelEl.classList.add("open"));
+  render();
+  getData()
+    .then((result) => {
+      data = result;
+      render();
+    })
+    .catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error("Loading list failed", err);
+      error = err instanceof Error ? err.message : String(err);
+      render();
+    });
+
+  return {
+    destroy() {
+      host.setAttribute("aria-hidden", "true");
+      host.innerHTML = "";
+    },
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Passphrase modal for encrypted backups: single entry to unlock, or entry + repeat to encrypt.
+ * Rendered in the resume prompt host so it sits above the Settings panel.
+ */
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * @param {HTMLElement} host - Container to render into
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {string} [options.submitLabel]
+ * @param {boolean} [options.confirm] - Ask for the passphrase twice (when encrypting)
+ * @param {number} [options.minLength]
+ * @param {string|null} [options.error] - Shown under the inputs (e.g. previous attempt was wrong)
+ * @param {(passphrase: string) => void} options.onSubmit
+ * @param {() => void} options.onCancel
+ */
+export function createPassphrasePrompt(host, options) {
+  const { title, description = "", submitLabel = "OK", confirm = false, minLength = 1, error = null, onSubmit, onCancel } = options;
+
+  host.innerHTML = "";
+  host.setAttribute("aria-hidden", "false");
+
+  const overlay = document.createElement("div");
+  overlay.className = "resume-prompt-overlay";
+
+  const modal = document.createElement("form");
+  modal.className = "resume-prompt-modal passphrase-prompt";
+  modal.noValidate = true;
+  modal.innerHTML = `
+    <h2 class="resume-prompt-title">${escapeHtml(title)}</h2>
+    ${description ? `<p class="resume-prompt-desc">${escapeHtml(description)}</p>` : ""}
+    <input type="password" class="passphrase-prompt-input" autocomplete="${confirm ? "new-password" : "current-password"}" aria-label="Passphrase" placeholder="Passphrase" />
+    ${confirm ? "<input type=\"password\" class=\"passphrase-prompt-input passphrase-prompt-repeat\" autocomplete=\"new-password\" aria-label=\"Repeat passphrase\" placeholder=\"Repeat passphrase\" />" : ""}
+    <p class="passphrase-prompt-error" role="alert" ${error ? "" : "hidden"}>${escapeHtml(error ?? "")}</p>
+    <div class="resume-prompt-actions">
+      <button type="button" class="resume-prompt-btn resume-prompt-btn-new">Cancel</button>
+      <button type="submit" class="resume-prompt-btn resume-prompt-btn-resume">${escapeHtml(submitLabel)}</button>
+    </div>
+  `;
+
+  const input = modal.querySelector(".passphrase-prompt-input");
+  const repeat = modal.querySelector(".passphrase-prompt-repeat");
+  const errorEl = modal.querySelector(".passphrase-prompt-error");
+
+  const dismiss = () => {
+    host.setAttribute("aria-hidden", "true");
+    host.innerHTML = "";
+  };
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  };
+
+  modal.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const value = input.value;
+    if (value.length < minLength) {
+      showError(`Passphrase must be at least ${minLength} characters.`);
+      return;
+    }
+    if (repeat && repeat.value !== value) {
+      showError("Passphrases don't match.");
+      return;
+    }
+    dismiss();
+    onSubmit(value);
+  });
+  modal.querySelector(".resume-prompt-btn-new").addEventListener("click", () => {
+    dismiss();
+    onCancel();
+  });
+  overlay.addEventListener("click", (e) => {
+    if (e.target === overlay) {
+      dismiss();
+      onCancel();
+    }
+  });
+
+  overlay.appendChild(modal);
+  host.appendChild(overlay);
+  requestAnimationFrame(() => overlay.classList.add("open"));
+  input.focus();
+}
@@ -0,0 +1,205 @@
+/**
+ * "Plan today" wizard (Dashboard): start point, area and caps → ordered preview of due stops →
+ * create a temporary run and start it in Operation mode. Planning and persistence come in
+ * through callbacks.
+ */
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+const URGENCY_LABELS = { overdue: "Overdue", dueToday: "Due today", dueThisWeek: "Due this week" };
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m > 0 ? `${h}h ${m}m` : `${h}h`;
+}
+
+function optionalNumber(value) {
+  const trimmed = String(value ?? "").trim();
+  return trimmed === "" ? null : Number(trimmed);
+}
+
+/**
+ * @typedef {{
+ *   startFrom: "depot" | "gps",
+ *   area: "radius" | "run",
+ *   radiusKm: number|null,
+ *   regionRunId: string|null,
+ *   maxStops: number|null,
+ *   maxDriveMinutes: number|null,
+ *   includeDueThisWeek: boolean,
+ * }} PlanDayForm
+ */
+
+/**
+ * Create the Plan today wizard.
+ * @param {HTMLElement} host - Container to render into
+ * @param {object} options
+ * @param {PlanDayForm} options.initialForm
+ * @param {Array<{ id: string, name: string }>} options.runs - Runs offered as regions
+ * @param {boolean} options.hasDepot
+ * @param {(form: PlanDayForm) => Promise<{ stops: Array<{ id: string, name?: string, urgency?: string }>, distanceKm: number, driveMinutes: number, leftOutCount: number }>} options.onPreview - Throws with a user-facing message
+ * @param {(plan: object) => Promise<void>} options.onCreate - Create a run from the previewed plan and start it
+ * @param {() => void} options.onClose
+ * @returns {{ destroy: () => void }}
+ */
+export function createPlanDayWizard(host, options) {
+  const { initialForm, runs = [], hasDepot, onPreview, onCreate, onClose } = options;
+  const form = { ...initialForm };
+  if (form.startFrom === "depot" && !hasDepot) form.startFrom = "gps";
+  if (!form.regionRunId && runs.length > 0) form.regionRunId = runs[0].id;
+  let step = "options"; // "options" | "preview"
+  let plan = null;
+  let error = "";
+  let busy = false;
+
+  const panelEl = document.createElement("div");
+  panelEl.className = "plan-day-panel";
+  panelEl.innerHTML = `
+    <div class="plan-day-header">
+      <h2 class="plan-day-title">Plan Today</h2>
+      <button type="button" class="plan-day-close" aria-label="Close">×</button>
+    </div>
+    <div class="plan-day-content"></div>
+  `;
+  panelEl.querySelector(".plan-day-close").addEventListener("click", onClose);
+  const content = panelEl.querySelector(".plan-day-content");
+
+  function readForm() {
+    const value = (name) => content.querySelector(`[name="${name}"]`);
+    form.startFrom = content.querySelector("input[name=\"plan-start\"]:checked")?.value ?? form.startFrom;
+    form.area = content.querySelector("input[name=\"plan-area\"]:checked")?.value ?? form.area;
+    form.radiusKm = optionalNumber(value("plan-radius").value);
+    form.regionRunId = value("plan-region-run")?.value || null;
+    form.maxStops = optionalNumber(value("plan-max-stops").value);
+    form.maxDriveMinutes = optionalNumber(value("plan-max-minutes").value);
+    form.includeDueThisWeek = value("plan-this-week").checked;
+  }
+
+  function renderOptions() {
+    content.innerHTML = `
+      <p class="settings-hint">Picks overdue and due-today locations, most overdue first, up to the limits, and orders them into a route.</p>
+      <fieldset class="plan-day-group">
+        <legend>Start from</legend>
+        <label><input type="radio" name="plan-start" value="depot" ${form.startFrom === "depot" ? "checked" : ""} ${hasDepot ? "" : "disabled"} /> Depot${hasDepot ? "" : " (set one in Settings)"}</label>
+        <label><input type="radio" name="plan-start" value="gps" ${form.startFrom === "gps" ? "checked" : ""} /> Current position</label>
+      </fieldset>
+      <fieldset class="plan-day-group">
+        <legend>Area</legend>
+        <label><input type="radio" name="plan-area" value="radius" ${form.area === "radius" ? "checked" : ""} /> Within
+          <input type="number" name="plan-radius" class="plan-day-number" min="1" step="1" value="${form.radiusKm ?? ""}" /> km of the start</label>
+        <label><input type="radio" name="plan-area" value="run" ${form.area === "run" ? "checked" : ""} ${runs.length === 0 ? "disabled" : ""} /> Stops of run
+          <select name="plan-region-run" class="settings-select" ${runs.length === 0 ? "disabled" : ""}>
+            ${runs.map((r) => `<option value="${escapeHtml(r.id)}" ${r.id === form.regionRunId ? "selected" : ""}>${escapeHtml(r.name ?? r.id)}</option>`).join("")}
+          </select></label>
+        <label><input type="checkbox" name="plan-this-week" ${form.includeDueThisWeek ? "checked" : ""} /> Also include locations due later this week</label>
+      </fieldset>
+      <fieldset class="plan-day-group">
+        <legend>Limits (leave blank for none)</legend>
+        <label>At most <input type="number" name="plan-max-stops" class="plan-day-number" min="1" step="1" value="${form.maxStops ?? ""}" /> stops</label>
+        <label>At most <input type="number" name="plan-max-minutes" class="plan-day-number" min="10" step="5" value="${form.maxDriveMinutes ?? ""}" /> minutes driving</label>
+      </fieldset>
+      ${error ? `<p class="csv-wizard-error">${escapeHtml(error)}</p>` : ""}
+    `;
+    const btns = document.createElement("div");
+    btns.className = "settings-data-btns";
+    const previewBtn = document.createElement("button");
+    previewBtn.type = "button";
+    previewBtn.className = "settings-data-btn";
+    previewBtn.textContent = busy ? "Planning…" : "Preview plan";
+    previewBtn.disabled = busy;
+    previewBtn.addEventListener("click", async () => {
+      readForm();
+      busy = true;
+      error = "";
+      render();
+      try {
+        plan = await onPreview({ ...form });
+        step = "preview";
+      } catch (err) {
+        error = err instanceof Error ? err.message : String(err);
+      }
+      busy = false;
+      render();
+    });
+    btns.appendChild(previewBtn);
+    content.appendChild(btns);
+  }
+
+  function renderPreview() {
+    const stops = plan?.stops ?? [];
+    const summary = stops.length === 0
+      ? "No due locations match these settings."
+      : `${stops.length} stop${stops.length === 1 ? "" : "s"} · ${plan.distanceKm.toFixed(1)} km · about ${formatMinutes(plan.driveMinutes)} driving`;
+    content.innerHTML = `
+      <p class="plan-day-summary">${escapeHtml(summary)}</p>
+      ${plan?.leftOutCount > 0 ? `<p class="settings-hint">${plan.leftOutCount} more due location${plan.leftOutCount === 1 ? "" : "s"} left out by the limits.</p>` : ""}
+      <ol class="plan-day-stops">
+        ${stops.map((s) => `
+          <li class="plan-day-stop">
+            <span class="plan-day-stop-name">${escapeHtml(s.name || s.id)}</span>
+            ${s.urgency ? `<span class="plan-day-stop-urgency plan-day-stop-urgency--${escapeHtml(s.urgency)}">${escapeHtml(URGENCY_LABELS[s.urgency] ?? s.urgency)}</span>` : ""}
+          </li>`).join("")}
+      </ol>
+      ${error ? `<p class="csv-wizard-error">${escapeHtml(error)}</p>` : ""}
+    `;
+    const btns = document.createElement("div");
+    btns.className = "settings-data-btns";
+    const backBtn = document.createElement("button");
+    backBtn.type = "button";
+    backBtn.className = "settings-data-btn";
+    backBtn.textContent = "Back";
+    backBtn.disabled = busy;
+    backBtn.addEventListener("click", () => {
+      step = "options";
+      error = "";
+      render();
+    });
+    const createBtn = document.createElement("button");
+    createBtn.type = "button";
+    createBtn.className = "settings-data-btn";
+    createBtn.textContent = busy ? "Creating…" : "Create run & start";
+    createBtn.disabled = busy || stops.length === 0;
+    createBtn.addEventListener("click", async () => {
+      busy = true;
+      error = "";
+      render();
+      try {
+        await onCreate(plan);
+        onClose();
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("Plan today failed", err);
+        error = err instanceof Error ? err.message : String(err);
+        busy = false;
+        render();
+      }
+    });
+    btns.appendChild(backBtn);
+    btns.appendChild(createBtn);
+    content.appendChild(btns);
+  }
+
+  function render() {
+    if (step === "preview") renderPreview();
+    else renderOptions();
+  }
+
+  host.innerHTML = "";
+  host.appendChild(panelEl);
+  host.setAttribute("aria-hidden", "false");
+  requestAnimationFrame(() => panelEl.classList.add("open"));
+  render();
+
+  return {
+    destroy() {
+      host.setAttribute("aria-hidden", "true");
+      host.innerHTML = "";
+    },
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Backup restore dry-run report (Settings → Data Management): per-store added / updated /
+ * conflicting / removed counts for the chosen mode, validation errors, and confirm / cancel.
+ */
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+const MODE_HINTS = {
+  merge: "Merge adds and updates records; local records changed more recently than the backup are kept.",
+  replace: "Replace deletes every record that is not in the backup.",
+};
+const ERROR_LIMIT = 10;
+
+/**
+ * @param {HTMLElement} host - Container to render into
+ * @param {object} options
+ * @param {string} options.fileName
+ * @param {{ errors: string[], summary?: string, stores: Record<string, { added: number, updated: number, conflicting: number, unchanged: number, removed: number }> }} options.initialPreview - Merge-mode dry run; summary describes the file's header and upgrades
+ * @param {(mode: "merge" | "replace") => Promise<{ errors: string[], stores: object }>} options.onChangeMode - Re-run the dry run
+ * @param {(mode: "merge" | "replace") => Promise<void>} options.onConfirm
+ * @param {() => void} options.onClose
+ * @returns {{ destroy: () => void }}
+ */
+export function createRestorePreview(host, options) {
+  const { fileName, initialPreview, onChangeMode, onConfirm, onClose } = options;
+  let mode = "merge";
+  let preview = initialPreview;
+  let busy = false;
+
+  const root = document.createElement("div");
+  root.className = "restore-preview";
+  host.appendChild(root);
+
+  function render() {
+    const errors = preview?.errors ?? [];
+    const rows = Object.entries(preview?.stores ?? {});
+    root.innerHTML = `
+      <p class="csv-wizard-title">Restore ${escapeHtml(fileName)}</p>
+      ${preview?.summary ? `<p class="settings-hint">${escapeHtml(preview.summary)}</p>` : ""}
+      <div class="restore-preview-modes" role="radiogroup" aria-label="Restore mode">
+        <label><input type="radio" name="restore-mode" value="merge" ${mode === "merge" ? "checked" : ""} ${busy ? "disabled" : ""} /> Merge</label>
+        <label><input type="radio" name="restore-mode" value="replace" ${mode === "replace" ? "checked" : ""} ${busy ? "disabled" : ""} /> Replace</label>
+      </div>
+      <p class="settings-hint">${escapeHtml(MODE_HINTS[mode])}</p>
+      ${errors.length > 0 ? `
+        <p class="csv-wizard-error">This backup can't be restored:</p>
+        <ul class="restore-preview-errors">
+          ${errors.slice(0, ERROR_LIMIT).map((e) => `<li>${escapeHtml(e)}</li>`).join("")}
+          ${errors.length > ERROR_LIMIT ? `<li>…and ${errors.length - ERROR_LIMIT} more</li>` : ""}
+        </ul>` : `
+        <div class="csv-wizard-preview">
+          <table>
+            <thead><tr><th>Store</th><th>Added</th><th>Updated</th><th>Conflicting</th>${mode === "replace" ? "<th>Removed</th>" : ""}</tr></thead>
+            <tbody>
+              ${rows.map(([store, c]) => `
+                <tr>
+                  <td>${escapeHtml(store)}</td>
+                  <td>${c.added}</td>
+                  <td>${c.updated}</td>
+                  <td>${c.conflicting}</td>
+                  ${mode === "replace" ? `<td>${c.removed}</td>` : ""}
+                </tr>`).join("")}
+            </tbody>
+          </table>
+        </div>`}
+    `;
+    root.querySelectorAll("input[name=\"restore-mode\"]").forEach((input) => {
+      input.addEventListener("change", async () => {
+        if (!input.checked || input.value === mode) return;
+        mode = input.value;
+        busy = true;
+        render();
+        try {
+          preview = await onChangeMode(mode);
+        } catch (err) {
+          preview = { errors: [err instanceof Error ? err.message : String(err)], stores: {} };
+        }
+        busy = false;
+        render();
+      });
+    });
+
+    const btns = document.createElement("div");
+    btns.className = "settings-data-btns";
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "settings-data-btn";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.disabled = busy;
+    cancelBtn.addEventListener("click", onClose);
+    const confirmBtn = document.createElement("button");
+    confirmBtn.type = "button";
+    confirmBtn.className = "settings-data-btn";
+    confirmBtn.textContent = mode === "replace" ? "Replace all data" : "Merge backup";
+    confirmBtn.disabled = busy || errors.length > 0;
+    confirmBtn.addEventListener("click", async () => {
+      busy = true;
+      render();
+      try {
+        await onConfirm(mode);
+        onClose();
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("Restore failed", err);
+        busy = false;
+        render();
+      }
+    });
+    btns.appendChild(cancelBtn);
+    btns.appendChild(confirmBtn);
+    root.appendChild(btns);
+  }
+
+  render();
+
+  return {
+    destroy() {
+      root.remove();
+    },
+  };
+}
@@ -5,6 +5,7 @@
 
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import { createCachedTileLayer } from "../map/tileCache.js";
 
 function escapeHtml(str) {
   const div = document.createElement("div");
@@ -36,14 +37,15 @@ const MISSED_COLOR = "#ef4444";
  * Create the Run Detail panel.
  * @param {HTMLElement} host - Container to render into
  * @param {object} options
- * @param {{ runId: string, runName: string, completedAt: string, visitedCount: number, totalCount: number, durationMinutes?: number }} options.completion - Run completion record
+ * @param {{ runId: string, runName: string, completedAt: string, visitedCount: number, totalCount: number, durationMinutes?: number, vanStock?: Array<{ productType: string, units: number }>|null }} options.completion - Run completion record
  * @param {Array<{ id: string, latitude: number, longitude: number, name?: string }>} options.locations - All locations in the run
  * @param {Set<string>} options.visitedLocationIds - IDs of visited locations
+ * @param {{ collected: string, siteShare: string, net: string, count: number }|null} [options.cashSummary] - Formatted cash totals for the run
  * @param {() => void} options.onClose - Close panel, return to history
  * @returns {{ destroy: () => void }}
  */
 export function createRunDetailPanel(host, options) {
-  const { completion, locations = [], visitedLocationIds = new Set(), onClose } = options;
+  const { completion, locations = [], visitedLocationIds = new Set(), cashSummary = null, onClose } = options;
   let panelEl = null;
   let map = null;
 
@@ -54,6 +56,10 @@ export function createRunDetailPanel(host, options) {
 
   const missedLocations = locations.filter((loc) => !visitedSet.has(loc.id));
   const durationStr = formatDuration(completion?.durationMinutes);
+  const vanStock = Array.isArray(completion?.vanStock) ? completion.vanStock : null;
+  const vanStockStr = vanStock && (vanStock.length === 0
+    ? "Van empty at finish"
+    : `Left in van: ${vanStock.map((p) => `${p.units} ${p.productType || "unspecified"}`).join(" · ")}`);
 
   function initMap(container) {
     if (!container) return null;
@@ -62,10 +68,7 @@ export function createRunDetailPanel(host, options) {
       center: [53.4, -8],
       zoom: 8,
     });
-    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-      attribution: "&copy; OpenStreetMap contributors",
-      maxZoom: 19,
-    }).addTo(m);
+    createCachedTileLayer().addTo(m);
 
     const group = L.featureGroup();
     for (const loc of locations) {
@@ -100,6 +103,12 @@ export function createRunDetailPanel(host, options) {
         <p class="run-detail-date">${escapeHtml(formatDateLong(completion?.completedAt))}</p>
         ${durationStr ? `<p class="run-detail-duration">${escapeHtml(durationStr)}</p>` : ""}
         <p class="run-detail-count">${completion?.visitedCount ?? 0} / ${completion?.totalCount ?? 0} visited</p>
+        ${cashSummary ? `
+          <div class="run-detail-cash">
+            <span class="run-detail-cash-total">Cash collected ${escapeHtml(cashSummary.collected)}</span>
+            <span class="run-detail-cash-split">${cashSummary.count} stop${cashSummary.count === 1 ? "" : "s"} · site share ${escapeHtml(cashSummary.siteShare)} · net ${escapeHtml(cashSummary.net)}</span>
+          </div>` : ""}
+        ${vanStockStr ? `<p class="run-detail-count run-detail-van">${escapeHtml(vanStockStr)}</p>` : ""}
         <div class="run-detail-map-wrap" role="img" aria-label="Map of run locations"></div>
         ${
           missedLocations.length > 0
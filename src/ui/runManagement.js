@@ -1,5 +1,5 @@
 /**
- * Run Management panel (PRD V2.3): create, edit, delete runs.
+ * Run Management panel (PRD V2.3): create, edit, delete runs; reorder a run's stops.
  * Renders into a host container; uses callbacks for all persistence.
  */
 
@@ -9,25 +9,36 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/** Form order Monday first; values are Date#getDay() numbers. */
+const SCHEDULE_WEEKDAYS = [[1, "Mon"], [2, "Tue"], [3, "Wed"], [4, "Thu"], [5, "Fri"], [6, "Sat"], [0, "Sun"]];
+const EVERY_WEEKS_OPTIONS = [1, 2, 3, 4];
+
 /**
  * Create the Run Management panel.
  * @param {HTMLElement} host - Container to render into
  * @param {object} options
  * @param {{ current: Array<{ id: string, name: string, locationCount: number }> }} options.runsRef - Ref to runs (updated by parent, panel re-renders)
  * @param {() => void} options.onClose - Close panel, return to map
- * @param {(name: string) => Promise<void>} options.onCreateRun
- * @param {(runId: string, newName: string) => Promise<void>} options.onUpdateRun
+ * @param {(name: string, colour: string, schedule: { weekdays: number[], everyWeeks: number }|null) => Promise<void>} options.onCreateRun
+ * @param {(runId: string, newName: string, newColour: string, schedule: { weekdays: number[], everyWeeks: number }|null) => Promise<void>} options.onUpdateRun
  * @param {(runId: string) => Promise<void>} options.onDeleteRun
+ * @param {(runId: string) => Promise<Array<{ id: string, name?: string }>>} [options.onLoadStops] - Stops in sequence order
+ * @param {(runId: string, locationIds: string[]) => Promise<void>} [options.onSaveStopOrder]
+ * @param {(runId: string) => Promise<void>} [options.onExportRunGpx] - Download the run as GPX
+ * @param {(schedule: object) => string} [options.describeSchedule] - Label for a run's recurring schedule
  * @returns {{ render: () => void, destroy: () => void }}
  */
 export function createRunManagementPanel(host, options) {
-  const { runsRef = { current: [] }, onClose, onCreateRun, onUpdateRun, onDeleteRun } = options;
-  let currentView = "list"; // "list" | "form" | "confirm"
+  const { runsRef = { current: [] }, onClose, onCreateRun, onUpdateRun, onDeleteRun, onLoadStops, onSaveStopOrder, onExportRunGpx, describeSchedule } = options;
+  let currentView = "list"; // "list" | "form" | "confirm" | "stops"
   let formMode = "create"; // "create" | "edit"
   let editingRunId = null;
   let editingRunName = "";
   let editingRunColour = "#3b82f6";
+  let editingRunSchedule = null;
   let confirmingRun = null;
+  let stopsRun = null;
+  let stops = null; // null while loading
   let panelEl = null;
 
   function renderList() {
@@ -43,6 +54,7 @@ export function createRunManagementPanel(host, options) {
       editingRunId = null;
       editingRunName = "";
       editingRunColour = "#3b82f6";
+      editingRunSchedule = null;
       currentView = "form";
       render();
     });
@@ -63,18 +75,43 @@ export function createRunManagementPanel(host, options) {
         const editBtn = document.createElement("button");
         editBtn.type = "button";
         editBtn.className = "run-mgmt-icon-btn";
-        editBtn.setAttribute("aria-label", `Edit ${escapeHtml(run.name ?? run.id)}`);
+        editBtn.setAttribute("aria-label", `Edit ${run.name ?? run.id}`);
         editBtn.textContent = "\u270F\uFE0F";
         const deleteBtn = document.createElement("button");
         deleteBtn.type = "button";
         deleteBtn.className = "run-mgmt-icon-btn run-mgmt-icon-btn-danger";
-        deleteBtn.setAttribute("aria-label", `Delete ${escapeHtml(run.name ?? run.id)}`);
+        deleteBtn.setAttribute("aria-label", `Delete ${run.name ?? run.id}`);
         deleteBtn.textContent = "\uD83D\uDDD1\uFE0F";
         li.innerHTML = `
           <span class="run-mgmt-colour-swatch" style="background:${escapeHtml(run.colour ?? '#3b82f6')}"></span>
-          <span class="run-mgmt-run-name">${escapeHtml(run.name ?? run.id)}</span>
+          <span class="run-mgmt-run-name">${escapeHtml(run.name ?? run.id)}${run.schedule && typeof describeSchedule === "function" ? `<span class="run-mgmt-run-schedule">${escapeHtml(describeSchedule(run.schedule))}</span>` : ""}</span>
           <span class="run-mgmt-run-count">${run.locationCount ?? 0}</span>
         `;
+        if (typeof onLoadStops === "function") {
+          const stopsBtn = document.createElement("button");
+          stopsBtn.type = "button";
+          stopsBtn.className = "run-mgmt-icon-btn";
+          stopsBtn.setAttribute("aria-label", `Reorder stops for ${run.name ?? run.id}`);
+          stopsBtn.textContent = "\u2195\uFE0F";
+          stopsBtn.addEventListener("click", () => openStops(run));
+          li.appendChild(stopsBtn);
+        }
+        if (typeof onExportRunGpx === "function") {
+          const gpxBtn = document.createElement("button");
+          gpxBtn.type = "button";
+          gpxBtn.className = "run-mgmt-icon-btn run-mgmt-gpx-btn";
+          gpxBtn.setAttribute("aria-label", `Export ${run.name ?? run.id} as GPX`);
+          gpxBtn.textContent = "GPX";
+          gpxBtn.addEventListener("click", async () => {
+            try {
+              await onExportRunGpx(run.id);
+            } catch (err) {
+              // eslint-disable-next-line no-console
+              console.error("GPX export failed", err);
+            }
+          });
+          li.appendChild(gpxBtn);
+        }
         li.appendChild(editBtn);
         li.appendChild(deleteBtn);
         editBtn.addEventListener("click", () => {
@@ -82,6 +119,7 @@ export function createRunManagementPanel(host, options) {
           editingRunId = run.id;
           editingRunName = run.name ?? run.id;
           editingRunColour = run.colour ?? "#3b82f6";
+          editingRunSchedule = run.schedule ?? null;
           currentView = "form";
           render();
         });
@@ -112,6 +150,18 @@ export function createRunManagementPanel(host, options) {
           <span class="run-mgmt-label">Colour</span>
           <input type="color" name="runColour" value="${escapeHtml(editingRunColour)}" />
         </label>
+        <fieldset class="run-mgmt-field run-mgmt-schedule">
+          <legend class="run-mgmt-label">Repeats on</legend>
+          <div class="run-mgmt-weekdays">
+            ${SCHEDULE_WEEKDAYS.map(([value, label]) => `
+              <label><input type="checkbox" name="runWeekday" value="${value}" ${editingRunSchedule?.weekdays?.includes(value) ? "checked" : ""} /> ${label}</label>`).join("")}
+          </div>
+          <label class="run-mgmt-every">Every
+            <select name="runEveryWeeks">
+              ${EVERY_WEEKS_OPTIONS.map((n) => `<option value="${n}" ${(editingRunSchedule?.everyWeeks ?? 1) === n ? "selected" : ""}>${n === 1 ? "week" : `${n} weeks`}</option>`).join("")}
+            </select>
+          </label>
+        </fieldset>
         <div class="run-mgmt-form-actions">
           <button type="submit" class="run-mgmt-btn run-mgmt-btn-primary">Save</button>
           <button type="button" class="run-mgmt-btn run-mgmt-btn-secondary" data-action="cancel">Cancel</button>
@@ -122,17 +172,21 @@ export function createRunManagementPanel(host, options) {
       e.preventDefault();
       const name = formWrap.querySelector('[name="runName"]')?.value?.trim();
       const colour = formWrap.querySelector('[name="runColour"]')?.value ?? editingRunColour;
+      const weekdays = [...formWrap.querySelectorAll('[name="runWeekday"]:checked')].map((input) => Number(input.value));
+      const everyWeeks = Number(formWrap.querySelector('[name="runEveryWeeks"]')?.value ?? 1);
+      const schedule = weekdays.length > 0 ? { weekdays, everyWeeks } : null;
       if (!name) return;
       try {
         if (formMode === "create") {
-          await onCreateRun?.(name, colour);
+          await onCreateRun?.(name, colour, schedule);
         } else {
-          await onUpdateRun?.(editingRunId, name, colour);
+          await onUpdateRun?.(editingRunId, name, colour, schedule);
         }
         currentView = "list";
         editingRunId = null;
         editingRunName = "";
         editingRunColour = "#3b82f6";
+        editingRunSchedule = null;
         render();
       } catch (err) {
         // Caller may show snackbar; re-render to stay on form
@@ -144,6 +198,7 @@ export function createRunManagementPanel(host, options) {
       editingRunId = null;
       editingRunName = "";
       editingRunColour = "#3b82f6";
+      editingRunSchedule = null;
       render();
     });
     return formWrap;
@@ -180,6 +235,117 @@ export function createRunManagementPanel(host, options) {
     return wrap;
   }
 
+  async function openStops(run) {
+    stopsRun = run;
+    stops = null;
+    currentView = "stops";
+    render();
+    try {
+      stops = await onLoadStops(run.id);
+    } catch (err) {
+      stops = [];
+    }
+    if (currentView === "stops" && stopsRun === run) render();
+  }
+
+  async function moveStop(from, to) {
+    if (!Array.isArray(stops) || to < 0 || to >= stops.length || from === to) return;
+    const [moved] = stops.splice(from, 1);
+    stops.splice(to, 0, moved);
+    render();
+    try {
+      await onSaveStopOrder?.(stopsRun.id, stops.map((loc) => loc.id));
+    } catch (err) {
+      // Reload the persisted order so the list never shows an unsaved sequence
+      await openStops(stopsRun);
+    }
+  }
+
+  function renderStops() {
+    const wrap = document.createElement("div");
+    wrap.className = "run-mgmt-stops";
+    const heading = document.createElement("h3");
+    heading.className = "run-mgmt-form-title";
+    heading.textContent = `Stops: ${stopsRun?.name ?? stopsRun?.id ?? ""}`;
+    wrap.appendChild(heading);
+
+    const ol = document.createElement("ol");
+    ol.className = "run-mgmt-stop-list";
+    if (stops == null) {
+      const li = document.createElement("li");
+      li.className = "run-mgmt-empty";
+      li.textContent = "Loading…";
+      ol.appendChild(li);
+    } else if (stops.length === 0) {
+      const li = document.createElement("li");
+      li.className = "run-mgmt-empty";
+      li.textContent = "No stops in this run yet.";
+      ol.appendChild(li);
+    } else {
+      let dragIndex = null;
+      stops.forEach((loc, index) => {
+        const li = document.createElement("li");
+        li.className = "run-mgmt-stop-row";
+        li.draggable = true;
+        li.innerHTML = `
+          <span class="run-mgmt-stop-handle" aria-hidden="true">\u2630</span>
+          <span class="run-mgmt-stop-number">${index + 1}</span>
+          <span class="run-mgmt-stop-name">${escapeHtml(loc.name ?? loc.id)}</span>
+        `;
+        const upBtn = document.createElement("button");
+        upBtn.type = "button";
+        upBtn.className = "run-mgmt-icon-btn";
+        upBtn.setAttribute("aria-label", `Move ${loc.name ?? loc.id} up`);
+        upBtn.textContent = "\u25B2";
+        upBtn.disabled = index === 0;
+        upBtn.addEventListener("click", () => moveStop(index, index - 1));
+        const downBtn = document.createElement("button");
+        downBtn.type = "button";
+        downBtn.className = "run-mgmt-icon-btn";
+        downBtn.setAttribute("aria-label", `Move ${loc.name ?? loc.id} down`);
+        downBtn.textContent = "\u25BC";
+        downBtn.disabled = index === stops.length - 1;
+        downBtn.addEventListener("click", () => moveStop(index, index + 1));
+        li.appendChild(upBtn);
+        li.appendChild(downBtn);
+
+        li.addEventListener("dragstart", (e) => {
+          dragIndex = index;
+          li.classList.add("dragging");
+          e.dataTransfer.effectAllowed = "move";
+          e.dataTransfer.setData("text/plain", String(index));
+        });
+        li.addEventListener("dragend", () => li.classList.remove("dragging"));
+        li.addEventListener("dragover", (e) => {
+          e.preventDefault();
+          li.classList.add("drag-over");
+        });
+        li.addEventListener("dragleave", () => li.classList.remove("drag-over"));
+        li.addEventListener("drop", (e) => {
+          e.preventDefault();
+          li.classList.remove("drag-over");
+          if (dragIndex != null) moveStop(dragIndex, index);
+          dragIndex = null;
+        });
+        ol.appendChild(li);
+      });
+    }
+    wrap.appendChild(ol);
+
+    const backBtn = document.createElement("button");
+    backBtn.type = "button";
+    backBtn.className = "run-mgmt-btn run-mgmt-btn-secondary";
+    backBtn.textContent = "Back";
+    backBtn.addEventListener("click", () => {
+      stopsRun = null;
+      stops = null;
+      currentView = "list";
+      render();
+    });
+    wrap.appendChild(backBtn);
+    return wrap;
+  }
+
   function render() {
     if (!panelEl) return;
     const content = panelEl.querySelector(".run-mgmt-content");
@@ -191,6 +357,8 @@ export function createRunManagementPanel(host, options) {
       content.appendChild(renderForm());
     } else if (currentView === "confirm") {
       content.appendChild(renderConfirm());
+    } else if (currentView === "stops") {
+      content.appendChild(renderStops());
     }
   }
 
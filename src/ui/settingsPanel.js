@@ -1,6 +1,605 @@
+import { createCsvImportWizard } from "./csvImportWizard.js";
+import { createRestorePreview } from "./restorePreview.js";
+
 /**
  * Settings panel (PRD V2.10): Auto Check-In; V2.11: Data Management (import/export).
+ * Also: depot for route planning, offline map download / storage / purge, automatic local backups, sync,
+ * service frequencies.
+ */
+
+function escapeHtml(str) {
+  const div = document.createElement("div");
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return "?";
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+/**
+ * Offline Maps section: download a run's area over a zoom range, storage usage, purge, and the
+ * tile server. When the server in effect does not allow area download, the download controls are
+ * replaced by a note saying how to turn it on.
+ * @param {{
+ *   getRuns: () => Promise<Array<{ id: string, name?: string }>>,
+ *   minZoom: number,
+ *   maxZoom: number,
+ *   isPrefetchAllowed?: () => boolean,
+ *   tileServer?: { url: string, attribution: string },
+ *   defaultTileUrl?: string,
+ *   onSaveTileServer?: (server: { url: string, attribution: string }) => Promise<void>,
+ *   getStatus: () => Promise<{ supported: boolean, tileCount: number, usageBytes: number|null, quotaBytes: number|null }>,
+ *   estimateTiles: (runId: string, minZoom: number, maxZoom: number) => Promise<number>,
+ *   onDownload: (runId: string, minZoom: number, maxZoom: number, onProgress: (done: number, total: number) => void) => Promise<void>,
+ *   onPurge: () => Promise<void>,
+ * }} opts
+ * @returns {HTMLElement}
+ */
+function createOfflineMapsSection(opts) {
+  const { getRuns, getStatus, estimateTiles, onDownload, onPurge, onSaveTileServer } = opts;
+  const isPrefetchAllowed = typeof opts.isPrefetchAllowed === "function" ? opts.isPrefetchAllowed : () => true;
+  const section = document.createElement("div");
+  section.className = "settings-section";
+  section.innerHTML = "<h3 class=\"settings-section-title\">Offline Maps</h3>";
+
+  const policyLine = document.createElement("p");
+  policyLine.className = "settings-hint";
+  policyLine.textContent = "Area download is off: the OpenStreetMap tile servers do not allow bulk downloads. "
+    + "To turn it on, enter below the tile URL of a provider that allows offline use (with your API key if it needs one). "
+    + "Tiles already cached still work offline.";
+  section.appendChild(policyLine);
+
+  const runSelect = document.createElement("select");
+  runSelect.className = "settings-select";
+  runSelect.setAttribute("aria-label", "Run area to download");
+  section.appendChild(runSelect);
+
+  const zoomRow = document.createElement("div");
+  zoomRow.className = "settings-row settings-input-row";
+  const minZoomInput = document.createElement("input");
+  minZoomInput.type = "number";
+  minZoomInput.min = opts.minZoom;
+  minZoomInput.max = opts.maxZoom;
+  minZoomInput.value = 10;
+  minZoomInput.setAttribute("aria-label", "Minimum zoom");
+  const maxZoomInput = document.createElement("input");
+  maxZoomInput.type = "number";
+  maxZoomInput.min = opts.minZoom;
+  maxZoomInput.max = opts.maxZoom;
+  maxZoomInput.value = 15;
+  maxZoomInput.setAttribute("aria-label", "Maximum zoom");
+  const zoomLabel = document.createElement("span");
+  zoomLabel.textContent = "Zoom";
+  const toLabel = document.createElement("span");
+  toLabel.textContent = "to";
+  zoomRow.appendChild(zoomLabel);
+  zoomRow.appendChild(minZoomInput);
+  zoomRow.appendChild(toLabel);
+  zoomRow.appendChild(maxZoomInput);
+  section.appendChild(zoomRow);
+
+  const estimateLine = document.createElement("p");
+  estimateLine.className = "settings-hint";
+  section.appendChild(estimateLine);
+
+  const btns = document.createElement("div");
+  btns.className = "settings-data-btns";
+  const downloadBtn = document.createElement("button");
+  downloadBtn.type = "button";
+  downloadBtn.className = "settings-data-btn";
+  downloadBtn.textContent = "Download area";
+  downloadBtn.disabled = true;
+  const purgeBtn = document.createElement("button");
+  purgeBtn.type = "button";
+  purgeBtn.className = "settings-data-btn";
+  purgeBtn.textContent = "Purge tiles";
+  btns.appendChild(downloadBtn);
+  btns.appendChild(purgeBtn);
+  section.appendChild(btns);
+
+  const statusLine = document.createElement("p");
+  statusLine.className = "settings-hint";
+  statusLine.setAttribute("aria-live", "polite");
+  section.appendChild(statusLine);
+
+  const serverForm = document.createElement("form");
+  serverForm.className = "settings-sync-inputs";
+  serverForm.innerHTML = `
+    <input type="url" name="tileUrl" placeholder="${escapeHtml(opts.defaultTileUrl ?? "")}" aria-label="Tile server URL" autocomplete="off" />
+    <input type="text" name="tileAttribution" placeholder="Attribution, e.g. © Provider, © OpenStreetMap contributors" aria-label="Tile attribution" autocomplete="off" />
+    <p class="settings-hint">Tile URL with {z}, {x} and {y}, e.g. https://tiles.example.com/{z}/{x}/{y}.png?key=… Leave empty for the default.</p>
+    <div class="settings-data-btns">
+      <button type="submit" class="settings-data-btn">Save tile server</button>
+    </div>
+  `;
+  const tileUrlInput = serverForm.querySelector('[name="tileUrl"]');
+  const tileAttributionInput = serverForm.querySelector('[name="tileAttribution"]');
+  tileUrlInput.value = opts.tileServer?.url ?? "";
+  tileAttributionInput.value = opts.tileServer?.attribution ?? "";
+  if (typeof onSaveTileServer === "function") section.appendChild(serverForm);
+
+  /** Show the download controls only while the tile server allows area download. */
+  function applyPrefetchState() {
+    const allowed = isPrefetchAllowed();
+    policyLine.hidden = allowed;
+    runSelect.hidden = !allowed;
+    zoomRow.hidden = !allowed;
+    estimateLine.hidden = !allowed;
+    downloadBtn.hidden = !allowed;
+  }
+
+  serverForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      await onSaveTileServer({ url: tileUrlInput.value, attribution: tileAttributionInput.value });
+      applyPrefetchState();
+      await refreshEstimate();
+    } catch (_) {
+      // onSaveTileServer reports the error.
+    }
+  });
+
+  function readZooms() {
+    const clampZoom = (v) => clamp(parseInt(v, 10) || opts.minZoom, opts.minZoom, opts.maxZoom);
+    const a = clampZoom(minZoomInput.value);
+    const b = clampZoom(maxZoomInput.value);
+    return [Math.min(a, b), Math.max(a, b)];
+  }
+
+  async function refreshEstimate() {
+    if (!runSelect.value || typeof estimateTiles !== "function") {
+      estimateLine.textContent = "";
+      return;
+    }
+    const [minZoom, maxZoom] = readZooms();
+    try {
+      const count = await estimateTiles(runSelect.value, minZoom, maxZoom);
+      estimateLine.textContent = count > 0 ? `About ${count} tiles for this area.` : "This run has no stops to map.";
+    } catch (_) {
+      estimateLine.textContent = "";
+    }
+  }
+
+  async function refreshStatus() {
+    try {
+      const status = await getStatus();
+      if (!status.supported) {
+        statusLine.textContent = "Offline maps are not supported in this browser.";
+        downloadBtn.disabled = true;
+        purgeBtn.disabled = true;
+        return;
+      }
+      const usage = status.usageBytes != null
+        ? ` · ${formatBytes(status.usageBytes)} of ${formatBytes(status.quotaBytes)} storage used`
+        : "";
+      statusLine.textContent = `${status.tileCount} tiles cached${usage}`;
+    } catch (_) {
+      statusLine.textContent = "";
+    }
+  }
+
+  runSelect.addEventListener("change", refreshEstimate);
+  minZoomInput.addEventListener("change", refreshEstimate);
+  maxZoomInput.addEventListener("change", refreshEstimate);
+
+  downloadBtn.addEventListener("click", async () => {
+    if (!runSelect.value) return;
+    const [minZoom, maxZoom] = readZooms();
+    downloadBtn.disabled = true;
+    purgeBtn.disabled = true;
+    try {
+      await onDownload(runSelect.value, minZoom, maxZoom, (done, total) => {
+        statusLine.textContent = `Downloading ${done} / ${total} tiles…`;
+      });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Offline download failed", err);
+    }
+    downloadBtn.disabled = false;
+    purgeBtn.disabled = false;
+    await refreshStatus();
+  });
+
+  purgeBtn.addEventListener("click", async () => {
+    try {
+      await onPurge();
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Purge tiles failed", err);
+    }
+    await refreshStatus();
+  });
+
+  async function loadRuns() {
+    let runs = [];
+    try {
+      runs = (await getRuns()) || [];
+    } catch (_) {
+      runs = [];
+    }
+    runSelect.innerHTML = "";
+    if (runs.length === 0) {
+      const opt = document.createElement("option");
+      opt.value = "";
+      opt.textContent = "No runs yet";
+      runSelect.appendChild(opt);
+      runSelect.disabled = true;
+      return;
+    }
+    runs.forEach((run) => {
+      const opt = document.createElement("option");
+      opt.value = run.id;
+      opt.textContent = run.name ?? run.id;
+      runSelect.appendChild(opt);
+    });
+    runSelect.disabled = false;
+    downloadBtn.disabled = false;
+  }
+
+  applyPrefetchState();
+  loadRuns().then(() => Promise.all([refreshEstimate(), refreshStatus()]));
+  return section;
+}
+
+const SNAPSHOT_REASON_LABELS = { daily: "Daily", afterRun: "After run", manual: "Manual" };
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Automatic Backups section: schedule (daily / after each run), how many to keep, and the list of
+ * local snapshots with a restore button each.
+ * @param {{
+ *   initialSettings: { daily: boolean, afterRun: boolean, keep: number },
+ *   onSave: (settings: { daily: boolean, afterRun: boolean, keep: number }) => Promise<void>,
+ *   listSnapshots: () => Promise<Array<{ id: string, createdAt: string, reason: string, size: number }>>,
+ *   onBackupNow: () => Promise<void>,
+ *   getSnapshotFile: (id: string) => Promise<File>,
+ * }} opts
+ * @param {(file: File) => Promise<void>} onRestoreFile - Starts the usual restore preview
+ * @returns {HTMLElement}
  */
+function createAutoBackupSection(opts, onRestoreFile) {
+  const { initialSettings, onSave, listSnapshots, onBackupNow, getSnapshotFile } = opts;
+  const section = document.createElement("div");
+  section.className = "settings-section";
+  section.innerHTML = "<h3 class=\"settings-section-title\">Automatic Backups</h3>";
+
+  const makeToggle = (label, checked) => {
+    const wrap = document.createElement("label");
+    wrap.className = "settings-row settings-row-toggle";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = checked;
+    const text = document.createElement("span");
+    text.textContent = label;
+    wrap.appendChild(input);
+    wrap.appendChild(text);
+    section.appendChild(wrap);
+    return input;
+  };
+  const dailyCheck = makeToggle("Daily", Boolean(initialSettings?.daily));
+  const afterRunCheck = makeToggle("After each finished run", Boolean(initialSettings?.afterRun));
+
+  const keepRow = document.createElement("div");
+  keepRow.className = "settings-row settings-input-row";
+  const keepLabel = document.createElement("span");
+  keepLabel.textContent = "Keep last";
+  const keepInput = document.createElement("input");
+  keepInput.type = "number";
+  keepInput.min = 1;
+  keepInput.max = 30;
+  keepInput.value = initialSettings?.keep ?? 7;
+  keepInput.setAttribute("aria-label", "Snapshots to keep");
+  keepRow.appendChild(keepLabel);
+  keepRow.appendChild(keepInput);
+  section.appendChild(keepRow);
+
+  const btns = document.createElement("div");
+  btns.className = "settings-data-btns";
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "settings-data-btn";
+  saveBtn.textContent = "Save Schedule";
+  const nowBtn = document.createElement("button");
+  nowBtn.type = "button";
+  nowBtn.className = "settings-data-btn";
+  nowBtn.textContent = "Back Up Now";
+  btns.appendChild(saveBtn);
+  btns.appendChild(nowBtn);
+  section.appendChild(btns);
+
+  const list = document.createElement("ul");
+  list.className = "settings-snapshot-list";
+  section.appendChild(list);
+
+  async function refreshList() {
+    let snapshots = [];
+    try {
+      snapshots = (await listSnapshots()) || [];
+    } catch (_) {
+      snapshots = [];
+    }
+    list.innerHTML = "";
+    if (snapshots.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "settings-hint";
+      empty.textContent = "No snapshots yet.";
+      list.appendChild(empty);
+      return;
+    }
+    snapshots.forEach((snapshot) => {
+      const li = document.createElement("li");
+      li.className = "settings-snapshot-item";
+      const info = document.createElement("span");
+      info.className = "settings-snapshot-info";
+      info.textContent = `${new Date(snapshot.createdAt).toLocaleString()} · ${SNAPSHOT_REASON_LABELS[snapshot.reason] ?? snapshot.reason} · ${formatBytes(snapshot.size)}`;
+      const restoreBtn = document.createElement("button");
+      restoreBtn.type = "button";
+      restoreBtn.className = "settings-data-btn";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.addEventListener("click", async () => {
+        try {
+          await onRestoreFile(await getSnapshotFile(snapshot.id));
+        } catch (err) {
+          // eslint-disable-next-line no-console
+          console.error("Snapshot restore failed", err);
+        }
+      });
+      li.appendChild(info);
+      li.appendChild(restoreBtn);
+      list.appendChild(li);
+    });
+  }
+
+  saveBtn.addEventListener("click", async () => {
+    try {
+      await onSave({
+        daily: dailyCheck.checked,
+        afterRun: afterRunCheck.checked,
+        keep: clamp(parseInt(keepInput.value, 10) || 7, 1, 30),
+      });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Save backup schedule failed", err);
+    }
+    await refreshList();
+  });
+  nowBtn.addEventListener("click", async () => {
+    nowBtn.disabled = true;
+    try {
+      await onBackupNow();
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Backup failed", err);
+    }
+    nowBtn.disabled = false;
+    await refreshList();
+  });
+
+  refreshList();
+  return section;
+}
+
+/**
+ * Sync section: enable, endpoint URL, optional access token, sync now and current status.
+ * @param {{
+ *   initialSettings: { enabled: boolean, endpoint: string, token: string },
+ *   onSave: (settings: { enabled: boolean, endpoint: string, token: string }) => Promise<void>,
+ *   onSyncNow: () => Promise<void>,
+ *   getStatusText: () => string,
+ * }} opts
+ * @returns {HTMLElement}
+ */
+function createSyncSection(opts) {
+  const { initialSettings, onSave, onSyncNow, getStatusText } = opts;
+  const section = document.createElement("div");
+  section.className = "settings-section";
+  section.innerHTML = "<h3 class=\"settings-section-title\">Sync</h3>";
+
+  const enableWrap = document.createElement("label");
+  enableWrap.className = "settings-row settings-row-toggle";
+  const enableCheck = document.createElement("input");
+  enableCheck.type = "checkbox";
+  enableCheck.checked = Boolean(initialSettings?.enabled);
+  const enableLabel = document.createElement("span");
+  enableLabel.textContent = "Sync with other devices";
+  enableWrap.appendChild(enableCheck);
+  enableWrap.appendChild(enableLabel);
+  section.appendChild(enableWrap);
+
+  const inputs = document.createElement("div");
+  inputs.className = "settings-sync-inputs";
+  const endpointInput = document.createElement("input");
+  endpointInput.type = "url";
+  endpointInput.placeholder = "https://sync.example.com";
+  endpointInput.value = initialSettings?.endpoint ?? "";
+  endpointInput.setAttribute("aria-label", "Sync endpoint URL");
+  const tokenInput = document.createElement("input");
+  tokenInput.type = "password";
+  tokenInput.placeholder = "Access token (optional)";
+  tokenInput.autocomplete = "off";
+  tokenInput.value = initialSettings?.token ?? "";
+  tokenInput.setAttribute("aria-label", "Sync access token");
+  inputs.appendChild(endpointInput);
+  inputs.appendChild(tokenInput);
+  section.appendChild(inputs);
+
+  const btns = document.createElement("div");
+  btns.className = "settings-data-btns";
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "settings-data-btn";
+  saveBtn.textContent = "Save Sync";
+  const syncBtn = document.createElement("button");
+  syncBtn.type = "button";
+  syncBtn.className = "settings-data-btn";
+  syncBtn.textContent = "Sync Now";
+  btns.appendChild(saveBtn);
+  btns.appendChild(syncBtn);
+  section.appendChild(btns);
+
+  const statusLine = document.createElement("p");
+  statusLine.className = "settings-hint";
+  statusLine.setAttribute("aria-live", "polite");
+  statusLine.textContent = getStatusText();
+  section.appendChild(statusLine);
+
+  saveBtn.addEventListener("click", async () => {
+    try {
+      await onSave({ enabled: enableCheck.checked, endpoint: endpointInput.value, token: tokenInput.value });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Save sync settings failed", err);
+    }
+    statusLine.textContent = getStatusText();
+  });
+  syncBtn.addEventListener("click", async () => {
+    syncBtn.disabled = true;
+    try {
+      await onSyncNow();
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Sync failed", err);
+    }
+    syncBtn.disabled = false;
+    statusLine.textContent = getStatusText();
+  });
+
+  return section;
+}
+
+/**
+ * Service frequencies section: list with edit/delete, and a form for a name, an interval in days
+ * or months (blank = no schedule) and the months the frequency is active.
+ * @param {{
+ *   initialList: Array<{ id: string, label: string, intervalDays: number|null, intervalMonths: number|null, activeMonths: number[]|null }>,
+ *   describe: (frequency: object) => string,
+ *   onSave: (frequency: object) => Promise<object[]>,
+ *   onDelete: (id: string) => Promise<object[]>,
+ * }} opts
+ * @returns {HTMLElement}
+ */
+function createServiceFrequencySection(opts) {
+  const { initialList, describe, onSave, onDelete } = opts;
+  let list = Array.isArray(initialList) ? initialList : [];
+  let editingId = null;
+
+  const section = document.createElement("div");
+  section.className = "settings-section";
+  section.innerHTML = "<h3 class=\"settings-section-title\">Service Frequencies</h3>";
+
+  const listEl = document.createElement("ul");
+  listEl.className = "settings-snapshot-list";
+  section.appendChild(listEl);
+
+  const form = document.createElement("form");
+  form.className = "settings-frequency-form";
+  form.innerHTML = `
+    <div class="settings-depot-inputs">
+      <input type="text" name="label" placeholder="Name, e.g. Every 10 days" aria-label="Frequency name" autocomplete="off" required />
+      <input type="number" name="interval" min="1" step="1" placeholder="Interval (blank = no schedule)" aria-label="Interval" />
+      <select name="intervalUnit" aria-label="Interval unit">
+        <option value="days">days</option>
+        <option value="months">months</option>
+      </select>
+    </div>
+    <fieldset class="settings-frequency-months">
+      <legend>Active months</legend>
+      ${MONTH_LABELS.map((m, i) => `<label><input type="checkbox" name="month" value="${i + 1}" checked />${m}</label>`).join("")}
+    </fieldset>
+    <div class="settings-data-btns">
+      <button type="submit" class="settings-data-btn" data-role="save">Add Frequency</button>
+      <button type="button" class="settings-data-btn" data-role="cancel" hidden>Cancel</button>
+    </div>
+  `;
+  section.appendChild(form);
+
+  const status = document.createElement("p");
+  status.className = "settings-hint";
+  status.setAttribute("aria-live", "polite");
+  section.appendChild(status);
+
+  const labelInput = form.querySelector('[name="label"]');
+  const intervalInput = form.querySelector('[name="interval"]');
+  const unitSelect = form.querySelector('[name="intervalUnit"]');
+  const monthChecks = [...form.querySelectorAll('[name="month"]')];
+  const saveBtn = form.querySelector('[data-role="save"]');
+  const cancelBtn = form.querySelector('[data-role="cancel"]');
+
+  function resetForm() {
+    editingId = null;
+    form.reset();
+    monthChecks.forEach((cb) => { cb.checked = true; });
+    saveBtn.textContent = "Add Frequency";
+    cancelBtn.hidden = true;
+  }
+
+  function startEdit(frequency) {
+    editingId = frequency.id;
+    labelInput.value = frequency.label;
+    intervalInput.value = frequency.intervalMonths || (frequency.intervalDays ?? "");
+    unitSelect.value = frequency.intervalMonths ? "months" : "days";
+    monthChecks.forEach((cb) => {
+      cb.checked = !frequency.activeMonths || frequency.activeMonths.includes(Number(cb.value));
+    });
+    saveBtn.textContent = "Save Frequency";
+    cancelBtn.hidden = false;
+    labelInput.focus();
+  }
+
+  function renderList() {
+    listEl.innerHTML = "";
+    for (const frequency of list) {
+      const item = document.createElement("li");
+      item.className = "settings-snapshot-item";
+      item.innerHTML = `
+        <span class="settings-snapshot-info"><strong>${escapeHtml(frequency.label)}</strong> · ${escapeHtml(describe(frequency))}</span>
+        <span class="settings-data-btns">
+          <button type="button" class="settings-data-btn" data-role="edit">Edit</button>
+          <button type="button" class="settings-data-btn" data-role="delete">Delete</button>
+        </span>
+      `;
+      item.querySelector('[data-role="edit"]').addEventListener("click", () => startEdit(frequency));
+      item.querySelector('[data-role="delete"]').addEventListener("click", async () => {
+        try {
+          list = await onDelete(frequency.id);
+          if (editingId === frequency.id) resetForm();
+          status.textContent = `Deleted "${frequency.label}".`;
+          renderList();
+        } catch (err) {
+          status.textContent = err instanceof Error ? err.message : String(err);
+        }
+      });
+      listEl.appendChild(item);
+    }
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const months = monthChecks.filter((cb) => cb.checked).map((cb) => Number(cb.value));
+    try {
+      list = await onSave({
+        ...(editingId ? { id: editingId } : {}),
+        label: labelInput.value,
+        intervalDays: unitSelect.value === "days" ? intervalInput.value : null,
+        intervalMonths: unitSelect.value === "months" ? intervalInput.value : null,
+        activeMonths: months,
+      });
+      status.textContent = editingId ? "Frequency saved." : "Frequency added.";
+      resetForm();
+      renderList();
+    } catch (err) {
+      status.textContent = err instanceof Error ? err.message : String(err);
+    }
+  });
+  cancelBtn.addEventListener("click", resetForm);
+
+  renderList();
+  return section;
+}
 
 /**
  * @param {HTMLElement} host - overlay container (e.g. settings-host)
@@ -9,12 +608,53 @@
  *   onSave: (settings: object) => Promise<void>,
  *   onClose: () => void,
  *   onExportBackup?: () => Promise<void>,
- *   onImportBackup?: (file: File) => Promise<void>,
+ *   onExportEncryptedBackup?: () => Promise<void>,
+ *   autoBackup?: object,
+ *   sync?: object,
+ *   serviceFrequencies?: object,
+ *   onImportBackup?: (file: File, mode?: "merge" | "replace") => Promise<void>,
+ *   onPreviewBackup?: (file: File, mode: "merge" | "replace") => Promise<{ errors: string[], stores: object, summary?: string } | null>,
+ *   initialDeviceLabel?: string,
+ *   onSaveDeviceLabel?: (label: string) => Promise<void>,
+ *   initialDepot?: { latitude: number, longitude: number } | null,
+ *   onSaveDepot?: (depot: { latitude: number, longitude: number }) => Promise<void>,
+ *   getMapCentre?: () => { lat: number, lng: number } | null,
+ *   offlineMaps?: object,
+ *   onImportGpx?: (file: File) => Promise<void>,
+ *   onExportGpx?: () => Promise<void>,
+ *   onExportGeoJson?: () => Promise<void>,
+ *   onExportKml?: () => Promise<void>,
+ *   onExportKmz?: () => Promise<void>,
+ *   csvImport?: { fields: object[], parse: Function, guessMapping: Function, validate: Function, onCommit: (entries: object[], mapping: object) => Promise<void> },
  * }} options
  * @returns {{ destroy: () => void, setSettings: (s: object) => void }}
  */
 export function createSettingsPanel(host, options) {
-  const { initialSettings, onSave, onClose, onExportBackup, onImportBackup, onOpenRunManagement } = options;
+  const {
+    initialSettings,
+    onSave,
+    onClose,
+    onExportBackup,
+    onExportEncryptedBackup,
+    autoBackup,
+    sync,
+    serviceFrequencies,
+    onImportBackup,
+    onOpenRunManagement,
+    initialDepot,
+    onSaveDepot,
+    getMapCentre,
+    offlineMaps,
+    onImportGpx,
+    onExportGpx,
+    csvImport,
+    onExportGeoJson,
+    onExportKml,
+    onExportKmz,
+    onPreviewBackup,
+    initialDeviceLabel,
+    onSaveDeviceLabel,
+  } = options;
   let currentSettings = {
     enabled: Boolean(initialSettings?.enabled),
     proximityMeters: clamp(Number(initialSettings?.proximityMeters) || 50, 20, 200),
@@ -155,10 +795,38 @@ export function createSettingsPanel(host, options) {
   dataSection.innerHTML = "<h3 class=\"settings-section-title\">Data Management</h3>";
   const dataBtns = document.createElement("div");
   dataBtns.className = "settings-data-btns";
+  let restorePreview = null;
+  const restoreHost = document.createElement("div");
+  async function startRestore(file) {
+    restorePreview?.destroy();
+    restorePreview = null;
+    try {
+      // Full backups get a dry-run report first; location lists and GeoJSON import directly.
+      const preview = typeof onPreviewBackup === "function" ? await onPreviewBackup(file, "merge") : null;
+      if (!preview) {
+        await onImportBackup(file);
+        return;
+      }
+      restorePreview = createRestorePreview(restoreHost, {
+        fileName: file.name,
+        initialPreview: preview,
+        onChangeMode: (mode) => onPreviewBackup(file, mode),
+        onConfirm: (mode) => onImportBackup(file, mode),
+        onClose: () => {
+          restorePreview?.destroy();
+          restorePreview = null;
+        },
+      });
+      restoreHost.scrollIntoView?.({ block: "nearest" });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error("Import failed", err);
+    }
+  }
   if (typeof onImportBackup === "function") {
     const importInput = document.createElement("input");
     importInput.type = "file";
-    importInput.accept = ".json,application/json";
+    importInput.accept = ".json,.geojson,application/json,application/geo+json";
     importInput.className = "settings-import-input";
     importInput.setAttribute("aria-label", "Import backup file");
     const importBtn = document.createElement("button");
@@ -168,14 +836,9 @@ export function createSettingsPanel(host, options) {
     importBtn.addEventListener("click", () => importInput.click());
     importInput.addEventListener("change", async (e) => {
       const file = e.target.files?.[0];
-      if (!file) return;
-      try {
-        await onImportBackup(file);
-      } catch (err) {
-        // eslint-disable-next-line no-console
-        console.error("Import failed", err);
-      }
       importInput.value = "";
+      if (!file) return;
+      await startRestore(file);
     });
     dataBtns.appendChild(importInput);
     dataBtns.appendChild(importBtn);
@@ -195,9 +858,226 @@ export function createSettingsPanel(host, options) {
     });
     dataBtns.appendChild(exportBtn);
   }
+  if (typeof onExportEncryptedBackup === "function") {
+    const encryptedBtn = document.createElement("button");
+    encryptedBtn.type = "button";
+    encryptedBtn.className = "settings-data-btn";
+    encryptedBtn.textContent = "Export Encrypted Backup";
+    encryptedBtn.addEventListener("click", async () => {
+      try {
+        await onExportEncryptedBackup();
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("Encrypted export failed", err);
+      }
+    });
+    dataBtns.appendChild(encryptedBtn);
+  }
+  if (typeof onImportGpx === "function") {
+    const gpxInput = document.createElement("input");
+    gpxInput.type = "file";
+    gpxInput.accept = ".gpx,application/gpx+xml";
+    gpxInput.className = "settings-import-input";
+    gpxInput.setAttribute("aria-label", "Import GPX file");
+    const gpxImportBtn = document.createElement("button");
+    gpxImportBtn.type = "button";
+    gpxImportBtn.className = "settings-data-btn";
+    gpxImportBtn.textContent = "Import GPX";
+    gpxImportBtn.addEventListener("click", () => gpxInput.click());
+    gpxInput.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      try {
+        await onImportGpx(file);
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("GPX import failed", err);
+      }
+      gpxInput.value = "";
+    });
+    dataBtns.appendChild(gpxInput);
+    dataBtns.appendChild(gpxImportBtn);
+  }
+  if (typeof onExportGpx === "function") {
+    const gpxExportBtn = document.createElement("button");
+    gpxExportBtn.type = "button";
+    gpxExportBtn.className = "settings-data-btn";
+    gpxExportBtn.textContent = "Export GPX";
+    gpxExportBtn.addEventListener("click", async () => {
+      try {
+        await onExportGpx();
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("GPX export failed", err);
+      }
+    });
+    dataBtns.appendChild(gpxExportBtn);
+  }
+  [
+    ["Export GeoJSON", onExportGeoJson],
+    ["Export KML", onExportKml],
+    ["Export KMZ", onExportKmz],
+  ].forEach(([label, handler]) => {
+    if (typeof handler !== "function") return;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "settings-data-btn";
+    btn.textContent = label;
+    btn.addEventListener("click", async () => {
+      try {
+        await handler();
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(`${label} failed`, err);
+      }
+    });
+    dataBtns.appendChild(btn);
+  });
+  let csvWizard = null;
+  const csvWizardHost = document.createElement("div");
+  const csvStatus = document.createElement("p");
+  csvStatus.className = "csv-wizard-error";
+  csvStatus.hidden = true;
+  if (csvImport && typeof csvImport.onCommit === "function") {
+    const csvInput = document.createElement("input");
+    csvInput.type = "file";
+    csvInput.accept = ".csv,.tsv,.txt,text/csv,text/tab-separated-values";
+    csvInput.className = "settings-import-input";
+    csvInput.setAttribute("aria-label", "Import CSV file");
+    const csvBtn = document.createElement("button");
+    csvBtn.type = "button";
+    csvBtn.className = "settings-data-btn";
+    csvBtn.textContent = "Import CSV";
+    csvBtn.addEventListener("click", () => csvInput.click());
+    csvInput.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      csvInput.value = "";
+      if (!file) return;
+      csvWizard?.destroy();
+      csvWizard = null;
+      csvStatus.hidden = true;
+      try {
+        const parsed = csvImport.parse(await file.text());
+        csvWizard = createCsvImportWizard(csvWizardHost, {
+          fileName: file.name,
+          parsed,
+          fields: csvImport.fields,
+          initialMapping: csvImport.guessMapping(parsed.headers),
+          validate: csvImport.validate,
+          onCommit: csvImport.onCommit,
+          onClose: () => {
+            csvWizard?.destroy();
+            csvWizard = null;
+          },
+        });
+      } catch (err) {
+        csvStatus.textContent = err instanceof Error ? err.message : "Could not read CSV file.";
+        csvStatus.hidden = false;
+      }
+    });
+    dataBtns.appendChild(csvInput);
+    dataBtns.appendChild(csvBtn);
+  }
   dataSection.appendChild(dataBtns);
+  if (typeof onSaveDeviceLabel === "function") {
+    const labelRow = document.createElement("div");
+    labelRow.className = "settings-depot-inputs";
+    const labelInput = document.createElement("input");
+    labelInput.type = "text";
+    labelInput.maxLength = 60;
+    labelInput.placeholder = "Device label";
+    labelInput.value = initialDeviceLabel ?? "";
+    labelInput.setAttribute("aria-label", "Device label (written into backups)");
+    const labelBtn = document.createElement("button");
+    labelBtn.type = "button";
+    labelBtn.className = "settings-data-btn";
+    labelBtn.textContent = "Save Label";
+    labelBtn.addEventListener("click", async () => {
+      try {
+        await onSaveDeviceLabel(labelInput.value);
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("Save device label failed", err);
+      }
+    });
+    labelRow.appendChild(labelInput);
+    labelRow.appendChild(labelBtn);
+    dataSection.appendChild(labelRow);
+  }
+  dataSection.appendChild(csvStatus);
+  dataSection.appendChild(csvWizardHost);
+  dataSection.appendChild(restoreHost);
   panel.appendChild(dataSection);
 
+  if (autoBackup && typeof onImportBackup === "function") {
+    panel.appendChild(createAutoBackupSection(autoBackup, startRestore));
+  }
+  if (sync) {
+    panel.appendChild(createSyncSection(sync));
+  }
+  if (serviceFrequencies) {
+    panel.appendChild(createServiceFrequencySection(serviceFrequencies));
+  }
+
+  if (typeof onSaveDepot === "function") {
+    const depotSection = document.createElement("div");
+    depotSection.className = "settings-section";
+    depotSection.innerHTML = "<h3 class=\"settings-section-title\">Depot (route start)</h3>";
+    const depotInputs = document.createElement("div");
+    depotInputs.className = "settings-depot-inputs";
+    const latInput = document.createElement("input");
+    latInput.type = "number";
+    latInput.step = "any";
+    latInput.placeholder = "Latitude";
+    latInput.setAttribute("aria-label", "Depot latitude");
+    const lonInput = document.createElement("input");
+    lonInput.type = "number";
+    lonInput.step = "any";
+    lonInput.placeholder = "Longitude";
+    lonInput.setAttribute("aria-label", "Depot longitude");
+    if (initialDepot) {
+      latInput.value = initialDepot.latitude;
+      lonInput.value = initialDepot.longitude;
+    }
+    depotInputs.appendChild(latInput);
+    depotInputs.appendChild(lonInput);
+    depotSection.appendChild(depotInputs);
+    const depotBtns = document.createElement("div");
+    depotBtns.className = "settings-data-btns";
+    if (typeof getMapCentre === "function") {
+      const centreBtn = document.createElement("button");
+      centreBtn.type = "button";
+      centreBtn.className = "settings-data-btn";
+      centreBtn.textContent = "Use map centre";
+      centreBtn.addEventListener("click", () => {
+        const centre = getMapCentre();
+        if (!centre) return;
+        latInput.value = centre.lat.toFixed(6);
+        lonInput.value = centre.lng.toFixed(6);
+      });
+      depotBtns.appendChild(centreBtn);
+    }
+    const saveDepotBtn = document.createElement("button");
+    saveDepotBtn.type = "button";
+    saveDepotBtn.className = "settings-data-btn";
+    saveDepotBtn.textContent = "Save Depot";
+    saveDepotBtn.addEventListener("click", async () => {
+      try {
+        await onSaveDepot({ latitude: parseFloat(latInput.value), longitude: parseFloat(lonInput.value) });
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("Save depot failed", err);
+      }
+    });
+    depotBtns.appendChild(saveDepotBtn);
+    depotSection.appendChild(depotBtns);
+    panel.appendChild(depotSection);
+  }
+
+  if (offlineMaps && typeof offlineMaps.onDownload === "function") {
+    panel.appendChild(createOfflineMapsSection(offlineMaps));
+  }
+
   if (typeof onOpenRunManagement === "function") {
     const runsSection = document.createElement("div");
     runsSection.className = "settings-section";
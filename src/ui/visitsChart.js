@@ -1,17 +1,36 @@
 /**
  * Simple 7-day visits bar chart (PRD V2.9). Dependency-free HTML/CSS bars.
+ * renderBarChart draws the same bars for any per-day value with a preformatted label (daily cash totals).
+ */
+
+/**
  * @param {HTMLElement} container - parent to append the chart into
- * @param {Array<{ dayLabel: string, count: number }>} dailyCounts - length 7, order Mon..Sun or oldest..today
+ * @param {Array<{ dayLabel: string, count: number }>} dailyCounts - visits per day; length 7, order Mon..Sun or oldest..today
+ * @param {{ heading?: string }} [options]
  */
-export function renderVisitsChart(container, dailyCounts) {
-  container.innerHTML = "";
-  container.className = "visits-chart";
+export function renderVisitsChart(container, dailyCounts, options = {}) {
   const list = Array.isArray(dailyCounts) ? dailyCounts : [];
-  const maxCount = list.length > 0 ? Math.max(1, ...list.map((d) => d.count)) : 1;
+  renderBarChart(
+    container,
+    list.map((day) => ({ dayLabel: day.dayLabel, value: day.count, label: String(day.count) })),
+    { heading: options.heading }
+  );
+}
+
+/**
+ * @param {HTMLElement} container - parent to append the chart into
+ * @param {Array<{ dayLabel: string, value: number, label: string }>} bars - bar length from value, label shown beside it
+ * @param {{ heading?: string, modifier?: string }} [options] - modifier: extra class, e.g. "visits-chart--labelled" for wide labels
+ */
+export function renderBarChart(container, bars, options = {}) {
+  container.innerHTML = "";
+  const list = Array.isArray(bars) ? bars : [];
+  container.className = options.modifier ? `visits-chart ${options.modifier}` : "visits-chart";
+  const maxValue = list.length > 0 ? Math.max(1, ...list.map((d) => d.value)) : 1;
 
   const heading = document.createElement("p");
   heading.className = "visits-chart-heading";
-  heading.textContent = "Last 7 days";
+  heading.textContent = options.heading ?? "Last 7 days";
   container.appendChild(heading);
 
   const chartWrap = document.createElement("div");
@@ -19,11 +38,11 @@ export function renderVisitsChart(container, dailyCounts) {
   for (const day of list) {
     const row = document.createElement("div");
     row.className = "stat-row";
-    const pct = maxCount > 0 ? (day.count / maxCount) * 100 : 0;
+    const pct = maxValue > 0 ? (day.value / maxValue) * 100 : 0;
     row.innerHTML = `
       <span class="day-label">${escapeHtml(day.dayLabel)}</span>
       <div class="bar-container"><div class="bar" style="width: ${pct}%"></div></div>
-      <span class="count">${day.count}</span>
+      <span class="count">${escapeHtml(day.label)}</span>
     `;
     chartWrap.appendChild(row);
   }
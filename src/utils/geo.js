@@ -46,6 +46,18 @@ export function bearing(lat1, lon1, lat2, lon2) {
   return b;
 }
 
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+/**
+ * Eight-point compass label for a bearing (e.g. 45 → "NE").
+ * @param {number} b - Bearing in degrees
+ * @returns {string}
+ */
+export function compassPoint(b) {
+  const normalised = ((b % 360) + 360) % 360;
+  return COMPASS_POINTS[Math.round(normalised / 45) % 8];
+}
+
 /** Cardinal ranges (degrees): N 337.5–22.5, E 22.5–112.5, S 112.5–202.5, W 202.5–337.5 */
 const CARDINALS = {
   N: { min: 337.5, max: 22.5 },
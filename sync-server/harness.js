@@ -0,0 +1,183 @@
+/**
+ * Local test harness for the reference sync server: starts sync-server/server.js on a free port
+ * with a temporary SYNC_DATA_FILE and token, then pushes and pulls through src/storage/sync.js
+ * (IndexedDB provided by fake-indexeddb) and checks the token and last-writer-wins conflict paths.
+ * A second device is simulated with raw protocol requests. Exits non-zero on the first failure.
+ *
+ * Run: npm run sync-server:test
+ */
+
+import "fake-indexeddb/auto";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { getEntity, putEntity, setChangeTracking } from "../src/storage/indexedDb.js";
+import { countPendingChanges, prepareInitialSync, pullChanges, pushChanges } from "../src/storage/sync.js";
+
+const SERVER_FILE = join(dirname(fileURLToPath(import.meta.url)), "server.js");
+const TOKEN = "harness-token";
+const START_TIMEOUT_MS = 10_000;
+const RUN_TIMEOUT_MS = 60_000;
+const OTHER_DEVICE = "device-harness-other";
+
+function freePort() {
+  return new Promise((resolvePort, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolvePort(port));
+    });
+  });
+}
+
+function startServer(port, dataFile) {
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    env: { ...process.env, PORT: String(port), SYNC_DATA_FILE: dataFile, SYNC_TOKEN: TOKEN },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const ready = new Promise((resolveReady, reject) => {
+    const timer = setTimeout(() => reject(new Error("Sync server did not start in time")), START_TIMEOUT_MS);
+    child.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("listening")) {
+        clearTimeout(timer);
+        resolveReady();
+      }
+    });
+    child.stderr.on("data", (chunk) => process.stderr.write(chunk));
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Sync server exited with code ${code}`));
+    });
+  });
+  return { child, ready };
+}
+
+/** Raw protocol request as another device would make it. */
+async function remote(endpoint, path, body) {
+  const res = await fetch(`${endpoint}/${path}`, {
+    method: body ? "POST" : "GET",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  assert.equal(res.status, 200, `${path} returned ${res.status}`);
+  return res.json();
+}
+
+async function step(name, fn) {
+  await fn();
+  // eslint-disable-next-line no-console
+  console.log(`ok - ${name}`);
+}
+
+async function run(endpoint) {
+  const config = { endpoint, token: TOKEN };
+  const location = { id: "loc-harness", name: "Corner Shop", lat: 51.5, lng: -0.1, status: "active" };
+
+  await step("push local changes", async () => {
+    await putEntity("locations", { id: "loc-untracked", name: "Before sync", lat: 0, lng: 0, status: "active" });
+    setChangeTracking(true);
+    assert.equal(await prepareInitialSync(), 1);
+    await putEntity("locations", location);
+    assert.equal(await countPendingChanges(), 2);
+    assert.deepEqual(await pushChanges(config), { pushed: 2, rejected: 0 });
+    assert.equal(await countPendingChanges(), 0);
+    const pulled = await remote(endpoint, "pull?since=0");
+    assert.deepEqual(pulled.changes.map((c) => c.key).sort(), ["loc-harness", "loc-untracked"]);
+  });
+
+  await step("reject missing or wrong token", async () => {
+    const res = await fetch(`${endpoint}/pull?since=0`);
+    assert.equal(res.status, 401);
+    await putEntity("locations", { ...location, name: "Corner Shop (renamed)" });
+    await assert.rejects(pushChanges({ endpoint, token: "wrong" }), /401/);
+    await assert.rejects(pullChanges({ endpoint, token: "wrong" }), /401/);
+    assert.equal(await countPendingChanges(), 1, "a failed push keeps the outbox");
+    assert.deepEqual(await pushChanges(config), { pushed: 1, rejected: 0 });
+  });
+
+  await step("pull another device's newer change", async () => {
+    await pullChanges(config);
+    const later = Date.now() + 60_000;
+    const pushed = await remote(endpoint, "push", {
+      deviceId: OTHER_DEVICE,
+      changes: [{ store: "locations", key: location.id, op: "put", value: { ...location, name: "From other device" }, updatedAt: later, deviceId: OTHER_DEVICE }],
+    });
+    assert.deepEqual(pushed, { accepted: 1, rejected: 0 });
+    const result = await pullChanges(config);
+    assert.equal(result.applied, 1);
+    assert.deepEqual(result.stores, ["locations"]);
+    assert.equal((await getEntity("locations", location.id)).name, "From other device");
+  });
+
+  await step("server rejects a stale push", async () => {
+    const pushed = await remote(endpoint, "push", {
+      deviceId: OTHER_DEVICE,
+      changes: [{ store: "locations", key: location.id, op: "put", value: { ...location, name: "Stale" }, updatedAt: 1, deviceId: OTHER_DEVICE }],
+    });
+    assert.deepEqual(pushed, { accepted: 0, rejected: 1 });
+  });
+
+  await step("local newer edit wins over an older remote one", async () => {
+    // The other device edits first (but after its previous change); this device edits later.
+    const remoteAt = Date.now() + 90_000;
+    await remote(endpoint, "push", {
+      deviceId: OTHER_DEVICE,
+      changes: [{ store: "locations", key: "loc-untracked", op: "put", value: { id: "loc-untracked", name: "Remote edit", lat: 0, lng: 0, status: "active" }, updatedAt: remoteAt, deviceId: OTHER_DEVICE }],
+    });
+    const realNow = Date.now;
+    Date.now = () => remoteAt + 1000;
+    try {
+      await putEntity("locations", { id: "loc-untracked", name: "Local edit", lat: 0, lng: 0, status: "active" });
+    } finally {
+      Date.now = realNow;
+    }
+    const pulled = await pullChanges(config);
+    assert.equal(pulled.applied, 0);
+    assert.equal((await getEntity("locations", "loc-untracked")).name, "Local edit");
+    assert.deepEqual(await pushChanges(config), { pushed: 1, rejected: 0 });
+    const all = await remote(endpoint, "pull?since=0");
+    assert.equal(all.changes.find((c) => c.key === "loc-untracked").value.name, "Local edit");
+  });
+
+  await step("deletes travel as tombstones", async () => {
+    await remote(endpoint, "push", {
+      deviceId: OTHER_DEVICE,
+      changes: [{ store: "locations", key: location.id, op: "delete", updatedAt: Date.now() + 120_000, deviceId: OTHER_DEVICE }],
+    });
+    assert.equal((await pullChanges(config)).applied, 1);
+    assert.equal(await getEntity("locations", location.id), undefined);
+  });
+}
+
+const dir = await mkdtemp(join(tmpdir(), "gumball-sync-"));
+const port = await freePort();
+const { child, ready } = startServer(port, join(dir, "sync-data.json"));
+const watchdog = setTimeout(() => {
+  // eslint-disable-next-line no-console
+  console.error("Sync harness timed out");
+  child.kill();
+  process.exit(1);
+}, RUN_TIMEOUT_MS);
+
+let failed = false;
+try {
+  await ready;
+  await run(`http://127.0.0.1:${port}`);
+  // eslint-disable-next-line no-console
+  console.log("Sync server harness passed");
+} catch (err) {
+  failed = true;
+  // eslint-disable-next-line no-console
+  console.error("Sync server harness failed:", err);
+} finally {
+  clearTimeout(watchdog);
+  child.kill();
+  await rm(dir, { recursive: true, force: true });
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,178 @@
+/**
+ * Reference sync server for Gumball Tracker (no dependencies; Node 18+).
+ * Keeps the latest change per record (last-writer-wins, deletes kept as tombstones) in a JSON file
+ * and serves the protocol used by src/storage/sync.js:
+ *   POST /push  { deviceId, changes: [{ store, key, op, value, updatedAt, deviceId }] } → { accepted, rejected }
+ *   GET  /pull?since=<cursor>&limit=<n> → { changes, cursor, hasMore }
+ *   GET  /health → { ok: true, records, cursor }
+ *
+ * Environment: PORT (default 8787), SYNC_DATA_FILE (default ./sync-data.json),
+ * SYNC_TOKEN (optional; clients must send "Authorization: Bearer <token>"),
+ * SYNC_ALLOW_ORIGIN (default "*").
+ *
+ * Run locally: npm run sync-server (npm run sync-server:test runs harness.js against it)
+ */
+
+import { createServer } from "node:http";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = resolve(process.env.SYNC_DATA_FILE || "sync-data.json");
+const TOKEN = process.env.SYNC_TOKEN || "";
+const ALLOW_ORIGIN = process.env.SYNC_ALLOW_ORIGIN || "*";
+const STORES = ["locations", "runs", "runLocations", "visits", "runCompletions", "serviceFrequencies", "issues"];
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const MAX_PULL_LIMIT = 1000;
+
+/** @type {{ seq: number, records: Record<string, { store: string, key: string, op: string, value: object|null, updatedAt: number, deviceId: string, seq: number }> }} */
+let data = { seq: 0, records: {} };
+let saving = Promise.resolve();
+
+async function load() {
+  try {
+    data = JSON.parse(await readFile(DATA_FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
+
+/** Write to a temp file and rename, one save at a time, so a crash never leaves a half-written file. */
+function save() {
+  saving = saving.then(async () => {
+    const tmp = `${DATA_FILE}.tmp`;
+    await writeFile(tmp, JSON.stringify(data));
+    await rename(tmp, DATA_FILE);
+  });
+  return saving;
+}
+
+function isNewer(a, b) {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+  return String(a.deviceId) > String(b.deviceId);
+}
+
+function validChange(c) {
+  return c != null
+    && STORES.includes(c.store)
+    && typeof c.key === "string" && c.key !== ""
+    && (c.op === "put" || c.op === "delete")
+    && Number.isFinite(c.updatedAt)
+    && typeof c.deviceId === "string" && c.deviceId !== ""
+    && (c.op === "delete" || (c.value != null && typeof c.value === "object"));
+}
+
+async function handlePush(body) {
+  const changes = Array.isArray(body?.changes) ? body.changes : null;
+  if (!changes) return [400, { error: "changes must be an array" }];
+  let accepted = 0;
+  let rejected = 0;
+  for (const change of changes) {
+    if (!validChange(change)) {
+      rejected += 1;
+      continue;
+    }
+    const id = `${change.store}:${change.key}`;
+    const current = data.records[id];
+    if (current && !isNewer(change, current)) {
+      rejected += 1;
+      continue;
+    }
+    data.seq += 1;
+    data.records[id] = {
+      store: change.store,
+      key: change.key,
+      op: change.op,
+      value: change.op === "put" ? change.value : null,
+      updatedAt: change.updatedAt,
+      deviceId: change.deviceId,
+      seq: data.seq,
+    };
+    accepted += 1;
+  }
+  if (accepted > 0) await save();
+  return [200, { accepted, rejected }];
+}
+
+function handlePull(url) {
+  const since = Number(url.searchParams.get("since")) || 0;
+  const limit = Math.min(MAX_PULL_LIMIT, Math.max(1, Number(url.searchParams.get("limit")) || 500));
+  const newer = Object.values(data.records)
+    .filter((r) => r.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const page = newer.slice(0, limit);
+  return [200, {
+    changes: page.map(({ seq, ...change }) => change),
+    cursor: page.length > 0 ? page[page.length - 1].seq : since,
+    hasMore: newer.length > page.length,
+  }];
+}
+
+function readBody(req) {
+  return new Promise((resolvePromise, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolvePromise(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : null);
+      } catch (_) {
+        reject(Object.assign(new Error("Body must be JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": ALLOW_ORIGIN,
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(payload === undefined ? "" : JSON.stringify(payload));
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") {
+    send(res, 204);
+    return;
+  }
+  if (url.pathname === "/health" && req.method === "GET") {
+    send(res, 200, { ok: true, records: Object.keys(data.records).length, cursor: data.seq });
+    return;
+  }
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    send(res, 401, { error: "Missing or wrong access token" });
+    return;
+  }
+  try {
+    if (url.pathname === "/push" && req.method === "POST") {
+      const [status, payload] = await handlePush(await readBody(req));
+      send(res, status, payload);
+    } else if (url.pathname === "/pull" && req.method === "GET") {
+      const [status, payload] = handlePull(url);
+      send(res, status, payload);
+    } else {
+      send(res, 404, { error: "Not found" });
+    }
+  } catch (err) {
+    send(res, err.status || 500, { error: err.message || "Server error" });
+  }
+});
+
+await load();
+server.listen(PORT, () => {
+  // eslint-disable-next-line no-console
+  console.log(`[sync-server] listening on http://localhost:${PORT} (data: ${DATA_FILE}${TOKEN ? ", token required" : ""})`);
+});
@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BACKUP_FORMAT,
+  BACKUP_FORMAT_VERSION,
+  BACKUP_UPGRADES,
+  createBackupHeader,
+  readBackupHeader,
+  upgradeBackup,
+} from "../src/storage/backupMigrations.js";
+import { DB_VERSION } from "../src/storage/schemaVersion.js";
+
+const TARGET = DB_VERSION;
+
+/** Stores as a v4 release exported them: a single "last" completion and stops without a sequence. */
+function legacyStores() {
+  return {
+    locations: [
+      { id: "loc-a", name: "A", latitude: 51, longitude: 0 },
+      { id: "loc-b", name: "B", latitude: 51, longitude: 0 },
+      { id: "loc-c", name: "C", latitude: 51, longitude: 0 },
+    ],
+    runs: [{ id: "run-1", name: "Monday" }],
+    runLocations: [
+      { id: "rl-a", runId: "run-1", locationId: "loc-a", assignedAt: 2 },
+      { id: "rl-b", runId: "run-1", locationId: "loc-b", assignedAt: 3 },
+      { id: "rl-c", runId: "run-1", locationId: "loc-c", assignedAt: 1 },
+    ],
+    visits: [],
+    runCompletions: [{ id: "last", runId: "run-1", runName: "Monday", visitedCount: 2, totalCount: 3, completedAt: "2024-03-01T12:00:00.000Z", durationMinutes: 90 }],
+  };
+}
+
+function withHeader(stores, dbVersion, overrides = {}) {
+  return { header: { ...createBackupHeader({ dbVersion, deviceLabel: "Van 1" }), ...overrides }, ...stores };
+}
+
+function sequences(backup) {
+  return Object.fromEntries(backup.runLocations.map((l) => [l.locationId, l.sequence]));
+}
+
+test("headerless (format 1) file runs the whole chain", () => {
+  const { backup, header, applied } = upgradeBackup(legacyStores(), TARGET);
+  assert.deepEqual(header, { formatVersion: 1, dbVersion: 1, exportedAt: null, deviceLabel: null });
+  assert.deepEqual(applied, BACKUP_UPGRADES.map((step) => step.description));
+  assert.equal(backup.header.format, BACKUP_FORMAT);
+  assert.equal(backup.header.formatVersion, BACKUP_FORMAT_VERSION);
+  assert.equal(backup.header.dbVersion, TARGET);
+});
+
+test("v4 file: the last completion becomes a completion record", () => {
+  const { backup } = upgradeBackup(withHeader(legacyStores(), 4), TARGET);
+  assert.equal(backup.runCompletions.length, 1);
+  const [completion] = backup.runCompletions;
+  assert.equal(completion.id, `completion-${new Date("2024-03-01T12:00:00.000Z").getTime()}-last`);
+  assert.equal(completion.runId, "run-1");
+  assert.equal(completion.visitedCount, 2);
+  assert.equal(completion.durationMinutes, 90);
+});
+
+test("v4 file: runLocations.sequence is seeded from assignedAt", () => {
+  const { backup } = upgradeBackup(withHeader(legacyStores(), 4), TARGET);
+  assert.deepEqual(sequences(backup), { "loc-c": 1, "loc-a": 2, "loc-b": 3 });
+});
+
+test("v6 file: stops that already have a sequence keep it", () => {
+  const stores = legacyStores();
+  stores.runLocations = stores.runLocations.map((l, i) => ({ ...l, sequence: i + 1 }));
+  const { backup } = upgradeBackup(withHeader(stores, 6), TARGET);
+  assert.deepEqual(sequences(backup), { "loc-a": 1, "loc-b": 2, "loc-c": 3 });
+});
+
+test("v5 file only runs the steps after its version", () => {
+  const stores = legacyStores();
+  const { backup, applied } = upgradeBackup(withHeader(stores, 5), TARGET);
+  assert.equal(applied.some((d) => /completion/i.test(d)), false);
+  assert.deepEqual(backup.runCompletions, stores.runCompletions, "the v5 step is skipped");
+  assert.deepEqual(sequences(backup), { "loc-c": 1, "loc-a": 2, "loc-b": 3 });
+});
+
+test("file at the current version is returned unchanged", () => {
+  const current = upgradeBackup(withHeader(legacyStores(), 4), TARGET).backup;
+  const { backup, applied, header } = upgradeBackup(current, TARGET);
+  assert.deepEqual(applied, []);
+  assert.equal(header.dbVersion, TARGET);
+  assert.deepEqual(backup, current);
+});
+
+test("steps are safe to re-run on upgraded data (headerless files run them all)", () => {
+  const { header: _header, ...upgraded } = upgradeBackup(withHeader(legacyStores(), 4), TARGET).backup;
+  const { backup, applied } = upgradeBackup(upgraded, TARGET);
+  assert.deepEqual(applied, []);
+  assert.deepEqual(backup.runLocations, upgraded.runLocations);
+  assert.deepEqual(backup.runCompletions, upgraded.runCompletions);
+});
+
+test("pre-v11 file gets the default service frequencies; a file that has its own keeps them", () => {
+  const { backup } = upgradeBackup(withHeader(legacyStores(), 10), TARGET);
+  const monthly = backup.serviceFrequencies.find((f) => f.id === "monthly");
+  assert.deepEqual(backup.serviceFrequencies.map((f) => f.id), ["weekly", "fortnightly", "monthly", "adhoc"]);
+  assert.equal(monthly.intervalMonths, 1, "monthly stays a calendar month");
+  assert.equal(monthly.intervalDays, null);
+
+  const own = [{ id: "every-10-days", label: "Every 10 days", intervalDays: 10, intervalMonths: null, activeMonths: null }];
+  const { backup: kept, applied } = upgradeBackup({ ...legacyStores(), serviceFrequencies: own }, TARGET);
+  assert.deepEqual(kept.serviceFrequencies, own);
+  assert.equal(applied.some((d) => /frequenc/i.test(d)), false);
+});
+
+test("the input is not modified", () => {
+  const input = withHeader(legacyStores(), 4);
+  const snapshot = JSON.parse(JSON.stringify(input));
+  upgradeBackup(input, TARGET);
+  assert.deepEqual(input, snapshot);
+});
+
+test("a file from a newer release is rejected", () => {
+  assert.throws(() => upgradeBackup(withHeader(legacyStores(), TARGET + 1), TARGET), /newer app version/);
+  assert.throws(
+    () => upgradeBackup(withHeader(legacyStores(), 4, { formatVersion: BACKUP_FORMAT_VERSION + 1 }), TARGET),
+    /newer than this app supports/
+  );
+});
+
+test("malformed headers and non-objects are rejected", () => {
+  assert.throws(() => upgradeBackup(withHeader(legacyStores(), 4, { format: "something-else" }), TARGET), /unrecognised header format/);
+  assert.throws(() => upgradeBackup(withHeader(legacyStores(), 0), TARGET), /dbVersion must be a positive integer/);
+  assert.throws(() => upgradeBackup([], TARGET), /must be a JSON object/);
+  assert.throws(() => upgradeBackup(null, TARGET), /must be a JSON object/);
+});
+
+test("custom chain: steps run in order and only within (file version, target]", () => {
+  const seen = [];
+  const step = (toVersion) => ({
+    toVersion,
+    description: `to v${toVersion}`,
+    upgrade(stores) {
+      seen.push(toVersion);
+      return { ...stores, trail: [...(stores.trail ?? []), toVersion] };
+    },
+  });
+  const { backup, applied } = upgradeBackup(withHeader({}, 2), 4, [step(2), step(3), step(4), step(5)]);
+  assert.deepEqual(seen, [3, 4]);
+  assert.deepEqual(applied, ["to v3", "to v4"]);
+  assert.deepEqual(backup.trail, [3, 4]);
+});
+
+test("readBackupHeader keeps the exported time and device label", () => {
+  const exportedAt = new Date("2025-01-02T03:04:05.000Z");
+  const header = readBackupHeader({ header: createBackupHeader({ dbVersion: 9, deviceLabel: "Van 2", exportedAt }) });
+  assert.deepEqual(header, { formatVersion: BACKUP_FORMAT_VERSION, dbVersion: 9, exportedAt: exportedAt.toISOString(), deviceLabel: "Van 2" });
+});
@@ -0,0 +1,111 @@
+// Dates below are local; pin the zone so the DST cases land on a known change (last Sunday of March).
+process.env.TZ = "Europe/Dublin";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addInterval, buildSchedule, nextInSeason, summarizeSchedule, urgencyFor } from "../src/domain/schedule.js";
+import {
+  DEFAULT_SERVICE_FREQUENCIES,
+  describeServiceFrequency,
+  normalizeServiceFrequency,
+} from "../src/domain/serviceFrequencies.js";
+
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute).getTime();
+
+test("addInterval: a month step clamps to the end of a shorter month", () => {
+  assert.equal(addInterval(at(2026, 1, 31, 10), { months: 1 }), at(2026, 2, 28, 10));
+  assert.equal(addInterval(at(2028, 1, 31, 10), { months: 1 }), at(2028, 2, 29, 10), "leap year");
+  assert.equal(addInterval(at(2026, 1, 31, 10), { months: 3 }), at(2026, 4, 30, 10));
+  assert.equal(addInterval(at(2026, 11, 30, 10), { months: 2 }), at(2027, 1, 30, 10), "across the year end");
+});
+
+test("addInterval: day steps keep the time of day across a DST change", () => {
+  assert.equal(addInterval(at(2026, 3, 25, 9), { days: 7 }), at(2026, 4, 1, 9));
+  assert.equal(addInterval(at(2026, 10, 20, 9), { days: 14 }), at(2026, 11, 3, 9));
+});
+
+test("nextInSeason: in season or all year is unchanged", () => {
+  const june = at(2026, 6, 15, 9);
+  assert.equal(nextInSeason(june, null), june);
+  assert.equal(nextInSeason(june, []), june);
+  assert.equal(nextInSeason(june, [4, 5, 6, 7, 8, 9, 10]), june);
+});
+
+test("nextInSeason: out of season moves to the 1st of the next active month, wrapping the year", () => {
+  const summer = [4, 5, 6, 7, 8, 9, 10];
+  assert.equal(nextInSeason(at(2026, 11, 15, 9), summer), at(2027, 4, 1));
+  assert.equal(nextInSeason(at(2026, 2, 10, 9), summer), at(2026, 4, 1));
+  assert.equal(nextInSeason(at(2026, 6, 15, 9), [12, 1]), at(2026, 12, 1));
+});
+
+test("urgencyFor: bucket edges are calendar days", () => {
+  const now = at(2026, 6, 10, 14);
+  assert.equal(urgencyFor(null, now), "unscheduled");
+  assert.equal(urgencyFor(at(2026, 6, 9, 23, 59), now), "overdue");
+  assert.equal(urgencyFor(at(2026, 6, 10, 0, 0), now), "dueToday");
+  assert.equal(urgencyFor(at(2026, 6, 10, 23, 59), now), "dueToday");
+  assert.equal(urgencyFor(at(2026, 6, 11, 0, 0), now), "dueThisWeek");
+  assert.equal(urgencyFor(at(2026, 6, 16, 23, 59), now), "dueThisWeek");
+  assert.equal(urgencyFor(at(2026, 6, 17, 0, 0), now), "ok");
+});
+
+test("urgencyFor: a week with the spring DST change is still seven days", () => {
+  const now = at(2026, 3, 25, 12);
+  assert.equal(urgencyFor(at(2026, 3, 31, 23, 59), now), "dueThisWeek");
+  assert.equal(urgencyFor(at(2026, 4, 1, 0, 30), now), "ok");
+});
+
+test("buildSchedule: ad hoc and unknown frequencies are unscheduled", () => {
+  const now = at(2026, 6, 10, 14);
+  const schedule = buildSchedule(
+    [{ id: "a", serviceFrequency: "adhoc" }, { id: "b", serviceFrequency: "no-such-frequency" }, { id: "c" }],
+    [{ locationId: "a", visitedAt: at(2025, 1, 1) }],
+    now
+  );
+  for (const id of ["a", "b", "c"]) {
+    assert.equal(schedule.get(id).nextDueAt, null);
+    assert.equal(schedule.get(id).urgency, "unscheduled");
+  }
+  assert.equal(schedule.get("a").lastVisitedAt, at(2025, 1, 1));
+});
+
+test("buildSchedule: due from the latest visit; never visited is due now", () => {
+  const now = at(2026, 2, 27, 9);
+  const schedule = buildSchedule(
+    [{ id: "m", serviceFrequency: "monthly" }, { id: "w", serviceFrequency: "weekly" }, { id: "n", serviceFrequency: "fortnightly" }],
+    [
+      { locationId: "m", visitedAt: at(2026, 1, 10, 8) },
+      { locationId: "m", visitedAt: at(2026, 1, 31, 8) },
+      { locationId: "w", visitedAt: at(2026, 2, 10, 8) },
+      { locationId: "w", visitedAt: null },
+    ],
+    now
+  );
+  assert.deepEqual(schedule.get("m"), { lastVisitedAt: at(2026, 1, 31, 8), nextDueAt: at(2026, 2, 28, 8), urgency: "dueThisWeek" });
+  assert.deepEqual(schedule.get("w"), { lastVisitedAt: at(2026, 2, 10, 8), nextDueAt: at(2026, 2, 17, 8), urgency: "overdue" });
+  assert.deepEqual(schedule.get("n"), { lastVisitedAt: null, nextDueAt: now, urgency: "dueToday" });
+  assert.deepEqual(summarizeSchedule(schedule), { overdue: 1, dueToday: 1, dueThisWeek: 1 });
+});
+
+test("buildSchedule: a seasonal frequency falls due when its season opens", () => {
+  const frequencies = [
+    ...DEFAULT_SERVICE_FREQUENCIES,
+    { id: "summer", label: "Summer", intervalDays: 14, intervalMonths: null, activeMonths: [5, 6, 7, 8, 9] },
+  ];
+  const now = at(2026, 9, 25, 9);
+  const schedule = buildSchedule([{ id: "s", serviceFrequency: "summer" }], [{ locationId: "s", visitedAt: at(2026, 9, 20, 9) }], now, frequencies);
+  assert.equal(schedule.get("s").nextDueAt, at(2027, 5, 1));
+  assert.equal(schedule.get("s").urgency, "ok");
+});
+
+test("service frequencies: intervals in days or calendar months", () => {
+  const quarterly = normalizeServiceFrequency({ label: "Quarterly", intervalMonths: "3", intervalDays: "" });
+  assert.deepEqual(quarterly, { id: "quarterly", label: "Quarterly", intervalDays: null, intervalMonths: 3, activeMonths: null });
+  assert.equal(describeServiceFrequency(quarterly), "Every 3 months");
+  assert.equal(describeServiceFrequency(DEFAULT_SERVICE_FREQUENCIES.find((f) => f.id === "monthly")), "Every month");
+  assert.equal(describeServiceFrequency(normalizeServiceFrequency({ label: "Spring", intervalDays: 10, activeMonths: [3, 4, 5] })), "Every 10 days · Mar–May");
+  assert.equal(describeServiceFrequency(normalizeServiceFrequency({ label: "Ad hoc" })), "No schedule");
+  assert.throws(() => normalizeServiceFrequency({ label: "Both", intervalDays: 7, intervalMonths: 1 }), /days or in months, not both/);
+  assert.throws(() => normalizeServiceFrequency({ label: "Too long", intervalMonths: 25 }), /between 1 and 24/);
+});